@@ -0,0 +1,146 @@
+/**
+ * ================================================
+ * AromaticityPerception Utility
+ * ================================================
+ *
+ * Marks rings written in Kekulé form (C1=CC=CC=C1) as aromatic, so
+ * that descriptors and SMARTS matching see the same molecule whether
+ * the SMILES used lowercase atoms or alternating bonds.
+ *
+ * Features:
+ * - Hückel 4n+2 rule on single SSSR rings and on pairs of fused rings
+ * - Pi electron counts for carbon, pyridine/pyrrole-type N, O, S, Se, P
+ * - Exocyclic C=O/C=N/C=S atoms contribute no electrons (pyridones, uracils)
+ * - Leaves rings that are already aromatic untouched
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Elements that can donate a lone pair to the ring
+const LONE_PAIR_DONORS_3 = new Set(['N', 'P', 'As']);
+const LONE_PAIR_DONORS_2 = new Set(['O', 'S', 'Se', 'Te']);
+
+// Exocyclic double bond partners that turn an atom into a 0-electron ring member
+const EXOCYCLIC_ACCEPTORS = new Set(['O', 'S', 'N', 'Se']);
+
+export class AromaticityPerception {
+    /**
+     * Perceive aromatic rings and mark their atoms and bonds in place
+     * @param {Molecule} molecule - Molecule with hydrogens assigned
+     * @returns {number} Number of rings that were newly marked aromatic
+     */
+    perceive(molecule) {
+        const rings = molecule.getRings();
+        if (rings.length === 0) return 0;
+
+        const electrons = molecule.atoms.map(atom => this.getPiElectrons(molecule, atom));
+        const candidates = rings.filter(ring => ring.every(atom => electrons[atom] !== null));
+        const aromatic = new Set();
+
+        const isHuckel = atoms => {
+            const total = atoms.reduce((sum, atom) => sum + electrons[atom], 0);
+            return total >= 2 && (total - 2) % 4 === 0;
+        };
+
+        candidates.forEach((ring, index) => {
+            if (isHuckel(ring)) aromatic.add(index);
+        });
+
+        // Fused pairs catch systems like azulene whose single rings fail the rule
+        for (let i = 0; i < candidates.length; i++) {
+            for (let j = i + 1; j < candidates.length; j++) {
+                if (aromatic.has(i) && aromatic.has(j)) continue;
+
+                const shared = candidates[i].filter(atom => candidates[j].includes(atom));
+                if (shared.length !== 2) continue;
+
+                const union = [...new Set([...candidates[i], ...candidates[j]])];
+                if (isHuckel(union)) {
+                    aromatic.add(i);
+                    aromatic.add(j);
+                }
+            }
+        }
+
+        let marked = 0;
+        aromatic.forEach(index => {
+            const ring = candidates[index];
+            const alreadyAromatic = ring.every((atom, i) => molecule.getBond(atom, ring[(i + 1) % ring.length]).aromatic);
+            if (alreadyAromatic) return;
+
+            ring.forEach((atom, i) => {
+                molecule.atoms[atom].aromatic = true;
+                const bond = molecule.getBond(atom, ring[(i + 1) % ring.length]);
+                bond.aromatic = true;
+                bond.order = 1.5;
+            });
+            marked++;
+        });
+
+        return marked;
+    }
+
+    /**
+     * Pi electrons an atom contributes to a ring
+     * @param {Molecule} molecule - Molecule containing the atom
+     * @param {Object} atom - Ring atom
+     * @returns {number|null} 0, 1 or 2 electrons, or null if the atom cannot be aromatic
+     */
+    getPiElectrons(molecule, atom) {
+        if (!molecule.isAtomInRing(atom.index)) return null;
+
+        const bonds = molecule.getAtomBonds(atom.index);
+        const connections = bonds.length + molecule.getHydrogenCount(atom.index);
+        if (connections > 3) return null;
+
+        if (atom.aromatic) return this.getAromaticAtomElectrons(molecule, atom);
+
+        let ringDouble = 0;
+        let exocyclicDouble = null;
+
+        for (const bond of bonds) {
+            if (bond.order === 3 || bond.order === 4) return null;
+            if (bond.order !== 2) continue;
+
+            if (molecule.isBondInRing(bond.index)) {
+                ringDouble++;
+            } else {
+                exocyclicDouble = molecule.atoms[molecule.getOtherAtom(bond, atom.index)].element;
+            }
+        }
+
+        if (ringDouble === 1 && exocyclicDouble === null) return 1;
+        if (ringDouble > 0) return null;
+        if (exocyclicDouble !== null) return EXOCYCLIC_ACCEPTORS.has(exocyclicDouble) ? 0 : null;
+
+        // Only single bonds: lone pairs, carbanions and empty p orbitals
+        const { element, charge } = atom;
+        if (LONE_PAIR_DONORS_3.has(element) && charge === 0 && connections === 3) return 2;
+        if (LONE_PAIR_DONORS_2.has(element) && charge === 0 && connections === 2) return 2;
+        if (element === 'N' && charge === -1 && connections === 2) return 2;
+        if (element === 'C' && charge === -1 && connections === 3) return 2;
+        if ((element === 'C' && charge === 1) || (element === 'B' && charge === 0)) return 0;
+
+        return null;
+    }
+
+    /**
+     * Pi electrons of an atom written in lowercase SMILES
+     * @param {Molecule} molecule - Molecule containing the atom
+     * @param {Object} atom - Aromatic atom
+     * @returns {number} Electron count
+     */
+    getAromaticAtomElectrons(molecule, atom) {
+        const hasExocyclicDouble = molecule.getAtomBonds(atom.index).some(bond => bond.order === 2 && !bond.aromatic);
+        if (hasExocyclicDouble) return 0;
+
+        const connections = molecule.getAtomBonds(atom.index).length + molecule.getHydrogenCount(atom.index);
+        if (LONE_PAIR_DONORS_2.has(atom.element) && atom.charge === 0) return 2;
+        if (LONE_PAIR_DONORS_3.has(atom.element) && atom.charge === 0 && connections === 3) return 2;
+        if (atom.element === 'C' && atom.charge === -1) return 2;
+        if (atom.element === 'B') return 0;
+
+        return 1;
+    }
+}
@@ -0,0 +1,287 @@
+/**
+ * ================================================
+ * CanonicalSmiles Utility
+ * ================================================
+ *
+ * Writes one canonical SMILES per molecule, so different spellings of
+ * the same structure ("OCC", "C(C)O", "[H]OCC") compare equal.
+ * Atoms are ranked by iterative refinement of their invariants
+ * (Weininger's CANON scheme); remaining ties are broken one atom at a
+ * time, and the writer then follows the ranks.
+ *
+ * Features:
+ * - Explicit [H] atoms folded into their neighbour's hydrogen count
+ * - Aromatic and Kekulé input give the same output (aromaticity is perceived on parse)
+ * - Tetrahedral and double bond stereo kept; marks on atoms or bonds that
+ *   are not stereogenic (two identical substituents) are dropped
+ * - Fragments of multi-component SMILES are sorted
+ *
+ * Charge-separated and neutral forms (e.g. nitro groups) and tautomers
+ * are not normalised, so they stay distinct.
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { Molecule } from './Molecule.js';
+import { SmilesParser } from './SmilesParser.js';
+import { SmilesWriter } from './SmilesWriter.js';
+
+// Upper bound on the tie-break orders compared for symmetric molecules with stereo
+const MAX_TIE_BREAKS = 256;
+
+export class CanonicalSmiles {
+    /**
+     * Initialize the canonicalizer
+     * @param {Object} options - Canonicalizer options
+     * @param {SmilesParser} options.smilesParser - Shared SMILES parser
+     */
+    constructor(options = {}) {
+        this.smilesParser = options.smilesParser || new SmilesParser();
+        this.smilesWriter = new SmilesWriter();
+    }
+
+    /**
+     * Canonical form of a SMILES string
+     * @param {string} smiles - Input SMILES
+     * @returns {string} Canonical SMILES
+     * @throws {SmilesError} If the SMILES cannot be parsed
+     */
+    fromSmiles(smiles) {
+        return this.write(this.smilesParser.parse(smiles));
+    }
+
+    /**
+     * Canonical SMILES of a parsed molecule
+     * @param {Molecule} molecule - Parsed molecule (not modified)
+     * @returns {string} Canonical SMILES
+     */
+    write(molecule) {
+        const prepared = this.removeHydrogens(molecule);
+        const classes = this.getSymmetryClasses(prepared);
+        const doubleBonds = this.removeFalseStereo(prepared, classes);
+        const hasStereo = doubleBonds.length > 0 || prepared.atoms.some(atom => atom.chirality);
+
+        // Without stereo, symmetric atoms are interchangeable and any tie-break gives the same string;
+        // with stereo (e.g. meso or ring cis/trans) every tie-break is written and the smallest wins
+        return this.breakTies(prepared, classes, hasStereo ? MAX_TIE_BREAKS : 1)
+            .map(ranks => this.smilesWriter.write(prepared, { ranks, stereo: true, doubleBonds }))
+            .reduce((best, smiles) => (smiles < best ? smiles : best));
+    }
+
+    /**
+     * Copy a molecule without plain explicit hydrogens ([H] bonded to one heavy atom),
+     * adding them to their neighbour's hydrogen count instead
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {Molecule} Copy with remapped neighbour orders for stereo
+     */
+    removeHydrogens(molecule) {
+        const removable = new Set(molecule.atoms
+            .filter(atom => {
+                if (atom.atomicNumber !== 1 || atom.isotope !== null || atom.charge !== 0 || atom.atomClass !== null) return false;
+                const bonds = molecule.getAtomBonds(atom.index);
+                return bonds.length === 1
+                    && bonds[0].order === 1
+                    && molecule.atoms[molecule.getOtherAtom(bonds[0], atom.index)].atomicNumber !== 1;
+            })
+            .map(atom => atom.index));
+
+        const result = new Molecule();
+        const mapping = new Map();
+
+        molecule.atoms.forEach(atom => {
+            if (removable.has(atom.index)) return;
+
+            const removed = molecule.getNeighbors(atom.index).filter(neighbor => removable.has(neighbor)).length;
+            mapping.set(atom.index, result.addAtom({
+                element: atom.element,
+                atomicNumber: atom.atomicNumber,
+                aromatic: atom.aromatic,
+                charge: atom.charge,
+                isotope: atom.isotope,
+                atomClass: atom.atomClass,
+                chirality: atom.chirality,
+                hasPrecedingAtom: atom.hasPrecedingAtom,
+                bracket: atom.bracket || removed > 0,
+                hydrogens: removed > 0 ? molecule.getHydrogenCount(atom.index) + removed : atom.hydrogens,
+                implicitHydrogens: atom.implicitHydrogens
+            }));
+        });
+
+        molecule.atoms.forEach(atom => {
+            if (!mapping.has(atom.index)) return;
+            result.atoms[mapping.get(atom.index)].neighborOrder = atom.neighborOrder.map(item => {
+                if (typeof item !== 'number') return item;
+                return removable.has(item) ? 'H' : mapping.get(item);
+            });
+        });
+
+        molecule.bonds.forEach(bond => {
+            if (!mapping.has(bond.begin) || !mapping.has(bond.end)) return;
+            result.addBond(mapping.get(bond.begin), mapping.get(bond.end), bond.order, {
+                aromatic: bond.aromatic,
+                stereo: bond.stereo
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Rank atoms by their invariants, refined over their neighbourhoods until stable
+     * Atoms with equal ranks are topologically equivalent (symmetry classes).
+     * @param {Molecule} molecule - Molecule without explicit hydrogens
+     * @returns {Array<number>} Rank per atom (0 = lowest)
+     */
+    getSymmetryClasses(molecule) {
+        const invariants = molecule.atoms.map(atom => [
+            molecule.getNeighbors(atom.index).length,
+            atom.atomicNumber,
+            atom.isotope || 0,
+            atom.charge,
+            molecule.getHydrogenCount(atom.index),
+            atom.aromatic ? 1 : 0,
+            molecule.isAtomInRing(atom.index) ? 1 : 0,
+            atom.atomClass || 0
+        ]);
+
+        return this.refine(molecule, this.rankKeys(invariants));
+    }
+
+    /**
+     * Split rank classes by the ranks of each atom's neighbours until the number of classes stops growing
+     * @param {Molecule} molecule - Molecule being ranked
+     * @param {Array<number>} ranks - Current ranks
+     * @returns {Array<number>} Refined ranks (existing order between classes is kept)
+     */
+    refine(molecule, ranks) {
+        let current = ranks;
+        let count = new Set(current).size;
+
+        while (count < current.length) {
+            const keys = molecule.atoms.map(atom => {
+                const neighbors = molecule.getAtomBonds(atom.index)
+                    .map(bond => [current[molecule.getOtherAtom(bond, atom.index)], bond.aromatic ? 1.5 : bond.order])
+                    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+                return [current[atom.index], ...neighbors.flat()];
+            });
+
+            const next = this.rankKeys(keys);
+            const nextCount = new Set(next).size;
+            current = next;
+            if (nextCount === count) break;
+            count = nextCount;
+        }
+
+        return current;
+    }
+
+    /**
+     * Dense ranks of numeric key arrays in lexicographic order
+     * @param {Array<Array<number>>} keys - One key per atom
+     * @returns {Array<number>} Rank per atom (equal keys share a rank)
+     */
+    rankKeys(keys) {
+        const compare = (a, b) => {
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                if (a[i] !== b[i]) return a[i] - b[i];
+            }
+            return a.length - b.length;
+        };
+
+        const order = keys.map((key, index) => index).sort((a, b) => compare(keys[a], keys[b]));
+        const ranks = new Array(keys.length);
+        let rank = 0;
+        order.forEach((index, i) => {
+            if (i > 0 && compare(keys[order[i - 1]], keys[index]) !== 0) rank++;
+            ranks[index] = rank;
+        });
+
+        return ranks;
+    }
+
+    /**
+     * Atoms of the lowest rank class that still has more than one member
+     * @param {Array<number>} ranks - Atom ranks
+     * @returns {Array<number>} Atom indices of the first tie (empty when all ranks are unique)
+     */
+    getFirstTie(ranks) {
+        const members = new Map();
+        ranks.forEach((rank, index) => {
+            if (!members.has(rank)) members.set(rank, []);
+            members.get(rank).push(index);
+        });
+
+        const tied = [...members.entries()].filter(([, atoms]) => atoms.length > 1).sort((a, b) => a[0] - b[0]);
+        return tied.length > 0 ? tied[0][1] : [];
+    }
+
+    /**
+     * Make all ranks unique by promoting one atom of the lowest tied class and refining, repeatedly
+     * @param {Molecule} molecule - Molecule being ranked
+     * @param {Array<number>} classes - Symmetry classes
+     * @param {number} limit - Maximum number of rankings; choices beyond it take the lowest atom index
+     * @returns {Array<Array<number>>} Unique rankings, one per explored sequence of tie-breaks
+     */
+    breakTies(molecule, classes, limit) {
+        const tie = this.getFirstTie(classes);
+        if (tie.length === 0) return [classes];
+
+        const results = [];
+        for (const promoted of tie) {
+            const remaining = limit - results.length;
+            if (remaining <= 0) break;
+
+            const ranks = classes.map((rank, index) => rank * 2 + (index === promoted ? 0 : 1));
+            const refined = this.refine(molecule, this.rankKeys(ranks.map(rank => [rank])));
+
+            // Share the remaining budget between the choices still to explore
+            const share = Math.max(1, Math.floor(remaining / (tie.length - tie.indexOf(promoted))));
+            results.push(...this.breakTies(molecule, refined, share));
+        }
+
+        return results;
+    }
+
+    /**
+     * Drop stereo marks that do not describe a stereocentre (two equivalent substituents)
+     * @param {Molecule} molecule - Copy from removeHydrogens() (chirality is cleared in place)
+     * @param {Array<number>} classes - Symmetry classes
+     * @returns {Array<Object>} Stereo double bonds to write (see SmilesWriter.findStereoDoubleBonds)
+     */
+    removeFalseStereo(molecule, classes) {
+        const rings = molecule.getRings();
+        const ringCentres = [];
+
+        molecule.atoms.forEach(atom => {
+            if (!atom.chirality) return;
+
+            // Hydrogens and a lone pair each count as their own substituent
+            const hydrogens = molecule.getHydrogenCount(atom.index);
+            const neighbors = molecule.getNeighbors(atom.index);
+            const duplicates = neighbors.filter(neighbor => (
+                neighbors.some(other => other !== neighbor && classes[other] === classes[neighbor])
+            ));
+            if (hydrogens <= 1 && duplicates.length === 0) return;
+
+            // Equivalent ring paths still allow cis/trans ring stereo (e.g. 1,4-disubstituted cyclohexane)
+            const ring = rings.find(path => path.includes(atom.index) && duplicates.every(neighbor => path.includes(neighbor)));
+            if (hydrogens <= 1 && duplicates.length === 2 && ring) {
+                ringCentres.push({ atom, ring });
+            } else {
+                atom.chirality = null;
+            }
+        });
+
+        // A ring centre is only stereogenic relative to another stereocentre in the same ring
+        ringCentres.forEach(({ atom, ring }) => {
+            if (!ring.some(index => index !== atom.index && molecule.atoms[index].chirality)) {
+                atom.chirality = null;
+            }
+        });
+
+        return this.smilesWriter.findStereoDoubleBonds(molecule).filter(({ sides }) => sides.every(({ substituents }) => (
+            substituents.length < 2 || classes[substituents[0]] !== classes[substituents[1]]
+        )));
+    }
+}
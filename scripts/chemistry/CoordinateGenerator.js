@@ -0,0 +1,862 @@
+/**
+ * ================================================
+ * CoordinateGenerator Utility
+ * ================================================
+ *
+ * Computes 2D depiction coordinates for a Molecule.
+ * Ring systems are laid out as rigid units of regular polygons,
+ * chains are drawn as zig-zags and crowded branches are flipped
+ * until atoms stop overlapping. Bond length is 1 unit, y points up.
+ *
+ * Features:
+ * - Fused, spiro and bridged ring system layout
+ * - Bridged systems refined by a force field; layouts with atoms closer
+ *   than half a bond are rejected
+ * - Zig-zag chains with linear sp centres
+ * - Overlap reduction by reflecting acyclic branches, then by relaxing
+ *   the whole component if atoms still overlap
+ * - Disconnected components placed side by side
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Minimum comfortable distance between non-bonded atoms (in bond lengths)
+const CONTACT_DISTANCE = 0.8;
+
+// Horizontal gap between disconnected components
+const COMPONENT_GAP = 1.5;
+
+// Closest non-bonded approach accepted in a ring system layout (in bond lengths)
+const MIN_LAYOUT_DISTANCE = 0.5;
+
+// Distance below which non-bonded ring atoms repel each other during refinement
+const REPULSION_DISTANCE = 1.2;
+
+// Force field refinement: iterations, first and last step size
+const REFINE_ITERATIONS = 300;
+const REFINE_STEP_START = 0.25;
+const REFINE_STEP_END = 0.02;
+
+// Repulsion strengths tried in turn while atoms stay closer than MIN_LAYOUT_DISTANCE
+const REPULSION_STRENGTHS = [1, 2, 4];
+
+// Starting rings tried for a bridged system
+const MAX_LAYOUT_STARTS = 8;
+
+export class CoordinateGenerator {
+    /**
+     * Generate coordinates for every atom in a molecule
+     * @param {Molecule} molecule - Molecule to lay out
+     * @returns {Array<Object>} One {x, y} point per atom
+     */
+    generate(molecule) {
+        const coordinates = new Array(molecule.atoms.length).fill(null);
+        const ringSystems = this.findRingSystems(molecule);
+        let offsetX = 0;
+
+        molecule.getComponents().forEach(component => {
+            this.layoutComponent(molecule, component, ringSystems, coordinates);
+            this.reduceOverlaps(molecule, component, coordinates);
+            this.resolveClashes(molecule, component, ringSystems, coordinates);
+            this.alignComponent(component, coordinates);
+
+            // Shift the component to the right of the previous one
+            const bounds = this.getBounds(component, coordinates);
+            const shift = offsetX - bounds.minX;
+            component.forEach(atom => {
+                coordinates[atom].x += shift;
+                coordinates[atom].y -= (bounds.minY + bounds.maxY) / 2;
+            });
+            offsetX += bounds.maxX - bounds.minX + COMPONENT_GAP;
+        });
+
+        return coordinates;
+    }
+
+    /**
+     * Group rings that share atoms into ring systems
+     * @param {Molecule} molecule - Molecule to inspect
+     * @returns {Array<Object>} Ring systems with their rings and atom sets
+     */
+    findRingSystems(molecule) {
+        const systems = [];
+
+        molecule.getRings().forEach(ring => {
+            const overlapping = systems.filter(system => ring.some(atom => system.atoms.has(atom)));
+            const merged = { rings: [ring], atoms: new Set(ring) };
+
+            overlapping.forEach(system => {
+                merged.rings.push(...system.rings);
+                system.atoms.forEach(atom => merged.atoms.add(atom));
+                systems.splice(systems.indexOf(system), 1);
+            });
+
+            systems.push(merged);
+        });
+
+        return systems;
+    }
+
+    /**
+     * Lay out one connected component
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {Array<number>} component - Atom indices of the component
+     * @param {Array<Object>} ringSystems - All ring systems of the molecule
+     * @param {Array<Object|null>} coordinates - Coordinates to fill in
+     */
+    layoutComponent(molecule, component, ringSystems, coordinates) {
+        const systemOf = new Map();
+        ringSystems.forEach(system => system.atoms.forEach(atom => systemOf.set(atom, system)));
+
+        // Start from the largest ring system, or from a chain end
+        const componentSystems = ringSystems.filter(system => component.some(atom => system.atoms.has(atom)));
+        const queue = [];
+
+        if (componentSystems.length > 0) {
+            const root = componentSystems.reduce((best, system) => (system.atoms.size > best.atoms.size ? system : best));
+            const local = this.layoutRingSystem(molecule, root);
+            root.atoms.forEach(atom => {
+                coordinates[atom] = local.get(atom);
+                queue.push(atom);
+            });
+        } else {
+            const start = component.find(atom => molecule.getNeighbors(atom).length <= 1) ?? component[0];
+            coordinates[start] = { x: 0, y: 0 };
+            queue.push(start);
+        }
+
+        while (queue.length) {
+            const atom = queue.shift();
+            const pending = molecule.getNeighbors(atom).filter(neighbor => coordinates[neighbor] === null);
+            if (pending.length === 0) continue;
+
+            const angles = this.chooseSubstituentAngles(molecule, atom, pending, coordinates);
+
+            pending.forEach((neighbor, i) => {
+                if (coordinates[neighbor] !== null) return;
+
+                const angle = angles[i];
+                const position = {
+                    x: coordinates[atom].x + Math.cos(angle),
+                    y: coordinates[atom].y + Math.sin(angle)
+                };
+
+                const system = systemOf.get(neighbor);
+                if (system) {
+                    this.attachRingSystem(molecule, system, neighbor, position, angle, coordinates);
+                    system.atoms.forEach(member => queue.push(member));
+                } else {
+                    coordinates[neighbor] = position;
+                    queue.push(neighbor);
+                }
+            });
+        }
+    }
+
+    /**
+     * Pick bond directions for the unplaced neighbours of a placed atom
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {number} atom - Placed atom index
+     * @param {Array<number>} pending - Unplaced neighbour indices
+     * @param {Array<Object|null>} coordinates - Current coordinates
+     * @returns {Array<number>} One angle (radians) per pending neighbour
+     */
+    chooseSubstituentAngles(molecule, atom, pending, coordinates) {
+        const origin = coordinates[atom];
+        const placed = molecule.getNeighbors(atom).filter(neighbor => coordinates[neighbor] !== null);
+        const occupied = placed.map(neighbor => Math.atan2(coordinates[neighbor].y - origin.y, coordinates[neighbor].x - origin.x));
+        const count = pending.length;
+
+        if (occupied.length === 0) {
+            // Isolated start atom: spread evenly, first bond pointing up-right
+            return pending.map((_, i) => Math.PI / 6 + (2 * Math.PI * i) / Math.max(count, 2));
+        }
+
+        if (occupied.length === 1) {
+            const incoming = occupied[0];
+
+            if (count === 1) {
+                if (this.isLinearCentre(molecule, atom)) {
+                    return [incoming + Math.PI];
+                }
+                return [this.chooseZigZagAngle(molecule, atom, placed[0], incoming, coordinates)];
+            }
+            if (count === 2) {
+                return [incoming + (2 * Math.PI) / 3, incoming - (2 * Math.PI) / 3];
+            }
+            return pending.map((_, i) => incoming + ((i + 1) * 2 * Math.PI) / (count + 1));
+        }
+
+        // Fill the widest free gap evenly
+        const sorted = occupied.map(angle => (angle + 2 * Math.PI) % (2 * Math.PI)).sort((a, b) => a - b);
+        let gapStart = sorted[sorted.length - 1];
+        let gapSize = sorted[0] + 2 * Math.PI - gapStart;
+
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i] - sorted[i - 1] > gapSize) {
+                gapStart = sorted[i - 1];
+                gapSize = sorted[i] - sorted[i - 1];
+            }
+        }
+
+        return pending.map((_, i) => gapStart + (gapSize * (i + 1)) / (count + 1));
+    }
+
+    /**
+     * Choose the zig-zag direction that keeps a chain trans
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {number} atom - Current atom index
+     * @param {number} previous - Placed neighbour the chain came from
+     * @param {number} incoming - Angle from the atom to the previous neighbour
+     * @param {Array<Object|null>} coordinates - Current coordinates
+     * @returns {number} Angle for the next bond
+     */
+    chooseZigZagAngle(molecule, atom, previous, incoming, coordinates) {
+        const candidates = [incoming + (2 * Math.PI) / 3, incoming - (2 * Math.PI) / 3];
+        const origin = coordinates[atom];
+
+        // Stay away from the atoms already placed around the previous atom
+        const others = molecule.getNeighbors(previous)
+            .filter(neighbor => neighbor !== atom && coordinates[neighbor] !== null)
+            .map(neighbor => coordinates[neighbor]);
+
+        if (others.length === 0) return candidates[1];
+
+        const score = angle => {
+            const x = origin.x + Math.cos(angle);
+            const y = origin.y + Math.sin(angle);
+            return Math.min(...others.map(point => Math.hypot(point.x - x, point.y - y)));
+        };
+
+        return score(candidates[0]) >= score(candidates[1]) ? candidates[0] : candidates[1];
+    }
+
+    /**
+     * Check whether an atom should be drawn with a straight 180° angle
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {number} atom - Atom index
+     * @returns {boolean} Whether the atom is an sp (triple bond or allene) centre
+     */
+    isLinearCentre(molecule, atom) {
+        const bonds = molecule.getAtomBonds(atom);
+        if (bonds.length !== 2) return false;
+
+        return bonds.some(bond => bond.order === 3) || bonds.every(bond => bond.order === 2);
+    }
+
+    /**
+     * Lay out a ring system in its own local frame
+     * Fused and spiro systems come out as regular polygons. Bridged systems cannot, so each is laid
+     * out from several starting rings, refined by a force field, and the least strained layout
+     * without atoms closer than MIN_LAYOUT_DISTANCE is kept.
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {Object} system - Ring system
+     * @returns {Map<number, Object>} Local coordinates of the system's atoms
+     */
+    layoutRingSystem(molecule, system) {
+        if (system.layout) return system.layout;
+
+        // Start with the ring most connected to the others
+        const rings = [...system.rings];
+        const shared = ring => rings.reduce((sum, other) => sum + (other === ring ? 0 : ring.filter(atom => other.includes(atom)).length), 0);
+        rings.sort((a, b) => shared(b) - shared(a) || b.length - a.length);
+
+        const layout = this.placeRings(rings[0], rings);
+        if (this.isRegularLayout(molecule, system, layout)) {
+            system.layout = layout;
+            return layout;
+        }
+
+        const terms = this.getRefinementTerms(molecule, system.atoms, system.rings);
+        const candidates = [];
+        rings.slice(0, MAX_LAYOUT_STARTS).forEach(first => {
+            const start = first === rings[0] ? layout : this.placeRings(first, rings);
+
+            for (const repulsion of REPULSION_STRENGTHS) {
+                const refined = this.refineLayout(start, terms, repulsion);
+                const distance = this.getClosestApproach(molecule, system.atoms, refined);
+                candidates.push({ layout: refined, distance, strain: this.getStrain(refined, terms) });
+                if (distance >= MIN_LAYOUT_DISTANCE) break;
+            }
+        });
+
+        // Reject layouts with overlapping atoms; if every layout has them, keep the most open one
+        const accepted = candidates.filter(candidate => candidate.distance >= MIN_LAYOUT_DISTANCE);
+        const best = accepted.length
+            ? accepted.reduce((a, b) => (b.strain < a.strain ? b : a))
+            : candidates.reduce((a, b) => (b.distance > a.distance ? b : a));
+
+        system.layout = best.layout;
+        return best.layout;
+    }
+
+    /**
+     * Place the rings of a system one after another, starting from a given ring
+     * @param {Array<number>} first - Ring laid out as a regular polygon
+     * @param {Array<Array<number>>} rings - All rings of the system
+     * @returns {Map<number, Object>} Local coordinates of the system's atoms
+     */
+    placeRings(first, rings) {
+        const local = new Map();
+        const remaining = rings.filter(ring => ring !== first);
+
+        const radius = 1 / (2 * Math.sin(Math.PI / first.length));
+        first.forEach((atom, i) => {
+            const angle = Math.PI / 2 + (2 * Math.PI * i) / first.length;
+            local.set(atom, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+        });
+
+        const placedRings = [first];
+
+        while (remaining.length) {
+            // Next ring: the one sharing the most atoms with what is placed
+            let bestIndex = 0;
+            let bestCount = -1;
+            remaining.forEach((ring, i) => {
+                const count = ring.filter(atom => local.has(atom)).length;
+                if (count > bestCount) {
+                    bestCount = count;
+                    bestIndex = i;
+                }
+            });
+
+            const ring = remaining.splice(bestIndex, 1)[0];
+
+            if (bestCount === 1) {
+                this.placeSpiroRing(ring, local);
+            } else if (bestCount < ring.length) {
+                this.placeFusedRing(ring, local, placedRings);
+            }
+
+            placedRings.push(ring);
+        }
+
+        return local;
+    }
+
+    /**
+     * Check whether a ring system layout has unit bonds and no crowded atoms
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {Object} system - Ring system
+     * @param {Map<number, Object>} local - Local coordinates
+     * @returns {boolean} Whether the layout needs no refinement
+     */
+    isRegularLayout(molecule, system, local) {
+        const bondsRegular = molecule.bonds
+            .filter(bond => system.atoms.has(bond.begin) && system.atoms.has(bond.end))
+            .every(bond => Math.abs(this.distance(local.get(bond.begin), local.get(bond.end)) - 1) < 0.05);
+
+        return bondsRegular && this.getClosestApproach(molecule, system.atoms, local) >= CONTACT_DISTANCE;
+    }
+
+    /**
+     * Closest distance between two non-bonded atoms
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {Set<number>|Array<number>} atomSet - Atoms to compare
+     * @param {Map<number, Object>} local - Coordinates of those atoms
+     * @returns {number} Smallest non-bonded distance (in bond lengths)
+     */
+    getClosestApproach(molecule, atomSet, local) {
+        const atoms = [...atomSet];
+        let closest = Infinity;
+
+        for (let i = 0; i < atoms.length; i++) {
+            for (let j = i + 1; j < atoms.length; j++) {
+                if (molecule.getBond(atoms[i], atoms[j])) continue;
+                closest = Math.min(closest, this.distance(local.get(atoms[i]), local.get(atoms[j])));
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * Distance targets of the force field: unit bonds, bond angles and repulsion between the other atoms
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {Set<number>} atomSet - Atoms to refine
+     * @param {Array<Array<number>>} rings - Rings among those atoms
+     * @returns {Array<Object>} Terms as {a, b, target, weight, repulsive}
+     */
+    getRefinementTerms(molecule, atomSet, rings) {
+        const atoms = [...atomSet];
+        const terms = [];
+        const paired = new Set();
+        const key = (a, b) => (a < b ? `${a},${b}` : `${b},${a}`);
+
+        molecule.bonds.forEach(bond => {
+            if (!atomSet.has(bond.begin) || !atomSet.has(bond.end)) return;
+            terms.push({ a: bond.begin, b: bond.end, target: 1, weight: 2, repulsive: false });
+            paired.add(key(bond.begin, bond.end));
+        });
+
+        // Neighbours of an atom are spread evenly, at the angle of its smallest ring, or zig-zag in a chain
+        atoms.forEach(atom => {
+            const neighbors = molecule.getNeighbors(atom).filter(neighbor => atomSet.has(neighbor));
+            const smallestRing = Math.min(...rings.filter(ring => ring.includes(atom)).map(ring => ring.length));
+            let angle = (2 * Math.PI) / neighbors.length;
+            if (neighbors.length === 2) {
+                if (smallestRing !== Infinity) angle = ((smallestRing - 2) * Math.PI) / smallestRing;
+                else angle = this.isLinearCentre(molecule, atom) ? Math.PI : (2 * Math.PI) / 3;
+            }
+
+            for (let i = 0; i < neighbors.length; i++) {
+                for (let j = i + 1; j < neighbors.length; j++) {
+                    if (paired.has(key(neighbors[i], neighbors[j]))) continue;
+                    terms.push({ a: neighbors[i], b: neighbors[j], target: 2 * Math.sin(angle / 2), weight: 0.5, repulsive: false });
+                    paired.add(key(neighbors[i], neighbors[j]));
+                }
+            }
+        });
+
+        for (let i = 0; i < atoms.length; i++) {
+            for (let j = i + 1; j < atoms.length; j++) {
+                if (paired.has(key(atoms[i], atoms[j]))) continue;
+                terms.push({ a: atoms[i], b: atoms[j], target: REPULSION_DISTANCE, weight: 1, repulsive: true });
+            }
+        }
+
+        return terms;
+    }
+
+    /**
+     * Relax a component whose atoms still overlap after branch reflection
+     * The whole component is refined by the force field; the result is kept if it opens up the closest contact.
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {Array<number>} component - Atom indices of the component
+     * @param {Array<Object>} ringSystems - All ring systems of the molecule
+     * @param {Array<Object>} coordinates - Coordinates (updated)
+     */
+    resolveClashes(molecule, component, ringSystems, coordinates) {
+        const atoms = new Set(component);
+        const layout = new Map(component.map(atom => [atom, coordinates[atom]]));
+        const closest = this.getClosestApproach(molecule, atoms, layout);
+        if (closest >= MIN_LAYOUT_DISTANCE) return;
+
+        const rings = ringSystems.flatMap(system => system.rings).filter(ring => atoms.has(ring[0]));
+        const terms = this.getRefinementTerms(molecule, atoms, rings);
+        let best = { layout, distance: closest };
+
+        for (const repulsion of REPULSION_STRENGTHS) {
+            const refined = this.refineLayout(layout, terms, repulsion);
+            const distance = this.getClosestApproach(molecule, atoms, refined);
+            if (distance > best.distance) best = { layout: refined, distance };
+            if (distance >= MIN_LAYOUT_DISTANCE) break;
+        }
+
+        best.layout.forEach((point, atom) => { coordinates[atom] = point; });
+    }
+
+    /**
+     * Relax a layout towards the force field targets by gradient descent
+     * @param {Map<number, Object>} local - Starting coordinates (not modified)
+     * @param {Array<Object>} terms - Force field terms
+     * @param {number} repulsion - Factor on the weight of the repulsive terms
+     * @returns {Map<number, Object>} Refined coordinates
+     */
+    refineLayout(local, terms, repulsion = 1) {
+        const layout = new Map([...local].map(([atom, point]) => [atom, { ...point }]));
+
+        for (let iteration = 0; iteration < REFINE_ITERATIONS; iteration++) {
+            const forces = new Map([...layout.keys()].map(atom => [atom, { x: 0, y: 0 }]));
+
+            terms.forEach(({ a, b, target, weight, repulsive }) => {
+                const p = layout.get(a);
+                const q = layout.get(b);
+                let dx = q.x - p.x;
+                let dy = q.y - p.y;
+                let distance = Math.hypot(dx, dy);
+
+                // Atoms on the same spot are pushed apart in a fixed direction
+                if (distance < 1e-6) {
+                    [dx, dy, distance] = [1e-3, 1e-3 * Math.sign(b - a), Math.SQRT2 * 1e-3];
+                }
+                if (repulsive && distance >= target) return;
+
+                const pull = ((repulsive ? weight * repulsion : weight) * (distance - target)) / distance;
+                forces.get(a).x += pull * dx;
+                forces.get(a).y += pull * dy;
+                forces.get(b).x -= pull * dx;
+                forces.get(b).y -= pull * dy;
+            });
+
+            const step = REFINE_STEP_START + ((REFINE_STEP_END - REFINE_STEP_START) * iteration) / REFINE_ITERATIONS;
+            forces.forEach((force, atom) => {
+                const point = layout.get(atom);
+                layout.set(atom, { x: point.x + step * force.x, y: point.y + step * force.y });
+            });
+        }
+
+        return layout;
+    }
+
+    /**
+     * Remaining deviation of a layout from the force field targets
+     * @param {Map<number, Object>} local - Coordinates
+     * @param {Array<Object>} terms - Force field terms
+     * @returns {number} Weighted sum of squared deviations
+     */
+    getStrain(local, terms) {
+        return terms.reduce((sum, { a, b, target, weight, repulsive }) => {
+            const distance = this.distance(local.get(a), local.get(b));
+            if (repulsive && distance >= target) return sum;
+            return sum + weight * (distance - target) ** 2;
+        }, 0);
+    }
+
+    /**
+     * Place a ring that shares a single atom with the placed system
+     * @param {Array<number>} ring - Ring atom path
+     * @param {Map<number, Object>} local - Local coordinates (updated)
+     */
+    placeSpiroRing(ring, local) {
+        const pivot = ring.find(atom => local.has(atom));
+        const centroid = this.centroid([...local.values()]);
+        const origin = local.get(pivot);
+
+        let direction = { x: origin.x - centroid.x, y: origin.y - centroid.y };
+        const length = Math.hypot(direction.x, direction.y) || 1;
+        direction = { x: direction.x / length, y: direction.y / length };
+
+        const radius = 1 / (2 * Math.sin(Math.PI / ring.length));
+        const centre = { x: origin.x + direction.x * radius, y: origin.y + direction.y * radius };
+        const startAngle = Math.atan2(origin.y - centre.y, origin.x - centre.x);
+        const start = ring.indexOf(pivot);
+
+        for (let i = 1; i < ring.length; i++) {
+            const atom = ring[(start + i) % ring.length];
+            const angle = startAngle + (2 * Math.PI * i) / ring.length;
+            local.set(atom, { x: centre.x + radius * Math.cos(angle), y: centre.y + radius * Math.sin(angle) });
+        }
+    }
+
+    /**
+     * Place the unplaced atoms of a ring sharing two or more atoms with the system
+     * @param {Array<number>} ring - Ring atom path
+     * @param {Map<number, Object>} local - Local coordinates (updated)
+     * @param {Array<Array<number>>} placedRings - Rings already laid out
+     */
+    placeFusedRing(ring, local, placedRings) {
+        const size = ring.length;
+
+        // Walk each run of unplaced atoms between two placed atoms
+        for (let i = 0; i < size; i++) {
+            const before = ring[i];
+            const first = ring[(i + 1) % size];
+            if (!local.has(before) || local.has(first)) continue;
+
+            const path = [];
+            let j = (i + 1) % size;
+            while (!local.has(ring[j])) {
+                path.push(ring[j]);
+                j = (j + 1) % size;
+            }
+            const after = ring[j];
+
+            // Bulge away from the rings that already contain both ends
+            const referenceRings = placedRings.filter(placed => placed.includes(before) && placed.includes(after));
+            const referenceAtoms = referenceRings.length ? referenceRings.flat() : [...local.keys()];
+            const reference = this.centroid(referenceAtoms.map(atom => local.get(atom)).filter(Boolean));
+
+            this.placeArc(path, local.get(before), local.get(after), reference, local);
+
+            // Bridged systems: bend the other way if the arc lands on placed atoms
+            if (this.hasClash(path, local)) {
+                this.placeArc(path, local.get(before), local.get(after), reference, local, true);
+            }
+        }
+    }
+
+    /**
+     * Check whether newly placed atoms sit on top of other placed atoms
+     * @param {Array<number>} atoms - Newly placed atoms
+     * @param {Map<number, Object>} local - Local coordinates
+     * @returns {boolean} Whether any pair is closer than half a bond
+     */
+    hasClash(atoms, local) {
+        return atoms.some(atom => {
+            const point = local.get(atom);
+            return [...local.entries()].some(([other, position]) =>
+                !atoms.includes(other) && Math.hypot(position.x - point.x, position.y - point.y) < 0.5);
+        });
+    }
+
+    /**
+     * Place a path of atoms on a circular arc between two fixed points
+     * @param {Array<number>} path - Atoms to place, in order from start to end
+     * @param {Object} start - Fixed point before the path
+     * @param {Object} end - Fixed point after the path
+     * @param {Object} reference - Point the arc should bulge away from
+     * @param {boolean} towards - Bulge towards the reference point instead
+     * @param {Map<number, Object>} local - Local coordinates (updated)
+     */
+    placeArc(path, start, end, reference, local, towards = false) {
+        const chord = Math.hypot(end.x - start.x, end.y - start.y);
+        const steps = path.length + 1;
+        const midpoint = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+
+        // Unit normal to the chord, pointing away from the reference point
+        let normal = { x: -(end.y - start.y) / (chord || 1), y: (end.x - start.x) / (chord || 1) };
+        const side = (reference.x - midpoint.x) * normal.x + (reference.y - midpoint.y) * normal.y;
+        if ((side > 0) !== towards) {
+            normal = { x: -normal.x, y: -normal.y };
+        }
+
+        // Bridges across a ring (chord through its centre) or paths too short to bend
+        if (chord < 1e-6 || chord >= steps || Math.abs(side) < 0.1) {
+            const bulge = Math.abs(side) < 0.1 ? 0.3 : 0.5;
+            path.forEach((atom, i) => {
+                const t = (i + 1) / steps;
+                const lift = bulge * Math.sin(Math.PI * t);
+                local.set(atom, {
+                    x: start.x + (end.x - start.x) * t + normal.x * lift,
+                    y: start.y + (end.y - start.y) * t + normal.y * lift
+                });
+            });
+            return;
+        }
+
+        // Solve for the central angle at which every step is one bond long
+        const stepLength = angle => (chord / (2 * Math.sin(angle / 2))) * 2 * Math.sin(angle / (2 * steps));
+        let low = 1e-6;
+        let high = 2 * Math.PI - 1e-6;
+        for (let iteration = 0; iteration < 60; iteration++) {
+            const angle = (low + high) / 2;
+            if (stepLength(angle) < 1) low = angle; else high = angle;
+        }
+
+        const angle = (low + high) / 2;
+        const radius = chord / (2 * Math.sin(angle / 2));
+        const centre = {
+            x: midpoint.x - normal.x * radius * Math.cos(angle / 2),
+            y: midpoint.y - normal.y * radius * Math.cos(angle / 2)
+        };
+
+        // Rotate from start towards end through the outward side of the arc
+        const startAngle = Math.atan2(start.y - centre.y, start.x - centre.x);
+        const outwardness = direction => {
+            const probe = startAngle + direction * angle / 2;
+            return Math.cos(probe) * normal.x + Math.sin(probe) * normal.y;
+        };
+        const direction = outwardness(1) >= outwardness(-1) ? 1 : -1;
+        const step = angle / steps;
+
+        path.forEach((atom, i) => {
+            const theta = startAngle + direction * step * (i + 1);
+            local.set(atom, { x: centre.x + radius * Math.cos(theta), y: centre.y + radius * Math.sin(theta) });
+        });
+    }
+
+    /**
+     * Place a ring system so that an anchor atom sits at a given position
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {Object} system - Ring system to attach
+     * @param {number} anchor - Ring atom bonded to the already placed atom
+     * @param {Object} position - Target position of the anchor atom
+     * @param {number} bondAngle - Direction of the bond leading to the anchor
+     * @param {Array<Object|null>} coordinates - Coordinates (updated)
+     */
+    attachRingSystem(molecule, system, anchor, position, bondAngle, coordinates) {
+        const local = this.layoutRingSystem(molecule, system);
+        const anchorLocal = local.get(anchor);
+
+        // Direction from the anchor into the ring system, in the local frame
+        const ringNeighbors = molecule.getNeighbors(anchor).filter(neighbor => system.atoms.has(neighbor));
+        const inward = this.centroid(ringNeighbors.map(neighbor => local.get(neighbor)));
+        const localAngle = Math.atan2(inward.y - anchorLocal.y, inward.x - anchorLocal.x);
+
+        // Rotate so that the ring points along the incoming bond
+        const rotation = bondAngle - localAngle;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        system.atoms.forEach(atom => {
+            const point = local.get(atom);
+            const dx = point.x - anchorLocal.x;
+            const dy = point.y - anchorLocal.y;
+            coordinates[atom] = {
+                x: position.x + dx * cos - dy * sin,
+                y: position.y + dx * sin + dy * cos
+            };
+        });
+    }
+
+    /**
+     * Reflect acyclic branches across their bond axis while that removes clashes
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {Array<number>} component - Atom indices of the component
+     * @param {Array<Object>} coordinates - Coordinates (updated)
+     */
+    reduceOverlaps(molecule, component, coordinates) {
+        const atoms = new Set(component);
+        const bonds = molecule.bonds.filter(bond => atoms.has(bond.begin) && !molecule.isBondInRing(bond.index) && bond.order === 1);
+        let score = this.getCongestion(molecule, component, coordinates);
+
+        for (let pass = 0; pass < 3 && score > 0; pass++) {
+            let improved = false;
+
+            for (const bond of bonds) {
+                const side = this.getBranch(molecule, bond.end, bond.begin);
+                if (side.length * 2 > component.length) {
+                    side.splice(0, side.length, ...this.getBranch(molecule, bond.begin, bond.end));
+                }
+                if (side.length <= 1) continue;
+
+                const original = side.map(atom => ({ ...coordinates[atom] }));
+                this.reflectAcross(side, coordinates[bond.begin], coordinates[bond.end], coordinates);
+
+                const newScore = this.getCongestion(molecule, component, coordinates);
+                if (newScore < score - 1e-6) {
+                    score = newScore;
+                    improved = true;
+                } else {
+                    side.forEach((atom, i) => { coordinates[atom] = original[i]; });
+                }
+            }
+
+            if (!improved) break;
+        }
+    }
+
+    /**
+     * Collect the atoms on one side of a bond
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {number} start - Atom on the side to collect
+     * @param {number} blocked - Atom on the other side
+     * @returns {Array<number>} Atom indices reachable from start without crossing the bond
+     */
+    getBranch(molecule, start, blocked) {
+        const seen = new Set([start, blocked]);
+        const stack = [start];
+        const branch = [];
+
+        while (stack.length) {
+            const atom = stack.pop();
+            branch.push(atom);
+            molecule.getNeighbors(atom).forEach(neighbor => {
+                if (!seen.has(neighbor)) {
+                    seen.add(neighbor);
+                    stack.push(neighbor);
+                }
+            });
+        }
+
+        return branch;
+    }
+
+    /**
+     * Mirror a set of atoms across the line through two points
+     * @param {Array<number>} atoms - Atoms to mirror
+     * @param {Object} a - First point on the mirror line
+     * @param {Object} b - Second point on the mirror line
+     * @param {Array<Object>} coordinates - Coordinates (updated)
+     */
+    reflectAcross(atoms, a, b, coordinates) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy || 1;
+
+        atoms.forEach(atom => {
+            const point = coordinates[atom];
+            const t = ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared;
+            const footX = a.x + t * dx;
+            const footY = a.y + t * dy;
+            coordinates[atom] = { x: 2 * footX - point.x, y: 2 * footY - point.y };
+        });
+    }
+
+    /**
+     * Measure how badly non-bonded atoms crowd each other
+     * @param {Molecule} molecule - Molecule being laid out
+     * @param {Array<number>} component - Atom indices to consider
+     * @param {Array<Object>} coordinates - Current coordinates
+     * @returns {number} Sum of contact violations
+     */
+    getCongestion(molecule, component, coordinates) {
+        let score = 0;
+
+        for (let i = 0; i < component.length; i++) {
+            const a = coordinates[component[i]];
+            for (let j = i + 1; j < component.length; j++) {
+                const b = coordinates[component[j]];
+                const distance = Math.hypot(a.x - b.x, a.y - b.y);
+                if (distance < CONTACT_DISTANCE && !molecule.getBond(component[i], component[j])) {
+                    score += CONTACT_DISTANCE - distance;
+                }
+            }
+        }
+
+        return score;
+    }
+
+    /**
+     * Rotate a component so that its longest extent is horizontal
+     * @param {Array<number>} component - Atom indices of the component
+     * @param {Array<Object>} coordinates - Coordinates (updated)
+     */
+    alignComponent(component, coordinates) {
+        if (component.length < 3) return;
+
+        const centre = this.centroid(component.map(atom => coordinates[atom]));
+        let xx = 0;
+        let xy = 0;
+        let yy = 0;
+
+        component.forEach(atom => {
+            const dx = coordinates[atom].x - centre.x;
+            const dy = coordinates[atom].y - centre.y;
+            xx += dx * dx;
+            xy += dx * dy;
+            yy += dy * dy;
+        });
+
+        // Principal axis angle of the 2x2 covariance matrix
+        const angle = 0.5 * Math.atan2(2 * xy, xx - yy);
+        const cos = Math.cos(-angle);
+        const sin = Math.sin(-angle);
+
+        component.forEach(atom => {
+            const dx = coordinates[atom].x - centre.x;
+            const dy = coordinates[atom].y - centre.y;
+            coordinates[atom] = { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+        });
+    }
+
+    /**
+     * Bounding box of a set of atoms
+     * @param {Array<number>} atoms - Atom indices
+     * @param {Array<Object>} coordinates - Coordinates
+     * @returns {Object} minX, maxX, minY, maxY
+     */
+    getBounds(atoms, coordinates) {
+        const xs = atoms.map(atom => coordinates[atom].x);
+        const ys = atoms.map(atom => coordinates[atom].y);
+        return {
+            minX: Math.min(...xs),
+            maxX: Math.max(...xs),
+            minY: Math.min(...ys),
+            maxY: Math.max(...ys)
+        };
+    }
+
+    /**
+     * Distance between two points
+     * @param {Object} a - Point with x and y
+     * @param {Object} b - Point with x and y
+     * @returns {number} Euclidean distance
+     */
+    distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * Average of a list of points
+     * @param {Array<Object>} points - Points with x and y
+     * @returns {Object} Centroid point
+     */
+    centroid(points) {
+        if (points.length === 0) return { x: 0, y: 0 };
+        const sum = points.reduce((acc, point) => ({ x: acc.x + point.x, y: acc.y + point.y }), { x: 0, y: 0 });
+        return { x: sum.x / points.length, y: sum.y / points.length };
+    }
+}
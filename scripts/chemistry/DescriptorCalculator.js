@@ -0,0 +1,592 @@
+/**
+ * ================================================
+ * DescriptorCalculator Utility
+ * ================================================
+ *
+ * Computes common molecular descriptors from a parsed Molecule.
+ * Everything runs in the browser; no backend round trip is needed.
+ *
+ * Features:
+ * - Hill-order molecular formula and average molecular weight
+ * - Heavy atom, ring and rotatable bond counts
+ * - Lipinski H-bond donors (NH + OH) and acceptors (N + O)
+ * - Topological polar surface area (Ertl et al. 2000, N and O only)
+ * - Crippen logP and molar refractivity (Wildman & Crippen 1999 atom contributions)
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { PeriodicTable } from './PeriodicTable.js';
+
+// Wildman-Crippen atom type contributions to logP
+const CRIPPEN_CONTRIBUTIONS = {
+    C1: 0.1441, C2: 0.0, C3: -0.2035, C4: -0.2051, C5: -0.2783, C6: 0.1551,
+    C7: 0.0017, C8: 0.08452, C9: -0.1444, C10: -0.0516, C11: 0.1193, C12: -0.0967,
+    C13: -0.5443, C14: 0.0, C15: 0.245, C16: 0.198, C17: 0.0, C18: 0.1581,
+    C19: 0.2955, C20: 0.2713, C21: 0.136, C22: 0.4619, C23: 0.5437, C24: 0.1893,
+    C25: -0.8186, C26: 0.264, C27: 0.2148, CS: 0.08129,
+    H1: 0.123, H2: -0.2677, H3: 0.2142, H4: 0.298, HS: 0.1125,
+    N1: -1.019, N2: -0.7096, N3: -1.027, N4: -0.5188, N5: 0.08387, N6: 0.1836,
+    N7: -0.3187, N8: -0.4458, N9: 0.01508, N10: -1.950, N11: -0.3239, N12: -1.119,
+    N13: -0.3396, N14: 0.2887, NS: -0.4806,
+    O1: 0.1552, O2: -0.2893, O3: -0.0684, O4: -0.4195, O5: 0.0335, O6: -0.3339,
+    O7: -1.189, O8: 0.1788, O9: -0.1526, O10: 0.1129, O11: 0.4833, O12: -1.326, OS: -0.1188,
+    F: 0.4202, Cl: 0.6895, Br: 0.8456, I: 0.8857, Hal: -2.996,
+    P: 0.8612, S1: 0.6482, S2: -0.0024, S3: 0.6237,
+    Me1: -0.3808, Me2: -0.0025
+};
+
+// Wildman-Crippen atom type contributions to molar refractivity (types without a value count 0)
+const CRIPPEN_MR_CONTRIBUTIONS = {
+    C1: 2.503, C2: 2.433, C3: 2.753, C4: 2.731, C5: 5.007, C6: 3.513,
+    C7: 3.888, C8: 2.464, C9: 2.412, C10: 2.488, C11: 2.582, C12: 2.576,
+    C13: 4.041, C14: 3.257, C15: 3.564, C16: 3.18, C17: 3.104, C18: 3.35,
+    C19: 4.346, C20: 3.904, C21: 3.509, C22: 3.067, C23: 3.853, C24: 2.673,
+    C25: 3.135, C26: 4.305, C27: 2.693, CS: 3.243,
+    H1: 1.057, H2: 1.395, H3: 0.9627, H4: 1.805, HS: 1.112,
+    N1: 2.262, N2: 2.173, N3: 2.827, N4: 3.0, N5: 1.757, N6: 2.428,
+    N7: 1.839, N8: 2.819, N9: 1.725, N11: 2.202, N13: 0.2604, N14: 3.359, NS: 2.134,
+    O1: 1.08, O2: 0.8238, O3: 1.085, O4: 1.182, O5: 3.367, O6: 0.7774,
+    O8: 3.135, O10: 0.2215, O11: 0.389, OS: 0.6865,
+    F: 1.108, Cl: 5.853, Br: 8.927, I: 14.02,
+    P: 6.92, S1: 7.591, S2: 7.365, S3: 6.691,
+    Me1: 5.754
+};
+
+// Aliphatic heteroatoms that make a carbon "polar" in the Crippen typing
+const CRIPPEN_HETERO = new Set(['N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I']);
+
+// Alkali and alkaline earth metals (Crippen type Me1); other metals use Me2
+const CRIPPEN_MAIN_METALS = new Set(['Li', 'Na', 'K', 'Rb', 'Cs', 'Be', 'Mg', 'Ca', 'Sr', 'Ba']);
+
+// Substituents that do not make an aromatic carbon type C13
+const CRIPPEN_C13_EXCLUDED = new Set(['C', 'N', 'O', 'S', 'F', 'Cl', 'Br', 'I']);
+
+const HALOGENS = new Set(['F', 'Cl', 'Br', 'I']);
+
+export class DescriptorCalculator {
+    /**
+     * Calculate all descriptors for a molecule
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {Object} Descriptor values keyed by name
+     */
+    calculate(molecule) {
+        const environments = molecule.atoms.map(atom => this.getEnvironment(molecule, atom.index));
+
+        return {
+            formula: this.getFormula(molecule),
+            molecularWeight: this.getMolecularWeight(molecule),
+            heavyAtoms: molecule.getHeavyAtomCount(),
+            atomCount: this.getAtomCount(molecule),
+            hbd: this.getHBondDonors(environments),
+            hba: this.getHBondAcceptors(environments),
+            rotatableBonds: this.getRotatableBonds(molecule, environments),
+            tpsa: this.getTPSA(environments),
+            rings: molecule.getRings().length,
+            logP: this.getLogP(environments),
+            molarRefractivity: this.getMolarRefractivity(environments)
+        };
+    }
+
+    /**
+     * Summarize the bonding around an atom
+     * @param {Molecule} molecule - Molecule containing the atom
+     * @param {number} index - Atom index
+     * @returns {Object} Atom, hydrogen count, heavy neighbours and bond counts
+     */
+    getEnvironment(molecule, index) {
+        const atom = molecule.atoms[index];
+        const environment = {
+            atom,
+            hydrogens: molecule.getHydrogenCount(index),
+            heavy: [],
+            single: 0,
+            double: 0,
+            triple: 0,
+            aromatic: 0,
+            inSmallRing: molecule.getRings().some(ring => ring.length === 3 && ring.includes(index))
+        };
+
+        molecule.adjacency[index].forEach(({ atom: neighbor, bond }) => {
+            const neighborAtom = molecule.atoms[neighbor];
+            const bondData = molecule.bonds[bond];
+
+            // Explicit [H] atoms count as hydrogens, not neighbours
+            if (neighborAtom.atomicNumber === 1) {
+                environment.hydrogens += 1;
+                return;
+            }
+
+            environment.heavy.push({ atom: neighborAtom, bond: bondData });
+
+            if (bondData.aromatic) environment.aromatic += 1;
+            else if (bondData.order === 2) environment.double += 1;
+            else if (bondData.order === 3) environment.triple += 1;
+            else environment.single += 1;
+        });
+
+        return environment;
+    }
+
+    /**
+     * Build the molecular formula in Hill order
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {string} Formula such as "C9H8O4", with net charge suffix
+     */
+    getFormula(molecule) {
+        const counts = new Map();
+        const add = (symbol, count) => counts.set(symbol, (counts.get(symbol) || 0) + count);
+
+        molecule.atoms.forEach(atom => {
+            const hydrogens = molecule.getHydrogenCount(atom.index);
+
+            add(atom.element, 1);
+            if (hydrogens > 0) add('H', hydrogens);
+        });
+
+        const attachmentPoints = counts.get('*') || 0;
+        counts.delete('*');
+
+        // Hill system: C then H first when carbon is present, otherwise alphabetical
+        const symbols = [...counts.keys()].sort();
+        const ordered = counts.has('C')
+            ? ['C', 'H', ...symbols.filter(symbol => symbol !== 'C' && symbol !== 'H')].filter(symbol => counts.has(symbol))
+            : symbols;
+
+        let formula = ordered.map(symbol => symbol + (counts.get(symbol) > 1 ? counts.get(symbol) : '')).join('');
+        if (attachmentPoints > 0) {
+            formula += attachmentPoints > 1 ? `*${attachmentPoints}` : '*';
+        }
+
+        const charge = molecule.atoms.reduce((sum, atom) => sum + atom.charge, 0);
+        if (charge !== 0) {
+            const magnitude = Math.abs(charge) > 1 ? Math.abs(charge) : '';
+            formula += `${magnitude}${charge > 0 ? '+' : '-'}`;
+        }
+
+        return formula;
+    }
+
+    /**
+     * Average molecular weight (isotope labels use the mass number)
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {number} Molecular weight in g/mol
+     */
+    getMolecularWeight(molecule) {
+        const hydrogenMass = PeriodicTable.getAverageMass('H');
+
+        return molecule.atoms.reduce((sum, atom) => {
+            const mass = atom.isotope !== null ? atom.isotope : PeriodicTable.getAverageMass(atom.element);
+            return sum + mass + molecule.getHydrogenCount(atom.index) * hydrogenMass;
+        }, 0);
+    }
+
+    /**
+     * Total atom count including implicit hydrogens
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {number} Atom count
+     */
+    getAtomCount(molecule) {
+        return molecule.atoms.reduce((sum, atom) => sum + 1 + molecule.getHydrogenCount(atom.index), 0);
+    }
+
+    /**
+     * Lipinski donor count: hydrogens on nitrogen and oxygen
+     * @param {Array<Object>} environments - Atom environments
+     * @returns {number} NH + OH count
+     */
+    getHBondDonors(environments) {
+        return environments
+            .filter(({ atom }) => atom.element === 'N' || atom.element === 'O')
+            .reduce((sum, { hydrogens }) => sum + hydrogens, 0);
+    }
+
+    /**
+     * Lipinski acceptor count: nitrogen and oxygen atoms
+     * @param {Array<Object>} environments - Atom environments
+     * @returns {number} N + O count
+     */
+    getHBondAcceptors(environments) {
+        return environments.filter(({ atom }) => atom.element === 'N' || atom.element === 'O').length;
+    }
+
+    /**
+     * Count rotatable bonds: acyclic single bonds between non-terminal atoms,
+     * excluding bonds to triple-bonded atoms and secondary amide C-N bonds
+     * @param {Molecule} molecule - Parsed molecule
+     * @param {Array<Object>} environments - Atom environments
+     * @returns {number} Rotatable bond count
+     */
+    getRotatableBonds(molecule, environments) {
+        return this.filterRotatableBonds(molecule, environments).length;
+    }
+
+    /**
+     * Find the rotatable bonds of a molecule (same definition as the RotB descriptor)
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {Array<Object>} Rotatable bonds
+     */
+    findRotatableBonds(molecule) {
+        const environments = molecule.atoms.map(atom => this.getEnvironment(molecule, atom.index));
+        return this.filterRotatableBonds(molecule, environments);
+    }
+
+    /**
+     * Select the rotatable bonds (see getRotatableBonds)
+     * @param {Molecule} molecule - Parsed molecule
+     * @param {Array<Object>} environments - Atom environments
+     * @returns {Array<Object>} Rotatable bonds
+     */
+    filterRotatableBonds(molecule, environments) {
+        const isRotorAtom = environment => environment.heavy.length > 1
+            && environment.triple === 0;
+
+        // Only the N-H nitrogen to carbonyl carbon bond is excluded; the nitrogen's other bonds still rotate
+        const isSecondaryAmideBond = bond => [[bond.begin, bond.end], [bond.end, bond.begin]].some(([nitrogen, carbon]) =>
+            environments[nitrogen].atom.element === 'N'
+            && environments[nitrogen].hydrogens === 1
+            && environments[carbon].atom.element === 'C'
+            && environments[carbon].heavy.some(other => other.atom.element === 'O' && other.bond.order === 2));
+
+        return molecule.bonds.filter(bond => bond.order === 1
+            && !bond.aromatic
+            && !molecule.isBondInRing(bond.index)
+            && isRotorAtom(environments[bond.begin])
+            && isRotorAtom(environments[bond.end])
+            && !isSecondaryAmideBond(bond));
+    }
+
+    /**
+     * Topological polar surface area from N and O fragment contributions
+     * @param {Array<Object>} environments - Atom environments
+     * @returns {number} TPSA in square angstroms
+     */
+    getTPSA(environments) {
+        return environments.reduce((sum, environment) => {
+            if (environment.atom.element === 'N') return sum + this.getNitrogenPSA(environment);
+            if (environment.atom.element === 'O') return sum + this.getOxygenPSA(environment);
+            return sum;
+        }, 0);
+    }
+
+    /**
+     * Ertl PSA contribution of a nitrogen atom
+     * @param {Object} environment - Atom environment
+     * @returns {number} Contribution in square angstroms
+     */
+    getNitrogenPSA(environment) {
+        const { atom, hydrogens: h, single, double, triple, aromatic, inSmallRing, heavy } = environment;
+        const key = `${atom.aromatic ? 'n' : 'N'}${atom.charge}:${h}:${single}${double}${triple}${aromatic}`;
+
+        const table = {
+            'N0:0:3000': inSmallRing ? 3.01 : 3.24,
+            'N0:0:1100': 12.36,
+            'N0:0:0010': 23.79,
+            'N0:0:1200': 11.68,
+            'N0:0:0110': 13.60,
+            'N0:1:2000': inSmallRing ? 21.94 : 12.03,
+            'N0:1:0100': 23.85,
+            'N0:2:1000': 26.02,
+            'N1:0:4000': 0.00,
+            'N1:0:2100': 3.01,
+            'N1:0:1010': 4.36,
+            'N1:1:3000': 4.44,
+            'N1:1:1100': 13.97,
+            'N1:2:2000': 16.61,
+            'N1:2:0100': 25.59,
+            'N1:3:1000': 27.64,
+            'n0:0:0002': 12.89,
+            'n0:0:0003': 4.41,
+            'n0:0:1002': 4.93,
+            'n0:0:0102': 8.39,
+            'n0:1:0002': 15.79,
+            'n1:0:0003': 4.10,
+            'n1:0:1002': 3.88,
+            'n1:1:0002': 14.14
+        };
+
+        return key in table ? table[key] : Math.max(0, 30.5 - 8.2 * heavy.length + 1.5 * h);
+    }
+
+    /**
+     * Ertl PSA contribution of an oxygen atom
+     * @param {Object} environment - Atom environment
+     * @returns {number} Contribution in square angstroms
+     */
+    getOxygenPSA(environment) {
+        const { atom, hydrogens: h, single, double, aromatic, inSmallRing, heavy } = environment;
+
+        if (atom.aromatic && aromatic === 2) return 13.14;
+
+        if (atom.charge === 0) {
+            if (h === 0 && single === 2) return inSmallRing ? 12.53 : 9.23;
+            if (h === 0 && double === 1 && heavy.length === 1) return 17.07;
+            if (h === 1 && single === 1) return 20.23;
+        } else if (atom.charge === -1 && h === 0 && single === 1) {
+            return 23.06;
+        }
+
+        return Math.max(0, 28.5 - 8.6 * heavy.length + 1.5 * h);
+    }
+
+    /**
+     * Crippen logP as the sum of typed atom and hydrogen contributions
+     * @param {Array<Object>} environments - Atom environments
+     * @returns {number} Estimated octanol/water logP
+     */
+    getLogP(environments) {
+        return this.sumCrippenContributions(environments, CRIPPEN_CONTRIBUTIONS);
+    }
+
+    /**
+     * Crippen molar refractivity as the sum of typed atom and hydrogen contributions
+     * @param {Array<Object>} environments - Atom environments
+     * @returns {number} Molar refractivity (cm³/mol)
+     */
+    getMolarRefractivity(environments) {
+        return this.sumCrippenContributions(environments, CRIPPEN_MR_CONTRIBUTIONS);
+    }
+
+    /**
+     * Sum Crippen contributions over heavy atoms and their hydrogens
+     * @param {Array<Object>} environments - Atom environments
+     * @param {Object} contributions - Contribution per Crippen type
+     * @returns {number} Summed property
+     */
+    sumCrippenContributions(environments, contributions) {
+        return environments.reduce((sum, environment) => {
+            if (environment.atom.atomicNumber === 1 && environment.heavy.length > 0) return sum;
+
+            const atomType = this.getCrippenType(environment, environments);
+            const hydrogenType = this.getCrippenHydrogenType(environment, environments);
+            const contribution = atomType ? contributions[atomType] ?? 0 : 0;
+
+            return sum + contribution + environment.hydrogens * (contributions[hydrogenType] ?? 0);
+        }, 0);
+    }
+
+    /**
+     * Assign the Crippen type of a heavy atom
+     * @param {Object} environment - Atom environment
+     * @param {Array<Object>} environments - All atom environments
+     * @returns {string|null} Crippen type, or null if the element has no contribution
+     */
+    getCrippenType(environment, environments) {
+        const { atom } = environment;
+
+        switch (atom.element) {
+            case 'C':
+                return atom.aromatic ? this.getAromaticCarbonType(environment) : this.getAliphaticCarbonType(environment);
+            case 'N':
+                return this.getNitrogenType(environment);
+            case 'O':
+                return this.getOxygenType(environment, environments);
+            case 'S':
+                if (atom.aromatic) return 'S3';
+                return atom.charge !== 0 ? 'S2' : 'S1';
+            case 'P':
+                return 'P';
+            case 'H':
+                return 'HS';
+            case '*':
+                return null;
+            default:
+                if (HALOGENS.has(atom.element)) return atom.charge !== 0 ? 'Hal' : atom.element;
+                if (CRIPPEN_MAIN_METALS.has(atom.element)) return 'Me1';
+                return PeriodicTable.getDefaultValences(atom.element) ? null : 'Me2';
+        }
+    }
+
+    /**
+     * Crippen type of an aliphatic carbon (C1-C12, C26, C27, CS)
+     * @param {Object} environment - Atom environment
+     * @returns {string} Crippen type
+     */
+    getAliphaticCarbonType(environment) {
+        const { hydrogens: h, heavy, double, triple } = environment;
+        const connections = heavy.length + h;
+        const isAliphaticCarbon = ({ atom }) => atom.element === 'C' && !atom.aromatic;
+        const isHetero = ({ atom }) => !atom.aromatic && CRIPPEN_HETERO.has(atom.element);
+        const allAliphatic = heavy.every(({ atom }) => !atom.aromatic);
+        const allSingle = double === 0 && triple === 0;
+        const hasAromatic = heavy.some(({ atom }) => atom.aromatic);
+
+        if (h === 4) return 'C1';
+        if (allSingle && heavy.every(isAliphaticCarbon)) {
+            if ((h === 3 && heavy.length === 1) || (h === 2 && heavy.length === 2)) return 'C1';
+            if ((h === 1 && heavy.length === 3) || (h === 0 && heavy.length === 4)) return 'C2';
+        }
+        if (allSingle && allAliphatic && heavy.some(isHetero)) {
+            if (h === 3 || (h === 2 && connections === 4)) return 'C3';
+            if (connections === 4) return 'C4';
+        }
+
+        const doubleNeighbors = heavy.filter(({ bond }) => !bond.aromatic && bond.order === 2);
+        if (doubleNeighbors.some(({ atom }) => !atom.aromatic && atom.element !== 'C')) return 'C5';
+        if (doubleNeighbors.some(isAliphaticCarbon) && allAliphatic) return 'C6';
+        if (connections === 2 && heavy.some(({ atom, bond }) => bond.order === 3 && !atom.aromatic)) return 'C7';
+
+        if (connections === 4 && hasAromatic) {
+            if (h === 3) {
+                return heavy[0].atom.element === 'C' ? 'C8' : 'C9';
+            }
+            return { 2: 'C10', 1: 'C11', 0: 'C12' }[h];
+        }
+
+        if (doubleNeighbors.some(({ atom }) => atom.element === 'C') && (hasAromatic || doubleNeighbors.some(({ atom }) => atom.aromatic))) {
+            return 'C26';
+        }
+        if (connections === 4 && heavy.some(({ atom }) => !atom.aromatic && !CRIPPEN_HETERO.has(atom.element) && atom.element !== 'C')) {
+            return 'C27';
+        }
+
+        return 'CS';
+    }
+
+    /**
+     * Crippen type of an aromatic carbon (C13-C25, CS)
+     * @param {Object} environment - Atom environment
+     * @returns {string} Crippen type
+     */
+    getAromaticCarbonType(environment) {
+        const { hydrogens: h, heavy } = environment;
+        const exocyclic = heavy.filter(({ bond }) => !bond.aromatic);
+
+        if (h === 0 && exocyclic.some(({ atom, bond }) => bond.order === 1 && !atom.aromatic
+            && atom.element !== '*' && !CRIPPEN_C13_EXCLUDED.has(atom.element))) {
+            return 'C13';
+        }
+
+        const halogen = heavy.find(({ atom }) => HALOGENS.has(atom.element));
+        if (halogen) {
+            return { F: 'C14', Cl: 'C15', Br: 'C16', I: 'C17' }[halogen.atom.element];
+        }
+
+        if (h > 0) return 'C18';
+        if (environment.aromatic >= 3) return 'C19';
+
+        const substituent = exocyclic[0];
+        if (environment.aromatic === 2 && substituent) {
+            const { atom, bond } = substituent;
+            if (bond.order === 1) {
+                if (atom.aromatic) return 'C20';
+                const type = { C: 'C21', N: 'C22', O: 'C23', S: 'C24' }[atom.element];
+                if (type) return type;
+            } else if (bond.order === 2 && ['C', 'N', 'O'].includes(atom.element)) {
+                return 'C25';
+            }
+        }
+
+        return 'CS';
+    }
+
+    /**
+     * Crippen type of a nitrogen atom (N1-N14, NS)
+     * @param {Object} environment - Atom environment
+     * @returns {string} Crippen type
+     */
+    getNitrogenType(environment) {
+        const { atom, hydrogens: h, heavy, single, double, triple } = environment;
+        const hasAromatic = heavy.some(({ atom: neighbor }) => neighbor.aromatic);
+
+        if (atom.aromatic) {
+            return atom.charge > 0 ? 'N12' : 'N11';
+        }
+
+        if (atom.charge < 0) return 'N14';
+
+        if (atom.charge > 0) {
+            if (h > 0) return 'N10';
+            const nextToAnion = heavy.some(({ atom: neighbor }) => neighbor.element === 'N' && neighbor.charge < 0);
+            return triple > 0 || nextToAnion ? 'N14' : 'N13';
+        }
+
+        if (h === 2 && heavy.length === 1) return hasAromatic ? 'N3' : 'N1';
+        if (h === 1) {
+            if (double === 1) return 'N5';
+            if (single === 2) return hasAromatic ? 'N4' : 'N2';
+        }
+        if (h === 0) {
+            if (triple === 1) return 'N9';
+            if (double >= 1) return 'N6';
+            if (single === 3) return hasAromatic ? 'N8' : 'N7';
+        }
+
+        return 'NS';
+    }
+
+    /**
+     * Crippen type of an oxygen atom (O1-O12, OS)
+     * @param {Object} environment - Atom environment
+     * @param {Array<Object>} environments - All atom environments
+     * @returns {string} Crippen type
+     */
+    getOxygenType(environment, environments) {
+        const { atom, hydrogens: h, heavy } = environment;
+
+        if (atom.aromatic) return 'O1';
+
+        if (atom.charge < 0) {
+            const neighbor = heavy[0]?.atom;
+            if (!neighbor) return 'O7';
+            if (neighbor.element === 'N') return 'O5';
+            if (neighbor.element === 'S') return 'O6';
+
+            // Carboxylate oxygen: [O-]C(=O)
+            const isCarboxylate = neighbor.element === 'C' && environments[neighbor.index].heavy
+                .some(({ atom: other, bond }) => other.element === 'O' && bond.order === 2);
+            return isCarboxylate ? 'O12' : 'O7';
+        }
+
+        if (h > 0) return 'O2';
+
+        if (heavy.length === 2) {
+            return heavy.some(({ atom: neighbor }) => neighbor.aromatic) ? 'O4' : 'O3';
+        }
+
+        if (heavy.length === 1 && heavy[0].bond.order === 2) {
+            const neighbor = heavy[0].atom;
+            if (neighbor.element === 'N' || neighbor.element === 'O') return 'O5';
+            if (neighbor.element !== 'C') return 'OS';
+            if (neighbor.aromatic) return 'O8';
+
+            // Carbonyl: aliphatic (O9), next to an aromatic atom (O10), or between heteroatoms (O11)
+            const others = environments[neighbor.index].heavy.filter(({ atom: other }) => other !== atom);
+            if (others.some(({ atom: other }) => other.aromatic)) return 'O10';
+            if (others.length < 2 || others.some(({ atom: other }) => other.element === 'C')) return 'O9';
+            return 'O11';
+        }
+
+        return 'OS';
+    }
+
+    /**
+     * Crippen type of the hydrogens on an atom (H1-H4, HS)
+     * @param {Object} environment - Atom environment of the hydrogen's parent
+     * @param {Array<Object>} environments - All atom environments
+     * @returns {string} Crippen hydrogen type
+     */
+    getCrippenHydrogenType(environment, environments) {
+        const { atom, heavy } = environment;
+
+        if (atom.element === 'C' || atom.atomicNumber === 1) return 'H1';
+        if (atom.element === 'N') return 'H3';
+        if (atom.element !== 'O') return 'H2';
+
+        const neighbor = heavy[0]?.atom;
+        if (!neighbor) return 'H2';
+        if (neighbor.element === 'N') return 'H3';
+        if (neighbor.element === 'O' || neighbor.element === 'S') return 'H4';
+        if (neighbor.element !== 'C') return 'H2';
+        if (neighbor.aromatic) return 'H2';
+
+        // Acidic hydrogens: O-C=X (carboxylic acids, enols, imidic acids)
+        const neighborEnvironment = environments[neighbor.index];
+        const isAcidic = neighborEnvironment.heavy.some(({ atom: other, bond }) =>
+            bond.order === 2 && !bond.aromatic && ['C', 'N', 'O', 'S'].includes(other.element));
+        if (isAcidic) return 'H4';
+
+        return neighborEnvironment.heavy.length + neighborEnvironment.hydrogens === 4 ? 'H2' : 'HS';
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * ================================================
+ * DiversityAnalyzer Utility
+ * ================================================
+ *
+ * Run-level diversity of a set of structures: the pairwise ECFP4
+ * Tanimoto similarities, their internal diversity and a Butina
+ * clustering at an adjustable similarity threshold.
+ *
+ * Features:
+ * - Condensed pairwise similarity matrix, filled in resumable time slices
+ * - Internal diversity (mean pairwise Tanimoto distance)
+ * - Butina (sphere exclusion) clustering; re-clustering at another threshold reuses the matrix
+ *
+ * The matrix holds n(n-1)/2 similarities, so only the first
+ * maxStructures structures are analysed.
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { MorganFingerprint } from './MorganFingerprint.js';
+
+// Largest number of structures in one matrix (2000 structures take 8 MB)
+const MAX_STRUCTURES = 2000;
+
+export class DiversityAnalyzer {
+    /**
+     * Initialize the analyzer
+     * @param {Object} options - Analyzer options
+     * @param {MorganFingerprint} options.fingerprint - Fingerprint generator the fingerprints came from
+     * @param {number} options.maxStructures - Largest number of structures analysed
+     */
+    constructor(options = {}) {
+        this.fingerprint = options.fingerprint || new MorganFingerprint();
+        this.maxStructures = options.maxStructures ?? MAX_STRUCTURES;
+    }
+
+    /**
+     * Start a pairwise similarity matrix; fill it with fillSimilarityMatrix()
+     * @param {Array<Uint32Array>} fingerprints - Fingerprints (only the first maxStructures are used)
+     * @returns {Object} Matrix state {size, values, row, computed, total, sum, truncated}
+     */
+    createSimilarityMatrix(fingerprints) {
+        const used = fingerprints.slice(0, this.maxStructures);
+        const size = used.length;
+        const total = (size * (size - 1)) / 2;
+
+        return {
+            fingerprints: used,
+            size,
+            values: new Float32Array(total),
+            row: 0,
+            computed: 0,
+            total,
+            sum: 0,
+            truncated: fingerprints.length - size
+        };
+    }
+
+    /**
+     * Compute further rows of a matrix until the deadline passes
+     * @param {Object} matrix - Matrix from createSimilarityMatrix()
+     * @param {number} deadline - performance.now() value to stop at (Infinity completes the matrix)
+     * @returns {boolean} Whether the matrix is complete
+     */
+    fillSimilarityMatrix(matrix, deadline = Infinity) {
+        const { fingerprints, size, values } = matrix;
+
+        while (matrix.row < size - 1 && performance.now() < deadline) {
+            const i = matrix.row;
+            const offset = this.getOffset(size, i);
+            for (let j = i + 1; j < size; j++) {
+                const similarity = this.fingerprint.tanimoto(fingerprints[i], fingerprints[j]);
+                values[offset + j - i - 1] = similarity;
+                matrix.sum += similarity;
+            }
+            matrix.computed += size - 1 - i;
+            matrix.row++;
+        }
+
+        return this.isComplete(matrix);
+    }
+
+    /**
+     * Whether every pair of a matrix has been computed
+     * @param {Object} matrix - Matrix from createSimilarityMatrix()
+     * @returns {boolean} Completion state
+     */
+    isComplete(matrix) {
+        return matrix.computed >= matrix.total;
+    }
+
+    /**
+     * Fraction of the pairs computed so far
+     * @param {Object} matrix - Matrix from createSimilarityMatrix()
+     * @returns {number} Progress between 0 and 1
+     */
+    getProgress(matrix) {
+        return matrix.total === 0 ? 1 : matrix.computed / matrix.total;
+    }
+
+    /**
+     * Position of row i's first pair (i, i + 1) in the condensed matrix
+     * @param {number} size - Number of structures
+     * @param {number} i - Row
+     * @returns {number} Index into matrix.values
+     */
+    getOffset(size, i) {
+        return i * size - (i * (i + 1)) / 2;
+    }
+
+    /**
+     * Tanimoto similarity of two structures in a completed matrix
+     * @param {Object} matrix - Matrix from createSimilarityMatrix()
+     * @param {number} i - First structure
+     * @param {number} j - Second structure
+     * @returns {number} Similarity (1 for i === j)
+     */
+    getSimilarity(matrix, i, j) {
+        if (i === j) return 1;
+        const [low, high] = i < j ? [i, j] : [j, i];
+        return matrix.values[this.getOffset(matrix.size, low) + high - low - 1];
+    }
+
+    /**
+     * Internal diversity: 1 minus the mean Tanimoto similarity over all pairs
+     * @param {Object} matrix - Completed matrix
+     * @returns {number|null} Diversity between 0 and 1, or null for fewer than two structures
+     */
+    getInternalDiversity(matrix) {
+        return matrix.total === 0 ? null : 1 - matrix.sum / matrix.total;
+    }
+
+    /**
+     * Butina clustering: the structure with the most neighbours (similarity ≥ threshold) becomes a
+     * centroid and takes all its unassigned neighbours; repeated over the remaining structures in the
+     * same order. Ties go to the earlier structure.
+     * @param {Object} matrix - Completed matrix
+     * @param {number} threshold - Tanimoto similarity for two structures to be neighbours
+     * @returns {Array<Object>} Clusters as {centroid, members} (member indices, centroid first),
+     *   largest first
+     */
+    cluster(matrix, threshold) {
+        const { size } = matrix;
+        const counts = new Uint32Array(size);
+
+        for (let i = 0; i < size - 1; i++) {
+            const offset = this.getOffset(size, i);
+            for (let j = i + 1; j < size; j++) {
+                if (matrix.values[offset + j - i - 1] >= threshold) {
+                    counts[i]++;
+                    counts[j]++;
+                }
+            }
+        }
+
+        const order = Array.from({ length: size }, (_, index) => index)
+            .sort((a, b) => counts[b] - counts[a] || a - b);
+        const assigned = new Uint8Array(size);
+        const clusters = [];
+
+        order.forEach(centroid => {
+            if (assigned[centroid]) return;
+            assigned[centroid] = 1;
+
+            const members = [centroid];
+            for (let j = 0; j < size; j++) {
+                if (!assigned[j] && this.getSimilarity(matrix, centroid, j) >= threshold) {
+                    assigned[j] = 1;
+                    members.push(j);
+                }
+            }
+            clusters.push({ centroid, members });
+        });
+
+        return clusters.sort((a, b) => b.members.length - a.members.length || a.centroid - b.centroid);
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * ================================================
+ * DrugLikenessRules Utility
+ * ================================================
+ *
+ * Checks descriptor values against drug-likeness rule sets.
+ * Each rule set is a list of descriptor bounds plus the number of
+ * violations it tolerates (Lipinski famously allows one).
+ *
+ * Features:
+ * - Lipinski Ro5, Veber, Ghose, lead-likeness and the fragment Ro3
+ * - Configurable bounds, tolerated violations and enabled sets
+ * - Per-criterion violation details for tooltips
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Built-in rule sets; bounds are inclusive, null means unbounded
+const RULE_SETS = [
+    {
+        id: 'lipinski',
+        label: 'Ro5',
+        name: "Lipinski's rule of five",
+        maxViolations: 1,
+        criteria: [
+            { key: 'molecularWeight', label: 'MW', min: null, max: 500 },
+            { key: 'logP', label: 'logP', min: null, max: 5 },
+            { key: 'hbd', label: 'HBD', min: null, max: 5 },
+            { key: 'hba', label: 'HBA', min: null, max: 10 }
+        ]
+    },
+    {
+        id: 'veber',
+        label: 'Veber',
+        name: 'Veber oral bioavailability rules',
+        maxViolations: 0,
+        criteria: [
+            { key: 'rotatableBonds', label: 'RotB', min: null, max: 10 },
+            { key: 'tpsa', label: 'TPSA', min: null, max: 140 }
+        ]
+    },
+    {
+        id: 'ghose',
+        label: 'Ghose',
+        name: 'Ghose filter',
+        maxViolations: 0,
+        criteria: [
+            { key: 'molecularWeight', label: 'MW', min: 160, max: 480 },
+            { key: 'logP', label: 'logP', min: -0.4, max: 5.6 },
+            { key: 'molarRefractivity', label: 'MR', min: 40, max: 130 },
+            { key: 'atomCount', label: 'Atoms', min: 20, max: 70 }
+        ]
+    },
+    {
+        id: 'leadLike',
+        label: 'Lead',
+        name: 'Lead-likeness (Teague/Oprea)',
+        maxViolations: 0,
+        criteria: [
+            { key: 'molecularWeight', label: 'MW', min: 250, max: 350 },
+            { key: 'logP', label: 'logP', min: null, max: 3.5 },
+            { key: 'rotatableBonds', label: 'RotB', min: null, max: 7 }
+        ]
+    },
+    {
+        id: 'ro3',
+        label: 'Ro3',
+        name: 'Rule of three (fragments)',
+        maxViolations: 0,
+        criteria: [
+            { key: 'molecularWeight', label: 'MW', min: null, max: 300 },
+            { key: 'logP', label: 'logP', min: null, max: 3 },
+            { key: 'hbd', label: 'HBD', min: null, max: 3 },
+            { key: 'hba', label: 'HBA', min: null, max: 3 },
+            { key: 'rotatableBonds', label: 'RotB', min: null, max: 3 },
+            { key: 'tpsa', label: 'TPSA', min: null, max: 60 }
+        ]
+    }
+];
+
+export class DrugLikenessRules {
+    /**
+     * Initialize the rule sets
+     * @param {Object} config - Saved configuration (see getConfig)
+     */
+    constructor(config = {}) {
+        this.setConfig(config);
+    }
+
+    /**
+     * Apply a configuration on top of the built-in rule sets
+     * @param {Object} config - Map of rule set id → {enabled, maxViolations, criteria: {key: {min, max}}}
+     */
+    setConfig(config = {}) {
+        const isBound = value => value === null || Number.isFinite(value);
+
+        this.ruleSets = RULE_SETS.map(ruleSet => {
+            const saved = config?.[ruleSet.id] || {};
+
+            return {
+                ...ruleSet,
+                enabled: saved.enabled ?? true,
+                maxViolations: Number.isInteger(saved.maxViolations) && saved.maxViolations >= 0
+                    ? saved.maxViolations
+                    : ruleSet.maxViolations,
+                criteria: ruleSet.criteria.map(criterion => {
+                    const bounds = saved.criteria?.[criterion.key] || {};
+                    return {
+                        ...criterion,
+                        min: bounds.min !== undefined && isBound(bounds.min) ? bounds.min : criterion.min,
+                        max: bounds.max !== undefined && isBound(bounds.max) ? bounds.max : criterion.max
+                    };
+                })
+            };
+        });
+    }
+
+    /**
+     * Serializable configuration of all rule sets
+     * @returns {Object} Configuration accepted by setConfig
+     */
+    getConfig() {
+        return Object.fromEntries(this.ruleSets.map(ruleSet => [ruleSet.id, {
+            enabled: ruleSet.enabled,
+            maxViolations: ruleSet.maxViolations,
+            criteria: Object.fromEntries(ruleSet.criteria.map(({ key, min, max }) => [key, { min, max }]))
+        }]));
+    }
+
+    /**
+     * Get all rule sets
+     * @returns {Array<Object>} Rule sets with their current settings
+     */
+    getRuleSets() {
+        return this.ruleSets;
+    }
+
+    /**
+     * Get the enabled rule sets
+     * @returns {Array<Object>} Enabled rule sets
+     */
+    getEnabledRuleSets() {
+        return this.ruleSets.filter(ruleSet => ruleSet.enabled);
+    }
+
+    /**
+     * Find a rule set by id
+     * @param {string} id - Rule set id
+     * @returns {Object|undefined} Rule set
+     */
+    getRuleSet(id) {
+        return this.ruleSets.find(ruleSet => ruleSet.id === id);
+    }
+
+    /**
+     * Check descriptors against every enabled rule set
+     * @param {Object} descriptors - Values from DescriptorCalculator
+     * @returns {Object} Rule set id → {passed, violations: [{label, value, min, max}]}
+     */
+    evaluate(descriptors) {
+        const results = {};
+
+        this.getEnabledRuleSets().forEach(ruleSet => {
+            const violations = ruleSet.criteria
+                .filter(({ key, min, max }) => {
+                    const value = descriptors[key];
+                    return (min !== null && value < min) || (max !== null && value > max);
+                })
+                .map(({ key, label, min, max }) => ({ key, label, value: descriptors[key], min, max }));
+
+            results[ruleSet.id] = {
+                passed: violations.length <= ruleSet.maxViolations,
+                violations
+            };
+        });
+
+        return results;
+    }
+
+    /**
+     * Describe a criterion's bounds, e.g. "MW ≤ 500" or "160 ≤ MW ≤ 480"
+     * @param {Object} criterion - Criterion with label, min and max
+     * @returns {string} Readable bounds
+     */
+    describeCriterion({ label, min, max }) {
+        if (min !== null && max !== null) return `${min} ≤ ${label} ≤ ${max}`;
+        if (min !== null) return `${label} ≥ ${min}`;
+        if (max !== null) return `${label} ≤ ${max}`;
+        return `${label} (no limit)`;
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * ================================================
+ * FingerprintProjection Utility
+ * ================================================
+ *
+ * Projects bit-vector fingerprints onto their first principal
+ * components, giving 2D chemical-space coordinates for plotting.
+ *
+ * Features:
+ * - PCA without forming the bits × bits covariance matrix: power iteration
+ *   works directly on the set bits of each fingerprint
+ * - Further components by deflation (orthogonal to the earlier ones)
+ * - Explained variance ratio per component
+ * - Deterministic start vectors and signs, so the same input gives the same plot
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Power iteration limits
+const MAX_ITERATIONS = 200;
+const TOLERANCE = 1e-9;
+
+export class FingerprintProjection {
+    /**
+     * Principal component scores of a set of fingerprints
+     * @param {Array<Uint32Array>} fingerprints - Fingerprints of equal length
+     * @param {number} components - Number of components
+     * @returns {Object} {coordinates: Array<Array<number>> (one row per fingerprint), explained: Array<number>}
+     */
+    pca(fingerprints, components = 2) {
+        const count = fingerprints.length;
+        const dimensions = count > 0 ? fingerprints[0].length * 32 : 0;
+        const bits = fingerprints.map(fingerprint => this.getSetBits(fingerprint));
+
+        // Bit frequencies are the column means of the 0/1 matrix
+        const mean = new Float64Array(dimensions);
+        bits.forEach(list => list.forEach(bit => { mean[bit] += 1; }));
+        mean.forEach((sum, bit) => { mean[bit] = sum / (count || 1); });
+        const totalVariance = mean.reduce((sum, frequency) => sum + frequency * (1 - frequency), 0);
+
+        const coordinates = Array.from({ length: count }, () => new Array(components).fill(0));
+        const explained = new Array(components).fill(0);
+        if (count < 2 || totalVariance === 0) return { coordinates, explained };
+
+        const vectors = [];
+        for (let component = 0; component < components; component++) {
+            const vector = this.findComponent(bits, mean, vectors, component);
+            if (!vector) break;
+
+            const scores = this.getScores(bits, mean, vector);
+            const variance = scores.reduce((sum, score) => sum + score * score, 0) / count;
+            scores.forEach((score, row) => { coordinates[row][component] = score; });
+            explained[component] = variance / totalVariance;
+            vectors.push(vector);
+        }
+
+        return { coordinates, explained };
+    }
+
+    /**
+     * Indices of the set bits of a fingerprint
+     * @param {Uint32Array} fingerprint - Bit vector (32 bits per word)
+     * @returns {Array<number>} Bit indices
+     */
+    getSetBits(fingerprint) {
+        const bits = [];
+        fingerprint.forEach((word, index) => {
+            for (let bit = 0; word !== 0 && bit < 32; bit++) {
+                if (word & (1 << bit)) {
+                    bits.push(index * 32 + bit);
+                    word &= ~(1 << bit);
+                }
+            }
+        });
+        return bits;
+    }
+
+    /**
+     * Centred scores (x_i − mean) · v of every fingerprint
+     * @param {Array<Array<number>>} bits - Set bits per fingerprint
+     * @param {Float64Array} mean - Bit frequencies
+     * @param {Float64Array} vector - Direction
+     * @returns {Array<number>} Scores
+     */
+    getScores(bits, mean, vector) {
+        const offset = mean.reduce((sum, frequency, bit) => sum + frequency * vector[bit], 0);
+        return bits.map(list => list.reduce((sum, bit) => sum + vector[bit], 0) - offset);
+    }
+
+    /**
+     * Leading eigenvector of the covariance matrix, orthogonal to the given vectors
+     * The covariance product is (1/n) Σ_i s_i x_i with s_i the centred scores (the mean term
+     * vanishes because the centred scores sum to zero).
+     * @param {Array<Array<number>>} bits - Set bits per fingerprint
+     * @param {Float64Array} mean - Bit frequencies
+     * @param {Array<Float64Array>} previous - Earlier components
+     * @param {number} seed - Varies the start vector between components
+     * @returns {Float64Array|null} Unit eigenvector, or null when no variance is left
+     */
+    findComponent(bits, mean, previous, seed) {
+        const dimensions = mean.length;
+
+        // Deterministic start: bit frequencies plus a fixed pseudo-random perturbation
+        let vector = new Float64Array(dimensions);
+        for (let bit = 0; bit < dimensions; bit++) {
+            vector[bit] = mean[bit] + (((bit + 1) * 2654435761 + seed * 40503) % 1000) / 10000;
+        }
+        vector = this.normalize(this.orthogonalize(vector, previous));
+        if (!vector) return null;
+
+        for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            const scores = this.getScores(bits, mean, vector);
+            const product = new Float64Array(dimensions);
+            bits.forEach((list, row) => list.forEach(bit => { product[bit] += scores[row]; }));
+
+            const next = this.normalize(this.orthogonalize(product, previous));
+            if (!next) return null;
+
+            const change = next.reduce((sum, value, bit) => sum + (value - vector[bit]) ** 2, 0);
+            vector = next;
+            if (change < TOLERANCE) break;
+        }
+
+        // Fix the sign so the largest loading is positive
+        const largest = vector.reduce((best, value, bit) => (Math.abs(value) > Math.abs(vector[best]) ? bit : best), 0);
+        if (vector[largest] < 0) vector = vector.map(value => -value);
+
+        return vector;
+    }
+
+    /**
+     * Remove the components along earlier vectors (Gram–Schmidt)
+     * @param {Float64Array} vector - Vector (modified)
+     * @param {Array<Float64Array>} previous - Unit vectors
+     * @returns {Float64Array} The same vector
+     */
+    orthogonalize(vector, previous) {
+        previous.forEach(other => {
+            const dot = vector.reduce((sum, value, bit) => sum + value * other[bit], 0);
+            vector.forEach((value, bit) => { vector[bit] = value - dot * other[bit]; });
+        });
+        return vector;
+    }
+
+    /**
+     * Scale a vector to unit length
+     * @param {Float64Array} vector - Vector (modified)
+     * @returns {Float64Array|null} The same vector, or null for a (near) zero vector
+     */
+    normalize(vector) {
+        const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        if (length < 1e-12) return null;
+        vector.forEach((value, bit) => { vector[bit] = value / length; });
+        return vector;
+    }
+}
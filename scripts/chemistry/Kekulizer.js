@@ -0,0 +1,122 @@
+/**
+ * ================================================
+ * Kekulizer Utility
+ * ================================================
+ *
+ * Assigns alternating single/double bonds to aromatic systems
+ * written in lowercase SMILES, for formats that cannot store
+ * aromatic bonds (e.g. MOL V2000 files).
+ *
+ * Features:
+ * - Decides per aromatic atom whether it takes part in a double bond
+ *   (pyridine-type N yes, pyrrole-type [nH], furan O, thiophene S no)
+ * - Perfect matching over aromatic bonds with backtracking
+ * - Leaves the molecule untouched; returns bond orders instead
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { PeriodicTable } from './PeriodicTable.js';
+
+// Backtracking steps before giving up on a pathological system
+const MAX_STEPS = 20000;
+
+export class Kekulizer {
+    /**
+     * Compute Kekulé bond orders for a molecule's aromatic bonds
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {Map<number, number>|null} Bond index → order (1 or 2) for every
+     *   aromatic bond, or null if no valid Kekulé structure exists
+     */
+    kekulize(molecule) {
+        const orders = new Map();
+        const aromaticBonds = molecule.bonds.filter(bond => bond.aromatic);
+        if (aromaticBonds.length === 0) return orders;
+
+        aromaticBonds.forEach(bond => orders.set(bond.index, 1));
+
+        // Atoms that still need one double bond, with their candidate partners
+        const needy = new Set(
+            molecule.atoms.filter(atom => atom.aromatic && this.needsDoubleBond(molecule, atom)).map(atom => atom.index)
+        );
+        const partners = new Map();
+        needy.forEach(atom => partners.set(atom, []));
+        aromaticBonds.forEach(bond => {
+            if (needy.has(bond.begin) && needy.has(bond.end)) {
+                partners.get(bond.begin).push({ atom: bond.end, bond: bond.index });
+                partners.get(bond.end).push({ atom: bond.begin, bond: bond.index });
+            }
+        });
+
+        const matched = new Map();
+        const search = { steps: 0 };
+        if (!this.match(needy, partners, matched, search)) return null;
+
+        matched.forEach((bond, atom) => {
+            if (atom < molecule.getOtherAtom(molecule.bonds[bond], atom)) orders.set(bond, 2);
+        });
+
+        return orders;
+    }
+
+    /**
+     * Check whether an aromatic atom has a free valence for a ring double bond
+     * @param {Molecule} molecule - Parsed molecule
+     * @param {Object} atom - Aromatic atom
+     * @returns {boolean} Whether the atom must receive a double bond
+     */
+    needsDoubleBond(molecule, atom) {
+        const valences = atom.bracket
+            ? PeriodicTable.getChargedValences(atom.element, atom.charge)
+            : PeriodicTable.getDefaultValences(atom.element);
+        if (!valences) return false;
+
+        // Aromatic bonds count as single here; exocyclic double bonds count fully
+        const used = molecule.getBondOrderSum(atom.index) + molecule.getHydrogenCount(atom.index);
+        const valence = valences.find(value => value >= used);
+
+        return valence !== undefined && valence - used >= 1;
+    }
+
+    /**
+     * Pair up all needy atoms along aromatic bonds (depth-first with backtracking)
+     * @param {Set<number>} needy - Atoms that need a double bond
+     * @param {Map<number, Array>} partners - Candidate neighbours per atom
+     * @param {Map<number, number>} matched - Atom → bond index of its double bond
+     * @param {Object} search - Step counter shared across the recursion
+     * @returns {boolean} Whether every needy atom was matched
+     */
+    match(needy, partners, matched, search) {
+        if (++search.steps > MAX_STEPS) return false;
+
+        // Continue with the most constrained unmatched atom
+        let atom = null;
+        let options = null;
+        for (const candidate of needy) {
+            if (matched.has(candidate)) continue;
+
+            const free = partners.get(candidate).filter(partner => !matched.has(partner.atom));
+            if (free.length === 0) return false;
+            if (options === null || free.length < options.length) {
+                atom = candidate;
+                options = free;
+                if (free.length === 1) break;
+            }
+        }
+
+        if (atom === null) return true;
+
+        for (const partner of options) {
+            matched.set(atom, partner.bond);
+            matched.set(partner.atom, partner.bond);
+
+            if (this.match(needy, partners, matched, search)) return true;
+
+            matched.delete(atom);
+            matched.delete(partner.atom);
+        }
+
+        return false;
+    }
+}
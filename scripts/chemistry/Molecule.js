@@ -0,0 +1,333 @@
+/**
+ * ================================================
+ * Molecule Model
+ * ================================================
+ *
+ * Lightweight molecular graph shared by the chemistry modules.
+ * Atoms and bonds are plain objects held in arrays; the class adds
+ * adjacency lookups and cached ring perception on top.
+ *
+ * Features:
+ * - Atom/bond storage with adjacency lists
+ * - Hydrogen counting (explicit bracket Hs and implicit Hs)
+ * - Smallest set of smallest rings (SSSR) perception
+ * - Connected component detection
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+export class Molecule {
+    /**
+     * Create an empty molecule
+     */
+    constructor() {
+        this.atoms = [];
+        this.bonds = [];
+        this.adjacency = [];
+
+        // Lazily computed graph properties
+        this.cache = {};
+    }
+
+    /**
+     * Add an atom to the molecule
+     * @param {Object} properties - Atom properties (element, aromatic, charge, ...)
+     * @returns {number} Index of the new atom
+     */
+    addAtom(properties = {}) {
+        const index = this.atoms.length;
+
+        this.atoms.push({
+            element: 'C',
+            atomicNumber: 6,
+            aromatic: false,
+            charge: 0,
+            isotope: null,
+            hydrogens: null,
+            implicitHydrogens: 0,
+            chirality: null,
+            atomClass: null,
+            bracket: false,
+            position: -1,
+            neighborOrder: [],
+            ...properties,
+            index
+        });
+        this.adjacency.push([]);
+        this.cache = {};
+
+        return index;
+    }
+
+    /**
+     * Add a bond between two atoms
+     * @param {number} begin - First atom index
+     * @param {number} end - Second atom index
+     * @param {number} order - Bond order (1, 2, 3, 4 or 1.5 for aromatic)
+     * @param {Object} properties - Additional bond properties
+     * @returns {number} Index of the new bond
+     */
+    addBond(begin, end, order = 1, properties = {}) {
+        const index = this.bonds.length;
+
+        this.bonds.push({
+            order,
+            aromatic: order === 1.5,
+            stereo: null,
+            position: -1,
+            ...properties,
+            begin,
+            end,
+            index
+        });
+        this.adjacency[begin].push({ atom: end, bond: index });
+        this.adjacency[end].push({ atom: begin, bond: index });
+        this.cache = {};
+
+        return index;
+    }
+
+    /**
+     * Get the bond between two atoms
+     * @param {number} a - First atom index
+     * @param {number} b - Second atom index
+     * @returns {Object|null} Bond object or null if not bonded
+     */
+    getBond(a, b) {
+        const entry = this.adjacency[a]?.find(item => item.atom === b);
+        return entry ? this.bonds[entry.bond] : null;
+    }
+
+    /**
+     * Get neighbouring atom indices
+     * @param {number} index - Atom index
+     * @returns {Array<number>} Neighbour indices
+     */
+    getNeighbors(index) {
+        return this.adjacency[index].map(item => item.atom);
+    }
+
+    /**
+     * Get the bonds attached to an atom
+     * @param {number} index - Atom index
+     * @returns {Array<Object>} Bond objects
+     */
+    getAtomBonds(index) {
+        return this.adjacency[index].map(item => this.bonds[item.bond]);
+    }
+
+    /**
+     * Get the atom on the other side of a bond
+     * @param {Object} bond - Bond object
+     * @param {number} index - Atom index on one side of the bond
+     * @returns {number} Index of the other atom
+     */
+    getOtherAtom(bond, index) {
+        return bond.begin === index ? bond.end : bond.begin;
+    }
+
+    /**
+     * Sum of bond orders around an atom, counting aromatic bonds as 1
+     * @param {number} index - Atom index
+     * @returns {number} Bond order sum
+     */
+    getBondOrderSum(index) {
+        return this.getAtomBonds(index).reduce((sum, bond) => sum + (bond.aromatic ? 1 : bond.order), 0);
+    }
+
+    /**
+     * Total hydrogen count on an atom (bracket or implicit, not explicit H atoms)
+     * @param {number} index - Atom index
+     * @returns {number} Attached hydrogen count
+     */
+    getHydrogenCount(index) {
+        const atom = this.atoms[index];
+        return atom.hydrogens !== null ? atom.hydrogens : atom.implicitHydrogens;
+    }
+
+    /**
+     * Number of attached non-hydrogen atoms
+     * @param {number} index - Atom index
+     * @returns {number} Heavy atom degree
+     */
+    getHeavyDegree(index) {
+        return this.getNeighbors(index).filter(neighbor => this.atoms[neighbor].atomicNumber !== 1).length;
+    }
+
+    /**
+     * Count of atoms other than hydrogen
+     * @returns {number} Heavy atom count
+     */
+    getHeavyAtomCount() {
+        return this.atoms.filter(atom => atom.atomicNumber !== 1).length;
+    }
+
+    /**
+     * Get connected components
+     * @returns {Array<Array<number>>} Atom indices of each component
+     */
+    getComponents() {
+        if (this.cache.components) return this.cache.components;
+
+        const seen = new Array(this.atoms.length).fill(false);
+        const components = [];
+
+        for (let start = 0; start < this.atoms.length; start++) {
+            if (seen[start]) continue;
+
+            const component = [];
+            const stack = [start];
+            seen[start] = true;
+
+            while (stack.length) {
+                const current = stack.pop();
+                component.push(current);
+                this.getNeighbors(current).forEach(neighbor => {
+                    if (!seen[neighbor]) {
+                        seen[neighbor] = true;
+                        stack.push(neighbor);
+                    }
+                });
+            }
+
+            components.push(component.sort((a, b) => a - b));
+        }
+
+        this.cache.components = components;
+        return components;
+    }
+
+    /**
+     * Get the smallest set of smallest rings
+     * @returns {Array<Array<number>>} Rings as ordered atom index paths
+     */
+    getRings() {
+        if (this.cache.rings) return this.cache.rings;
+
+        const ringCount = this.bonds.length - this.atoms.length + this.getComponents().length;
+        const rings = [];
+
+        if (ringCount > 0) {
+            const candidates = this.findRingCandidates();
+            const basis = [];
+
+            // Greedily keep the smallest rings that are linearly independent (GF(2) over bonds)
+            for (const candidate of candidates) {
+                if (rings.length >= ringCount) break;
+
+                let vector = candidate.bondMask;
+                for (const row of basis) {
+                    if (vector & row.pivot) vector ^= row.vector;
+                }
+
+                if (vector !== 0n) {
+                    const pivot = vector & -vector;
+                    basis.forEach(row => {
+                        if (row.vector & pivot) row.vector ^= vector;
+                    });
+                    basis.push({ vector, pivot });
+                    rings.push(candidate.atoms);
+                }
+            }
+        }
+
+        this.cache.rings = rings;
+        return rings;
+    }
+
+    /**
+     * Find candidate rings by closing each bond with a shortest path
+     * @returns {Array<Object>} Unique candidate rings sorted by size
+     */
+    findRingCandidates() {
+        const candidates = new Map();
+
+        this.bonds.forEach(bond => {
+            const path = this.findShortestPath(bond.begin, bond.end, bond.index);
+            if (!path) return;
+
+            let bondMask = 1n << BigInt(bond.index);
+            for (let i = 0; i < path.length - 1; i++) {
+                bondMask |= 1n << BigInt(this.getBond(path[i], path[i + 1]).index);
+            }
+
+            const key = bondMask.toString(36);
+            if (!candidates.has(key)) {
+                candidates.set(key, { atoms: path, bondMask });
+            }
+        });
+
+        return [...candidates.values()].sort((a, b) => a.atoms.length - b.atoms.length);
+    }
+
+    /**
+     * Breadth-first shortest path that ignores one bond
+     * @param {number} start - Start atom index
+     * @param {number} goal - Goal atom index
+     * @param {number} excludedBond - Bond index to ignore
+     * @returns {Array<number>|null} Atom path from start to goal, or null
+     */
+    findShortestPath(start, goal, excludedBond) {
+        const previous = new Map([[start, -1]]);
+        const queue = [start];
+
+        while (queue.length) {
+            const current = queue.shift();
+            if (current === goal) break;
+
+            for (const { atom, bond } of this.adjacency[current]) {
+                if (bond === excludedBond || previous.has(atom)) continue;
+                previous.set(atom, current);
+                queue.push(atom);
+            }
+        }
+
+        if (!previous.has(goal)) return null;
+
+        const path = [];
+        for (let current = goal; current !== -1; current = previous.get(current)) {
+            path.unshift(current);
+        }
+        return path;
+    }
+
+    /**
+     * Check whether an atom belongs to any ring
+     * @param {number} index - Atom index
+     * @returns {boolean} Whether the atom is a ring atom
+     */
+    isAtomInRing(index) {
+        return this.getRingMembership().atoms.has(index);
+    }
+
+    /**
+     * Check whether a bond belongs to any ring
+     * @param {number} index - Bond index
+     * @returns {boolean} Whether the bond is a ring bond
+     */
+    isBondInRing(index) {
+        return this.getRingMembership().bonds.has(index);
+    }
+
+    /**
+     * Build atom and bond ring membership sets
+     * @returns {Object} Sets of ring atom and ring bond indices
+     */
+    getRingMembership() {
+        if (this.cache.ringMembership) return this.cache.ringMembership;
+
+        const atoms = new Set();
+        const bonds = new Set();
+
+        this.getRings().forEach(ring => {
+            ring.forEach((atom, i) => {
+                atoms.add(atom);
+                bonds.add(this.getBond(atom, ring[(i + 1) % ring.length]).index);
+            });
+        });
+
+        this.cache.ringMembership = { atoms, bonds };
+        return this.cache.ringMembership;
+    }
+}
@@ -0,0 +1,574 @@
+/**
+ * ================================================
+ * MoleculeRenderer Utility
+ * ================================================
+ *
+ * Renders a Molecule as a self-contained SVG string.
+ * Works fully offline: coordinates come from CoordinateGenerator
+ * and no external depiction service is involved.
+ *
+ * Features:
+ * - Single, double, triple and aromatic bonds (ring circles)
+ * - Wedge/hash bonds derived from SMILES tetrahedral chirality
+ * - Heteroatom labels with hydrogens, charges and isotopes
+ * - Attachment points ('*' and numbered R-groups)
+ * - Coloured atom/bond highlights (e.g. structural alert matches)
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { CoordinateGenerator } from './CoordinateGenerator.js';
+
+// Label colours by element (carbon and anything unlisted use the default)
+const ELEMENT_COLORS = {
+    N: '#2f55d4',
+    O: '#d42a2a',
+    S: '#b38f00',
+    P: '#e07000',
+    F: '#1f9a3a',
+    Cl: '#1f9a3a',
+    Br: '#a62929',
+    I: '#8b1c9c',
+    B: '#c2637b',
+    '*': '#7c3aed'
+};
+
+const DEFAULT_COLOR = '#3C3C3C';
+
+export class MoleculeRenderer {
+    /**
+     * Initialize the renderer
+     * @param {Object} options - Rendering options
+     * @param {number} options.bondLength - Bond length in pixels
+     * @param {number} options.padding - Padding around the drawing in pixels
+     * @param {number} options.fontSize - Atom label font size in pixels
+     */
+    constructor(options = {}) {
+        this.options = {
+            bondLength: options.bondLength || 28,
+            padding: options.padding || 10,
+            fontSize: options.fontSize || 13,
+            lineWidth: options.lineWidth || 1.4
+        };
+
+        this.coordinateGenerator = new CoordinateGenerator();
+    }
+
+    /**
+     * Render a molecule to SVG markup
+     * @param {Molecule} molecule - Molecule to draw
+     * @param {Object} options - Per-call options
+     * @param {Array<Object>} options.coordinates - Precomputed coordinates (optional)
+     * @param {string} options.title - Accessible title for the drawing
+     * @param {Array<Object>} options.highlights - Atom groups drawn underneath as {atoms, color}
+     * @returns {string} SVG markup
+     */
+    render(molecule, options = {}) {
+        const coordinates = options.coordinates || this.coordinateGenerator.generate(molecule);
+        const { bondLength, padding, fontSize, lineWidth } = this.options;
+
+        // Convert to pixel space (SVG y axis points down)
+        const points = coordinates.map(point => ({ x: point.x * bondLength, y: -point.y * bondLength }));
+        const labels = molecule.atoms.map(atom => this.getAtomLabel(molecule, atom, points));
+        const wedges = this.assignWedges(molecule, points);
+
+        const lines = [];
+        const shapes = [];
+
+        molecule.bonds.forEach(bond => {
+            this.drawBond(molecule, bond, points, labels, wedges, lines, shapes);
+        });
+        this.drawAromaticRings(molecule, points, shapes);
+
+        const text = labels
+            .map((label, index) => (label ? this.drawLabel(label, points[index]) : ''))
+            .join('');
+
+        // Fit the view box around atoms and their labels
+        const bounds = this.getBounds(points, labels);
+        const x = bounds.minX - padding;
+        const y = bounds.minY - padding;
+        const width = bounds.maxX - bounds.minX + 2 * padding;
+        const height = bounds.maxY - bounds.minY + 2 * padding;
+        const title = options.title ? `<title>${this.escapeXml(options.title)}</title>` : '';
+        const highlights = (options.highlights || []).map(highlight => this.drawHighlight(molecule, highlight, points)).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="molecule-depiction" viewBox="${this.format(x)} ${this.format(y)} ${this.format(width)} ${this.format(height)}" width="${Math.ceil(width)}" height="${Math.ceil(height)}" role="img">`
+            + title
+            + highlights
+            + `<g stroke="${DEFAULT_COLOR}" stroke-width="${lineWidth}" stroke-linecap="round" fill="none">${lines.join('')}</g>`
+            + `<g fill="${DEFAULT_COLOR}" stroke="${DEFAULT_COLOR}" stroke-width="${lineWidth * 0.8}">${shapes.join('')}</g>`
+            + `<g font-family="Helvetica, Arial, sans-serif" font-size="${fontSize}" font-weight="500" dominant-baseline="central">${text}</g>`
+            + '</svg>';
+    }
+
+    /**
+     * Decide how an atom is labelled
+     * @param {Molecule} molecule - Molecule being drawn
+     * @param {Object} atom - Atom to label
+     * @param {Array<Object>} points - Pixel coordinates
+     * @returns {Object|null} Label description, or null for a plain carbon vertex
+     */
+    getAtomLabel(molecule, atom, points) {
+        const neighbors = molecule.getNeighbors(atom.index);
+        const isCarbon = atom.element === 'C';
+
+        if (isCarbon && !atom.charge && atom.isotope === null && neighbors.length > 0) {
+            return null;
+        }
+
+        let symbol = atom.element;
+        if (atom.element === '*') {
+            symbol = atom.atomClass !== null ? `R${atom.atomClass}` : '*';
+        }
+
+        const hydrogens = atom.element === '*' ? 0 : molecule.getHydrogenCount(atom.index);
+
+        // Put hydrogens on the side with fewer bonds
+        const point = points[atom.index];
+        const meanDx = neighbors.reduce((sum, neighbor) => sum + (points[neighbor].x - point.x), 0);
+
+        return {
+            symbol,
+            hydrogens,
+            hydrogensLeft: neighbors.length > 0 && meanDx > 1,
+            charge: atom.charge,
+            isotope: atom.isotope,
+            color: ELEMENT_COLORS[atom.element] || DEFAULT_COLOR
+        };
+    }
+
+    /**
+     * Draw a single bond
+     * @param {Molecule} molecule - Molecule being drawn
+     * @param {Object} bond - Bond to draw
+     * @param {Array<Object>} points - Pixel coordinates
+     * @param {Array<Object|null>} labels - Atom labels
+     * @param {Map<number, Object>} wedges - Stereo wedges by bond index
+     * @param {Array<string>} lines - Line markup (appended)
+     * @param {Array<string>} shapes - Filled shape markup (appended)
+     */
+    drawBond(molecule, bond, points, labels, wedges, lines, shapes) {
+        const { bondLength } = this.options;
+        const [start, end] = this.trimBond(points[bond.begin], points[bond.end], labels[bond.begin], labels[bond.end]);
+        const wedge = wedges.get(bond.index);
+
+        if (wedge) {
+            const narrow = wedge.from === bond.begin ? start : end;
+            const wide = wedge.from === bond.begin ? end : start;
+            shapes.push(wedge.type === 'wedge' ? this.wedgeShape(narrow, wide) : this.hashShape(narrow, wide));
+            return;
+        }
+
+        lines.push(this.line(start, end));
+
+        if (bond.order === 2 || bond.order === 3) {
+            const offset = bondLength * (bond.order === 3 ? 0.13 : 0.16);
+            const side = this.getDoubleBondSide(molecule, bond, points);
+
+            if (bond.order === 3) {
+                lines.push(this.line(...this.offsetSegment(start, end, offset, 0)));
+                lines.push(this.line(...this.offsetSegment(start, end, -offset, 0)));
+            } else if (side === 0) {
+                // Centred pair: replace the middle line with two offset lines
+                lines.pop();
+                lines.push(this.line(...this.offsetSegment(start, end, offset / 2, 0)));
+                lines.push(this.line(...this.offsetSegment(start, end, -offset / 2, 0)));
+            } else {
+                const shorten = labels[bond.begin] || labels[bond.end] ? 0 : 0.15;
+                lines.push(this.line(...this.offsetSegment(start, end, side * offset, shorten)));
+            }
+        } else if (bond.aromatic && !this.isInAromaticRing(molecule, bond)) {
+            const side = this.getDoubleBondSide(molecule, bond, points) || 1;
+            const [a, b] = this.offsetSegment(start, end, side * bondLength * 0.16, 0.15);
+            lines.push(`<line x1="${this.format(a.x)}" y1="${this.format(a.y)}" x2="${this.format(b.x)}" y2="${this.format(b.y)}" stroke-dasharray="3 2"/>`);
+        }
+    }
+
+    /**
+     * Pick the side of a double bond to draw the second line on
+     * @param {Molecule} molecule - Molecule being drawn
+     * @param {Object} bond - Double bond
+     * @param {Array<Object>} points - Pixel coordinates
+     * @returns {number} 1 or -1 for a side, 0 for a centred pair
+     */
+    getDoubleBondSide(molecule, bond, points) {
+        const a = points[bond.begin];
+        const b = points[bond.end];
+        const cross = point => (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+
+        // Ring bonds: towards the centre of the smallest ring containing the bond
+        const ring = molecule.getRings()
+            .filter(candidate => candidate.includes(bond.begin) && candidate.includes(bond.end))
+            .sort((x, y) => x.length - y.length)[0];
+
+        if (ring) {
+            const centre = this.centroid(ring.map(atom => points[atom]));
+            return cross(centre) > 0 ? 1 : -1;
+        }
+
+        const others = [
+            ...molecule.getNeighbors(bond.begin).filter(atom => atom !== bond.end),
+            ...molecule.getNeighbors(bond.end).filter(atom => atom !== bond.begin)
+        ];
+
+        // Terminal double bonds (C=O) and symmetric ones are drawn centred
+        if (molecule.getNeighbors(bond.begin).length === 1 || molecule.getNeighbors(bond.end).length === 1) {
+            return 0;
+        }
+
+        const balance = others.reduce((sum, atom) => sum + Math.sign(cross(points[atom])), 0);
+        return balance === 0 ? 0 : Math.sign(balance);
+    }
+
+    /**
+     * Draw a translucent highlight under a group of atoms and the bonds between them
+     * @param {Molecule} molecule - Molecule being drawn
+     * @param {Object} highlight - Highlight with atoms (indices) and color
+     * @param {Array<Object>} points - Pixel coordinates
+     * @returns {string} Highlight markup
+     */
+    drawHighlight(molecule, highlight, points) {
+        const { bondLength } = this.options;
+        const atoms = new Set(highlight.atoms);
+        const color = this.escapeXml(highlight.color || '#f59e0b');
+
+        const bonds = molecule.bonds
+            .filter(bond => atoms.has(bond.begin) && atoms.has(bond.end))
+            .map(bond => this.line(points[bond.begin], points[bond.end]))
+            .join('');
+        const circles = [...atoms]
+            .filter(atom => points[atom])
+            .map(atom => `<circle cx="${this.format(points[atom].x)}" cy="${this.format(points[atom].y)}" r="${this.format(bondLength * 0.3)}"/>`)
+            .join('');
+
+        return `<g class="molecule-depiction__highlight" opacity="0.4">`
+            + `<g stroke="${color}" stroke-width="${this.format(bondLength * 0.36)}" stroke-linecap="round">${bonds}</g>`
+            + `<g fill="${color}">${circles}</g>`
+            + '</g>';
+    }
+
+    /**
+     * Draw circles inside fully aromatic rings
+     * @param {Molecule} molecule - Molecule being drawn
+     * @param {Array<Object>} points - Pixel coordinates
+     * @param {Array<string>} shapes - Shape markup (appended)
+     */
+    drawAromaticRings(molecule, points, shapes) {
+        const { bondLength, lineWidth } = this.options;
+
+        molecule.getRings().forEach(ring => {
+            if (!this.isAromaticRing(molecule, ring)) return;
+
+            const centre = this.centroid(ring.map(atom => points[atom]));
+            const inradius = bondLength / (2 * Math.tan(Math.PI / ring.length));
+            shapes.push(`<circle cx="${this.format(centre.x)}" cy="${this.format(centre.y)}" r="${this.format(inradius * 0.6)}" fill="none" stroke-width="${lineWidth}"/>`);
+        });
+    }
+
+    /**
+     * Check whether every bond of a ring is aromatic
+     * @param {Molecule} molecule - Molecule being drawn
+     * @param {Array<number>} ring - Ring atom path
+     * @returns {boolean} Whether the ring is aromatic
+     */
+    isAromaticRing(molecule, ring) {
+        return ring.every((atom, i) => molecule.getBond(atom, ring[(i + 1) % ring.length]).aromatic);
+    }
+
+    /**
+     * Check whether an aromatic bond is covered by a ring circle
+     * @param {Molecule} molecule - Molecule being drawn
+     * @param {Object} bond - Bond to check
+     * @returns {boolean} Whether an aromatic ring contains the bond
+     */
+    isInAromaticRing(molecule, bond) {
+        return molecule.getRings().some(ring => ring.includes(bond.begin) && ring.includes(bond.end) && this.isAromaticRing(molecule, ring));
+    }
+
+    /**
+     * Choose wedge/hash bonds that express tetrahedral chirality
+     * @param {Molecule} molecule - Molecule being drawn
+     * @param {Array<Object>} points - Pixel coordinates
+     * @returns {Map<number, Object>} Wedge descriptions keyed by bond index
+     */
+    assignWedges(molecule, points) {
+        const wedges = new Map();
+
+        molecule.atoms.forEach(atom => {
+            if (atom.chirality !== '@' && atom.chirality !== '@@') return;
+
+            const order = [...atom.neighborOrder];
+            if (order.length === 3 && !order.includes('H')) {
+                // Lone pair takes the implicit hydrogen's place
+                order.splice(atom.hasPrecedingAtom ? 1 : 0, 0, 'H');
+            }
+            if (order.length !== 4) return;
+
+            const heavy = order.filter(item => typeof item === 'number');
+            const candidate = this.chooseWedgeNeighbor(molecule, atom.index, heavy, wedges);
+            if (candidate === null) return;
+
+            // Build pseudo-3D vectors with the candidate pointing towards the viewer
+            const centre = points[atom.index];
+            const vectors = new Map();
+            heavy.forEach(neighbor => {
+                const dx = points[neighbor].x - centre.x;
+                const dy = centre.y - points[neighbor].y;
+                const length = Math.hypot(dx, dy) || 1;
+                vectors.set(neighbor, { x: dx / length, y: dy / length, z: neighbor === candidate ? 1 : 0 });
+            });
+
+            if (order.includes('H')) {
+                const sum = [...vectors.values()].reduce((acc, v) => ({ x: acc.x + v.x, y: acc.y + v.y }), { x: 0, y: 0 });
+                vectors.set('H', { x: -sum.x, y: -sum.y, z: -1 });
+            }
+
+            const [a, b, c, d] = order.map(item => vectors.get(item));
+            const volume = this.signedVolume(a, b, c, d);
+            if (Math.abs(volume) < 1e-6) return;
+
+            // '@' (anticlockwise) corresponds to a negative signed volume
+            const wantNegative = atom.chirality === '@';
+            wedges.set(molecule.getBond(atom.index, candidate).index, {
+                from: atom.index,
+                type: (volume < 0) === wantNegative ? 'wedge' : 'hash'
+            });
+        });
+
+        return wedges;
+    }
+
+    /**
+     * Pick the neighbour whose bond will carry the wedge
+     * @param {Molecule} molecule - Molecule being drawn
+     * @param {number} centre - Stereocentre atom index
+     * @param {Array<number>} neighbors - Heavy neighbour indices
+     * @param {Map<number, Object>} wedges - Wedges assigned so far
+     * @returns {number|null} Neighbour index, or null if none is suitable
+     */
+    chooseWedgeNeighbor(molecule, centre, neighbors, wedges) {
+        const scored = neighbors
+            .map(neighbor => {
+                const bond = molecule.getBond(centre, neighbor);
+                if (bond.order !== 1 || bond.aromatic || wedges.has(bond.index)) return null;
+
+                let score = 0;
+                if (molecule.atoms[neighbor].chirality) score += 8;
+                if (molecule.isBondInRing(bond.index)) score += 4;
+                score += molecule.getNeighbors(neighbor).length;
+                return { neighbor, score };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.score - b.score);
+
+        return scored.length ? scored[0].neighbor : null;
+    }
+
+    /**
+     * Signed volume of the tetrahedron spanned by four vectors
+     * @returns {number} (b - a) · ((c - a) × (d - a))
+     */
+    signedVolume(a, b, c, d) {
+        const u = { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+        const v = { x: c.x - a.x, y: c.y - a.y, z: c.z - a.z };
+        const w = { x: d.x - a.x, y: d.y - a.y, z: d.z - a.z };
+
+        return u.x * (v.y * w.z - v.z * w.y) - u.y * (v.x * w.z - v.z * w.x) + u.z * (v.x * w.y - v.y * w.x);
+    }
+
+    /**
+     * Shorten a bond so it does not run into atom labels
+     * @returns {Array<Object>} Trimmed start and end points
+     */
+    trimBond(start, end, startLabel, endLabel) {
+        const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+        const ux = (end.x - start.x) / length;
+        const uy = (end.y - start.y) / length;
+        const gap = this.options.fontSize * 0.6;
+        const startGap = startLabel ? gap : 0;
+        const endGap = endLabel ? gap : 0;
+
+        return [
+            { x: start.x + ux * startGap, y: start.y + uy * startGap },
+            { x: end.x - ux * endGap, y: end.y - uy * endGap }
+        ];
+    }
+
+    /**
+     * Offset a segment sideways and optionally shorten it at both ends
+     * @returns {Array<Object>} Offset start and end points
+     */
+    offsetSegment(start, end, offset, shorten) {
+        const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+        const ux = (end.x - start.x) / length;
+        const uy = (end.y - start.y) / length;
+        const trim = length * shorten;
+
+        // Normal chosen so that positive offsets match getDoubleBondSide(+1)
+        const nx = -uy;
+        const ny = ux;
+
+        return [
+            { x: start.x + nx * offset + ux * trim, y: start.y + ny * offset + uy * trim },
+            { x: end.x + nx * offset - ux * trim, y: end.y + ny * offset - uy * trim }
+        ];
+    }
+
+    /**
+     * Solid wedge polygon (stereo bond towards the viewer)
+     * @returns {string} Polygon markup
+     */
+    wedgeShape(narrow, wide) {
+        const halfWidth = this.options.bondLength * 0.12;
+        const length = Math.hypot(wide.x - narrow.x, wide.y - narrow.y) || 1;
+        const nx = -(wide.y - narrow.y) / length;
+        const ny = (wide.x - narrow.x) / length;
+
+        const corners = [
+            narrow,
+            { x: wide.x + nx * halfWidth, y: wide.y + ny * halfWidth },
+            { x: wide.x - nx * halfWidth, y: wide.y - ny * halfWidth }
+        ];
+
+        return `<polygon points="${corners.map(point => `${this.format(point.x)},${this.format(point.y)}`).join(' ')}"/>`;
+    }
+
+    /**
+     * Hashed wedge (stereo bond away from the viewer)
+     * @returns {string} Line markup
+     */
+    hashShape(narrow, wide) {
+        const halfWidth = this.options.bondLength * 0.12;
+        const length = Math.hypot(wide.x - narrow.x, wide.y - narrow.y) || 1;
+        const nx = -(wide.y - narrow.y) / length;
+        const ny = (wide.x - narrow.x) / length;
+        const steps = 6;
+        const hashes = [];
+
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const cx = narrow.x + (wide.x - narrow.x) * t;
+            const cy = narrow.y + (wide.y - narrow.y) * t;
+            const w = halfWidth * t;
+            hashes.push(this.line({ x: cx + nx * w, y: cy + ny * w }, { x: cx - nx * w, y: cy - ny * w }));
+        }
+
+        return `<g fill="none">${hashes.join('')}</g>`;
+    }
+
+    /**
+     * Draw an atom label with hydrogens, charge and isotope
+     * @param {Object} label - Label description
+     * @param {Object} point - Atom position
+     * @returns {string} Text markup
+     */
+    drawLabel(label, point) {
+        const { fontSize } = this.options;
+        const small = Math.round(fontSize * 0.7);
+        const charWidth = fontSize * 0.62;
+
+        const hydrogenText = label.hydrogens > 0
+            ? `<tspan>H</tspan>${label.hydrogens > 1 ? `<tspan font-size="${small}" dy="${this.format(fontSize * 0.3)}">${label.hydrogens}</tspan><tspan dy="${this.format(-fontSize * 0.3)}"></tspan>` : ''}`
+            : '';
+        const isotopeText = label.isotope !== null ? `<tspan font-size="${small}" dy="${this.format(-fontSize * 0.35)}">${label.isotope}</tspan><tspan dy="${this.format(fontSize * 0.35)}"></tspan>` : '';
+        const chargeText = label.charge ? `<tspan font-size="${small}" dy="${this.format(-fontSize * 0.4)}">${this.formatCharge(label.charge)}</tspan>` : '';
+        const symbolText = `<tspan>${this.escapeXml(label.symbol)}</tspan>`;
+
+        // Keep the element symbol itself centred on the atom position
+        const symbolWidth = charWidth * label.symbol.length;
+
+        if (label.hydrogensLeft && hydrogenText) {
+            const x = point.x + symbolWidth / 2;
+            return `<text x="${this.format(x)}" y="${this.format(point.y)}" text-anchor="end" fill="${label.color}">${hydrogenText}${isotopeText}${symbolText}${chargeText}</text>`;
+        }
+
+        const isotopeWidth = label.isotope !== null ? small * 0.6 * String(label.isotope).length : 0;
+        const x = point.x - symbolWidth / 2 - isotopeWidth;
+        return `<text x="${this.format(x)}" y="${this.format(point.y)}" text-anchor="start" fill="${label.color}">${isotopeText}${symbolText}${hydrogenText}${chargeText}</text>`;
+    }
+
+    /**
+     * Format a formal charge as a superscript string
+     * @param {number} charge - Formal charge
+     * @returns {string} e.g. "+", "2+", "−"
+     */
+    formatCharge(charge) {
+        const sign = charge > 0 ? '+' : '−';
+        const magnitude = Math.abs(charge);
+        return magnitude === 1 ? sign : `${magnitude}${sign}`;
+    }
+
+    /**
+     * Bounding box of atoms, widened for labels
+     * @returns {Object} minX, maxX, minY, maxY
+     */
+    getBounds(points, labels) {
+        const { fontSize } = this.options;
+        const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+
+        points.forEach((point, index) => {
+            const label = labels[index];
+            let left = 0;
+            let right = 0;
+            let vertical = 0;
+
+            if (label) {
+                const extra = (label.hydrogens > 0 ? 1.6 : 0) + (label.charge ? 1 : 0) + (label.isotope !== null ? 1 : 0);
+                const halfSymbol = fontSize * 0.31 * label.symbol.length;
+                left = halfSymbol + (label.hydrogensLeft ? extra * fontSize * 0.62 : 0);
+                right = halfSymbol + (label.hydrogensLeft ? 0 : extra * fontSize * 0.62);
+                vertical = fontSize * 0.6;
+            }
+
+            bounds.minX = Math.min(bounds.minX, point.x - left);
+            bounds.maxX = Math.max(bounds.maxX, point.x + right);
+            bounds.minY = Math.min(bounds.minY, point.y - vertical);
+            bounds.maxY = Math.max(bounds.maxY, point.y + vertical);
+        });
+
+        return bounds;
+    }
+
+    /**
+     * SVG line element between two points
+     * @returns {string} Line markup
+     */
+    line(a, b) {
+        return `<line x1="${this.format(a.x)}" y1="${this.format(a.y)}" x2="${this.format(b.x)}" y2="${this.format(b.y)}"/>`;
+    }
+
+    /**
+     * Average of a list of points
+     * @param {Array<Object>} points - Points with x and y
+     * @returns {Object} Centroid point
+     */
+    centroid(points) {
+        const sum = points.reduce((acc, point) => ({ x: acc.x + point.x, y: acc.y + point.y }), { x: 0, y: 0 });
+        return { x: sum.x / points.length, y: sum.y / points.length };
+    }
+
+    /**
+     * Round a coordinate for compact markup
+     * @param {number} value - Number to format
+     * @returns {string} Value with at most two decimals
+     */
+    format(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Escape text for use inside SVG markup
+     * @param {string} unsafe - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeXml(unsafe) {
+        return String(unsafe)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * ================================================
+ * MolfileParser Utility
+ * ================================================
+ *
+ * Reads MDL MOL (V2000) blocks and SDF files into Molecule graphs,
+ * the counterpart of MolfileWriter. Hydrogen counts are derived from
+ * the default valences, as a SMILES parser would for organic atoms.
+ *
+ * Features:
+ * - Atom and bond blocks, including aromatic (type 4) bonds
+ * - Charges and isotopes from the atom block or M  CHG/ISO lines
+ * - Explicit valence field (vvv) for hydrogen counts
+ * - SDF records with their name and data fields
+ *
+ * Coordinates and wedge bonds are not interpreted, so stereochemistry
+ * is not read; V3000 blocks are rejected.
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { Molecule } from './Molecule.js';
+import { PeriodicTable } from './PeriodicTable.js';
+
+// Atom block charge codes (column ccc)
+const CHARGE_CODES = { 1: 3, 2: 2, 3: 1, 5: -1, 6: -2, 7: -3 };
+
+// Query and R-group atom symbols, read as "*"
+const WILDCARD_SYMBOLS = new Set(['*', 'A', 'Q', 'R', 'R#', 'L', 'LP']);
+
+// Explicit valence code meaning "no hydrogens, valence 0"
+const ZERO_VALENCE_CODE = 15;
+
+export class MolfileError extends Error {
+    /**
+     * @param {string} message - Human-readable description of the problem
+     * @param {number} line - One-based line number within the MOL block
+     */
+    constructor(message, line) {
+        super(line ? `${message} (line ${line})` : message);
+        this.name = 'MolfileError';
+        this.line = line;
+    }
+}
+
+export class MolfileParser {
+    /**
+     * Parse a single MOL V2000 block
+     * @param {string} block - MOL block (header, counts line, atom and bond blocks)
+     * @returns {Molecule} Parsed molecule with hydrogen counts assigned
+     * @throws {MolfileError} If the block is not a readable V2000 MOL block
+     */
+    parse(block) {
+        const lines = String(block || '').split(/\r?\n/);
+        const counts = lines[3];
+        if (counts === undefined) {
+            throw new MolfileError('MOL block is shorter than its header');
+        }
+        if (/V3000/.test(counts)) {
+            throw new MolfileError('V3000 MOL blocks are not supported', 4);
+        }
+
+        const atomCount = parseInt(counts.slice(0, 3), 10);
+        const bondCount = parseInt(counts.slice(3, 6), 10);
+        if (!Number.isInteger(atomCount) || !Number.isInteger(bondCount)) {
+            throw new MolfileError('Invalid counts line', 4);
+        }
+
+        const molecule = new Molecule();
+        const valences = [];
+
+        for (let i = 0; i < atomCount; i++) {
+            const lineNumber = 5 + i;
+            const line = lines[lineNumber - 1];
+            if (line === undefined) throw new MolfileError('Atom block ends early', lineNumber);
+
+            const symbol = line.slice(31, 34).trim();
+            const element = WILDCARD_SYMBOLS.has(symbol) ? '*' : symbol;
+            const atomicNumber = PeriodicTable.getAtomicNumber(element);
+            if (atomicNumber < 0) throw new MolfileError(`Unknown element '${symbol}'`, lineNumber);
+
+            const massDifference = parseInt(line.slice(34, 36), 10) || 0;
+            molecule.addAtom({
+                element,
+                atomicNumber,
+                charge: CHARGE_CODES[parseInt(line.slice(36, 39), 10)] || 0,
+                isotope: massDifference && atomicNumber > 0
+                    ? Math.round(PeriodicTable.getAverageMass(element)) + massDifference
+                    : null,
+                bracket: true
+            });
+            valences.push(parseInt(line.slice(48, 51), 10) || 0);
+        }
+
+        for (let i = 0; i < bondCount; i++) {
+            const lineNumber = 5 + atomCount + i;
+            const line = lines[lineNumber - 1];
+            if (line === undefined) throw new MolfileError('Bond block ends early', lineNumber);
+
+            const begin = parseInt(line.slice(0, 3), 10) - 1;
+            const end = parseInt(line.slice(3, 6), 10) - 1;
+            const type = parseInt(line.slice(6, 9), 10);
+            if (!molecule.atoms[begin] || !molecule.atoms[end] || begin === end) {
+                throw new MolfileError('Bond refers to a missing atom', lineNumber);
+            }
+            if (![1, 2, 3, 4].includes(type)) {
+                throw new MolfileError(`Unsupported bond type ${type}`, lineNumber);
+            }
+
+            if (type === 4) {
+                molecule.atoms[begin].aromatic = true;
+                molecule.atoms[end].aromatic = true;
+                molecule.addBond(begin, end, 1.5);
+            } else {
+                molecule.addBond(begin, end, type);
+            }
+        }
+
+        this.parseProperties(molecule, lines.slice(4 + atomCount + bondCount));
+        this.assignHydrogens(molecule, valences);
+
+        return molecule;
+    }
+
+    /**
+     * Split an SDF file into records
+     * @param {string} text - SDF file content
+     * @returns {Array<Object>} Records as {name, molecule, fields, error}; molecule is null when the
+     *   block could not be read (error holds the reason)
+     */
+    parseSdf(text) {
+        return String(text || '')
+            .split(/^\$\$\$\$\s*$/m)
+            .filter(record => record.trim())
+            .map(record => {
+                // Leading blank lines left by the "$$$$" separator belong to no record
+                const content = record.replace(/^(\r?\n)+/, '');
+                const [block, data = ''] = content.split(/^M {2}END\s*$/m);
+                const entry = { name: block.split(/\r?\n/)[0].trim(), molecule: null, fields: this.parseDataFields(data), error: null };
+
+                try {
+                    entry.molecule = this.parse(block);
+                } catch (error) {
+                    entry.error = error.message;
+                }
+
+                return entry;
+            });
+    }
+
+    /**
+     * Read the "> <name>" data items that follow a MOL block
+     * @param {string} text - SDF data section
+     * @returns {Object} Field name → value (multi-line values joined with "\n")
+     */
+    parseDataFields(text) {
+        const fields = {};
+        let current = null;
+
+        text.split(/\r?\n/).forEach(line => {
+            const header = line.match(/^>.*<([^>]+)>/);
+            if (header) {
+                current = header[1];
+                fields[current] = '';
+            } else if (current !== null && line.trim() === '') {
+                current = null;
+            } else if (current !== null) {
+                fields[current] = fields[current] ? `${fields[current]}\n${line}` : line;
+            }
+        });
+
+        return fields;
+    }
+
+    /**
+     * Apply M  CHG and M  ISO property lines (they replace the atom block charges and isotopes)
+     * @param {Molecule} molecule - Molecule being read
+     * @param {Array<string>} lines - Lines after the bond block
+     */
+    parseProperties(molecule, lines) {
+        let chargesReset = false;
+        let isotopesReset = false;
+
+        for (const line of lines) {
+            if (line.startsWith('M  END')) break;
+
+            const type = line.slice(3, 6);
+            if (type !== 'CHG' && type !== 'ISO') continue;
+
+            if (type === 'CHG' && !chargesReset) {
+                molecule.atoms.forEach(atom => { atom.charge = 0; });
+                chargesReset = true;
+            }
+            if (type === 'ISO' && !isotopesReset) {
+                molecule.atoms.forEach(atom => { atom.isotope = null; });
+                isotopesReset = true;
+            }
+
+            const values = line.slice(9).trim().split(/\s+/).map(Number);
+            for (let i = 0; i + 1 < values.length; i += 2) {
+                const atom = molecule.atoms[values[i] - 1];
+                if (!atom) continue;
+                if (type === 'CHG') atom.charge = values[i + 1];
+                else atom.isotope = values[i + 1];
+            }
+        }
+    }
+
+    /**
+     * Set each atom's hydrogen count from its explicit valence or the lowest default valence that fits
+     * @param {Molecule} molecule - Molecule being read
+     * @param {Array<number>} valences - Explicit valence field per atom (0 = not set)
+     */
+    assignHydrogens(molecule, valences) {
+        molecule.atoms.forEach(atom => {
+            const bondSum = molecule.getBondOrderSum(atom.index);
+            const explicit = valences[atom.index];
+
+            if (explicit === ZERO_VALENCE_CODE) {
+                atom.hydrogens = 0;
+                return;
+            }
+            if (explicit > 0) {
+                atom.hydrogens = Math.max(0, explicit - bondSum);
+                return;
+            }
+
+            const allowed = PeriodicTable.getChargedValences(atom.element, atom.charge);
+            if (!allowed || atom.atomicNumber === 0) {
+                atom.hydrogens = 0;
+            } else if (atom.aromatic) {
+                // As for aromatic SMILES atoms, one valence goes to the ring's implied double bond
+                atom.hydrogens = Math.max(0, allowed[0] - bondSum - 1);
+            } else {
+                const target = allowed.find(valence => valence >= bondSum);
+                atom.hydrogens = target !== undefined ? target - bondSum : 0;
+            }
+        });
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * ================================================
+ * MolfileWriter Utility
+ * ================================================
+ *
+ * Writes a Molecule as an MDL MOL (V2000) block with 2D coordinates,
+ * the building block of SDF files. Coordinates come from
+ * CoordinateGenerator, so the layout matches the on-screen depiction.
+ *
+ * Features:
+ * - Kekulé bond orders for aromatic rings (falls back to bond type 4)
+ * - Wedge/hash bonds for SMILES tetrahedral stereocentres
+ * - Charges, isotopes and R-group attachment points (M  CHG/ISO/RGP)
+ * - SDF records with data fields
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { CoordinateGenerator } from './CoordinateGenerator.js';
+import { MoleculeRenderer } from './MoleculeRenderer.js';
+import { Kekulizer } from './Kekulizer.js';
+
+// Bond length in Ångström-like units expected by most MOL readers
+const BOND_LENGTH = 1.5;
+
+// MOL V2000 bond stereo codes
+const STEREO_CODES = { wedge: 1, hash: 6 };
+
+// Maximum entries per M  CHG/ISO/RGP property line
+const PROPERTY_ENTRIES_PER_LINE = 8;
+
+export class MolfileWriter {
+    /**
+     * Initialize the MolfileWriter
+     * @param {Object} options - Writer options
+     * @param {string} options.program - Program name written to the header line
+     */
+    constructor(options = {}) {
+        this.options = {
+            program: options.program || 'MolGPT'
+        };
+
+        this.coordinateGenerator = new CoordinateGenerator();
+        this.kekulizer = new Kekulizer();
+
+        // Wedges are chosen exactly as in the SVG depictions
+        this.renderer = new MoleculeRenderer();
+    }
+
+    /**
+     * Write a MOL V2000 block
+     * @param {Molecule} molecule - Molecule to write
+     * @param {Object} options - Per-call options
+     * @param {string} options.name - Molecule name (first header line)
+     * @param {Array<Object>} options.coordinates - Precomputed coordinates (optional)
+     * @returns {string} MOL block ending with "M  END"
+     */
+    write(molecule, options = {}) {
+        const coordinates = options.coordinates || this.coordinateGenerator.generate(molecule);
+        const orders = this.kekulizer.kekulize(molecule);
+
+        // assignWedges works in SVG pixel space (y pointing down)
+        const wedges = this.renderer.assignWedges(molecule, coordinates.map(point => ({ x: point.x, y: -point.y })));
+
+        const lines = [
+            this.sanitizeLine(options.name || '').slice(0, 80),
+            `  ${this.options.program.padEnd(8).slice(0, 8)}${this.formatDate(new Date())}2D`,
+            '',
+            `${this.pad(molecule.atoms.length)}${this.pad(molecule.bonds.length)}  0  0  0  0  0  0  0  0999 V2000`
+        ];
+
+        molecule.atoms.forEach(atom => {
+            const point = coordinates[atom.index];
+            lines.push(
+                `${this.formatCoordinate(point.x)}${this.formatCoordinate(point.y)}${this.formatCoordinate(0)} ` +
+                `${this.getAtomSymbol(atom).padEnd(3)} 0  0  0  0  0  0  0  0  0  0  0  0`
+            );
+        });
+
+        molecule.bonds.forEach(bond => {
+            const wedge = wedges.get(bond.index);
+            const [first, second] = wedge && wedge.from === bond.end ? [bond.end, bond.begin] : [bond.begin, bond.end];
+            const type = this.getBondType(bond, orders);
+            const stereo = wedge ? STEREO_CODES[wedge.type] : 0;
+
+            lines.push(`${this.pad(first + 1)}${this.pad(second + 1)}${this.pad(type)}${this.pad(stereo)}`);
+        });
+
+        lines.push(
+            ...this.createPropertyLines('CHG', molecule.atoms.filter(atom => atom.charge).map(atom => [atom.index + 1, atom.charge])),
+            ...this.createPropertyLines('ISO', molecule.atoms.filter(atom => atom.isotope !== null).map(atom => [atom.index + 1, atom.isotope])),
+            ...this.createPropertyLines('RGP', molecule.atoms.filter(atom => this.isRGroup(atom)).map(atom => [atom.index + 1, atom.atomClass])),
+            'M  END'
+        );
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Write one SDF record (MOL block, data fields and terminator)
+     * @param {Molecule} molecule - Molecule to write
+     * @param {Object} options - Record options
+     * @param {string} options.name - Molecule name
+     * @param {Array<Array>} options.fields - [name, value] data field pairs
+     * @returns {string} SDF record including the "$$$$" line
+     */
+    writeSdfRecord(molecule, options = {}) {
+        const fields = (options.fields || [])
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([name, value]) => `>  <${name}>\n${this.sanitizeLine(String(value))}\n`);
+
+        return [this.write(molecule, options), ...fields, '$$$$'].join('\n') + '\n';
+    }
+
+    /**
+     * Atom symbol as written in the atom block
+     * @param {Object} atom - Atom
+     * @returns {string} Symbol ('R#' for numbered attachment points)
+     */
+    getAtomSymbol(atom) {
+        if (atom.element !== '*') return atom.element;
+        return this.isRGroup(atom) ? 'R#' : '*';
+    }
+
+    /**
+     * Check whether an atom is a numbered attachment point ([*:n], n > 0)
+     * @param {Object} atom - Atom
+     * @returns {boolean} Whether the atom is an R-group
+     */
+    isRGroup(atom) {
+        return atom.element === '*' && atom.atomClass > 0;
+    }
+
+    /**
+     * MOL bond type for a bond
+     * @param {Object} bond - Bond
+     * @param {Map<number, number>|null} orders - Kekulé orders, null if kekulization failed
+     * @returns {number} Bond type (1-3, or 4 for aromatic)
+     */
+    getBondType(bond, orders) {
+        if (!bond.aromatic) return bond.order;
+        return orders ? orders.get(bond.index) : 4;
+    }
+
+    /**
+     * Build M  XXX property lines
+     * @param {string} property - Property code (CHG, ISO, RGP)
+     * @param {Array<Array<number>>} entries - [atom number, value] pairs
+     * @returns {Array<string>} Property lines
+     */
+    createPropertyLines(property, entries) {
+        const lines = [];
+
+        for (let i = 0; i < entries.length; i += PROPERTY_ENTRIES_PER_LINE) {
+            const chunk = entries.slice(i, i + PROPERTY_ENTRIES_PER_LINE);
+            const values = chunk.map(([atom, value]) => ` ${this.pad(atom)} ${this.pad(value)}`).join('');
+            lines.push(`M  ${property}${this.pad(chunk.length)}${values}`);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Format a coordinate as a 10-character fixed-point field
+     * @param {number} value - Coordinate in bond lengths
+     * @returns {string} Formatted field
+     */
+    formatCoordinate(value) {
+        const scaled = value * BOND_LENGTH;
+        return (Math.abs(scaled) < 5e-5 ? 0 : scaled).toFixed(4).padStart(10);
+    }
+
+    /**
+     * Right-align an integer in a 3-character field
+     * @param {number} value - Integer value
+     * @returns {string} Formatted field
+     */
+    pad(value) {
+        return String(value).padStart(3);
+    }
+
+    /**
+     * Format the header timestamp (MMDDYYHHmm)
+     * @param {Date} date - Date to format
+     * @returns {string} Timestamp
+     */
+    formatDate(date) {
+        const two = value => String(value).padStart(2, '0');
+        return `${two(date.getMonth() + 1)}${two(date.getDate())}${two(date.getFullYear() % 100)}${two(date.getHours())}${two(date.getMinutes())}`;
+    }
+
+    /**
+     * Make a value safe for a single MOL/SDF line
+     * @param {string} value - Text value
+     * @returns {string} Text without line breaks
+     */
+    sanitizeLine(value) {
+        return value.replace(/[\r\n]+/g, ' ');
+    }
+}
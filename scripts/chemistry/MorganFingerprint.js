@@ -0,0 +1,192 @@
+/**
+ * ================================================
+ * MorganFingerprint Utility
+ * ================================================
+ *
+ * Circular (Morgan/ECFP-style) fingerprints and Tanimoto similarity.
+ * Each heavy atom starts with a hashed invariant that is grown over
+ * its neighbourhood once per radius; every distinct environment sets
+ * one bit of a folded bit vector. Radius 2 corresponds to ECFP4.
+ *
+ * Features:
+ * - Daylight-like atom invariants (element, degree, H count, charge, isotope, ring membership)
+ * - Duplicate environments (same bond set) are only counted once
+ * - Configurable radius and bit vector length (default ECFP4, 2048 bits)
+ * - Tanimoto coefficient on the folded bit vectors
+ *
+ * Bit positions depend on this module's hash function, so fingerprints
+ * are comparable with each other but not with RDKit's bit numbering.
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+const DEFAULT_RADIUS = 2;
+const DEFAULT_BITS = 2048;
+
+// Bond codes used when hashing neighbourhoods
+const AROMATIC_BOND_CODE = 4;
+
+export class MorganFingerprint {
+    /**
+     * Initialize the fingerprint generator
+     * @param {Object} options - Fingerprint options
+     * @param {number} options.radius - Number of neighbourhood iterations (2 = ECFP4)
+     * @param {number} options.bits - Bit vector length (multiple of 32)
+     */
+    constructor(options = {}) {
+        this.radius = options.radius ?? DEFAULT_RADIUS;
+        this.bits = options.bits ?? DEFAULT_BITS;
+
+        if (this.bits <= 0 || this.bits % 32 !== 0) {
+            throw new Error(`Fingerprint length must be a positive multiple of 32, got ${this.bits}`);
+        }
+    }
+
+    /**
+     * Calculate the folded fingerprint of a molecule
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {Uint32Array} Bit vector (32 bits per word)
+     */
+    calculate(molecule) {
+        const fingerprint = new Uint32Array(this.bits / 32);
+        this.getIdentifiers(molecule).forEach(identifier => {
+            const bit = identifier % this.bits;
+            fingerprint[bit >>> 5] |= 1 << (bit & 31);
+        });
+        return fingerprint;
+    }
+
+    /**
+     * Unfolded environment identifiers of a molecule
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {Array<number>} Distinct unsigned 32-bit identifiers
+     */
+    getIdentifiers(molecule) {
+        // Explicit [H] atoms are folded into their neighbour's hydrogen count
+        const heavy = molecule.atoms.filter(atom => atom.atomicNumber !== 1).map(atom => atom.index);
+        const identifiers = [];
+        const seenEnvironments = new Set();
+
+        let current = new Map(heavy.map(index => [index, this.getAtomInvariant(molecule, index)]));
+        let environments = new Map(heavy.map(index => [index, new Set()]));
+        current.forEach(identifier => identifiers.push(identifier));
+
+        for (let layer = 1; layer <= this.radius; layer++) {
+            const next = new Map();
+            const nextEnvironments = new Map();
+            const candidates = [];
+
+            heavy.forEach(index => {
+                const environment = new Set(environments.get(index));
+                const neighbours = [];
+
+                molecule.getAtomBonds(index).forEach(bond => {
+                    const neighbour = molecule.getOtherAtom(bond, index);
+                    if (!current.has(neighbour)) return;
+
+                    neighbours.push([bond.aromatic ? AROMATIC_BOND_CODE : bond.order, current.get(neighbour)]);
+                    environment.add(bond.index);
+                    environments.get(neighbour).forEach(bondIndex => environment.add(bondIndex));
+                });
+
+                // Neighbour order must not depend on atom numbering
+                neighbours.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+                const identifier = this.hash([layer, current.get(index), ...neighbours.flat()]);
+
+                next.set(index, identifier);
+                nextEnvironments.set(index, environment);
+                candidates.push({ identifier, key: [...environment].sort((a, b) => a - b).join(',') });
+            });
+
+            // Equal bond sets describe the same substructure; keep the lowest identifier once
+            candidates
+                .sort((a, b) => a.identifier - b.identifier)
+                .forEach(({ identifier, key }) => {
+                    if (key === '' || seenEnvironments.has(key)) return;
+                    seenEnvironments.add(key);
+                    identifiers.push(identifier);
+                });
+
+            current = next;
+            environments = nextEnvironments;
+        }
+
+        return [...new Set(identifiers)];
+    }
+
+    /**
+     * Hashed starting invariant of a heavy atom
+     * @param {Molecule} molecule - Parsed molecule
+     * @param {number} index - Atom index
+     * @returns {number} Unsigned 32-bit invariant
+     */
+    getAtomInvariant(molecule, index) {
+        const atom = molecule.atoms[index];
+        const explicitHydrogens = molecule.getNeighbors(index)
+            .filter(neighbour => molecule.atoms[neighbour].atomicNumber === 1).length;
+
+        return this.hash([
+            atom.atomicNumber,
+            molecule.getHeavyDegree(index),
+            molecule.getHydrogenCount(index) + explicitHydrogens,
+            atom.charge,
+            atom.isotope || 0,
+            molecule.isAtomInRing(index) ? 1 : 0
+        ]);
+    }
+
+    /**
+     * Combine integers into an unsigned 32-bit hash (boost::hash_combine scheme)
+     * @param {Array<number>} values - Integers to hash
+     * @returns {number} Unsigned 32-bit hash
+     */
+    hash(values) {
+        let seed = 0;
+        values.forEach(value => {
+            seed = (seed ^ ((value | 0) + 0x9e3779b9 + (seed << 6) + (seed >>> 2))) >>> 0;
+        });
+        return seed;
+    }
+
+    /**
+     * Number of set bits in a fingerprint
+     * @param {Uint32Array} fingerprint - Bit vector
+     * @returns {number} Set bit count
+     */
+    getBitCount(fingerprint) {
+        return fingerprint.reduce((sum, word) => sum + this.popCount(word), 0);
+    }
+
+    /**
+     * Tanimoto coefficient of two fingerprints (|A ∩ B| / |A ∪ B|)
+     * @param {Uint32Array} a - First bit vector
+     * @param {Uint32Array} b - Second bit vector of the same length
+     * @returns {number} Similarity between 0 and 1 (0 when both are empty)
+     */
+    tanimoto(a, b) {
+        if (a.length !== b.length) {
+            throw new Error('Fingerprints must have the same length');
+        }
+
+        let common = 0;
+        let union = 0;
+        for (let i = 0; i < a.length; i++) {
+            common += this.popCount(a[i] & b[i]);
+            union += this.popCount(a[i] | b[i]);
+        }
+
+        return union === 0 ? 0 : common / union;
+    }
+
+    /**
+     * Count the set bits of a 32-bit word
+     * @param {number} word - 32-bit integer
+     * @returns {number} Set bit count
+     */
+    popCount(word) {
+        let value = word - ((word >>> 1) & 0x55555555);
+        value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+        return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+    }
+}
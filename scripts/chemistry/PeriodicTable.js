@@ -0,0 +1,124 @@
+/**
+ * ================================================
+ * PeriodicTable Utility
+ * ================================================
+ *
+ * Element data used by the client-side chemistry modules.
+ * Provides symbols, atomic numbers, average masses and the
+ * default valences used for implicit hydrogen and valence checks.
+ *
+ * Features:
+ * - Lookup by symbol or atomic number
+ * - Standard atomic weights (mass number of the most stable
+ *   isotope for elements without a standard weight)
+ * - Default valence lists for common main-group elements
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// [symbol, average mass] indexed by atomic number - 1
+const ELEMENT_DATA = [
+    ['H', 1.008], ['He', 4.0026], ['Li', 6.94], ['Be', 9.0122], ['B', 10.81],
+    ['C', 12.011], ['N', 14.007], ['O', 15.999], ['F', 18.998], ['Ne', 20.180],
+    ['Na', 22.990], ['Mg', 24.305], ['Al', 26.982], ['Si', 28.085], ['P', 30.974],
+    ['S', 32.06], ['Cl', 35.45], ['Ar', 39.948], ['K', 39.098], ['Ca', 40.078],
+    ['Sc', 44.956], ['Ti', 47.867], ['V', 50.942], ['Cr', 51.996], ['Mn', 54.938],
+    ['Fe', 55.845], ['Co', 58.933], ['Ni', 58.693], ['Cu', 63.546], ['Zn', 65.38],
+    ['Ga', 69.723], ['Ge', 72.630], ['As', 74.922], ['Se', 78.971], ['Br', 79.904],
+    ['Kr', 83.798], ['Rb', 85.468], ['Sr', 87.62], ['Y', 88.906], ['Zr', 91.224],
+    ['Nb', 92.906], ['Mo', 95.95], ['Tc', 98], ['Ru', 101.07], ['Rh', 102.91],
+    ['Pd', 106.42], ['Ag', 107.87], ['Cd', 112.41], ['In', 114.82], ['Sn', 118.71],
+    ['Sb', 121.76], ['Te', 127.60], ['I', 126.90], ['Xe', 131.29], ['Cs', 132.91],
+    ['Ba', 137.33], ['La', 138.91], ['Ce', 140.12], ['Pr', 140.91], ['Nd', 144.24],
+    ['Pm', 145], ['Sm', 150.36], ['Eu', 151.96], ['Gd', 157.25], ['Tb', 158.93],
+    ['Dy', 162.50], ['Ho', 164.93], ['Er', 167.26], ['Tm', 168.93], ['Yb', 173.05],
+    ['Lu', 174.97], ['Hf', 178.49], ['Ta', 180.95], ['W', 183.84], ['Re', 186.21],
+    ['Os', 190.23], ['Ir', 192.22], ['Pt', 195.08], ['Au', 196.97], ['Hg', 200.59],
+    ['Tl', 204.38], ['Pb', 207.2], ['Bi', 208.98], ['Po', 209], ['At', 210],
+    ['Rn', 222], ['Fr', 223], ['Ra', 226], ['Ac', 227], ['Th', 232.04],
+    ['Pa', 231.04], ['U', 238.03], ['Np', 237], ['Pu', 244], ['Am', 243],
+    ['Cm', 247], ['Bk', 247], ['Cf', 251], ['Es', 252], ['Fm', 257],
+    ['Md', 258], ['No', 259], ['Lr', 266], ['Rf', 267], ['Db', 268],
+    ['Sg', 269], ['Bh', 270], ['Hs', 277], ['Mt', 278], ['Ds', 281],
+    ['Rg', 282], ['Cn', 285], ['Nh', 286], ['Fl', 289], ['Mc', 290],
+    ['Lv', 293], ['Ts', 294], ['Og', 294]
+];
+
+// Allowed valences, lowest first. Elements missing here are not valence-checked.
+const DEFAULT_VALENCES = {
+    H: [1], He: [0], Li: [1], Be: [2], B: [3], C: [4], N: [3, 5], O: [2], F: [1], Ne: [0],
+    Na: [1], Mg: [2], Al: [3], Si: [4], P: [3, 5], S: [2, 4, 6], Cl: [1], Ar: [0],
+    K: [1], Ca: [2], Ge: [4], As: [3, 5], Se: [2, 4, 6], Br: [1], Kr: [0],
+    Sn: [2, 4], Sb: [3, 5], Te: [2, 4, 6], I: [1, 3, 5], Xe: [0]
+};
+
+// Build lookup maps once at module load
+const SYMBOL_TO_NUMBER = new Map(ELEMENT_DATA.map(([symbol], index) => [symbol, index + 1]));
+
+export class PeriodicTable {
+    /**
+     * Check whether a symbol is a known element
+     * @param {string} symbol - Element symbol (case-sensitive, e.g. "Cl")
+     * @returns {boolean} Whether the symbol names an element
+     */
+    static isElement(symbol) {
+        return SYMBOL_TO_NUMBER.has(symbol);
+    }
+
+    /**
+     * Get the atomic number for a symbol
+     * @param {string} symbol - Element symbol, or "*" for a wildcard atom
+     * @returns {number} Atomic number (0 for "*", -1 if unknown)
+     */
+    static getAtomicNumber(symbol) {
+        if (symbol === '*') return 0;
+        return SYMBOL_TO_NUMBER.get(symbol) ?? -1;
+    }
+
+    /**
+     * Get the element symbol for an atomic number
+     * @param {number} atomicNumber - Atomic number
+     * @returns {string|null} Element symbol, "*" for 0, or null if out of range
+     */
+    static getSymbol(atomicNumber) {
+        if (atomicNumber === 0) return '*';
+        return ELEMENT_DATA[atomicNumber - 1]?.[0] ?? null;
+    }
+
+    /**
+     * Get the standard atomic weight of an element
+     * @param {string} symbol - Element symbol
+     * @returns {number} Average mass in g/mol (0 for unknown symbols and "*")
+     */
+    static getAverageMass(symbol) {
+        const atomicNumber = PeriodicTable.getAtomicNumber(symbol);
+        return atomicNumber > 0 ? ELEMENT_DATA[atomicNumber - 1][1] : 0;
+    }
+
+    /**
+     * Get the allowed valences of an element
+     * @param {string} symbol - Element symbol
+     * @returns {Array<number>|null} Valences in ascending order, or null if unconstrained
+     */
+    static getDefaultValences(symbol) {
+        return DEFAULT_VALENCES[symbol] || null;
+    }
+
+    /**
+     * Get the valences of a charged atom using the isoelectronic element
+     * (e.g. N+ behaves like C, O- behaves like F)
+     * @param {string} symbol - Element symbol
+     * @param {number} charge - Formal charge
+     * @returns {Array<number>|null} Valences in ascending order, or null if unconstrained
+     */
+    static getChargedValences(symbol, charge = 0) {
+        if (!charge) return PeriodicTable.getDefaultValences(symbol);
+
+        const atomicNumber = PeriodicTable.getAtomicNumber(symbol);
+        if (atomicNumber <= 0) return null;
+
+        const isoelectronic = PeriodicTable.getSymbol(atomicNumber - charge);
+        return isoelectronic ? PeriodicTable.getDefaultValences(isoelectronic) : null;
+    }
+}
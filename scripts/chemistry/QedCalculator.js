@@ -0,0 +1,190 @@
+/**
+ * ================================================
+ * QedCalculator Utility
+ * ================================================
+ *
+ * Quantitative estimate of drug-likeness (QED; Bickerton et al.,
+ * Nat. Chem. 2012, 4, 90): eight properties are mapped onto
+ * desirability functions fitted to oral drugs and combined into a
+ * weighted geometric mean between 0 (unfavourable) and 1 (drug-like).
+ *
+ * Features:
+ * - Published asymmetric double-sigmoid parameters and mean weights
+ * - QED acceptor patterns and SMARTS donor count
+ * - Strict rotatable bond count (amide and ester C-X bonds excluded)
+ * - Aromatic ring count over the smallest set of smallest rings
+ * - Alert count from the published QED structural alert list (116
+ *   SMARTS, as in the RDKit reference implementation), so scores match
+ *   RDKit's QED
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { DescriptorCalculator } from './DescriptorCalculator.js';
+import { SubstructureMatcher } from './SubstructureMatcher.js';
+
+// Asymmetric double-sigmoid parameters per property (A, B, C, D, E, F, DMAX)
+const DESIRABILITY_PARAMETERS = {
+    MW: [2.817065973, 392.5754953, 290.7489764, 2.419764353, 49.22325677, 65.37051707, 104.9805561],
+    ALOGP: [3.172690585, 137.8624751, 2.534937431, 4.581497897, 0.822739154, 0.576295591, 131.3186604],
+    HBA: [2.948620388, 160.4605972, 3.615294657, 4.435986202, 0.290141953, 1.300669958, 148.7763046],
+    HBD: [1.618662227, 1010.051101, 0.985094388, 0.000000001, 0.713820843, 0.920922555, 258.1632616],
+    PSA: [1.876861559, 125.2232657, 62.90773554, 87.83366614, 12.01999824, 28.51324732, 104.5686167],
+    ROTB: [0.010000000, 272.4121427, 2.558379970, 1.565547684, 1.271567166, 2.758063707, 105.4420403],
+    AROM: [3.217788970, 957.7374108, 2.274627939, 0.000000001, 1.317690384, 0.375760881, 312.3372610],
+    ALERTS: [0.010000000, 1199.094025, -0.09002883, 0.000000001, 0.185904477, 0.875193782, 417.7253140]
+};
+
+// Mean weights of the weighted QED (QED_w,mo)
+const PROPERTY_WEIGHTS = {
+    MW: 0.66,
+    ALOGP: 0.46,
+    HBA: 0.05,
+    HBD: 0.61,
+    PSA: 0.06,
+    ROTB: 0.65,
+    AROM: 0.48,
+    ALERTS: 0.95
+};
+
+// Hydrogen-bond acceptor patterns of the QED reference implementation (every match counts)
+const ACCEPTOR_SMARTS = [
+    '[oH0;X2]',
+    '[OH1;X2;v2]',
+    '[OH0;X2;v2]',
+    '[OH0;X1;v2]',
+    '[O-;X1]',
+    '[SH0;X2;v2]',
+    '[SH0;X1;v2]',
+    '[S-;X1]',
+    '[nH0;X2]',
+    '[NH0;X1;v3]',
+    '[$([N;+0;X3;v3]);!$(N[C,S]=O)]'
+];
+
+// Hydrogen-bond donor atoms (N-H, protonated N-H, O-H, S-H and aromatic n-H)
+const DONOR_SMARTS = '[N&!H0&v3,N&!H0&+1&v4,O&H1&+0,S&H1&+0,n&H1&+0]';
+
+// Rotatable bonds, strict definition of the QED reference implementation
+const ROTATABLE_BOND_SMARTS = '[!$(*#*)&!D1&!$(C(F)(F)F)&!$(C(Cl)(Cl)Cl)&!$(C(Br)(Br)Br)&!$(C([CH3])([CH3])[CH3])'
+    + '&!$([CD3](=[N,O,S])-!@[#7,O,S!D1])&!$([#7,O,S!D1]-!@[CD3]=[N,O,S])&!$([CD3](=[N+])-!@[#7!D1])&!$([#7!D1]-!@[CD3]=[N+])]'
+    + '-,:;!@[!$(*#*)&!D1&!$(C(F)(F)F)&!$(C(Cl)(Cl)Cl)&!$(C(Br)(Br)Br)&!$(C([CH3])([CH3])[CH3])]';
+
+// Structural alerts of the published QED (Bickerton et al., supplementary data); ALERTS is the
+// number of patterns that match at least once
+const QED_ALERT_SMARTS = [
+    '*1[O,S,N]*1', '[S,C](=[O,S])[F,Br,Cl,I]', '[CX4][Cl,Br,I]', '[#6]S(=O)(=O)O[#6]',
+    '[$([CH]),$(CC)]#CC(=O)[#6]', '[$([CH]),$(CC)]#CC(=O)O[#6]', 'n[OH]',
+    '[$([CH]),$(CC)]#CS(=O)(=O)[#6]', 'C=C(C=O)C=O', 'n1c([F,Cl,Br,I])cccc1', '[CH1](=O)', '[#8][#8]',
+    '[C;!R]=[N;!R]', '[N!R]=[N!R]', '[#6](=O)[#6](=O)', '[#16][#16]', '[#7][NH2]', 'C(=O)N[NH2]', '[#6]=S',
+    '[$([CH2]),$([CH][CX4]),$(C([CX4])[CX4])]=[$([CH2]),$([CH][CX4]),$(C([CX4])[CX4])]',
+    'C1(=[O,N])C=CC(=[O,N])C=C1', 'C1(=[O,N])C(=[O,N])C=CC=C1', 'a21aa3a(aa1aaaa2)aaaa3',
+    'a31a(a2a(aa1)aaaa2)aaaa3', 'a1aa2a3a(a1)A=AA=A3=AA=A2', 'c1cc([NH2])ccc1',
+    '[Hg,Fe,As,Sb,Zn,Se,se,Te,B,Si,Na,Ca,Ge,Ag,Mg,K,Ba,Sr,Be,Ti,Mo,Mn,Ru,Pd,Ni,Cu,Au,Cd,Al,Ga,Sn,Rh,Tl,Bi,Nb,Li,Pb,Hf,Ho]',
+    'I', 'OS(=O)(=O)[O-]', '[N+](=O)[O-]', 'C(=O)N[OH]', 'C1NC(=O)NC(=O)1', '[SH]', '[S-]',
+    'c1ccc([Cl,Br,I,F])c([Cl,Br,I,F])c1[Cl,Br,I,F]', 'c1cc([Cl,Br,I,F])cc([Cl,Br,I,F])c1[Cl,Br,I,F]',
+    '[CR1]1[CR1][CR1][CR1][CR1][CR1][CR1]1', '[CR1]1[CR1][CR1]cc[CR1][CR1]1',
+    '[CR2]1[CR2][CR2][CR2][CR2][CR2][CR2][CR2]1', '[CR2]1[CR2][CR2]cc[CR2][CR2][CR2]1',
+    '[CH2R2]1N[CH2R2][CH2R2][CH2R2][CH2R2][CH2R2]1', '[CH2R2]1N[CH2R2][CH2R2][CH2R2][CH2R2][CH2R2][CH2R2]1',
+    'C#C', '[OR2,NR2]@[CR2]@[CR2]@[OR2,NR2]@[CR2]@[CR2]@[OR2,NR2]', '[$([N+R]),$([n+R]),$([N+]=C)][O-]',
+    '[#6]=N[OH]', '[#6]=NOC=O', '[#6](=O)[CX4,CR0X3,O][#6](=O)', 'c1ccc2c(c1)ccc(=O)o2',
+    '[O+,o+,S+,s+]', 'N=C=O', '[NX3,NX4][F,Cl,Br,I]', 'c1ccccc1OC(=O)[#6]', '[CR0]=[CR0][CR0]=[CR0]',
+    '[C+,c+,C-,c-]', 'N=[N+]=[N-]', 'C12C(NC(N1)=O)CSC2', 'c1c([OH])c([OH,NH2,NH])ccc1', 'P', '[N,O,S]C#N',
+    'C=C=O', '[Si][F,Cl,Br,I]', '[SX2]O', '[SiR0,CR0](c1ccccc1)(c2ccccc2)(c3ccccc3)', 'O1CCCCC1OC2CCC3CCCCC3C2',
+    'N=[CR0][N,n,O,S]',
+    '[cR2]1[cR2][cR2]([Nv3X3,Nv4X4])[cR2][cR2][cR2]1[cR2]2[cR2][cR2][cR2]([Nv3X3,Nv4X4])[cR2][cR2]2',
+    'C=[C!r]C#N', '[cR2]1[cR2]c([N+0X3R0,nX3R0])c([N+0X3R0,nX3R0])[cR2][cR2]1',
+    '[cR2]1[cR2]c([N+0X3R0,nX3R0])[cR2]c([N+0X3R0,nX3R0])[cR2]1',
+    '[cR2]1[cR2]c([N+0X3R0,nX3R0])[cR2][cR2]c1([N+0X3R0,nX3R0])', '[OH]c1ccc([OH,NH2,NH])cc1',
+    'c1ccccc1OC(=O)O', '[SX2H0][N]', 'c12ccccc1(SC(S)=N2)', 'c12ccccc1(SC(=S)N2)', 'c1nnnn1C=O',
+    's1c(S)nnc1NC=O', 'S1C=CSC1=S', 'C(=O)Onnn', 'OS(=O)(=O)C(F)(F)F', 'N#CC[OH]', 'N#CC(=O)', 'S(=O)(=O)C#N',
+    'N[CH2]C#N', 'C1(=O)NCC1', 'S(=O)(=O)[O-,OH]', 'NC[F,Cl,Br,I]', 'C=[C!r]O', '[NX2+0]=[O+0]',
+    '[OR0,NR0][OR0,NR0]', 'C(=O)O[C,H1].C(=O)O[C,H1].C(=O)O[C,H1]', '[CX2R0][NX3R0]',
+    'c1ccccc1[C;!R]=[C;!R]c2ccccc2', '[NX3R0,NX4R0,OR0,SX2R0][CX4][NX3R0,NX4R0,OR0,SX2R0]',
+    '[s,S,c,C,n,N,o,O]~[n+,N+](~[s,S,c,C,n,N,o,O])(~[s,S,c,C,n,N,o,O])~[s,S,c,C,n,N,o,O]',
+    '[s,S,c,C,n,N,o,O]~[nX3+,NX3+](~[s,S,c,C,n,N])~[s,S,c,C,n,N]', '[*]=[N+]=[*]', '[SX3](=O)[O-,OH]',
+    'N#N', 'F.F.F.F', '[R0;D2][R0;D2][R0;D2][R0;D2]', '[cR,CR]~C(=O)NC(=O)~[cR,CR]', 'C=!@CC=[O,S]',
+    '[#6,#8,#16][#6](=O)O[#6]', 'c[C;R0](=[O,S])[#6]', 'c[SX2][C;!R]', 'C=C=C',
+    'c1nc([F,Cl,Br,I,S])ncc1', 'c1ncnc([F,Cl,Br,I,S])c1', 'c1nc(c2c(n1)nc(n2)[F,Cl,Br,I])',
+    '[#6]S(=O)(=O)c1ccc(cc1)F', '[15N]', '[13C]', '[18O]', '[34S]'
+];
+
+// Desirabilities are kept above zero so the logarithm stays finite
+const MIN_DESIRABILITY = 1e-6;
+
+export class QedCalculator {
+    /**
+     * Initialize the calculator
+     * @param {Object} options - Calculator options
+     * @param {DescriptorCalculator} options.descriptorCalculator - Source of MW, logP and TPSA
+     * @param {SubstructureMatcher} options.matcher - Matcher for the acceptor, donor, rotor and alert patterns
+     */
+    constructor(options = {}) {
+        this.descriptorCalculator = options.descriptorCalculator || new DescriptorCalculator();
+        this.matcher = options.matcher || new SubstructureMatcher();
+    }
+
+    /**
+     * Calculate the QED of a molecule
+     * @param {Molecule} molecule - Parsed molecule
+     * @param {Object|null} descriptors - Descriptors from DescriptorCalculator (computed when omitted)
+     * @returns {Object} {qed, properties, desirabilities} (properties and desirabilities keyed MW, ALOGP, ...)
+     */
+    calculate(molecule, descriptors = null) {
+        const properties = this.getProperties(molecule, descriptors || this.descriptorCalculator.calculate(molecule));
+
+        const desirabilities = {};
+        let weightedSum = 0;
+        let weightTotal = 0;
+
+        Object.entries(PROPERTY_WEIGHTS).forEach(([name, weight]) => {
+            const desirability = Math.max(MIN_DESIRABILITY, this.getDesirability(properties[name], DESIRABILITY_PARAMETERS[name]));
+            desirabilities[name] = desirability;
+            weightedSum += weight * Math.log(desirability);
+            weightTotal += weight;
+        });
+
+        return { qed: Math.exp(weightedSum / weightTotal), properties, desirabilities };
+    }
+
+    /**
+     * The eight QED properties of a molecule
+     * @param {Molecule} molecule - Parsed molecule
+     * @param {Object} descriptors - Descriptors from DescriptorCalculator
+     * @returns {Object} {MW, ALOGP, HBA, HBD, PSA, ROTB, AROM, ALERTS}
+     */
+    getProperties(molecule, descriptors) {
+        return {
+            MW: descriptors.molecularWeight,
+            ALOGP: descriptors.logP,
+            HBA: ACCEPTOR_SMARTS.reduce((sum, smarts) => sum + this.matcher.findMatches(molecule, smarts).length, 0),
+            HBD: this.matcher.findMatches(molecule, DONOR_SMARTS).length,
+            PSA: descriptors.tpsa,
+            ROTB: this.matcher.findMatches(molecule, ROTATABLE_BOND_SMARTS).length,
+            AROM: this.getAromaticRingCount(molecule),
+            ALERTS: QED_ALERT_SMARTS.filter(smarts => this.matcher.hasMatch(molecule, smarts)).length
+        };
+    }
+
+    /**
+     * Count the rings whose atoms are all aromatic
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {number} Aromatic ring count
+     */
+    getAromaticRingCount(molecule) {
+        return molecule.getRings().filter(ring => ring.every(index => molecule.atoms[index].aromatic)).length;
+    }
+
+    /**
+     * Asymmetric double-sigmoid desirability, scaled to a maximum of 1
+     * @param {number} value - Property value
+     * @param {Array<number>} parameters - [A, B, C, D, E, F, DMAX]
+     * @returns {number} Desirability
+     */
+    getDesirability(value, [a, b, c, d, e, f, dmax]) {
+        const rise = 1 + Math.exp(-(value - c + d / 2) / e);
+        const fall = 1 + Math.exp(-(value - c - d / 2) / f);
+        return (a + (b / rise) * (1 - 1 / fall)) / dmax;
+    }
+}
@@ -0,0 +1,326 @@
+/**
+ * ================================================
+ * ReferenceLibrary Utility
+ * ================================================
+ *
+ * A user-supplied set of known compounds (e.g. an in-house collection)
+ * that generated molecules are checked against for novelty. Compounds
+ * are kept as canonical SMILES, so a result is "known" when its
+ * canonical SMILES is in the library; otherwise its nearest neighbour
+ * is found by ECFP4 Tanimoto similarity.
+ *
+ * Features:
+ * - Reads .smi (SMILES and optional name), .csv (SMILES/name columns by header) and .sdf files
+ * - SDF records use a SMILES data field when present (keeps stereo), else the structure
+ * - Import and indexing run in small time slices with progress callbacks
+ * - Exact lookup by canonical SMILES
+ * - Nearest neighbour search pruned by bit counts (Tanimoto ≤ min/max of the two counts)
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { SmilesParser } from './SmilesParser.js';
+import { SmilesWriter } from './SmilesWriter.js';
+import { MolfileParser } from './MolfileParser.js';
+import { CanonicalSmiles } from './CanonicalSmiles.js';
+import { MorganFingerprint } from './MorganFingerprint.js';
+
+// Largest library kept; further compounds are ignored
+const MAX_COMPOUNDS = 50000;
+
+// Work per time slice before yielding to the browser
+const SLICE_MS = 12;
+
+// Header names recognised in CSV files (case-insensitive)
+const SMILES_HEADER = /^(canonical[ _]?)?smiles$/i;
+const NAME_HEADER = /^(name|id|title|compound[ _]?(id|name)|mol[ _]?(id|name))$/i;
+
+export class ReferenceLibrary {
+    /**
+     * Initialize an empty library
+     * @param {Object} options - Library options
+     * @param {SmilesParser} options.smilesParser - Shared SMILES parser
+     * @param {MorganFingerprint} options.fingerprint - Fingerprint generator (must match the results')
+     * @param {number} options.maxCompounds - Largest number of compounds kept
+     */
+    constructor(options = {}) {
+        this.smilesParser = options.smilesParser || new SmilesParser();
+        this.fingerprint = options.fingerprint || new MorganFingerprint();
+        this.maxCompounds = options.maxCompounds ?? MAX_COMPOUNDS;
+
+        this.smilesWriter = new SmilesWriter();
+        this.molfileParser = new MolfileParser();
+        this.canonicalSmiles = new CanonicalSmiles({ smilesParser: this.smilesParser });
+
+        this.compounds = [];
+        this.canonicalIndex = new Map();
+        this.fingerprintIndex = null;
+    }
+
+    /**
+     * Read the entries of a library file
+     * @param {string} text - File content
+     * @param {string} fileName - File name; the extension selects the format (.sdf/.sd, .csv, else SMILES)
+     * @returns {Array<Object>} Entries as {smiles, molecule, name, error}; SDF entries without a
+     *   SMILES field carry the parsed molecule instead
+     */
+    readFile(text, fileName = '') {
+        const extension = (fileName.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+
+        if (extension === 'sdf' || extension === 'sd') {
+            return this.molfileParser.parseSdf(text).map(record => {
+                const smilesField = Object.keys(record.fields).find(key => SMILES_HEADER.test(key));
+                const idField = Object.keys(record.fields).find(key => NAME_HEADER.test(key));
+                const smiles = smilesField ? record.fields[smilesField].trim() : null;
+
+                return {
+                    smiles,
+                    molecule: smiles ? null : record.molecule,
+                    name: record.name || (idField ? record.fields[idField].trim() : ''),
+                    error: smiles ? null : record.error
+                };
+            });
+        }
+
+        const lines = String(text || '').split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+        return extension === 'csv' ? this.readCsv(lines) : this.readSmiles(lines);
+    }
+
+    /**
+     * Read "SMILES name" lines (whitespace separated; a "smiles" header line is skipped)
+     * @param {Array<string>} lines - Non-empty lines
+     * @returns {Array<Object>} Entries as {smiles, name}
+     */
+    readSmiles(lines) {
+        return lines
+            .map(line => {
+                const [smiles, ...name] = line.trim().split(/\s+/);
+                return { smiles, molecule: null, name: name.join(' '), error: null };
+            })
+            .filter(entry => !SMILES_HEADER.test(entry.smiles));
+    }
+
+    /**
+     * Read CSV rows, taking the SMILES and name columns from the header when there is one
+     * (first and second column otherwise)
+     * @param {Array<string>} lines - Non-empty lines
+     * @returns {Array<Object>} Entries as {smiles, name}
+     */
+    readCsv(lines) {
+        if (lines.length === 0) return [];
+
+        const delimiter = lines[0].includes(',') ? ',' : (lines[0].includes(';') ? ';' : '\t');
+        const rows = lines.map(line => this.splitCsvLine(line, delimiter));
+
+        let smilesColumn = rows[0].findIndex(cell => SMILES_HEADER.test(cell.trim()));
+        let nameColumn = rows[0].findIndex(cell => NAME_HEADER.test(cell.trim()));
+        const hasHeader = smilesColumn >= 0;
+        if (!hasHeader) {
+            smilesColumn = 0;
+            nameColumn = rows[0].length > 1 ? 1 : -1;
+        }
+
+        return rows.slice(hasHeader ? 1 : 0)
+            .map(row => ({
+                smiles: (row[smilesColumn] || '').trim(),
+                molecule: null,
+                name: nameColumn >= 0 ? (row[nameColumn] || '').trim() : '',
+                error: null
+            }))
+            .filter(entry => entry.smiles);
+    }
+
+    /**
+     * Split one CSV line, honouring double-quoted cells
+     * @param {string} line - CSV line
+     * @param {string} delimiter - Cell delimiter
+     * @returns {Array<string>} Cells
+     */
+    splitCsvLine(line, delimiter) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell);
+
+        return cells;
+    }
+
+    /**
+     * Canonicalize file entries into library compounds
+     * @param {Array<Object>} entries - Entries from readFile()
+     * @param {Function} onProgress - Called with the fraction done after each time slice
+     * @returns {Promise<Object>} {compounds: [{smiles, name}], read, skipped, duplicates, truncated}
+     */
+    async createCompounds(entries, onProgress = () => {}) {
+        const compounds = [];
+        const seen = new Set();
+        let skipped = 0;
+        let duplicates = 0;
+
+        await this.processInSlices(entries, entry => {
+            if (compounds.length >= this.maxCompounds) return;
+
+            let canonical;
+            try {
+                if (entry.error || (!entry.smiles && !entry.molecule)) throw new Error(entry.error || 'No structure');
+                // Molfile structures go through SMILES so aromaticity is perceived as for the results
+                canonical = this.canonicalSmiles.fromSmiles(entry.smiles || this.smilesWriter.write(entry.molecule));
+            } catch (error) {
+                skipped++;
+                return;
+            }
+
+            if (seen.has(canonical)) {
+                duplicates++;
+                return;
+            }
+            seen.add(canonical);
+            compounds.push({ smiles: canonical, name: entry.name || '' });
+        }, onProgress);
+
+        const truncated = compounds.length >= this.maxCompounds
+            ? entries.length - skipped - duplicates - compounds.length
+            : 0;
+
+        return { compounds, read: entries.length, skipped, duplicates, truncated: Math.max(0, truncated) };
+    }
+
+    /**
+     * Replace the library contents and fingerprint every compound
+     * @param {Array<Object>} compounds - Compounds as {smiles (canonical), name}
+     * @param {Function} onProgress - Called with the fraction indexed after each time slice
+     * @returns {Promise<void>} Resolves when the library can be searched
+     */
+    async load(compounds, onProgress = () => {}) {
+        this.compounds = compounds.slice(0, this.maxCompounds);
+        this.canonicalIndex = new Map(this.compounds.map(compound => [compound.smiles, compound]));
+        this.fingerprintIndex = null;
+
+        const index = [];
+        await this.processInSlices(this.compounds, compound => {
+            try {
+                const fingerprint = this.fingerprint.calculate(this.smilesParser.parse(compound.smiles));
+                index.push({ compound, fingerprint, bits: this.fingerprint.getBitCount(fingerprint) });
+            } catch (error) {
+                // Stored SMILES are canonical output, so this only happens for edited storage
+                console.warn(`⚠️ Reference compound ${compound.smiles} could not be parsed:`, error.message);
+            }
+        }, onProgress);
+
+        this.fingerprintIndex = index.sort((a, b) => a.bits - b.bits);
+    }
+
+    /**
+     * Whether the library has compounds and its fingerprints are ready
+     * @returns {boolean} Ready state
+     */
+    isReady() {
+        return this.fingerprintIndex !== null && this.compounds.length > 0;
+    }
+
+    /**
+     * Number of compounds in the library
+     * @returns {number} Compound count
+     */
+    getSize() {
+        return this.compounds.length;
+    }
+
+    /**
+     * Library compound with exactly this canonical SMILES
+     * @param {string} canonical - Canonical SMILES (see CanonicalSmiles)
+     * @returns {Object|null} Compound ({smiles, name}) or null when not in the library
+     */
+    findExact(canonical) {
+        return this.canonicalIndex.get(canonical) || null;
+    }
+
+    /**
+     * Most similar library compound by Tanimoto similarity
+     * Compounds are visited outward from the query's bit count and the search stops once
+     * the best possible similarity of the remaining ones cannot beat the best found.
+     * @param {Uint32Array} fingerprint - Query fingerprint (same generator as the library)
+     * @returns {Object|null} {compound, similarity}, or null for an empty library
+     */
+    findNearest(fingerprint) {
+        const index = this.fingerprintIndex || [];
+        if (index.length === 0) return null;
+
+        const bits = this.fingerprint.getBitCount(fingerprint);
+        const bound = count => (Math.max(count, bits) === 0 ? 1 : Math.min(count, bits) / Math.max(count, bits));
+
+        // First entry with at least as many bits as the query
+        let low = 0;
+        let high = index.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (index[middle].bits < bits) low = middle + 1;
+            else high = middle;
+        }
+
+        let up = low;
+        let down = low - 1;
+        let best = null;
+
+        while (up < index.length || down >= 0) {
+            const upBound = up < index.length ? bound(index[up].bits) : -1;
+            const downBound = down >= 0 ? bound(index[down].bits) : -1;
+            const useUp = upBound >= downBound;
+            if (best && Math.max(upBound, downBound) <= best.similarity) break;
+
+            const entry = useUp ? index[up++] : index[down--];
+            const similarity = this.fingerprint.tanimoto(fingerprint, entry.fingerprint);
+            if (!best || similarity > best.similarity) {
+                best = { compound: entry.compound, similarity };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Run a function over items in time slices, yielding to the event loop in between
+     * @param {Array} items - Items to process
+     * @param {Function} callback - Called with each item
+     * @param {Function} onProgress - Called with the fraction processed after each slice
+     * @returns {Promise<void>} Resolves when all items are processed
+     */
+    async processInSlices(items, callback, onProgress) {
+        let next = 0;
+
+        while (next < items.length) {
+            const deadline = performance.now() + SLICE_MS;
+            while (next < items.length && performance.now() < deadline) {
+                callback(items[next]);
+                next++;
+            }
+
+            onProgress(next / items.length);
+            if (next < items.length) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+    }
+}
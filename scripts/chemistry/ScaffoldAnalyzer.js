@@ -0,0 +1,446 @@
+/**
+ * ================================================
+ * ScaffoldAnalyzer Utility
+ * ================================================
+ *
+ * Checks whether generated molecules still contain the scaffold they
+ * were decorated from (splitting them into core and R-group atoms), and
+ * whether linked molecules kept both input fragments (extracting the
+ * linker between them).
+ *
+ * Features:
+ * - Scaffolds from a SMILES string and/or the text of a .smi file
+ * - "*" attachment points are left out of the core query; hydrogen counts are not fixed
+ * - Attachment points numbered R1, R2, ... ("[*:n]" keeps n, plain "*" takes the next free number)
+ * - Largest matching scaffold wins when several are given
+ * - Core and R-group atom sets for highlighting
+ * - R-group decomposition per attachment point; substituents elsewhere on the core are reported apart
+ * - Fragment retention with non-overlapping fragment matches
+ * - Linker SMILES, length (atoms on the shortest path), rotatable bonds and rings
+ * - Bemis–Murcko scaffolds (ring systems and linkers) as canonical SMILES
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { SmilesParser } from './SmilesParser.js';
+import { SmartsParser } from './SmartsParser.js';
+import { SubstructureMatcher } from './SubstructureMatcher.js';
+import { SmilesWriter } from './SmilesWriter.js';
+import { DescriptorCalculator } from './DescriptorCalculator.js';
+import { CanonicalSmiles } from './CanonicalSmiles.js';
+
+// Upper bound on scaffolds read from a file (each one is matched against every result)
+const MAX_SCAFFOLDS = 100;
+
+// Matches tried per fragment when looking for a non-overlapping, linked pair
+const MAX_FRAGMENT_MATCHES = 20;
+
+// Matches tried per scaffold when symmetric cores allow several R-group assignments
+const MAX_SCAFFOLD_MATCHES = 20;
+
+export class ScaffoldAnalyzer {
+    /**
+     * Initialize the analyzer
+     * @param {Object} options - Analyzer options
+     * @param {SmilesParser} options.smilesParser - Shared SMILES parser
+     * @param {SubstructureMatcher} options.matcher - Shared substructure matcher (keeps per-molecule caches)
+     */
+    constructor(options = {}) {
+        this.smilesParser = options.smilesParser || new SmilesParser();
+        this.smartsParser = new SmartsParser();
+        this.matcher = options.matcher || new SubstructureMatcher();
+        this.smilesWriter = new SmilesWriter();
+        this.descriptorCalculator = new DescriptorCalculator();
+        this.canonicalSmiles = new CanonicalSmiles({ smilesParser: this.smilesParser });
+    }
+
+    /**
+     * Read scaffold SMILES from a .smi file: first column per line, "#" comments and a "smiles" header skipped
+     * @param {string} text - File content
+     * @returns {Array<string>} SMILES strings
+     */
+    parseSmilesFile(text) {
+        return String(text || '')
+            .split(/\r?\n/)
+            .map(line => line.trim().split(/[\s,;]+/)[0])
+            .filter(smiles => smiles && !smiles.startsWith('#') && smiles.toLowerCase() !== 'smiles');
+    }
+
+    /**
+     * Number the "*" attachment points of a scaffold and store the number as their atom class
+     * "[*:n]" keeps n; plain "*" (and "[*:0]") take the lowest unused numbers in SMILES order.
+     * @param {Molecule} molecule - Parsed scaffold (atom classes of "*" atoms are updated)
+     * @returns {Array<Object>} Attachment points as {label, atom, anchor} sorted by label;
+     *   anchor is the scaffold atom the point hangs off, or null for a lone "*"
+     */
+    labelAttachmentPoints(molecule) {
+        const dummies = molecule.atoms.filter(atom => atom.element === '*');
+        const used = new Set(dummies.map(atom => atom.atomClass).filter(label => label > 0));
+
+        let next = 1;
+        dummies.forEach(atom => {
+            if (atom.atomClass > 0) return;
+            while (used.has(next)) next++;
+            atom.atomClass = next;
+            used.add(next);
+        });
+
+        return dummies
+            .map(atom => {
+                const anchor = molecule.getNeighbors(atom.index).find(neighbor => molecule.atoms[neighbor].element !== '*');
+                return { label: atom.atomClass, atom: atom.index, anchor: anchor ?? null };
+            })
+            .sort((a, b) => a.label - b.label || a.atom - b.atom);
+    }
+
+    /**
+     * Parse a scaffold or fragment into a substructure query
+     * @param {string} smiles - Scaffold/fragment SMILES
+     * @returns {Object} {smiles, molecule, query, size, attachments, locked}; each attachment is
+     *   {label, atom, anchor, queryAnchor} with queryAnchor the anchor's index in the query, and
+     *   locked holds the labels that should stay unsubstituted (empty; filled in by the caller)
+     * @throws {SmilesError|Error} If the SMILES is invalid or has only attachment points
+     */
+    createCore(smiles) {
+        const molecule = this.smilesParser.parse(smiles);
+        const attachments = this.labelAttachmentPoints(molecule);
+
+        // R-groups replace hydrogens, so "[nH]" in a scaffold also matches a substituted n
+        const query = this.smartsParser.fromMolecule(molecule, { skipDummyAtoms: true, ignoreHydrogenCounts: true });
+        if (query.atoms.length === 0) {
+            throw new Error('No atoms besides attachment points');
+        }
+
+        attachments.forEach(attachment => {
+            attachment.queryAnchor = attachment.anchor === null ? null : query.sourceAtoms.indexOf(attachment.anchor);
+        });
+
+        return { smiles, molecule, query, size: query.atoms.length, attachments, locked: new Set() };
+    }
+
+    /**
+     * Parse scaffolds into core queries
+     * @param {Array<string>} smilesList - Scaffold SMILES (duplicates are ignored)
+     * @returns {Object} {scaffolds: [{smiles, molecule, query, size}], errors: [{smiles, message}], truncated}
+     */
+    createScaffolds(smilesList) {
+        const unique = [...new Set(smilesList.map(smiles => smiles.trim()).filter(Boolean))];
+        const scaffolds = [];
+        const errors = [];
+
+        unique.slice(0, MAX_SCAFFOLDS).forEach(smiles => {
+            try {
+                scaffolds.push(this.createCore(smiles));
+            } catch (error) {
+                errors.push({ smiles, message: error.message });
+            }
+        });
+
+        // Larger cores first, so the most specific scaffold is reported
+        scaffolds.sort((a, b) => b.size - a.size);
+
+        return { scaffolds, errors, truncated: unique.length > MAX_SCAFFOLDS };
+    }
+
+    /**
+     * Find the scaffold core in a molecule
+     * @param {Molecule} molecule - Generated molecule
+     * @param {Array<Object>} scaffolds - Scaffolds from createScaffolds()
+     * @returns {Object} {preserved, scaffold, match, core, rGroups, decomposition}; match follows the query atoms,
+     *   core/rGroups are sorted atom indices, decomposition is null for scaffolds without attachment points
+     */
+    analyze(molecule, scaffolds) {
+        for (const scaffold of scaffolds) {
+            const hasAttachments = scaffold.attachments.length > 0;
+            const matches = this.matcher.findMatches(molecule, scaffold.query, {
+                maxMatches: hasAttachments ? MAX_SCAFFOLD_MATCHES : 1,
+                unique: !hasAttachments
+            });
+            if (matches.length === 0) continue;
+
+            // Symmetric cores match several ways; keep the one that explains the substituents best
+            let best = { match: matches[0], decomposition: null };
+            if (hasAttachments) {
+                matches.forEach(match => {
+                    const decomposition = this.decompose(molecule, scaffold, match);
+                    if (!best.decomposition || this.compareDecompositions(decomposition, best.decomposition) < 0) {
+                        best = { match, decomposition };
+                    }
+                });
+            }
+
+            const core = [...best.match].sort((a, b) => a - b);
+            const coreSet = new Set(core);
+            const rGroups = molecule.atoms
+                .filter(atom => !coreSet.has(atom.index) && atom.atomicNumber !== 1)
+                .map(atom => atom.index);
+
+            return { preserved: true, scaffold, match: best.match, core, rGroups, decomposition: best.decomposition };
+        }
+
+        return { preserved: false, scaffold: null, match: null, core: [], rGroups: [], decomposition: null };
+    }
+
+    /**
+     * Split the substituents of a matched core over the scaffold's attachment points
+     * Each substituent (connected non-core heavy atoms) goes to the attachment point on the core atom it is
+     * bonded to; substituents on core atoms without an attachment point are collected in "other".
+     * @param {Molecule} molecule - Generated molecule
+     * @param {Object} scaffold - Scaffold from createCore(); substituents at its locked labels are flagged
+     * @param {Array<number>} match - Molecule atom per query atom
+     * @returns {Object} {groups: [{label, smiles, atoms, locked}], other: {smiles, atoms}, lockedSubstituted};
+     *   smiles is null where the position only carries hydrogen
+     */
+    decompose(molecule, scaffold, match) {
+        const coreSet = new Set(match);
+        const labelsByAtom = new Map();
+        scaffold.attachments.forEach(({ label, queryAnchor }) => {
+            if (queryAnchor === null || queryAnchor < 0) return;
+            const atom = match[queryAnchor];
+            if (!labelsByAtom.has(atom)) labelsByAtom.set(atom, []);
+            if (!labelsByAtom.get(atom).includes(label)) labelsByAtom.get(atom).push(label);
+        });
+
+        const groupAtoms = new Map(scaffold.attachments.map(({ label }) => [label, []]));
+        const filled = new Set();
+        const otherAtoms = [];
+        const seen = new Set();
+
+        molecule.atoms.forEach(({ index }) => {
+            if (seen.has(index) || coreSet.has(index) || molecule.atoms[index].atomicNumber === 1) return;
+
+            const component = [];
+            const anchors = [];
+            const stack = [index];
+            seen.add(index);
+
+            while (stack.length > 0) {
+                const atom = stack.pop();
+                component.push(atom);
+                molecule.getNeighbors(atom).forEach(neighbor => {
+                    if (coreSet.has(neighbor)) anchors.push(neighbor);
+                    else if (!seen.has(neighbor) && molecule.atoms[neighbor].atomicNumber !== 1) {
+                        seen.add(neighbor);
+                        stack.push(neighbor);
+                    }
+                });
+            }
+
+            // Two attachment points on one core atom take its substituents in turn
+            const labels = anchors.flatMap(anchor => labelsByAtom.get(anchor) || []);
+            const label = labels.find(candidate => !filled.has(candidate)) ?? labels[0];
+            if (label === undefined) {
+                otherAtoms.push(...component);
+                return;
+            }
+
+            filled.add(label);
+            groupAtoms.get(label).push(...component);
+        });
+
+        // Bonds to the core become "[*:n]" for the attachment point, plain "*" elsewhere
+        const write = (atoms, label) => {
+            if (atoms.length === 0) return null;
+            return this.smilesWriter.writeSubstructure(molecule, atoms, { getAttachmentClass: () => label });
+        };
+
+        const groups = [...groupAtoms.entries()].map(([label, atoms]) => {
+            atoms.sort((a, b) => a - b);
+            return { label, smiles: write(atoms, label), atoms, locked: scaffold.locked.has(label) };
+        });
+        otherAtoms.sort((a, b) => a - b);
+
+        return {
+            groups,
+            other: { smiles: write(otherAtoms, null), atoms: otherAtoms },
+            lockedSubstituted: groups.filter(group => group.locked && group.atoms.length > 0).map(group => group.label)
+        };
+    }
+
+    /**
+     * Order two decompositions of the same molecule: fewer substituents off the attachment points first,
+     * then fewer substituted locked positions
+     * @param {Object} a - Decomposition from decompose()
+     * @param {Object} b - Decomposition from decompose()
+     * @returns {number} Negative when a is the better explanation
+     */
+    compareDecompositions(a, b) {
+        return a.other.atoms.length - b.other.atoms.length
+            || a.lockedSubstituted.length - b.lockedSubstituted.length;
+    }
+
+    /**
+     * Check that both fragments survived linking and extract the linker between them
+     * @param {Molecule} molecule - Generated molecule
+     * @param {Array<Object>} fragments - The two fragments from createCore()
+     * @returns {Object} {retained: [bool, bool], linked, fragmentAtoms: [[...], [...]], linker}
+     *   where linker is {atoms, smiles, length, rotatableBonds, rings} or null when the fragments are not linked
+     */
+    analyzeLinker(molecule, fragments) {
+        const [first, second] = fragments.map(fragment => this.matcher.findMatches(molecule, fragment.query, { maxMatches: MAX_FRAGMENT_MATCHES }));
+        const result = { retained: [first.length > 0, second.length > 0], linked: false, fragmentAtoms: [[], []], linker: null };
+        if (first.length === 0 || second.length === 0) {
+            result.fragmentAtoms = [first[0] || [], second[0] || []];
+            return result;
+        }
+
+        // Try every non-overlapping pair and keep the one joined by the smallest linker
+        let best = null;
+        let disjoint = null;
+        first.forEach(matchA => {
+            const atomsA = new Set(matchA);
+            second.forEach(matchB => {
+                if (matchB.some(atom => atomsA.has(atom))) return;
+                disjoint = disjoint || [matchA, matchB];
+
+                const linker = this.findLinkerAtoms(molecule, atomsA, new Set(matchB));
+                if (linker && (!best || linker.length < best.linker.length)) {
+                    best = { matchA, matchB, linker };
+                }
+            });
+        });
+
+        if (!disjoint) {
+            // Both patterns only match the same atoms, so one fragment is missing
+            result.retained = [true, false];
+            result.fragmentAtoms = [first[0], []];
+            return result;
+        }
+
+        if (!best) {
+            result.fragmentAtoms = disjoint;
+            return result;
+        }
+
+        result.linked = true;
+        result.fragmentAtoms = [best.matchA, best.matchB];
+        result.linker = this.describeLinker(molecule, new Set(best.matchA), new Set(best.matchB), best.linker);
+        return result;
+    }
+
+    /**
+     * Atoms outside both fragments that connect them
+     * @param {Molecule} molecule - Generated molecule
+     * @param {Set<number>} atomsA - First fragment atoms
+     * @param {Set<number>} atomsB - Second fragment atoms
+     * @returns {Array<number>|null} Sorted linker atoms ([] for a direct bond), or null if the fragments are not connected
+     */
+    findLinkerAtoms(molecule, atomsA, atomsB) {
+        const directBond = [...atomsA].some(atom => molecule.getNeighbors(atom).some(neighbor => atomsB.has(neighbor)));
+        const seen = new Set();
+        const linker = [];
+
+        // Components of the remaining heavy atoms that touch both fragments form the linker
+        molecule.atoms.forEach(({ index }) => {
+            if (seen.has(index) || atomsA.has(index) || atomsB.has(index) || molecule.atoms[index].atomicNumber === 1) return;
+
+            const component = [];
+            let touchesA = false;
+            let touchesB = false;
+            const stack = [index];
+            seen.add(index);
+
+            while (stack.length > 0) {
+                const atom = stack.pop();
+                component.push(atom);
+                molecule.getNeighbors(atom).forEach(neighbor => {
+                    if (atomsA.has(neighbor)) touchesA = true;
+                    else if (atomsB.has(neighbor)) touchesB = true;
+                    else if (!seen.has(neighbor) && molecule.atoms[neighbor].atomicNumber !== 1) {
+                        seen.add(neighbor);
+                        stack.push(neighbor);
+                    }
+                });
+            }
+
+            if (touchesA && touchesB) linker.push(...component);
+        });
+
+        if (linker.length === 0 && !directBond) return null;
+        return linker.sort((a, b) => a - b);
+    }
+
+    /**
+     * Describe a linker: SMILES with [*:1]/[*:2] towards fragment 1/2, path length, rotatable bonds and rings
+     * @param {Molecule} molecule - Generated molecule
+     * @param {Set<number>} atomsA - First fragment atoms
+     * @param {Set<number>} atomsB - Second fragment atoms
+     * @param {Array<number>} atoms - Linker atoms
+     * @returns {Object} {atoms, smiles, length, rotatableBonds, rings}
+     */
+    describeLinker(molecule, atomsA, atomsB, atoms) {
+        const linkerAtoms = new Set(atoms);
+
+        // Breadth-first search from fragment 1 through the linker to fragment 2
+        const distance = new Map([...atomsA].map(atom => [atom, 0]));
+        const queue = [...atomsA];
+        let length = 0;
+        while (queue.length > 0) {
+            const atom = queue.shift();
+            const next = molecule.getNeighbors(atom).find(neighbor => atomsB.has(neighbor));
+            if (next !== undefined) {
+                length = distance.get(atom);
+                break;
+            }
+            molecule.getNeighbors(atom).forEach(neighbor => {
+                if (linkerAtoms.has(neighbor) && !distance.has(neighbor)) {
+                    distance.set(neighbor, distance.get(atom) + 1);
+                    queue.push(neighbor);
+                }
+            });
+        }
+
+        const rotatableBonds = this.descriptorCalculator.findRotatableBonds(molecule).filter(bond => linkerAtoms.has(bond.begin)
+            || linkerAtoms.has(bond.end)
+            || (atomsA.has(bond.begin) && atomsB.has(bond.end))
+            || (atomsB.has(bond.begin) && atomsA.has(bond.end))).length;
+
+        const rings = molecule.getRings().filter(ring => ring.every(atom => linkerAtoms.has(atom))).length;
+
+        const smiles = atoms.length > 0
+            ? this.smilesWriter.writeSubstructure(molecule, atoms, { getAttachmentClass: atom => (atomsA.has(atom) ? 1 : 2) })
+            : '';
+
+        return { atoms, smiles, length, rotatableBonds, rings };
+    }
+
+    /**
+     * Bemis–Murcko scaffold: the ring systems and the linkers between them, with side chains removed
+     * Atoms double-bonded to the scaffold stay (as in RDKit), so ring carbonyls are kept and rings
+     * such as pyridones remain aromatic. Cut bonds become hydrogens; stereo is not kept.
+     * @param {Molecule} molecule - Generated molecule
+     * @returns {Object} {atoms, smiles} with the canonical scaffold SMILES ('' for acyclic molecules)
+     */
+    getMurckoScaffold(molecule) {
+        const kept = new Set(molecule.atoms.map(atom => atom.index));
+        const degrees = molecule.atoms.map(atom => molecule.getNeighbors(atom.index).length);
+        const isTerminal = index => degrees[index] <= 1 && !molecule.isAtomInRing(index);
+
+        // Strip chain ends until only rings and the paths between them are left
+        const queue = molecule.atoms.map(atom => atom.index).filter(isTerminal);
+        while (queue.length > 0) {
+            const atom = queue.pop();
+            if (!kept.has(atom)) continue;
+            kept.delete(atom);
+
+            molecule.getNeighbors(atom).forEach(neighbor => {
+                if (!kept.has(neighbor)) return;
+                degrees[neighbor]--;
+                if (isTerminal(neighbor)) queue.push(neighbor);
+            });
+        }
+
+        const exocyclic = molecule.bonds
+            .filter(bond => !bond.aromatic && bond.order === 2 && kept.has(bond.begin) !== kept.has(bond.end))
+            .map(bond => (kept.has(bond.begin) ? bond.end : bond.begin));
+        exocyclic.forEach(atom => kept.add(atom));
+
+        const atoms = [...kept].sort((a, b) => a - b);
+        if (atoms.length === 0) return { atoms, smiles: '' };
+
+        // Written and re-read so kept rings are perceived (and ordered) as in any other SMILES
+        const smiles = this.smilesWriter.writeSubstructure(molecule, atoms, { capWithHydrogens: true });
+        return { atoms, smiles: this.canonicalSmiles.fromSmiles(smiles) };
+    }
+}
@@ -0,0 +1,662 @@
+/**
+ * ================================================
+ * SmartsParser Utility
+ * ================================================
+ *
+ * Parses Daylight SMARTS patterns into query graphs for
+ * SubstructureMatcher. Atom and bond expressions become small
+ * expression trees; problems are reported as SmartsError with the
+ * character position, mirroring SmilesError.
+ *
+ * Features:
+ * - Organic-subset, aromatic and bracket atoms, branches, ring closures, dots
+ * - Logical operators with SMARTS precedence (! > & > , > ;)
+ * - Atom primitives: element, #n, *, a, A, D, X, H, h, R, r, x, v, charge, isotope
+ * - Recursive SMARTS ($(...)) and bond primitives (- = # : ~ @ / \)
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { PeriodicTable } from './PeriodicTable.js';
+
+// Atoms that may be written without brackets
+const ORGANIC_SYMBOLS = ['Cl', 'Br', 'B', 'C', 'N', 'O', 'P', 'S', 'F', 'I'];
+const AROMATIC_ORGANIC_SYMBOLS = ['b', 'c', 'n', 'o', 'p', 's'];
+
+// Aromatic symbols allowed inside brackets (two-letter symbols first)
+const AROMATIC_BRACKET_SYMBOLS = ['se', 'as', 'te', 'b', 'c', 'n', 'o', 'p', 's'];
+
+// Bond primitives
+const BOND_PRIMITIVES = {
+    '-': 'single',
+    '=': 'double',
+    '#': 'triple',
+    ':': 'aromatic',
+    '~': 'any',
+    '@': 'ring',
+    '/': 'single',
+    '\\': 'single'
+};
+
+// Characters that may appear in a bond expression outside brackets
+const BOND_CHARACTERS = '-=#:~@/\\!&,;';
+
+// Atom primitives followed by an optional count, with their default count
+const COUNTED_PRIMITIVES = {
+    D: { name: 'degree', fallback: 1 },
+    X: { name: 'connectivity', fallback: 1 },
+    H: { name: 'totalHydrogens', fallback: 1 },
+    h: { name: 'implicitHydrogens', fallback: 1 },
+    v: { name: 'valence', fallback: 1 },
+    R: { name: 'ringCount', fallback: null },
+    r: { name: 'ringSize', fallback: null },
+    x: { name: 'ringConnectivity', fallback: null }
+};
+
+/**
+ * Error raised for invalid SMARTS input
+ */
+export class SmartsError extends Error {
+    /**
+     * @param {string} message - Human-readable description of the problem
+     * @param {number} position - Zero-based character position of the problem
+     * @param {number} length - Number of characters the problem spans
+     */
+    constructor(message, position, length = 1) {
+        super(message);
+        this.name = 'SmartsError';
+        this.position = position;
+        this.length = length;
+    }
+}
+
+export class SmartsParser {
+    /**
+     * Parse a SMARTS pattern into a query graph
+     * @param {string} smarts - SMARTS pattern
+     * @returns {Object} Query with atoms ({expression}), bonds ({begin, end, expression}) and adjacency lists
+     * @throws {SmartsError} If the pattern is invalid
+     */
+    parse(smarts) {
+        if (typeof smarts !== 'string' || smarts.trim().length === 0) {
+            throw new SmartsError('SMARTS is empty', 0);
+        }
+
+        const context = {
+            smarts,
+            index: 0,
+            query: { smarts, atoms: [], bonds: [], adjacency: [] },
+            previousAtom: null,
+            pendingBond: null,
+            lastToken: null,
+            branches: [],
+            ringBonds: new Map()
+        };
+
+        while (context.index < smarts.length) {
+            this.parseToken(context);
+        }
+
+        if (context.pendingBond) {
+            throw new SmartsError('Bond has no atom after it', context.pendingBond.position);
+        }
+        if (context.branches.length > 0) {
+            const branch = context.branches[context.branches.length - 1];
+            throw new SmartsError("Unclosed branch '('", branch.position);
+        }
+        if (context.ringBonds.size > 0) {
+            const [label, ring] = context.ringBonds.entries().next().value;
+            throw new SmartsError(`Ring closure ${label} is never closed`, ring.position, label.length);
+        }
+        if (context.query.atoms.length === 0) {
+            throw new SmartsError('SMARTS contains no atoms', 0);
+        }
+
+        return context.query;
+    }
+
+    /**
+     * Validate a SMARTS pattern without throwing
+     * @param {string} smarts - SMARTS pattern
+     * @returns {Object} Validation result with isValid, error and query
+     */
+    validate(smarts) {
+        try {
+            const query = this.parse(smarts);
+            return { isValid: true, error: null, query };
+        } catch (error) {
+            if (error instanceof SmartsError) {
+                return { isValid: false, error, query: null };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Build a query from a parsed SMILES molecule (used when a search is entered as SMILES)
+     * Atoms keep their element and aromaticity; bracket atoms also fix charge, isotope and
+     * hydrogen count, so "[OH]" means the same as in SMARTS.
+     * @param {Molecule} molecule - Parsed molecule
+     * @param {Object} options - Conversion options
+     * @param {boolean} options.skipDummyAtoms - Leave out "*" atoms (e.g. scaffold attachment points)
+     * @param {boolean} options.ignoreHydrogenCounts - Let bracket atoms match any hydrogen count (substitution sites)
+     * @returns {Object} Query graph in the same shape as parse(), plus sourceAtoms (query → molecule atom index)
+     */
+    fromMolecule(molecule, options = {}) {
+        const query = { smarts: null, atoms: [], bonds: [], adjacency: [], sourceAtoms: [] };
+        const queryIndex = new Map();
+
+        molecule.atoms.forEach(atom => {
+            if (options.skipDummyAtoms && atom.element === '*') return;
+
+            let expression;
+            if (atom.element === '*') {
+                expression = this.createPrimitive('any');
+            } else {
+                const children = [this.createPrimitive('element', { element: atom.element, aromatic: atom.aromatic })];
+                if (atom.bracket) {
+                    children.push(this.createPrimitive('charge', { value: atom.charge }));
+                    if (!options.ignoreHydrogenCounts) {
+                        children.push(this.createPrimitive('totalHydrogens', { value: atom.hydrogens }));
+                    }
+                    if (atom.isotope !== null) children.push(this.createPrimitive('isotope', { value: atom.isotope }));
+                }
+                expression = children.length === 1 ? children[0] : { type: 'and', children };
+            }
+
+            queryIndex.set(atom.index, query.atoms.length);
+            query.atoms.push({ index: query.atoms.length, expression, position: atom.position, length: atom.length });
+            query.adjacency.push([]);
+            query.sourceAtoms.push(atom.index);
+        });
+
+        molecule.bonds.forEach(bond => {
+            if (!queryIndex.has(bond.begin) || !queryIndex.has(bond.end)) return;
+
+            const name = bond.aromatic ? 'aromatic' : { 1: 'single', 2: 'double', 3: 'triple' }[bond.order] || 'any';
+            this.addBond(query, queryIndex.get(bond.begin), queryIndex.get(bond.end), this.createPrimitive(name));
+        });
+
+        return query;
+    }
+
+    /**
+     * Parse the token at the current position
+     * @param {Object} context - Parser state
+     */
+    parseToken(context) {
+        const { smarts } = context;
+        const char = smarts[context.index];
+
+        if (char === '(') {
+            if (context.previousAtom === null) {
+                throw new SmartsError("Branch '(' must follow an atom", context.index);
+            }
+            if (context.pendingBond) {
+                throw new SmartsError("A bond cannot precede '('", context.pendingBond.position);
+            }
+            context.branches.push({ atom: context.previousAtom, position: context.index });
+            context.index++;
+            context.lastToken = 'open';
+            return;
+        }
+
+        if (char === ')') {
+            const branch = context.branches.pop();
+            if (!branch) throw new SmartsError("Unmatched ')'", context.index);
+            if (context.lastToken === 'open') throw new SmartsError('Empty branch', context.index);
+            if (context.pendingBond) throw new SmartsError('Bond has no atom after it', context.pendingBond.position);
+
+            context.previousAtom = branch.atom;
+            context.index++;
+            context.lastToken = 'close';
+            return;
+        }
+
+        if (char === '.') {
+            if (context.previousAtom === null || context.pendingBond) {
+                throw new SmartsError("Unexpected '.'", context.index);
+            }
+            context.previousAtom = null;
+            context.index++;
+            context.lastToken = 'dot';
+            return;
+        }
+
+        if (BOND_CHARACTERS.includes(char)) {
+            if (context.pendingBond) throw new SmartsError('Two bonds in a row', context.index);
+            if (context.previousAtom === null) throw new SmartsError('Bond must follow an atom', context.index);
+
+            const start = context.index;
+            while (context.index < smarts.length && BOND_CHARACTERS.includes(smarts[context.index])) {
+                context.index++;
+            }
+            context.pendingBond = {
+                expression: this.parseExpression(smarts.slice(start, context.index), start, 'bond'),
+                position: start
+            };
+            return;
+        }
+
+        if (/[0-9%]/.test(char)) {
+            this.parseRingClosure(context);
+            return;
+        }
+
+        const start = context.index;
+        const expression = char === '[' ? this.parseBracketAtom(context) : this.parseOrganicAtom(context);
+        this.addAtom(context, expression, start, context.index - start);
+    }
+
+    /**
+     * Parse an atom written without brackets
+     * @param {Object} context - Parser state
+     * @returns {Object} Atom expression
+     */
+    parseOrganicAtom(context) {
+        const { smarts } = context;
+        const char = smarts[context.index];
+
+        if (char === '*' || char === 'a' || char === 'A') {
+            context.index++;
+            return this.createPrimitive({ '*': 'any', a: 'aromatic', A: 'aliphatic' }[char]);
+        }
+
+        const two = smarts.slice(context.index, context.index + 2);
+        const symbol = ORGANIC_SYMBOLS.find(candidate => candidate === two) || ORGANIC_SYMBOLS.find(candidate => candidate === char);
+        if (symbol) {
+            context.index += symbol.length;
+            return this.createPrimitive('element', { element: symbol, aromatic: false });
+        }
+
+        if (AROMATIC_ORGANIC_SYMBOLS.includes(char)) {
+            context.index++;
+            return this.createPrimitive('element', { element: char.toUpperCase(), aromatic: true });
+        }
+
+        throw new SmartsError(`Unexpected character '${char}'`, context.index);
+    }
+
+    /**
+     * Parse a bracket atom such as [#6;R2] or [N;H1,H2;!$(NC=O)]
+     * @param {Object} context - Parser state
+     * @returns {Object} Atom expression
+     */
+    parseBracketAtom(context) {
+        const { smarts } = context;
+        const start = context.index;
+        let depth = 0;
+        let end = start + 1;
+
+        // Find the matching ']' (recursive SMARTS may contain brackets)
+        for (; end < smarts.length; end++) {
+            const char = smarts[end];
+            if (char === '[') depth++;
+            if (char === ']') {
+                if (depth === 0) break;
+                depth--;
+            }
+        }
+
+        if (end >= smarts.length) throw new SmartsError("Unclosed bracket atom '['", start);
+        if (end === start + 1) throw new SmartsError('Empty bracket atom', start, 2);
+
+        context.index = end + 1;
+        return this.parseExpression(smarts.slice(start + 1, end), start + 1, 'atom');
+    }
+
+    /**
+     * Parse a ring-closure digit or %nn label
+     * @param {Object} context - Parser state
+     */
+    parseRingClosure(context) {
+        const { smarts } = context;
+        const start = context.index;
+
+        if (context.previousAtom === null) {
+            throw new SmartsError('Ring closure must follow an atom', start);
+        }
+
+        let label;
+        if (smarts[start] === '%') {
+            label = smarts.slice(start, start + 3);
+            if (!/^%\d\d$/.test(label)) throw new SmartsError("Ring closure '%' must be followed by two digits", start, label.length);
+        } else {
+            label = smarts[start];
+        }
+        context.index += label.length;
+
+        const open = context.ringBonds.get(label);
+        if (!open) {
+            context.ringBonds.set(label, { atom: context.previousAtom, bond: context.pendingBond, position: start });
+            context.pendingBond = null;
+            return;
+        }
+
+        if (open.atom === context.previousAtom) {
+            throw new SmartsError(`Ring closure ${label} connects an atom to itself`, start, label.length);
+        }
+
+        const expression = context.pendingBond?.expression || open.bond?.expression || null;
+        this.addBond(context.query, open.atom, context.previousAtom, expression);
+        context.ringBonds.delete(label);
+        context.pendingBond = null;
+    }
+
+    /**
+     * Add an atom and bond it to the previous atom
+     * @param {Object} context - Parser state
+     * @param {Object} expression - Atom expression
+     * @param {number} position - Character position
+     * @param {number} length - Token length
+     */
+    addAtom(context, expression, position, length) {
+        const { query } = context;
+        const index = query.atoms.length;
+
+        query.atoms.push({ index, expression, position, length });
+        query.adjacency.push([]);
+
+        if (context.previousAtom !== null) {
+            this.addBond(query, context.previousAtom, index, context.pendingBond?.expression || null);
+        }
+
+        context.previousAtom = index;
+        context.pendingBond = null;
+        context.lastToken = 'atom';
+    }
+
+    /**
+     * Add a bond to the query
+     * @param {Object} query - Query graph
+     * @param {number} begin - First atom index
+     * @param {number} end - Second atom index
+     * @param {Object|null} expression - Bond expression (null = single or aromatic)
+     */
+    addBond(query, begin, end, expression) {
+        const index = query.bonds.length;
+        query.bonds.push({ index, begin, end, expression });
+        query.adjacency[begin].push({ atom: end, bond: index });
+        query.adjacency[end].push({ atom: begin, bond: index });
+    }
+
+    /**
+     * Parse an atom or bond expression with SMARTS operator precedence
+     * @param {string} text - Expression text
+     * @param {number} offset - Position of the text in the full pattern
+     * @param {string} kind - 'atom' or 'bond'
+     * @returns {Object} Expression tree
+     */
+    parseExpression(text, offset, kind) {
+        const state = { text, offset, index: 0, kind };
+        const expression = this.parseLowAnd(state);
+
+        if (state.index < text.length) {
+            throw new SmartsError(`Unexpected '${text[state.index]}' in ${kind} expression`, offset + state.index);
+        }
+
+        return expression;
+    }
+
+    /**
+     * Parse ';'-separated terms (lowest precedence AND)
+     * @param {Object} state - Expression parser state
+     * @returns {Object} Expression tree
+     */
+    parseLowAnd(state) {
+        const children = [this.parseOr(state)];
+        while (state.text[state.index] === ';') {
+            state.index++;
+            children.push(this.parseOr(state));
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    /**
+     * Parse ','-separated terms (OR)
+     * @param {Object} state - Expression parser state
+     * @returns {Object} Expression tree
+     */
+    parseOr(state) {
+        const children = [this.parseHighAnd(state)];
+        while (state.text[state.index] === ',') {
+            state.index++;
+            children.push(this.parseHighAnd(state));
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    /**
+     * Parse '&'-separated or juxtaposed terms (highest precedence AND)
+     * @param {Object} state - Expression parser state
+     * @returns {Object} Expression tree
+     */
+    parseHighAnd(state) {
+        const children = [this.parseUnary(state)];
+
+        while (state.index < state.text.length) {
+            const char = state.text[state.index];
+            if (char === '&') {
+                state.index++;
+            } else if (char === ',' || char === ';') {
+                break;
+            }
+            children.push(this.parseUnary(state));
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    /**
+     * Parse an optionally negated primitive
+     * @param {Object} state - Expression parser state
+     * @returns {Object} Expression tree
+     */
+    parseUnary(state) {
+        if (state.text[state.index] === '!') {
+            state.index++;
+            return { type: 'not', child: this.parseUnary(state) };
+        }
+
+        if (state.index >= state.text.length) {
+            throw new SmartsError(`Incomplete ${state.kind} expression`, state.offset + state.index);
+        }
+
+        return state.kind === 'bond' ? this.parseBondPrimitive(state) : this.parseAtomPrimitive(state);
+    }
+
+    /**
+     * Parse a bond primitive
+     * @param {Object} state - Expression parser state
+     * @returns {Object} Primitive node
+     */
+    parseBondPrimitive(state) {
+        const char = state.text[state.index];
+        const name = BOND_PRIMITIVES[char];
+        if (!name) throw new SmartsError(`Unknown bond primitive '${char}'`, state.offset + state.index);
+
+        state.index++;
+        return this.createPrimitive(name);
+    }
+
+    /**
+     * Parse an atom primitive inside brackets
+     * @param {Object} state - Expression parser state
+     * @returns {Object} Primitive node
+     */
+    parseAtomPrimitive(state) {
+        const { text } = state;
+        const start = state.index;
+        const char = text[start];
+        const position = state.offset + start;
+
+        if (char === '$') return this.parseRecursive(state);
+
+        if (/\d/.test(char)) {
+            return this.createPrimitive('isotope', { value: this.readNumber(state) });
+        }
+
+        if (char === '#') {
+            state.index++;
+            const value = this.readNumber(state);
+            if (value === null) throw new SmartsError("'#' must be followed by an atomic number", position);
+            if (!PeriodicTable.getSymbol(value)) throw new SmartsError(`Unknown atomic number ${value}`, position, state.index - start);
+            return this.createPrimitive('element', { element: PeriodicTable.getSymbol(value), aromatic: null });
+        }
+
+        if (char === '+' || char === '-') return this.parseCharge(state);
+
+        if (char === '@') {
+            // Chirality is not checked; consume @, @@ and an optional class such as @TH1
+            while (text[state.index] === '@') state.index++;
+            const chiralClass = /^(TH|AL|SP|TB|OH)\d+/.exec(text.slice(state.index));
+            if (chiralClass) state.index += chiralClass[0].length;
+            if (text[state.index] === '?') state.index++;
+            return this.createPrimitive('any');
+        }
+
+        if (char === ':') {
+            state.index++;
+            if (this.readNumber(state) === null) throw new SmartsError("':' must be followed by an atom class", position);
+            return this.createPrimitive('any');
+        }
+
+        // Checked before 'a' so that [as] is aromatic arsenic
+        const aromatic = AROMATIC_BRACKET_SYMBOLS.find(symbol => text.startsWith(symbol, start));
+        if (aromatic) {
+            state.index += aromatic.length;
+            return this.createPrimitive('element', {
+                element: aromatic[0].toUpperCase() + aromatic.slice(1),
+                aromatic: true
+            });
+        }
+
+        // [H], [H+] and [2H] mean hydrogen atoms rather than "one attached hydrogen"
+        if (char === 'H' && this.isHydrogenAtom(text, start)) {
+            state.index++;
+            return this.createPrimitive('element', { element: 'H', aromatic: false });
+        }
+
+        // Two-letter element symbols take precedence over A and counted primitives (e.g. Ag, Hg, Rb)
+        if (/[A-Z]/.test(char)) {
+            const two = text.slice(start, start + 2);
+            if (two.length === 2 && /[a-z]/.test(two[1]) && PeriodicTable.isElement(two)) {
+                state.index += 2;
+                return this.createPrimitive('element', { element: two, aromatic: false });
+            }
+        }
+
+        if (char === '*' || char === 'a' || char === 'A') {
+            state.index++;
+            return this.createPrimitive({ '*': 'any', a: 'aromatic', A: 'aliphatic' }[char]);
+        }
+
+        if (COUNTED_PRIMITIVES[char]) {
+            const { name, fallback } = COUNTED_PRIMITIVES[char];
+            state.index++;
+            const value = this.readNumber(state);
+            return this.createPrimitive(name, { value: value === null ? fallback : value });
+        }
+
+        if (/[A-Z]/.test(char) && PeriodicTable.isElement(char)) {
+            state.index++;
+            return this.createPrimitive('element', { element: char, aromatic: false });
+        }
+
+        throw new SmartsError(`Unknown atom primitive '${char}'`, position);
+    }
+
+    /**
+     * Parse a recursive SMARTS primitive $(...)
+     * @param {Object} state - Expression parser state
+     * @returns {Object} Primitive node holding the nested query
+     */
+    parseRecursive(state) {
+        const { text } = state;
+        const start = state.index;
+
+        if (text[start + 1] !== '(') {
+            throw new SmartsError("'$' must be followed by '('", state.offset + start);
+        }
+
+        let depth = 0;
+        let end = start + 1;
+        for (; end < text.length; end++) {
+            if (text[end] === '(') depth++;
+            if (text[end] === ')' && --depth === 0) break;
+        }
+        if (end >= text.length) {
+            throw new SmartsError("Unclosed recursive SMARTS '$('", state.offset + start, 2);
+        }
+
+        const inner = text.slice(start + 2, end);
+        let query;
+        try {
+            query = this.parse(inner);
+        } catch (error) {
+            if (!(error instanceof SmartsError)) throw error;
+            throw new SmartsError(error.message, state.offset + start + 2 + error.position, error.length);
+        }
+
+        state.index = end + 1;
+        return this.createPrimitive('recursive', { query });
+    }
+
+    /**
+     * Parse a charge primitive (+, ++, +2, -, --, -1)
+     * @param {Object} state - Expression parser state
+     * @returns {Object} Primitive node
+     */
+    parseCharge(state) {
+        const sign = state.text[state.index];
+        state.index++;
+
+        const value = this.readNumber(state);
+        if (value !== null) {
+            return this.createPrimitive('charge', { value: sign === '+' ? value : -value });
+        }
+
+        let magnitude = 1;
+        while (state.text[state.index] === sign) {
+            magnitude++;
+            state.index++;
+        }
+        return this.createPrimitive('charge', { value: sign === '+' ? magnitude : -magnitude });
+    }
+
+    /**
+     * Check whether an 'H' inside brackets denotes a hydrogen atom
+     * @param {string} text - Bracket contents
+     * @param {number} index - Position of the 'H'
+     * @returns {boolean} Whether the H is an element symbol
+     */
+    isHydrogenAtom(text, index) {
+        const before = text.slice(0, index);
+        const after = text[index + 1];
+        return /^\d*$/.test(before) && (after === undefined || after === '+' || after === '-');
+    }
+
+    /**
+     * Read an unsigned integer at the current position
+     * @param {Object} state - Expression parser state
+     * @returns {number|null} The number, or null if none follows
+     */
+    readNumber(state) {
+        const match = /^\d+/.exec(state.text.slice(state.index));
+        if (!match) return null;
+
+        state.index += match[0].length;
+        return Number(match[0]);
+    }
+
+    /**
+     * Create a primitive expression node
+     * @param {string} name - Primitive name
+     * @param {Object} properties - Primitive properties
+     * @returns {Object} Primitive node
+     */
+    createPrimitive(name, properties = {}) {
+        return { type: 'primitive', name, ...properties };
+    }
+}
@@ -0,0 +1,668 @@
+/**
+ * ================================================
+ * SmilesParser Utility
+ * ================================================
+ *
+ * Tokenizes and parses SMILES strings into a Molecule graph.
+ * Every syntax or chemistry problem is reported as a SmilesError
+ * carrying the character position of the offending token, so the
+ * UI can point at the exact spot in the input.
+ *
+ * Features:
+ * - OpenSMILES atoms, bonds, branches, ring closures and bracket atoms
+ * - Unbalanced parenthesis and unclosed/reused ring-closure detection
+ * - Unknown element and malformed bracket atom detection
+ * - Valence checking with charge-aware valence lists
+ * - Implicit hydrogen assignment
+ * - Aromaticity perception for rings written in Kekulé form
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { Molecule } from './Molecule.js';
+import { PeriodicTable } from './PeriodicTable.js';
+import { AromaticityPerception } from './AromaticityPerception.js';
+
+// Atoms that may be written without brackets
+const ORGANIC_SUBSET = ['Cl', 'Br', 'B', 'C', 'N', 'O', 'P', 'S', 'F', 'I'];
+const AROMATIC_ORGANIC_SUBSET = ['b', 'c', 'n', 'o', 'p', 's'];
+
+// Aromatic symbols allowed inside brackets (two-letter symbols first)
+const AROMATIC_BRACKET_SYMBOLS = ['se', 'as', 'te', 'b', 'c', 'n', 'o', 'p', 's'];
+
+// Bond symbols and their orders (1.5 = aromatic)
+const BOND_ORDERS = {
+    '-': 1,
+    '=': 2,
+    '#': 3,
+    '$': 4,
+    ':': 1.5,
+    '/': 1,
+    '\\': 1
+};
+
+// Chirality classes and their highest permitted index
+const CHIRALITY_CLASSES = { TH: 2, AL: 2, SP: 3, TB: 20, OH: 30 };
+
+/**
+ * Error raised for invalid SMILES input
+ */
+export class SmilesError extends Error {
+    /**
+     * @param {string} message - Human-readable description of the problem
+     * @param {number} position - Zero-based character position of the problem
+     * @param {number} length - Number of characters the problem spans
+     */
+    constructor(message, position, length = 1) {
+        super(message);
+        this.name = 'SmilesError';
+        this.position = position;
+        this.length = Math.max(1, length);
+    }
+}
+
+export class SmilesParser {
+    /**
+     * Initialize the parser
+     * @param {Object} options - Parser options
+     * @param {boolean} options.checkValence - Reject atoms exceeding their allowed valence
+     * @param {boolean} options.perceiveAromaticity - Mark Kekulé rings (C1=CC=CC=C1) as aromatic
+     */
+    constructor(options = {}) {
+        this.options = {
+            checkValence: options.checkValence !== false,
+            perceiveAromaticity: options.perceiveAromaticity !== false
+        };
+
+        this.aromaticityPerception = new AromaticityPerception();
+    }
+
+    /**
+     * Parse a SMILES string into a molecule
+     * @param {string} smiles - SMILES string
+     * @returns {Molecule} Parsed molecule
+     * @throws {SmilesError} If the SMILES is invalid
+     */
+    parse(smiles) {
+        if (typeof smiles !== 'string' || smiles.trim().length === 0) {
+            throw new SmilesError('SMILES is empty', 0);
+        }
+
+        const context = {
+            smiles,
+            index: 0,
+            molecule: new Molecule(),
+            previousAtom: null,
+            pendingBond: null,
+            lastToken: null,
+            branches: [],
+            ringBonds: new Map()
+        };
+
+        while (context.index < smiles.length) {
+            this.parseToken(context);
+        }
+
+        this.checkCompleteness(context);
+        this.finalizeAromaticity(context.molecule);
+        this.assignHydrogens(context.molecule);
+
+        if (this.options.perceiveAromaticity) {
+            this.aromaticityPerception.perceive(context.molecule);
+        }
+
+        return context.molecule;
+    }
+
+    /**
+     * Validate a SMILES string without throwing
+     * @param {string} smiles - SMILES string
+     * @returns {Object} Validation result with isValid, error and molecule
+     */
+    validate(smiles) {
+        try {
+            const molecule = this.parse(smiles);
+            return { isValid: true, error: null, molecule };
+        } catch (error) {
+            if (error instanceof SmilesError) {
+                return { isValid: false, error, molecule: null };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Parse the token at the current position
+     * @param {Object} context - Parser context
+     */
+    parseToken(context) {
+        const { smiles, index } = context;
+        const char = smiles[index];
+
+        if (char === '(') {
+            this.openBranch(context);
+        } else if (char === ')') {
+            this.closeBranch(context);
+        } else if (char === '.') {
+            this.parseDot(context);
+        } else if (char in BOND_ORDERS) {
+            this.parseBond(context);
+        } else if (/[0-9%]/.test(char)) {
+            this.parseRingBond(context);
+        } else if (char === '[') {
+            this.addAtom(context, this.parseBracketAtom(context));
+        } else if (/[A-Za-z*]/.test(char)) {
+            this.addAtom(context, this.parseOrganicAtom(context));
+        } else if (/\s/.test(char)) {
+            throw new SmilesError('SMILES cannot contain whitespace', index);
+        } else {
+            throw new SmilesError(`Unexpected character '${char}'`, index);
+        }
+    }
+
+    /**
+     * Handle an opening parenthesis
+     * @param {Object} context - Parser context
+     */
+    openBranch(context) {
+        const { index } = context;
+
+        if (context.previousAtom === null) {
+            throw new SmilesError('Branch opened before any atom', index);
+        }
+        if (context.pendingBond) {
+            throw new SmilesError('Bond symbol must be inside the branch, not before it', context.pendingBond.position);
+        }
+        if (context.smiles[index + 1] === ')') {
+            throw new SmilesError('Empty branch', index, 2);
+        }
+
+        context.branches.push({ atom: context.previousAtom, position: index });
+        context.lastToken = 'open';
+        context.index++;
+    }
+
+    /**
+     * Handle a closing parenthesis
+     * @param {Object} context - Parser context
+     */
+    closeBranch(context) {
+        const { index } = context;
+
+        if (context.branches.length === 0) {
+            throw new SmilesError('Unbalanced parenthesis: no branch to close', index);
+        }
+        if (context.pendingBond) {
+            throw new SmilesError('Bond symbol is not followed by an atom', context.pendingBond.position);
+        }
+
+        context.previousAtom = context.branches.pop().atom;
+        context.lastToken = 'close';
+        context.index++;
+    }
+
+    /**
+     * Handle a disconnection ('.')
+     * @param {Object} context - Parser context
+     */
+    parseDot(context) {
+        const { index } = context;
+
+        if (context.previousAtom === null || context.pendingBond) {
+            throw new SmilesError("Disconnection '.' must follow an atom", index);
+        }
+        if (index === context.smiles.length - 1) {
+            throw new SmilesError("Disconnection '.' is not followed by an atom", index);
+        }
+
+        context.previousAtom = null;
+        context.lastToken = 'dot';
+        context.index++;
+    }
+
+    /**
+     * Handle a bond symbol
+     * @param {Object} context - Parser context
+     */
+    parseBond(context) {
+        const { index, smiles } = context;
+
+        if (context.previousAtom === null) {
+            throw new SmilesError(`Bond '${smiles[index]}' has no atom before it`, index);
+        }
+        if (context.pendingBond) {
+            throw new SmilesError('Two bond symbols in a row', index);
+        }
+
+        context.pendingBond = { symbol: smiles[index], position: index };
+        context.lastToken = 'bond';
+        context.index++;
+    }
+
+    /**
+     * Handle a ring-closure digit or %nn label
+     * @param {Object} context - Parser context
+     */
+    parseRingBond(context) {
+        const { smiles, index } = context;
+        let label;
+        let length = 1;
+
+        if (smiles[index] === '%') {
+            const digits = smiles.slice(index + 1, index + 3);
+            if (!/^[0-9]{2}$/.test(digits)) {
+                throw new SmilesError("Ring bond '%' must be followed by two digits", index);
+            }
+            label = parseInt(digits, 10);
+            length = 3;
+        } else {
+            label = parseInt(smiles[index], 10);
+        }
+
+        if (context.previousAtom === null || !['atom', 'ring', 'bond'].includes(context.lastToken)) {
+            throw new SmilesError(`Ring bond ${label} must directly follow an atom`, index, length);
+        }
+
+        if (context.ringBonds.has(label)) {
+            this.closeRing(context, label, index, length);
+        } else {
+            this.openRing(context, label, index);
+        }
+
+        context.pendingBond = null;
+        context.lastToken = 'ring';
+        context.index += length;
+    }
+
+    /**
+     * Open a ring bond on the current atom
+     * @param {Object} context - Parser context
+     * @param {number} label - Ring-closure number
+     * @param {number} position - Character position of the label
+     */
+    openRing(context, label, position) {
+        const atom = context.molecule.atoms[context.previousAtom];
+
+        // Reserve the neighbour slot so stereo order matches the written order
+        const slot = { ring: label };
+        atom.neighborOrder.push(slot);
+
+        context.ringBonds.set(label, {
+            atom: context.previousAtom,
+            bond: context.pendingBond,
+            position,
+            slot
+        });
+    }
+
+    /**
+     * Close an open ring bond on the current atom
+     * @param {Object} context - Parser context
+     * @param {number} label - Ring-closure number
+     * @param {number} position - Character position of the label
+     * @param {number} length - Length of the label
+     */
+    closeRing(context, label, position, length) {
+        const { molecule } = context;
+        const opening = context.ringBonds.get(label);
+        const current = context.previousAtom;
+
+        if (opening.atom === current) {
+            throw new SmilesError(`Ring bond ${label} opens and closes on the same atom`, position, length);
+        }
+        if (molecule.getBond(opening.atom, current)) {
+            throw new SmilesError(`Ring bond ${label} reuses a bond that already joins these atoms`, position, length);
+        }
+
+        const bondSymbol = context.pendingBond || opening.bond;
+        const bothAromatic = molecule.atoms[opening.atom].aromatic && molecule.atoms[current].aromatic;
+        const order = this.resolveRingBondOrder(opening.bond, context.pendingBond, label, position)
+            ?? (bothAromatic ? 1.5 : 1);
+
+        molecule.addBond(opening.atom, current, order, {
+            stereo: this.getBondStereo(bondSymbol),
+            explicitAromatic: bondSymbol?.symbol === ':',
+            implicit: !bondSymbol,
+            position: opening.position,
+            ringClosure: label
+        });
+
+        // Fill the reserved slot on the opening atom and record the closing side
+        const slotIndex = molecule.atoms[opening.atom].neighborOrder.indexOf(opening.slot);
+        molecule.atoms[opening.atom].neighborOrder[slotIndex] = current;
+        molecule.atoms[current].neighborOrder.push(opening.atom);
+
+        context.ringBonds.delete(label);
+    }
+
+    /**
+     * Work out the order of a ring-closure bond from both of its ends
+     * @param {Object|null} openBond - Bond symbol written at the opening digit
+     * @param {Object|null} closeBond - Bond symbol written at the closing digit
+     * @param {number} label - Ring-closure number
+     * @param {number} position - Character position of the closing label
+     * @returns {number|null} Bond order, or null when implicit
+     */
+    resolveRingBondOrder(openBond, closeBond, label, position) {
+        const openOrder = openBond ? BOND_ORDERS[openBond.symbol] : null;
+        const closeOrder = closeBond ? BOND_ORDERS[closeBond.symbol] : null;
+
+        if (openOrder !== null && closeOrder !== null && openOrder !== closeOrder) {
+            throw new SmilesError(`Ring bond ${label} has conflicting bond types at its two ends`, position);
+        }
+
+        return closeOrder ?? openOrder;
+    }
+
+    /**
+     * Get the directional stereo marker of a bond symbol
+     * @param {Object|null} bondSymbol - Pending bond symbol
+     * @returns {string|null} '/' or '\\' for directional bonds, else null
+     */
+    getBondStereo(bondSymbol) {
+        return bondSymbol && (bondSymbol.symbol === '/' || bondSymbol.symbol === '\\') ? bondSymbol.symbol : null;
+    }
+
+    /**
+     * Parse an atom from the organic subset (or '*')
+     * @param {Object} context - Parser context
+     * @returns {Object} Atom properties
+     */
+    parseOrganicAtom(context) {
+        const { smiles, index } = context;
+        const twoLetters = smiles.slice(index, index + 2);
+        const char = smiles[index];
+        let atom = null;
+
+        // Two-letter elements outside the organic subset (e.g. "Na") need brackets
+        const bracketOnly = /^[A-Z][a-z]$/.test(twoLetters) && PeriodicTable.isElement(twoLetters)
+            && !AROMATIC_ORGANIC_SUBSET.includes(twoLetters[1]);
+
+        if (bracketOnly && twoLetters !== 'Cl' && twoLetters !== 'Br') {
+            throw new SmilesError(`Element '${twoLetters}' must be written in brackets, e.g. [${twoLetters}]`, index, 2);
+        }
+
+        if (twoLetters === 'Cl' || twoLetters === 'Br') {
+            atom = this.createAtom(twoLetters, false, index, 2);
+        } else if (char === '*' || ORGANIC_SUBSET.includes(char)) {
+            atom = this.createAtom(char, false, index, 1);
+        } else if (AROMATIC_ORGANIC_SUBSET.includes(char)) {
+            atom = this.createAtom(char.toUpperCase(), true, index, 1);
+        }
+
+        if (atom) {
+            context.index += atom.length;
+            return atom;
+        }
+
+        // Report the whole symbol (e.g. "Xx") rather than a single letter
+        const symbol = /^[A-Z][a-z]$/.test(twoLetters) ? twoLetters : char;
+        if (PeriodicTable.isElement(symbol)) {
+            throw new SmilesError(`Element '${symbol}' must be written in brackets, e.g. [${symbol}]`, index, symbol.length);
+        }
+        throw new SmilesError(`Unknown element symbol '${symbol}'`, index, symbol.length);
+    }
+
+    /**
+     * Parse a bracket atom such as [13CH3+:1] or [nH]
+     * @param {Object} context - Parser context
+     * @returns {Object} Atom properties
+     */
+    parseBracketAtom(context) {
+        const { smiles } = context;
+        const start = context.index;
+        const close = smiles.indexOf(']', start);
+
+        if (close === -1) {
+            throw new SmilesError("Bracket atom is missing its closing ']'", start);
+        }
+        if (close === start + 1) {
+            throw new SmilesError('Empty bracket atom', start, 2);
+        }
+
+        let cursor = start + 1;
+
+        // Isotope
+        let isotope = null;
+        const isotopeMatch = smiles.slice(cursor, close).match(/^[0-9]+/);
+        if (isotopeMatch) {
+            isotope = parseInt(isotopeMatch[0], 10);
+            cursor += isotopeMatch[0].length;
+        }
+
+        // Element symbol
+        const { symbol, aromatic, length } = this.parseBracketSymbol(smiles, cursor, close);
+        const atom = this.createAtom(aromatic ? symbol[0].toUpperCase() + symbol.slice(1) : symbol, aromatic, start, close - start + 1);
+        atom.bracket = true;
+        atom.isotope = isotope;
+        atom.hydrogens = 0;
+        cursor += length;
+
+        // Chirality
+        if (smiles[cursor] === '@') {
+            const chirality = smiles.slice(cursor, close).match(/^@(@|TH[0-9]|AL[0-9]|SP[0-9]|TB[0-9]{1,2}|OH[0-9]{1,2})?/)[0];
+            const chiralClass = chirality.slice(1, 3);
+            if (chiralClass in CHIRALITY_CLASSES) {
+                const chiralIndex = parseInt(chirality.slice(3), 10);
+                if (chiralIndex < 1 || chiralIndex > CHIRALITY_CLASSES[chiralClass]) {
+                    throw new SmilesError(`Invalid chirality '${chirality}'`, cursor, chirality.length);
+                }
+            }
+            atom.chirality = chirality;
+            cursor += chirality.length;
+        }
+
+        // Hydrogen count
+        if (smiles[cursor] === 'H') {
+            const hydrogenMatch = smiles.slice(cursor + 1, close).match(/^[0-9]*/)[0];
+            atom.hydrogens = hydrogenMatch ? parseInt(hydrogenMatch, 10) : 1;
+            cursor += 1 + hydrogenMatch.length;
+        }
+
+        // Charge
+        if (smiles[cursor] === '+' || smiles[cursor] === '-') {
+            const charge = smiles.slice(cursor, close).match(/^(\+[0-9]+|-[0-9]+|\++|-+)/)[0];
+            const sign = charge[0] === '+' ? 1 : -1;
+            const magnitude = /[0-9]/.test(charge) ? parseInt(charge.slice(1), 10) : charge.length;
+            if (magnitude > 15) {
+                throw new SmilesError(`Charge ${sign > 0 ? '+' : '-'}${magnitude} is out of range`, cursor, charge.length);
+            }
+            atom.charge = sign * magnitude;
+            cursor += charge.length;
+        }
+
+        // Atom class
+        if (smiles[cursor] === ':') {
+            const atomClass = smiles.slice(cursor + 1, close).match(/^[0-9]+/);
+            if (!atomClass) {
+                throw new SmilesError("Atom class ':' must be followed by a number", cursor);
+            }
+            atom.atomClass = parseInt(atomClass[0], 10);
+            cursor += 1 + atomClass[0].length;
+        }
+
+        if (cursor !== close) {
+            throw new SmilesError(`Unexpected '${smiles[cursor]}' in bracket atom`, cursor);
+        }
+
+        context.index = close + 1;
+        return atom;
+    }
+
+    /**
+     * Read the element symbol inside a bracket atom
+     * @param {string} smiles - SMILES string
+     * @param {number} cursor - Position of the symbol
+     * @param {number} close - Position of the closing bracket
+     * @returns {Object} Symbol, aromatic flag and consumed length
+     */
+    parseBracketSymbol(smiles, cursor, close) {
+        const rest = smiles.slice(cursor, close);
+
+        if (rest[0] === '*') {
+            return { symbol: '*', aromatic: false, length: 1 };
+        }
+
+        const aromatic = AROMATIC_BRACKET_SYMBOLS.find(symbol => rest.startsWith(symbol));
+        if (aromatic) {
+            return { symbol: aromatic, aromatic: true, length: aromatic.length };
+        }
+
+        const letters = rest.match(/^[A-Z][a-z]?/);
+        if (letters) {
+            if (letters[0].length === 2 && PeriodicTable.isElement(letters[0])) {
+                return { symbol: letters[0], aromatic: false, length: 2 };
+            }
+            if (PeriodicTable.isElement(letters[0][0])) {
+                return { symbol: letters[0][0], aromatic: false, length: 1 };
+            }
+        }
+
+        const unknown = rest.match(/^[A-Za-z]{1,2}/);
+        if (unknown) {
+            throw new SmilesError(`Unknown element symbol '${unknown[0]}'`, cursor, unknown[0].length);
+        }
+        throw new SmilesError('Bracket atom is missing an element symbol', cursor);
+    }
+
+    /**
+     * Create atom properties for a symbol
+     * @param {string} symbol - Element symbol (capitalised) or '*'
+     * @param {boolean} aromatic - Whether the atom is aromatic
+     * @param {number} position - Character position of the atom
+     * @param {number} length - Number of characters the atom spans
+     * @returns {Object} Atom properties
+     */
+    createAtom(symbol, aromatic, position, length) {
+        return {
+            element: symbol,
+            atomicNumber: PeriodicTable.getAtomicNumber(symbol),
+            aromatic,
+            position,
+            length
+        };
+    }
+
+    /**
+     * Add a parsed atom and bond it to the previous atom
+     * @param {Object} context - Parser context
+     * @param {Object} properties - Atom properties
+     */
+    addAtom(context, properties) {
+        const { molecule } = context;
+        const index = molecule.addAtom(properties);
+        const previous = context.previousAtom;
+
+        if (previous !== null) {
+            const bondSymbol = context.pendingBond;
+            const bothAromatic = molecule.atoms[previous].aromatic && properties.aromatic;
+            const order = bondSymbol ? BOND_ORDERS[bondSymbol.symbol] : (bothAromatic ? 1.5 : 1);
+
+            molecule.addBond(previous, index, order, {
+                stereo: this.getBondStereo(bondSymbol),
+                explicitAromatic: bondSymbol?.symbol === ':',
+                implicit: !bondSymbol,
+                position: bondSymbol ? bondSymbol.position : properties.position
+            });
+
+            molecule.atoms[previous].neighborOrder.push(index);
+            molecule.atoms[index].neighborOrder.push(previous);
+            molecule.atoms[index].hasPrecedingAtom = true;
+        }
+
+        context.previousAtom = index;
+        context.pendingBond = null;
+        context.lastToken = 'atom';
+    }
+
+    /**
+     * Report anything left open at the end of the string
+     * @param {Object} context - Parser context
+     */
+    checkCompleteness(context) {
+        if (context.pendingBond) {
+            throw new SmilesError('Bond symbol is not followed by an atom', context.pendingBond.position);
+        }
+        if (context.branches.length > 0) {
+            const branch = context.branches[context.branches.length - 1];
+            throw new SmilesError('Unbalanced parenthesis: branch is never closed', branch.position);
+        }
+        if (context.ringBonds.size > 0) {
+            const [label, ring] = [...context.ringBonds.entries()].sort((a, b) => a[1].position - b[1].position)[0];
+            throw new SmilesError(`Ring bond ${label} is opened but never closed`, ring.position, label > 9 ? 3 : 1);
+        }
+    }
+
+    /**
+     * Demote aromatic bonds outside rings and reject acyclic aromatic atoms
+     * @param {Molecule} molecule - Parsed molecule
+     */
+    finalizeAromaticity(molecule) {
+        molecule.bonds.forEach(bond => {
+            if (bond.aromatic && !bond.explicitAromatic && !molecule.isBondInRing(bond.index)) {
+                bond.order = 1;
+                bond.aromatic = false;
+            }
+        });
+
+        molecule.atoms.forEach(atom => {
+            if (atom.aromatic && !molecule.isAtomInRing(atom.index)) {
+                throw new SmilesError(`Aromatic atom '${atom.element.toLowerCase()}' is not part of a ring`, atom.position, atom.length);
+            }
+        });
+    }
+
+    /**
+     * Assign implicit hydrogens and check valences
+     * @param {Molecule} molecule - Parsed molecule
+     */
+    assignHydrogens(molecule) {
+        molecule.atoms.forEach(atom => {
+            const bondSum = molecule.getBondOrderSum(atom.index);
+
+            // Bracket H goes directly after the preceding atom in neighbour order
+            if (atom.bracket && atom.hydrogens > 0 && atom.chirality) {
+                atom.neighborOrder.splice(atom.hasPrecedingAtom ? 1 : 0, 0, 'H');
+            }
+
+            if (atom.bracket) {
+                this.checkValence(atom, bondSum + atom.hydrogens, PeriodicTable.getChargedValences(atom.element, atom.charge));
+                return;
+            }
+
+            const valences = PeriodicTable.getDefaultValences(atom.element);
+            if (!valences) return;
+
+            this.checkValence(atom, bondSum, valences);
+
+            if (atom.aromatic) {
+                // One valence is taken by the aromatic system's implied double bond
+                atom.implicitHydrogens = Math.max(0, valences[0] - bondSum - 1);
+            } else {
+                const target = valences.find(valence => valence >= bondSum);
+                atom.implicitHydrogens = target !== undefined ? target - bondSum : 0;
+            }
+        });
+    }
+
+    /**
+     * Throw if an atom exceeds its highest allowed valence
+     * @param {Object} atom - Atom to check
+     * @param {number} valence - Actual valence (bond orders plus hydrogens)
+     * @param {Array<number>|null} allowed - Allowed valences, or null to skip
+     */
+    checkValence(atom, valence, allowed) {
+        if (!this.options.checkValence || !allowed) return;
+
+        const maximum = allowed[allowed.length - 1];
+        if (valence > maximum) {
+            const label = atom.charge ? `${atom.element}${atom.charge > 0 ? '+' : '-'}` : atom.element;
+            throw new SmilesError(
+                `Atom '${label}' has valence ${valence}, but at most ${maximum} is allowed`,
+                atom.position,
+                atom.length
+            );
+        }
+    }
+}
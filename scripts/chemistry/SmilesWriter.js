@@ -0,0 +1,525 @@
+/**
+ * ================================================
+ * SmilesWriter Utility
+ * ================================================
+ *
+ * Writes a Molecule (or a part of one) back to SMILES, so substructures
+ * such as linkers can be shown and exported as text.
+ *
+ * Features:
+ * - Organic-subset atoms without brackets whenever the implicit hydrogen
+ *   count comes out the same, bracket atoms otherwise
+ * - Depth-first output from a terminal atom, with branches and reused ring-closure digits
+ * - Optional atom ranks that fix the traversal (used for canonical SMILES)
+ * - Optional stereo output: @/@@ re-derived for the written neighbour order and
+ *   one / or \ marker per side of each stereo double bond
+ * - Substructure extraction with "[*:n]" attachment points on cut bonds;
+ *   partial aromatic rings are written in Kekulé form
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { Molecule } from './Molecule.js';
+import { PeriodicTable } from './PeriodicTable.js';
+import { Kekulizer } from './Kekulizer.js';
+
+// Elements that may be written without brackets
+const ORGANIC_SYMBOLS = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I']);
+const AROMATIC_ORGANIC_SYMBOLS = new Set(['B', 'C', 'N', 'O', 'P', 'S']);
+
+// Bond symbols by order (aromatic bonds are handled separately)
+const BOND_SYMBOLS = { 1: '', 2: '=', 3: '#', 4: '$' };
+
+// Tetrahedral chirality marks that can be re-derived for a new neighbour order
+const TETRAHEDRAL = { '@': '@', '@@': '@@', '@TH1': '@', '@TH2': '@@' };
+
+// Double bonds in rings smaller than this cannot be trans, so their markers are ignored
+const MIN_STEREO_RING_SIZE = 8;
+
+export class SmilesWriter {
+    /**
+     * Initialize the writer
+     */
+    constructor() {
+        this.kekulizer = new Kekulizer();
+    }
+
+    /**
+     * Write a molecule as SMILES
+     * @param {Molecule} molecule - Molecule to write
+     * @param {Object} options - Output options
+     * @param {Array<number>} options.ranks - Rank per atom; lower ranks are visited first and the
+     *   components are sorted, so the output no longer depends on atom numbering
+     * @param {boolean} options.stereo - Write tetrahedral and double bond stereo
+     * @param {Array<Object>} options.doubleBonds - Stereo double bonds to write (default: findStereoDoubleBonds())
+     * @returns {string} SMILES string (components separated by ".")
+     */
+    write(molecule, options = {}) {
+        const visited = new Set();
+        const parts = [];
+        const context = {
+            ranks: options.ranks || null,
+            stereo: Boolean(options.stereo),
+            directions: new Map()
+        };
+
+        if (context.stereo) {
+            const doubleBonds = options.doubleBonds || this.findStereoDoubleBonds(molecule);
+            context.directions = this.assignBondDirections(molecule, doubleBonds, context.ranks);
+        }
+
+        molecule.atoms.forEach(atom => {
+            if (visited.has(atom.index)) return;
+            parts.push(this.writeComponent(molecule, this.findRoot(molecule, atom.index, context.ranks), visited, context));
+        });
+
+        // With ranks the component order must not depend on atom numbering either
+        if (context.ranks) parts.sort();
+
+        return parts.join('.');
+    }
+
+    /**
+     * Pick the atom a component is written from: the lowest-degree atom (lowest rank, else first
+     * by index on ties), so chains read end to end instead of starting with a branch
+     * @param {Molecule} molecule - Molecule to write
+     * @param {number} start - Any atom of the component
+     * @param {Array<number>|null} ranks - Atom ranks used to break ties
+     * @returns {number} Root atom index
+     */
+    findRoot(molecule, start, ranks = null) {
+        const component = new Set([start]);
+        const stack = [start];
+        while (stack.length > 0) {
+            molecule.getNeighbors(stack.pop()).forEach(neighbor => {
+                if (component.has(neighbor)) return;
+                component.add(neighbor);
+                stack.push(neighbor);
+            });
+        }
+
+        const order = atom => (ranks ? ranks[atom] : atom);
+        return [...component].reduce((root, atom) => {
+            const degree = molecule.getNeighbors(atom).length;
+            const rootDegree = molecule.getNeighbors(root).length;
+            return degree < rootDegree || (degree === rootDegree && order(atom) < order(root)) ? atom : root;
+        });
+    }
+
+    /**
+     * Write the atoms of a substructure with attachment points where bonds were cut
+     * @param {Molecule} molecule - Parent molecule
+     * @param {Array<number>} atoms - Atom indices to keep
+     * @param {Object} options - See extractSubstructure
+     * @returns {string} SMILES of the substructure
+     */
+    writeSubstructure(molecule, atoms, options = {}) {
+        return this.write(this.extractSubstructure(molecule, atoms, options));
+    }
+
+    /**
+     * Copy a substructure into a new molecule; every cut bond becomes a bond to a "[*:n]" atom
+     * (or a hydrogen with capWithHydrogens)
+     * @param {Molecule} molecule - Parent molecule
+     * @param {Array<number>} atoms - Atom indices to keep
+     * @param {Object} options - Extraction options
+     * @param {Function} options.getAttachmentClass - Maps the removed atom of a cut bond to its "[*:n]" number
+     *   (default: 1, 2, ... in bond order)
+     * @param {boolean} options.capWithHydrogens - Replace cut bonds by hydrogens instead of attachment points
+     * @returns {Molecule} Substructure with attachment points
+     */
+    extractSubstructure(molecule, atoms, options = {}) {
+        const kept = new Set(atoms);
+        const result = new Molecule();
+        const mapping = new Map();
+
+        // Aromaticity survives only for rings that are kept completely
+        const aromaticAtoms = new Set();
+        molecule.getRings().forEach(ring => {
+            const isAromatic = ring.every((atom, i) => molecule.getBond(atom, ring[(i + 1) % ring.length]).aromatic);
+            if (isAromatic && ring.every(atom => kept.has(atom))) {
+                ring.forEach(atom => aromaticAtoms.add(atom));
+            }
+        });
+
+        const needsKekule = [...kept].some(index => molecule.atoms[index].aromatic && !aromaticAtoms.has(index));
+        const kekuleOrders = needsKekule ? this.kekulizer.kekulize(molecule) : null;
+
+        const getOrder = bond => {
+            if (!bond.aromatic) return bond.order;
+            if (aromaticAtoms.has(bond.begin) && aromaticAtoms.has(bond.end)) return 1.5;
+            return kekuleOrders?.get(bond.index) ?? 1;
+        };
+
+        [...kept].sort((a, b) => a - b).forEach(index => {
+            const atom = molecule.atoms[index];
+            const properties = {
+                element: atom.element,
+                atomicNumber: atom.atomicNumber,
+                aromatic: atom.aromatic,
+                charge: atom.charge,
+                isotope: atom.isotope,
+                atomClass: atom.atomClass,
+                bracket: atom.bracket,
+                hydrogens: atom.hydrogens,
+                implicitHydrogens: atom.implicitHydrogens
+            };
+
+            // Atoms leaving an aromatic ring keep their hydrogen count explicitly
+            if (atom.aromatic && !aromaticAtoms.has(index)) {
+                properties.aromatic = false;
+                properties.bracket = true;
+                properties.hydrogens = molecule.getHydrogenCount(index);
+            }
+
+            mapping.set(index, result.addAtom(properties));
+        });
+
+        let attachment = 0;
+        molecule.bonds.forEach(bond => {
+            const beginKept = kept.has(bond.begin);
+            const endKept = kept.has(bond.end);
+            if (!beginKept && !endKept) return;
+
+            const order = getOrder(bond);
+            if (beginKept && endKept) {
+                result.addBond(mapping.get(bond.begin), mapping.get(bond.end), order);
+                return;
+            }
+
+            const inside = beginKept ? bond.begin : bond.end;
+            const outside = beginKept ? bond.end : bond.begin;
+            if (options.capWithHydrogens) {
+                const atom = result.atoms[mapping.get(inside)];
+                if (!atom.bracket || atom.hydrogens === null) {
+                    atom.bracket = true;
+                    atom.hydrogens = molecule.getHydrogenCount(inside);
+                }
+                atom.hydrogens += order;
+                return;
+            }
+
+            const atomClass = options.getAttachmentClass ? options.getAttachmentClass(outside) : ++attachment;
+            const dummy = result.addAtom({ element: '*', atomicNumber: 0, bracket: true, hydrogens: 0, atomClass });
+            result.addBond(mapping.get(inside), dummy, order);
+        });
+
+        return result;
+    }
+
+    /**
+     * Write one connected component depth-first
+     * @param {Molecule} molecule - Molecule to write
+     * @param {number} root - First atom
+     * @param {Set<number>} visited - Atoms already written (updated)
+     * @param {Object} context - Ranks, stereo flag and bond directions from write()
+     * @returns {string} SMILES of the component
+     */
+    writeComponent(molecule, root, visited, context = {}) {
+        const { ranks = null, stereo = false, directions = new Map() } = context;
+
+        // First pass: spanning tree; the remaining bonds become ring closures
+        const children = new Map();
+        const ringBonds = new Map();
+        const treeBonds = new Set();
+        const order = [];
+
+        const stack = [{ atom: root, parent: null, bond: null }];
+        while (stack.length > 0) {
+            const { atom, parent, bond } = stack.pop();
+            if (visited.has(atom)) continue;
+
+            visited.add(atom);
+            order.push(atom);
+            children.set(atom, []);
+            ringBonds.set(atom, []);
+            if (parent !== null) {
+                children.get(parent).push(atom);
+                treeBonds.add(bond);
+            }
+
+            const neighbors = [...molecule.adjacency[atom]];
+            if (ranks) neighbors.sort((a, b) => ranks[a.atom] - ranks[b.atom]);
+            neighbors.reverse().forEach(({ atom: neighbor, bond: neighborBond }) => {
+                if (!visited.has(neighbor)) stack.push({ atom: neighbor, parent: atom, bond: neighborBond });
+            });
+        }
+
+        const position = new Map(order.map((atom, i) => [atom, i]));
+        molecule.bonds.forEach(bond => {
+            if (treeBonds.has(bond.index) || !ringBonds.has(bond.begin) || !ringBonds.has(bond.end)) return;
+
+            // The closure opens at whichever atom is written first
+            const [first, second] = position.get(bond.begin) < position.get(bond.end)
+                ? [bond.begin, bond.end]
+                : [bond.end, bond.begin];
+            ringBonds.get(first).push({ bond, opens: true, partner: second });
+            ringBonds.get(second).push({ bond, opens: false, partner: first });
+        });
+
+        // Second pass: emit atoms, ring-closure digits and branches
+        const openDigits = new Map();
+        const usedDigits = new Set();
+
+        const emit = (atom, parent) => {
+            // Close rings before opening new ones so freed digits can be reused right away
+            const closures = [...ringBonds.get(atom)]
+                .sort((a, b) => a.opens - b.opens || position.get(a.partner) - position.get(b.partner));
+            const branches = children.get(atom);
+
+            const chirality = stereo
+                ? this.getOutputChirality(molecule, atom, parent, [...closures.map(closure => closure.partner), ...branches])
+                : null;
+            let text = this.getAtomSymbol(molecule, atom, chirality);
+
+            closures.forEach(({ bond, opens }) => {
+                if (opens) {
+                    let digit = 1;
+                    while (usedDigits.has(digit)) digit++;
+                    usedDigits.add(digit);
+                    openDigits.set(bond.index, digit);
+                    text += this.getBondSymbol(molecule, bond, atom, directions) + this.formatDigit(digit);
+                } else {
+                    const digit = openDigits.get(bond.index);
+                    usedDigits.delete(digit);
+                    text += this.formatDigit(digit);
+                }
+            });
+
+            branches.forEach((child, i) => {
+                const bondText = this.getBondSymbol(molecule, molecule.getBond(atom, child), atom, directions);
+                const branch = bondText + emit(child, atom);
+                text += i < branches.length - 1 ? `(${branch})` : branch;
+            });
+
+            return text;
+        };
+
+        return emit(root, null);
+    }
+
+    /**
+     * Re-derive a tetrahedral mark for the order in which the neighbours are written
+     * @param {Molecule} molecule - Molecule being written
+     * @param {number} index - Atom index
+     * @param {number|null} parent - Atom written before this one, or null for a component root
+     * @param {Array<number>} following - Ring-closure partners then branches, in written order
+     * @returns {string|null} "@", "@@", or null for atoms without (usable) tetrahedral stereo
+     */
+    getOutputChirality(molecule, index, parent, following) {
+        const atom = molecule.atoms[index];
+        const chirality = TETRAHEDRAL[atom.chirality];
+        if (!chirality) return null;
+
+        // An implicit hydrogen (or lone pair) sits right after the preceding atom
+        const input = [...atom.neighborOrder];
+        if (input.length === 3 && !input.includes('H')) input.splice(atom.hasPrecedingAtom ? 1 : 0, 0, 'H');
+
+        const output = parent !== null ? [parent, ...following] : [...following];
+        if (input.includes('H')) output.splice(parent !== null ? 1 : 0, 0, 'H');
+
+        if (input.length !== 4 || output.length !== 4 || !input.every(item => output.includes(item))) return null;
+
+        // Count inversions: an odd permutation of the neighbours flips @ and @@
+        const positions = input.map(item => output.indexOf(item));
+        let inversions = 0;
+        for (let i = 0; i < positions.length; i++) {
+            for (let j = i + 1; j < positions.length; j++) {
+                if (positions[i] > positions[j]) inversions++;
+            }
+        }
+
+        return inversions % 2 === 0 ? chirality : (chirality === '@' ? '@@' : '@');
+    }
+
+    /**
+     * Find double bonds with a / or \ marker on both sides
+     * @param {Molecule} molecule - Molecule to inspect
+     * @returns {Array<Object>} {bond, sides: [{atom, substituents}, ...], references: [a, b], trans}
+     *   where trans tells whether the two reference substituents are on opposite sides
+     */
+    findStereoDoubleBonds(molecule) {
+        const smallRingBonds = new Set();
+        molecule.getRings().forEach(ring => {
+            if (ring.length >= MIN_STEREO_RING_SIZE) return;
+            ring.forEach((atom, i) => smallRingBonds.add(molecule.getBond(atom, ring[(i + 1) % ring.length]).index));
+        });
+
+        // Direction of a marked bond read from x to y: +1 for "/", -1 for "\"
+        const direction = (x, y) => {
+            const bond = molecule.getBond(x, y);
+            return (bond.stereo === '/' ? 1 : -1) * (bond.begin === x ? 1 : -1);
+        };
+
+        const doubleBonds = [];
+        molecule.bonds.forEach(bond => {
+            if (bond.order !== 2 || bond.aromatic || smallRingBonds.has(bond.index)) return;
+
+            const sides = [[bond.begin, bond.end], [bond.end, bond.begin]].map(([atom, other]) => ({
+                atom,
+                substituents: molecule.getNeighbors(atom).filter(neighbor => neighbor !== other)
+            }));
+            const references = sides.map(({ atom, substituents }) => substituents.find(neighbor => molecule.getBond(atom, neighbor).stereo));
+            if (references.some(reference => reference === undefined) || sides.some(side => side.substituents.length > 2)) return;
+
+            const trans = direction(references[0], sides[0].atom) === direction(sides[1].atom, references[1]);
+            doubleBonds.push({ bond, sides, references, trans });
+        });
+
+        return doubleBonds;
+    }
+
+    /**
+     * Choose / or \ for one single bond per side of each stereo double bond
+     * @param {Molecule} molecule - Molecule being written
+     * @param {Array<Object>} doubleBonds - Stereo double bonds from findStereoDoubleBonds()
+     * @param {Array<number>|null} ranks - Atom ranks; the lowest-ranked substituent carries the marker
+     * @returns {Map<number, number>} Bond index → direction from bond.begin to bond.end (+1 "/", -1 "\")
+     */
+    assignBondDirections(molecule, doubleBonds, ranks = null) {
+        const order = atom => (ranks ? ranks[atom] : atom);
+        const isMarkable = (atom, neighbor) => {
+            const bond = molecule.getBond(atom, neighbor);
+            return bond.order === 1 && !bond.aromatic;
+        };
+
+        // Each double bond ties the directions of its two marked bonds together
+        const links = new Map();
+        const link = (a, b, factor) => {
+            if (!links.has(a)) links.set(a, []);
+            links.get(a).push({ bond: b, factor });
+        };
+
+        doubleBonds.forEach(({ sides, references, trans }) => {
+            const chosen = sides.map(({ atom, substituents }) => substituents
+                .filter(neighbor => isMarkable(atom, neighbor))
+                .sort((a, b) => order(a) - order(b))[0]);
+            if (chosen.some(atom => atom === undefined)) return;
+
+            // Swapping a reference for the other substituent on its side flips cis/trans
+            const swaps = chosen.filter((atom, i) => atom !== references[i]).length;
+            const chosenTrans = swaps % 2 === 0 ? trans : !trans;
+
+            const first = molecule.getBond(chosen[0], sides[0].atom);
+            const second = molecule.getBond(sides[1].atom, chosen[1]);
+            const sign = (first.begin === chosen[0] ? 1 : -1) * (second.begin === sides[1].atom ? 1 : -1);
+            const factor = sign * (chosenTrans ? 1 : -1);
+            link(first.index, second.index, factor);
+            link(second.index, first.index, factor);
+        });
+
+        // Fix one bond per connected set (pointing from lower to higher rank) and propagate
+        const directions = new Map();
+        const bondKey = bond => [Math.min(order(bond.begin), order(bond.end)), Math.max(order(bond.begin), order(bond.end))];
+        const start = [...links.keys()].sort((a, b) => {
+            const [keyA, keyB] = [bondKey(molecule.bonds[a]), bondKey(molecule.bonds[b])];
+            return keyA[0] - keyB[0] || keyA[1] - keyB[1];
+        });
+
+        start.forEach(index => {
+            if (directions.has(index)) return;
+
+            const bond = molecule.bonds[index];
+            directions.set(index, order(bond.begin) < order(bond.end) ? 1 : -1);
+            const queue = [index];
+            while (queue.length > 0) {
+                const current = queue.shift();
+                links.get(current).forEach(({ bond: next, factor }) => {
+                    if (directions.has(next)) return;
+                    directions.set(next, directions.get(current) * factor);
+                    queue.push(next);
+                });
+            }
+        });
+
+        return directions;
+    }
+
+    /**
+     * SMILES symbol of an atom, bracketed only when needed
+     * @param {Molecule} molecule - Molecule containing the atom
+     * @param {number} index - Atom index
+     * @param {string|null} chirality - Tetrahedral mark to write ("@"/"@@"), or null
+     * @returns {string} Atom symbol such as "C", "c", "[nH]", "[C@@H]" or "[*:1]"
+     */
+    getAtomSymbol(molecule, index, chirality = null) {
+        const atom = molecule.atoms[index];
+        const symbol = atom.aromatic ? atom.element.toLowerCase() : atom.element;
+
+        if (!chirality && this.canWriteUnbracketed(molecule, atom)) {
+            return symbol;
+        }
+
+        const hydrogens = atom.element === '*' ? 0 : molecule.getHydrogenCount(index);
+        const isotope = atom.isotope !== null ? String(atom.isotope) : '';
+        const hydrogenText = hydrogens > 0 ? `H${hydrogens > 1 ? hydrogens : ''}` : '';
+        const chargeText = atom.charge === 0
+            ? ''
+            : `${atom.charge > 0 ? '+' : '-'}${Math.abs(atom.charge) > 1 ? Math.abs(atom.charge) : ''}`;
+        const classText = atom.atomClass !== null ? `:${atom.atomClass}` : '';
+
+        if (atom.element === '*' && !isotope && !classText && !chargeText) return '*';
+
+        return `[${isotope}${symbol}${chirality || ''}${hydrogenText}${chargeText}${classText}]`;
+    }
+
+    /**
+     * Check whether an atom reads back identically without brackets
+     * @param {Molecule} molecule - Molecule containing the atom
+     * @param {Object} atom - Atom to check
+     * @returns {boolean} Whether the organic-subset form is enough
+     */
+    canWriteUnbracketed(molecule, atom) {
+        const organic = atom.aromatic ? AROMATIC_ORGANIC_SYMBOLS : ORGANIC_SYMBOLS;
+        if (!organic.has(atom.element) || atom.charge !== 0 || atom.isotope !== null || atom.atomClass !== null) {
+            return false;
+        }
+
+        // Same rule as SmilesParser.assignHydrogens
+        const valences = PeriodicTable.getDefaultValences(atom.element);
+        const bondSum = molecule.getBondOrderSum(atom.index);
+        let implicit;
+        if (atom.aromatic) {
+            implicit = Math.max(0, valences[0] - bondSum - 1);
+        } else {
+            const target = valences.find(valence => valence >= bondSum);
+            implicit = target !== undefined ? target - bondSum : 0;
+        }
+
+        return implicit === molecule.getHydrogenCount(atom.index);
+    }
+
+    /**
+     * SMILES symbol of a bond
+     * @param {Molecule} molecule - Molecule containing the bond
+     * @param {Object} bond - Bond to write
+     * @param {number|null} from - Atom the bond is written from (needed for / and \)
+     * @param {Map<number, number>} directions - Bond directions from assignBondDirections()
+     * @returns {string} Bond symbol ("" for implicit single/aromatic bonds)
+     */
+    getBondSymbol(molecule, bond, from = null, directions = null) {
+        if (directions?.has(bond.index)) {
+            const direction = directions.get(bond.index) * (bond.begin === from ? 1 : -1);
+            return direction > 0 ? '/' : '\\';
+        }
+
+        const bothAromatic = molecule.atoms[bond.begin].aromatic && molecule.atoms[bond.end].aromatic;
+
+        if (bond.aromatic) return bothAromatic ? '' : ':';
+
+        // A single bond between aromatic atoms (e.g. biphenyl) must be explicit
+        if (bond.order === 1 && bothAromatic) return '-';
+
+        return BOND_SYMBOLS[bond.order] ?? '';
+    }
+
+    /**
+     * Format a ring-closure digit
+     * @param {number} digit - Ring-closure number
+     * @returns {string} "1".."9" or "%10" and above
+     */
+    formatDigit(digit) {
+        return digit < 10 ? String(digit) : `%${digit}`;
+    }
+}
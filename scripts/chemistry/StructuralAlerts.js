@@ -0,0 +1,258 @@
+/**
+ * ================================================
+ * StructuralAlerts Utility
+ * ================================================
+ *
+ * Screens molecules against bundled SMARTS alert libraries and
+ * reports which atoms triggered each alert, so the depiction can
+ * highlight them.
+ *
+ * The libraries are a curated, hand-written subset: each PAINS entry
+ * is a simplified pattern for a well-known family from Baell &
+ * Holloway (J. Med. Chem. 2010, 53, 2719), grouped into the A/B/C
+ * frequency classes; the Brenk entries follow the unwanted groups of
+ * Brenk et al. (ChemMedChem 2008, 3, 435). They are meant for triage
+ * and do not reproduce the complete published filter sets.
+ *
+ * Features:
+ * - PAINS A/B/C, Brenk unwanted groups and reactive/toxicophore libraries
+ * - Per-library enable switches (persistable configuration)
+ * - Matched atoms per alert for highlighting
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { SubstructureMatcher } from './SubstructureMatcher.js';
+
+// Matches kept per alert (enough to highlight every occurrence in practice)
+const MAX_MATCHES_PER_ALERT = 10;
+
+// Bundled alert libraries
+const ALERT_LIBRARIES = [
+    {
+        id: 'painsA',
+        label: 'PAINS A',
+        name: 'PAINS family A (>150 hits in the original screen)',
+        alerts: [
+            { id: 'ene_rhod_A', name: 'Ene-rhodanine', smarts: '[#6]=!@[#6]1-[#16]-[#6](=[#16])-[#7]-[#6]-1=[#8]' },
+            { id: 'ene_five_het_A', name: 'Five-membered heterocycle with exocyclic ene', smarts: '[#6]=!@[#6]1-[#6](=[#8,#16])-[#7,#8,#16]-[#6,#7]~[#6,#7,#16]-1' },
+            { id: 'catechol_A', name: 'Catechol', smarts: 'c([OH])c[OH]' },
+            { id: 'quinone_A', name: 'Quinone', smarts: '[#6]1(=[#8])-[#6]=,:[#6]-[#6](=[#8])-[#6]=,:[#6]-1' },
+            { id: 'azo_A', name: 'Aryl azo', smarts: 'c-[#7]=[#7]-c' },
+            { id: 'anil_di_alk_A', name: 'Dialkylaniline with para ene/imine', smarts: '[CH2,CH3]-[NX3](-[CH2,CH3])-c1ccc(cc1)-[#6]=[#6,#7]' },
+            { id: 'hzone_phenol_A', name: 'ortho-Hydroxyaryl hydrazone', smarts: '[OH]-c1ccccc1-[#6]=[#7]-[#7]' },
+            { id: 'mannich_A', name: 'Phenolic Mannich base', smarts: '[OH]-c1ccccc1-[CH2]-[NX3;H0;!$(N-[#6]=[#8])]' },
+            { id: 'ene_one_ene_A', name: 'Cross-conjugated dienone', smarts: '[#6]=!@[#6]-[#6](=[#8])-[#6]=!@[#6]' },
+            { id: 'ene_cyano_A', name: 'Cyano-acrylate/acrylamide', smarts: '[#6]=[#6](-[#6]#[#7])-[#6]=[#8]' },
+            { id: 'imine_one_A', name: 'alpha-Imino ketone', smarts: '[#6]-[#7]=[#6;!R]-[#6](=[#8])-[#6,#7,#8]' }
+        ]
+    },
+    {
+        id: 'painsB',
+        label: 'PAINS B',
+        name: 'PAINS family B (15-150 hits)',
+        alerts: [
+            { id: 'indol_3yl_alk_B', name: 'Gramine-like indol-3-ylmethylamine', smarts: 'c1ccc2c(c1)c(c[nH]2)-[CH2]-[NX3;!$(N-[#6]=[#8])]' },
+            { id: 'thiophene_amino_B', name: '2-Aminothiophene-3-carbonyl', smarts: '[NX3;H2,H1]-c1sccc1-[#6]=[#8]' },
+            { id: 'keto_keto_beta_B', name: 'beta-Diketone', smarts: '[#6]-[#6](=[#8])-[CX4;H1,H2]-[#6](=[#8])-[#6]' },
+            { id: 'amino_acridine_B', name: '9-Aminoacridine', smarts: '[NX3]-c1c2ccccc2nc2ccccc12' },
+            { id: 'sulfonamide_B', name: 'para-Aminoaryl sulfonanilide', smarts: '[NX3;H1,H2;!$(N-[#6]=[#8])]-c1ccc(cc1)-[NH]-[SX4](=[#8])(=[#8])' },
+            { id: 'thio_ketone_B', name: 'Thioketone', smarts: '[#6]-[#6](=[#16])-[#6]' },
+            { id: 'cyano_ene_amine_B', name: 'Enamine nitrile', smarts: '[NX3]-[#6]=[#6]-[#6]#[#7]' },
+            { id: 'hzone_thiophene_B', name: 'Thiophene hydrazone', smarts: 's1cccc1-[#6]=[#7]-[#7]' },
+            { id: 'dyes5_B', name: 'Cyanine-like polymethine', smarts: '[#7]-[#6]=[#6]-[#6]=[#6]-[#6]=[#7+]' },
+            { id: 'ene_five_one_B', name: '2-Alkylidene indandione', smarts: '[#6]=!@[#6]1-[#6](=[#8])-c2ccccc2-[#6]-1=[#8]' },
+            { id: 'hydroquinone_B', name: 'Hydroquinone', smarts: '[OH]-c1ccc(cc1)-[OH]' },
+            { id: 'amino_phenol_B', name: 'para-Aminophenol', smarts: '[OH]-c1ccc(cc1)-[NX3;H1,H2;!$(N-[#6]=[#8])]' },
+            { id: 'pyrrole_B', name: '1-Aryl-2,5-dimethylpyrrole', smarts: '[CH3]-c1ccc(-[CH3])n1-c' },
+            { id: 'thiaz_ene_B', name: 'Ene-iminothiazolidinone', smarts: '[#6]=!@[#6]1-[#16]-[#6](=[#7])-[#7]-[#6]-1=[#8]' }
+        ]
+    },
+    {
+        id: 'painsC',
+        label: 'PAINS C',
+        name: 'PAINS family C (<15 hits)',
+        alerts: [
+            { id: 'cyano_pyridone_C', name: '3-Cyano-2-pyridone', smarts: '[#7]#[#6]-[#6]1~[#6]~[#6]~[#6]~[#7]~[#6]-1=[#8]' },
+            { id: 'anil_OH_alk_C', name: 'para-Dialkylaminophenol', smarts: '[OH]-c1ccc(cc1)-[NX3](-[CH2,CH3])-[CH2,CH3]' },
+            { id: 'hzone_acyl_naphthol_C', name: 'Acylhydrazone of a hydroxynaphthaldehyde', smarts: '[OH]-c1c(-[#6]=[#7]-[#7]-[#6]=[#8])c2ccccc2cc1' },
+            { id: 'ene_quin_methide_C', name: 'Quinone methide', smarts: '[#6]=[#6]1-[#6]=[#6]-[#6](=[#8])-[#6]=[#6]-1' },
+            { id: 'ene_one_furan_C', name: 'Furyl enone', smarts: 'o1cccc1-[#6]=[#6]-[#6]=[#8]' },
+            { id: 'hzone_pyrrol_C', name: 'Pyrrole hydrazone', smarts: '[nH]1cccc1-[#6]=[#7]-[#7]' },
+            { id: 'ene_barbiturate_C', name: '5-Alkylidene barbiturate', smarts: '[#6]=!@[#6]1-[#6](=[#8])-[#7]-[#6](=[#8,#16])-[#7]-[#6]-1=[#8]' },
+            { id: 'imine_one_isatin_C', name: 'Isatin 3-imine', smarts: '[#8]=[#6]1-[#7]-c2ccccc2-[#6]-1=[#7]' },
+            { id: 'het_pyridinium_C', name: 'N-Acylmethyl pyridinium', smarts: 'c1cc[n+](cc1)-[CH2]-[#6]=[#8]' },
+            { id: 'ene_cyano_C', name: 'Dicyanovinyl', smarts: '[#6]=[#6](-[#6]#[#7])-[#6]#[#7]' }
+        ]
+    },
+    {
+        id: 'brenk',
+        label: 'Brenk',
+        name: 'Brenk unwanted groups',
+        alerts: [
+            { id: 'acid_halide', name: 'Acid halide', smarts: '[CX3](=[OX1])[F,Cl,Br,I]' },
+            { id: 'aldehyde', name: 'Aldehyde', smarts: '[CX3H1](=O)[#6]' },
+            { id: 'alkyl_halide', name: 'Alkyl halide', smarts: '[CX4][Cl,Br,I]' },
+            { id: 'anhydride', name: 'Anhydride', smarts: '[CX3](=[OX1])[OX2][CX3](=[OX1])' },
+            { id: 'azide', name: 'Azide', smarts: '[#7]=[#7+]=[#7-]' },
+            { id: 'azo', name: 'Azo group', smarts: '[#6]-[NX2]=[NX2]-[#6]' },
+            { id: 'catechol', name: 'Catechol', smarts: 'c([OH])c[OH]' },
+            { id: 'charged_oxygen_sulfur', name: 'Charged oxygen or sulfur', smarts: '[O+,o+,S+,s+]' },
+            { id: 'diketo', name: '1,2-Dicarbonyl', smarts: '[CX3](=O)[CX3](=O)' },
+            { id: 'disulphide', name: 'Disulphide', smarts: '[SX2][SX2]' },
+            { id: 'halopyridine', name: '2-Halopyridine', smarts: 'n1c([F,Cl,Br,I])cccc1' },
+            { id: 'three_membered_heterocycle', name: 'Three-membered heterocycle', smarts: '*1[O,S,N]*1' },
+            { id: 'heavy_metal', name: 'Heavy metal', smarts: '[Hg,Pb,Sn,As,Sb,Tl,Cd,Cr,Ni,Se,Te]' },
+            { id: 'hydrazine', name: 'Hydrazine', smarts: '[NX3][NX3]' },
+            { id: 'hydroxamic_acid', name: 'Hydroxamic acid', smarts: '[CX3](=O)[NX3][OH]' },
+            { id: 'imine', name: 'Imine', smarts: '[CX3;!$(C-[#7,#8,#16])]=[NX2;!$(N-[#7,#8])]' },
+            { id: 'isocyanate', name: 'Isocyanate', smarts: '[NX2]=C=O' },
+            { id: 'isothiocyanate', name: 'Isothiocyanate', smarts: '[NX2]=C=S' },
+            { id: 'michael_acceptor', name: 'Michael acceptor', smarts: '[C;H1,H2;!R]=[CX3]-[C,S]=O' },
+            { id: 'nitro', name: 'Nitro group', smarts: '[$([NX3](=O)=O),$([NX3+](=O)[O-])](~[OX1])~[OX1]' },
+            { id: 'n_oxide', name: 'N-oxide', smarts: '[#7+;!$([#7+]=O)]-[OX1-]' },
+            { id: 'nitroso', name: 'Nitroso / N-nitroso', smarts: '[#6,#7]-[NX2]=[OX1]' },
+            { id: 'oxime', name: 'Oxime', smarts: '[CX3]=[NX2]-[OX2]' },
+            { id: 'peroxide', name: 'Peroxide', smarts: '[OX2]-[OX2]' },
+            { id: 'perfluorinated_chain', name: 'Perfluorinated chain', smarts: '[CX4](F)(F)[CX4](F)(F)[CX4](F)F' },
+            { id: 'phosphor', name: 'Phosphorus', smarts: '[P,p]' },
+            { id: 'polyene', name: 'Polyene', smarts: '[C;R0]=[C;R0]-[C;R0]=[C;R0]' },
+            { id: 'quaternary_nitrogen', name: 'Quaternary nitrogen', smarts: '[NX4+;H0]' },
+            { id: 'sulfonic_acid', name: 'Sulfonic acid', smarts: '[SX4](=O)(=O)[OH]' },
+            { id: 'sulfonyl_halide', name: 'Sulfonyl halide', smarts: '[SX4](=O)(=O)[F,Cl,Br,I]' },
+            { id: 'thiocarbonyl', name: 'Thiocarbonyl', smarts: '[#6]=[SX1]' },
+            { id: 'thioester', name: 'Thioester', smarts: '[#6]-C(=O)-[SX2]' },
+            { id: 'thiol', name: 'Thiol', smarts: '[SX2H]' },
+            { id: 'thiocyanate', name: 'Thiocyanate', smarts: '[SX2]-C#N' },
+            { id: 'sulfur_oxygen', name: 'Sulfur-oxygen single bond', smarts: '[SX2]-[OX2]' },
+            { id: 'triflate', name: 'Triflate', smarts: 'OS(=O)(=O)C(F)(F)F' },
+            { id: 'triple_bond', name: 'Carbon-carbon triple bond', smarts: 'C#C' },
+            { id: 'aliphatic_long_chain', name: 'Aliphatic chain (7+ atoms)', smarts: '[R0;D2][R0;D2][R0;D2][R0;D2][R0;D2][R0;D2][R0;D2]' },
+            { id: 'hydroquinone', name: 'Hydroquinone', smarts: '[OH]-c1ccc(cc1)-[OH]' },
+            { id: 'coumarin', name: 'Coumarin', smarts: 'c1ccc2c(c1)ccc(=O)o2' },
+            { id: 'acyclic_het_c_het', name: 'Acyclic aminal/acetal', smarts: '[#7,#8,#16;!R]-[CH2;!R]-[#7,#8,#16;!R]' },
+            { id: 'iodine', name: 'Iodine', smarts: 'I' },
+            { id: 'stilbene', name: 'Stilbene', smarts: 'c-[CX3H]=[CX3H]-c' },
+            { id: 'diaminobenzene', name: 'ortho/para-Diaminobenzene', smarts: '[NH2;$(N-c:c-[NH2]),$(N-c1ccc(-[NH2])cc1)]' }
+        ]
+    },
+    {
+        id: 'reactive',
+        label: 'Reactive',
+        name: 'Reactive groups and toxicophores',
+        alerts: [
+            { id: 'acyl_halide', name: 'Acyl halide', smarts: '[CX3](=O)[F,Cl,Br,I]' },
+            { id: 'sulfonyl_halide', name: 'Sulfonyl halide', smarts: '[SX4](=O)(=O)[F,Cl,Br,I]' },
+            { id: 'anhydride', name: 'Anhydride', smarts: '[CX3](=O)O[CX3](=O)' },
+            { id: 'aldehyde', name: 'Aldehyde', smarts: '[CX3H1](=O)[#6]' },
+            { id: 'epoxide', name: 'Epoxide', smarts: 'C1OC1' },
+            { id: 'aziridine', name: 'Aziridine', smarts: 'C1NC1' },
+            { id: 'isocyanate', name: 'Iso(thio)cyanate', smarts: '[NX2]=C=[O,S]' },
+            { id: 'enone', name: 'Terminal enone (Michael acceptor)', smarts: '[CH2]=[CH]-[CX3](=O)-[#6]' },
+            { id: 'acrylamide', name: 'Acrylamide', smarts: '[CH2]=[CH]-[CX3](=O)-[NX3]' },
+            { id: 'vinyl_sulfone', name: 'Vinyl sulfone', smarts: 'C=C-[SX4](=O)(=O)' },
+            { id: 'primary_alkyl_halide', name: 'Primary alkyl halide', smarts: '[CH2X4][Cl,Br,I]' },
+            { id: 'alpha_halo_ketone', name: 'alpha-Haloketone', smarts: '[CX4]([Cl,Br,I])-[CX3](=O)[#6]' },
+            { id: 'azide', name: 'Azide', smarts: '[#7]=[#7+]=[#7-]' },
+            { id: 'diazo', name: 'Diazo', smarts: '[#6]=[#7+]=[#7-]' },
+            { id: 'acyl_cyanide', name: 'Acyl cyanide', smarts: '[CX3](=O)C#N' },
+            { id: 'peroxide', name: 'Peroxide', smarts: 'OO' },
+            { id: 'thiol', name: 'Thiol', smarts: '[SX2H]' },
+            { id: 'disulfide', name: 'Disulfide', smarts: 'SS' },
+            { id: 'sulfonate_ester', name: 'Alkyl sulfonate ester', smarts: '[SX4](=O)(=O)-O-[CX4]' },
+            { id: 'aromatic_nitro', name: 'Aromatic nitro', smarts: 'c-[$([NX3](=O)=O),$([NX3+](=O)[O-])](~[OX1])~[OX1]' },
+            { id: 'aromatic_amine', name: 'Primary aromatic amine', smarts: 'c-[NH2]' },
+            { id: 'n_nitroso', name: 'N-Nitroso', smarts: '[#7]-[NX2]=O' },
+            { id: 'hydrazine', name: 'Hydrazine', smarts: '[NX3;!$(N-C=O)]-[NX3;!$(N-C=O)]' },
+            { id: 'nitrogen_mustard', name: 'Nitrogen/sulfur mustard', smarts: '[NX3,SX2]-[CH2]-[CH2]-[Cl,Br,I]' }
+        ]
+    }
+];
+
+export class StructuralAlerts {
+    /**
+     * Initialize the alert libraries
+     * @param {Object} config - Saved configuration (see getConfig)
+     */
+    constructor(config = {}) {
+        this.matcher = new SubstructureMatcher();
+
+        // Alerts whose SMARTS failed to parse are reported once, then skipped
+        this.invalidAlerts = new Set();
+
+        this.setConfig(config);
+    }
+
+    /**
+     * Apply a configuration on top of the bundled libraries
+     * @param {Object} config - Map of library id → {enabled}
+     */
+    setConfig(config = {}) {
+        this.libraries = ALERT_LIBRARIES.map(library => ({
+            ...library,
+            enabled: config?.[library.id]?.enabled ?? true
+        }));
+    }
+
+    /**
+     * Serializable configuration of all libraries
+     * @returns {Object} Configuration accepted by setConfig
+     */
+    getConfig() {
+        return Object.fromEntries(this.libraries.map(library => [library.id, { enabled: library.enabled }]));
+    }
+
+    /**
+     * Get all libraries
+     * @returns {Array<Object>} Libraries with their current settings
+     */
+    getLibraries() {
+        return this.libraries;
+    }
+
+    /**
+     * Get the enabled libraries
+     * @returns {Array<Object>} Enabled libraries
+     */
+    getEnabledLibraries() {
+        return this.libraries.filter(library => library.enabled);
+    }
+
+    /**
+     * Screen a molecule against every enabled library
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {Array<Object>} Alerts as {library, libraryLabel, id, name, smarts, atoms}
+     */
+    screen(molecule) {
+        const alerts = [];
+
+        this.getEnabledLibraries().forEach(library => {
+            library.alerts.forEach(alert => {
+                if (this.invalidAlerts.has(alert)) return;
+
+                let matches;
+                try {
+                    matches = this.matcher.findMatches(molecule, alert.smarts, { maxMatches: MAX_MATCHES_PER_ALERT });
+                } catch (error) {
+                    this.invalidAlerts.add(alert);
+                    console.warn(`⚠️ Skipping structural alert ${library.id}/${alert.id}:`, error.message);
+                    return;
+                }
+
+                if (matches.length === 0) return;
+
+                alerts.push({
+                    library: library.id,
+                    libraryLabel: library.label,
+                    id: alert.id,
+                    name: alert.name,
+                    smarts: alert.smarts,
+                    atoms: [...new Set(matches.flat())].sort((a, b) => a - b)
+                });
+            });
+        });
+
+        return alerts;
+    }
+}
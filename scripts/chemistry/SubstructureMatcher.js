@@ -0,0 +1,368 @@
+/**
+ * ================================================
+ * SubstructureMatcher Utility
+ * ================================================
+ *
+ * Finds SMARTS query matches in a Molecule by backtracking over
+ * the query atoms in depth-first order, so every new query atom is
+ * only tried against neighbours of an already matched atom.
+ *
+ * Features:
+ * - Accepts SMARTS strings or query graphs from SmartsParser
+ * - Ring counts, ring sizes, Kekulé valences and hydrogen counts per molecule
+ * - Recursive SMARTS with per-molecule result caching
+ * - Unique matches (by atom set) with an optional match limit
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { SmartsParser } from './SmartsParser.js';
+import { Kekulizer } from './Kekulizer.js';
+
+// Backtracking steps per search before giving up on a pathological query
+const MAX_STEPS = 100000;
+
+export class SubstructureMatcher {
+    /**
+     * Initialize the matcher
+     */
+    constructor() {
+        this.smartsParser = new SmartsParser();
+        this.kekulizer = new Kekulizer();
+
+        // Parsed SMARTS strings and per-molecule atom properties
+        this.queries = new Map();
+        this.contexts = new WeakMap();
+    }
+
+    /**
+     * Parse (and cache) a SMARTS query
+     * @param {string|Object} smarts - SMARTS string or parsed query
+     * @returns {Object} Query graph
+     * @throws {SmartsError} If the SMARTS is invalid
+     */
+    getQuery(smarts) {
+        if (typeof smarts !== 'string') return smarts;
+
+        if (!this.queries.has(smarts)) {
+            this.queries.set(smarts, this.smartsParser.parse(smarts));
+        }
+        return this.queries.get(smarts);
+    }
+
+    /**
+     * Find matches of a query in a molecule
+     * @param {Molecule} molecule - Molecule to search
+     * @param {string|Object} smarts - SMARTS string or parsed query
+     * @param {Object} options - Search options
+     * @param {number} options.maxMatches - Stop after this many unique matches
+     * @param {boolean} options.unique - Drop matches covering the same atoms as an earlier one (default true);
+     *   turn off to get every mapping of a symmetric query
+     * @returns {Array<Array<number>>} Matched molecule atom indices, ordered like the query atoms
+     */
+    findMatches(molecule, smarts, options = {}) {
+        const query = this.getQuery(smarts);
+        const maxMatches = options.maxMatches ?? Infinity;
+        const unique = options.unique ?? true;
+        const context = this.getContext(molecule);
+        const matches = [];
+        const seen = new Set();
+
+        this.search(context, query, null, mapping => {
+            const key = unique ? [...mapping].sort((a, b) => a - b).join(',') : mapping.join(',');
+            if (!seen.has(key)) {
+                seen.add(key);
+                matches.push([...mapping]);
+            }
+            return matches.length >= maxMatches;
+        });
+
+        return matches;
+    }
+
+    /**
+     * Check whether a query occurs in a molecule
+     * @param {Molecule} molecule - Molecule to search
+     * @param {string|Object} smarts - SMARTS string or parsed query
+     * @returns {boolean} Whether at least one match exists
+     */
+    hasMatch(molecule, smarts) {
+        return this.findMatches(molecule, smarts, { maxMatches: 1 }).length > 0;
+    }
+
+    /**
+     * Run the backtracking search
+     * @param {Object} context - Molecule context
+     * @param {Object} query - Query graph
+     * @param {number|null} root - Molecule atom the first query atom must map to
+     * @param {Function} onMatch - Called with each mapping; returning true stops the search
+     */
+    search(context, query, root, onMatch) {
+        const plan = this.getPlan(query);
+        const { molecule } = context;
+        const mapping = new Array(query.atoms.length).fill(-1);
+        const used = new Set();
+        const counter = { steps: 0, stopped: false };
+
+        const extend = depth => {
+            if (counter.stopped) return;
+            if (++counter.steps > MAX_STEPS) {
+                counter.stopped = true;
+                return;
+            }
+
+            if (depth === plan.length) {
+                if (onMatch(mapping)) counter.stopped = true;
+                return;
+            }
+
+            const { atom, parent } = plan[depth];
+            let candidates;
+            if (parent !== null) {
+                candidates = molecule.getNeighbors(mapping[parent]);
+            } else if (depth === 0 && root !== null) {
+                candidates = [root];
+            } else {
+                candidates = molecule.atoms.map(candidate => candidate.index);
+            }
+
+            for (const candidate of candidates) {
+                if (used.has(candidate)) continue;
+                if (!this.atomMatches(context, query.atoms[atom].expression, candidate)) continue;
+                if (!this.bondsMatch(context, query, atom, candidate, mapping)) continue;
+
+                mapping[atom] = candidate;
+                used.add(candidate);
+                extend(depth + 1);
+                used.delete(candidate);
+                mapping[atom] = -1;
+
+                if (counter.stopped) return;
+            }
+        };
+
+        extend(0);
+    }
+
+    /**
+     * Order query atoms depth-first so each atom (except component roots) follows a bonded parent
+     * @param {Object} query - Query graph
+     * @returns {Array<Object>} Steps of {atom, parent}
+     */
+    getPlan(query) {
+        if (query.plan) return query.plan;
+
+        const plan = [];
+        const visited = new Set();
+
+        query.atoms.forEach(({ index }) => {
+            if (visited.has(index)) return;
+
+            const stack = [{ atom: index, parent: null }];
+            while (stack.length > 0) {
+                const step = stack.pop();
+                if (visited.has(step.atom)) continue;
+
+                visited.add(step.atom);
+                plan.push(step);
+                [...query.adjacency[step.atom]].reverse().forEach(({ atom }) => {
+                    if (!visited.has(atom)) stack.push({ atom, parent: step.atom });
+                });
+            }
+        });
+
+        query.plan = plan;
+        return plan;
+    }
+
+    /**
+     * Check the query bonds between a new atom and already mapped atoms
+     * @param {Object} context - Molecule context
+     * @param {Object} query - Query graph
+     * @param {number} atom - Query atom being mapped
+     * @param {number} candidate - Molecule atom it would map to
+     * @param {Array<number>} mapping - Current mapping (-1 = unmapped)
+     * @returns {boolean} Whether every such bond exists and matches
+     */
+    bondsMatch(context, query, atom, candidate, mapping) {
+        for (const { atom: other, bond } of query.adjacency[atom]) {
+            if (mapping[other] === -1) continue;
+
+            const moleculeBond = context.molecule.getBond(candidate, mapping[other]);
+            if (!moleculeBond || !this.bondMatches(context, query.bonds[bond].expression, moleculeBond)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Evaluate an atom expression
+     * @param {Object} context - Molecule context
+     * @param {Object} expression - Atom expression tree
+     * @param {number} index - Molecule atom index
+     * @returns {boolean} Whether the atom satisfies the expression
+     */
+    atomMatches(context, expression, index) {
+        switch (expression.type) {
+            case 'and':
+                return expression.children.every(child => this.atomMatches(context, child, index));
+            case 'or':
+                return expression.children.some(child => this.atomMatches(context, child, index));
+            case 'not':
+                return !this.atomMatches(context, expression.child, index);
+            default:
+                return this.atomPrimitiveMatches(context, expression, index);
+        }
+    }
+
+    /**
+     * Evaluate a single atom primitive
+     * @param {Object} context - Molecule context
+     * @param {Object} primitive - Primitive node
+     * @param {number} index - Molecule atom index
+     * @returns {boolean} Whether the atom satisfies the primitive
+     */
+    atomPrimitiveMatches(context, primitive, index) {
+        const atom = context.molecule.atoms[index];
+        const { value } = primitive;
+
+        switch (primitive.name) {
+            case 'any':
+                return true;
+            case 'element':
+                return atom.element === primitive.element && (primitive.aromatic === null || atom.aromatic === primitive.aromatic);
+            case 'aromatic':
+                return atom.aromatic;
+            case 'aliphatic':
+                return !atom.aromatic;
+            case 'isotope':
+                return atom.isotope === value;
+            case 'charge':
+                return atom.charge === value;
+            case 'degree':
+                return context.molecule.getNeighbors(index).length === value;
+            case 'connectivity':
+                return context.molecule.getNeighbors(index).length + context.hydrogens[index] === value;
+            case 'totalHydrogens':
+            case 'implicitHydrogens':
+                return context.hydrogens[index] === value;
+            case 'valence':
+                return context.valences[index] === value;
+            case 'ringCount':
+                return value === null ? context.ringCounts[index] > 0 : context.ringCounts[index] === value;
+            case 'ringSize':
+                return value === null ? context.ringCounts[index] > 0 : context.ringSizes[index].has(value);
+            case 'ringConnectivity':
+                return value === null ? context.ringBonds[index] > 0 : context.ringBonds[index] === value;
+            case 'recursive':
+                return this.recursiveMatches(context, primitive.query, index);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Evaluate a recursive SMARTS primitive, caching results per molecule
+     * @param {Object} context - Molecule context
+     * @param {Object} query - Nested query graph
+     * @param {number} index - Molecule atom index
+     * @returns {boolean} Whether the nested query matches with its first atom on this atom
+     */
+    recursiveMatches(context, query, index) {
+        if (!context.recursive.has(query)) context.recursive.set(query, new Map());
+        const cache = context.recursive.get(query);
+
+        if (!cache.has(index)) {
+            let found = false;
+            this.search(context, query, index, () => {
+                found = true;
+                return true;
+            });
+            cache.set(index, found);
+        }
+
+        return cache.get(index);
+    }
+
+    /**
+     * Evaluate a bond expression (null = single or aromatic)
+     * @param {Object} context - Molecule context
+     * @param {Object|null} expression - Bond expression tree
+     * @param {Object} bond - Molecule bond
+     * @returns {boolean} Whether the bond satisfies the expression
+     */
+    bondMatches(context, expression, bond) {
+        if (expression === null) return bond.aromatic || bond.order === 1;
+
+        switch (expression.type) {
+            case 'and':
+                return expression.children.every(child => this.bondMatches(context, child, bond));
+            case 'or':
+                return expression.children.some(child => this.bondMatches(context, child, bond));
+            case 'not':
+                return !this.bondMatches(context, expression.child, bond);
+        }
+
+        switch (expression.name) {
+            case 'single':
+                return !bond.aromatic && bond.order === 1;
+            case 'double':
+                return !bond.aromatic && bond.order === 2;
+            case 'triple':
+                return !bond.aromatic && bond.order === 3;
+            case 'aromatic':
+                return bond.aromatic;
+            case 'ring':
+                return context.molecule.isBondInRing(bond.index);
+            case 'any':
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Per-molecule atom properties used by the primitives
+     * @param {Molecule} molecule - Molecule to search
+     * @returns {Object} Context with ring data, hydrogens, valences and the recursive cache
+     */
+    getContext(molecule) {
+        if (this.contexts.has(molecule)) return this.contexts.get(molecule);
+
+        const count = molecule.atoms.length;
+        const ringCounts = new Array(count).fill(0);
+        const ringSizes = Array.from({ length: count }, () => new Set());
+        const ringBonds = new Array(count).fill(0);
+
+        molecule.getRings().forEach(ring => {
+            ring.forEach(atom => {
+                ringCounts[atom]++;
+                ringSizes[atom].add(ring.length);
+            });
+        });
+        molecule.bonds.forEach(bond => {
+            if (molecule.isBondInRing(bond.index)) {
+                ringBonds[bond.begin]++;
+                ringBonds[bond.end]++;
+            }
+        });
+
+        // Explicit [H] atoms count towards H like implicit ones
+        const hydrogens = molecule.atoms.map(atom => molecule.getHydrogenCount(atom.index)
+            + molecule.getNeighbors(atom.index).filter(neighbor => molecule.atoms[neighbor].element === 'H').length);
+
+        // Valence uses Kekulé bond orders so that aromatic atoms get integral values
+        const orders = this.kekulizer.kekulize(molecule);
+        const valences = molecule.atoms.map(atom => molecule.getHydrogenCount(atom.index)
+            + molecule.getAtomBonds(atom.index).reduce((sum, bond) => {
+                if (!bond.aromatic) return sum + bond.order;
+                return sum + (orders ? orders.get(bond.index) : 1.5);
+            }, 0));
+
+        const context = { molecule, ringCounts, ringSizes, ringBonds, hydrogens, valences, recursive: new Map() };
+        this.contexts.set(molecule, context);
+        return context;
+    }
+}
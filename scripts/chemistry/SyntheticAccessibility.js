@@ -0,0 +1,278 @@
+/**
+ * ================================================
+ * SyntheticAccessibility Utility
+ * ================================================
+ *
+ * Synthetic accessibility score after Ertl & Schuffenhauer
+ * (J. Cheminform. 2009, 1, 8): a fragment term rewarding common
+ * structural features minus a complexity penalty, scaled from
+ * 1 (easy to make) to 10 (very difficult).
+ *
+ * Features:
+ * - Complexity penalty as published: size, stereocentres, spiro atoms,
+ *   bridgehead atoms and macrocycles
+ * - Symmetry correction from the number of distinct ECFP4 environments
+ * - Stereocentres include unassigned ones (tetrahedral carbons with four
+ *   different substituents by symmetry class)
+ *
+ * The published fragment term uses frequencies of ECFP environments in
+ * PubChem, which are not bundled. It is estimated here from per-atom
+ * features that are rare in that set (uncommon elements, quaternary
+ * carbons, fused and small or large rings, heteroatom–heteroatom bonds),
+ * so scores follow the published ones in trend rather than value.
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { CanonicalSmiles } from './CanonicalSmiles.js';
+import { MorganFingerprint } from './MorganFingerprint.js';
+
+// Fragment score of an atom without unusual features
+const BASE_ATOM_SCORE = 2.0;
+
+// Penalties subtracted from the base score for rare atom features
+const ELEMENT_PENALTIES = { C: 0, N: 0, O: 0, F: 0, Cl: 0, S: 0.25, Br: 0.25, I: 0.75, P: 1.0 };
+const OTHER_ELEMENT_PENALTY = 2.5;
+const CHARGE_PENALTY = 0.5;
+const QUATERNARY_CARBON_PENALTY = 1.0;
+const TERTIARY_CARBON_PENALTY = 0.25;
+const FUSION_PENALTY = 0.75;
+const AROMATIC_FUSION_PENALTY = 0.15;
+const SMALL_RING_PENALTY = 0.75;
+const SEVEN_RING_PENALTY = 0.5;
+const LARGE_RING_PENALTY = 1.0;
+const HETERO_BOND_PENALTY = 0.5;
+const PEROXIDE_PENALTY = 1.5;
+const TRIPLE_BOND_PENALTY = 0.5;
+const ALLENE_PENALTY = 1.5;
+const HETERO_SUBSTITUTED_CARBON_PENALTY = 0.5;
+
+// Rings larger than this count as macrocycles
+const MACROCYCLE_SIZE = 8;
+
+// Raw score range mapped onto 1–10
+const MIN_RAW_SCORE = -4;
+const MAX_RAW_SCORE = 2.5;
+
+export class SyntheticAccessibility {
+    /**
+     * Initialize the scorer
+     * @param {Object} options - Scorer options
+     * @param {CanonicalSmiles} options.canonicalizer - Source of atom symmetry classes
+     * @param {MorganFingerprint} options.fingerprint - Source of the ECFP4 environments
+     */
+    constructor(options = {}) {
+        this.canonicalizer = options.canonicalizer || new CanonicalSmiles();
+        this.fingerprint = options.fingerprint || new MorganFingerprint();
+    }
+
+    /**
+     * Calculate the synthetic accessibility score of a molecule
+     * @param {Molecule} molecule - Parsed molecule
+     * @returns {Object} {score, fragmentScore, complexity: {size, stereo, spiro, bridgehead, macrocycle}, symmetry}
+     */
+    calculate(molecule) {
+        const heavy = this.canonicalizer.removeHydrogens(molecule);
+        const atomCount = heavy.atoms.length;
+        if (atomCount === 0) return { score: 1, fragmentScore: 0, complexity: null, symmetry: 0 };
+
+        const rings = heavy.getRings();
+        const fragmentScore = this.getFragmentScore(heavy, rings);
+        const { spiro, bridgehead } = this.getRingJunctions(rings);
+
+        const complexity = {
+            size: atomCount ** 1.005 - atomCount,
+            stereo: Math.log10(this.getStereocentreCount(heavy) + 1),
+            spiro: Math.log10(spiro + 1),
+            bridgehead: Math.log10(bridgehead + 1),
+            macrocycle: rings.some(ring => ring.length > MACROCYCLE_SIZE) ? Math.log10(2) : 0
+        };
+
+        // Symmetric molecules have fewer distinct environments than atoms and are easier to make
+        const environments = this.fingerprint.getIdentifiers(heavy).length;
+        const symmetry = atomCount > environments ? Math.log(atomCount / environments) * 0.5 : 0;
+
+        const penalty = Object.values(complexity).reduce((sum, value) => sum + value, 0);
+        return { score: this.scale(fragmentScore - penalty + symmetry), fragmentScore, complexity, symmetry };
+    }
+
+    /**
+     * Map a raw score onto 1 (easy) to 10 (difficult), smoothing the difficult end
+     * @param {number} raw - Fragment score minus complexity plus symmetry
+     * @returns {number} Scaled score
+     */
+    scale(raw) {
+        let score = 11 - ((raw - MIN_RAW_SCORE + 1) / (MAX_RAW_SCORE - MIN_RAW_SCORE)) * 9;
+        if (score > 8) score = 8 + Math.log(score - 8);
+        return Math.min(10, Math.max(1, score));
+    }
+
+    /**
+     * Estimated fragment term: the mean commonness of the atoms
+     * @param {Molecule} molecule - Molecule without explicit hydrogens
+     * @param {Array<Array<number>>} rings - Smallest set of smallest rings
+     * @returns {number} Fragment score
+     */
+    getFragmentScore(molecule, rings) {
+        const penalties = molecule.atoms.map(atom => this.getAtomPenalty(molecule, atom, rings));
+
+        // Each unusual bond is shared between its two atoms
+        molecule.bonds.forEach(bond => {
+            const penalty = this.getBondPenalty(molecule, bond) / 2;
+            penalties[bond.begin] += penalty;
+            penalties[bond.end] += penalty;
+        });
+
+        const total = penalties.reduce((sum, penalty) => sum + (BASE_ATOM_SCORE - penalty), 0);
+        return total / molecule.atoms.length;
+    }
+
+    /**
+     * Penalty for the rare features of one atom
+     * @param {Molecule} molecule - Molecule without explicit hydrogens
+     * @param {Object} atom - Atom
+     * @param {Array<Array<number>>} rings - Smallest set of smallest rings
+     * @returns {number} Penalty
+     */
+    getAtomPenalty(molecule, atom, rings) {
+        let penalty = ELEMENT_PENALTIES[atom.element] ?? OTHER_ELEMENT_PENALTY;
+
+        // Charges are uncommon apart from charge-separated N-oxides and nitro groups
+        if (atom.charge !== 0 && !this.isChargeSeparated(molecule, atom)) penalty += CHARGE_PENALTY;
+
+        const neighbors = molecule.getNeighbors(atom.index);
+        if (atom.element === 'C' && !atom.aromatic && molecule.getBondOrderSum(atom.index) === neighbors.length) {
+            if (neighbors.length === 4) penalty += QUATERNARY_CARBON_PENALTY;
+            if (neighbors.length === 3) penalty += TERTIARY_CARBON_PENALTY;
+
+            const heteroatoms = neighbors.filter(neighbor => molecule.atoms[neighbor].element !== 'C').length;
+            if (heteroatoms >= 2) penalty += HETERO_SUBSTITUTED_CARBON_PENALTY;
+        }
+
+        const atomRings = rings.filter(ring => ring.includes(atom.index));
+        if (atomRings.length > 1) penalty += atom.aromatic ? AROMATIC_FUSION_PENALTY : FUSION_PENALTY;
+
+        const smallest = Math.min(...atomRings.map(ring => ring.length));
+        if (smallest <= 4) penalty += SMALL_RING_PENALTY;
+        else if (smallest === 7) penalty += SEVEN_RING_PENALTY;
+        else if (smallest >= 8 && smallest !== Infinity) penalty += LARGE_RING_PENALTY;
+
+        return penalty;
+    }
+
+    /**
+     * Penalty for a rare bond type
+     * @param {Molecule} molecule - Molecule without explicit hydrogens
+     * @param {Object} bond - Bond
+     * @returns {number} Penalty
+     */
+    getBondPenalty(molecule, bond) {
+        const begin = molecule.atoms[bond.begin];
+        const end = molecule.atoms[bond.end];
+
+        if (bond.order === 3) {
+            const nitrile = begin.element === 'N' || end.element === 'N';
+            return nitrile ? 0 : TRIPLE_BOND_PENALTY;
+        }
+
+        if (bond.order === 2 && [bond.begin, bond.end].some(index => this.isCumulated(molecule, index))) {
+            return ALLENE_PENALTY / 2;
+        }
+
+        if (bond.aromatic || bond.order !== 1 || begin.element === 'C' || end.element === 'C') return 0;
+        if (begin.atomicNumber === 1 || end.atomicNumber === 1) return 0;
+        if (this.isChargeSeparated(molecule, begin) || this.isChargeSeparated(molecule, end)) return 0;
+
+        return begin.element === 'O' && end.element === 'O' ? PEROXIDE_PENALTY : HETERO_BOND_PENALTY;
+    }
+
+    /**
+     * Whether an atom carries two double bonds (allene or cumulene centre)
+     * @param {Molecule} molecule - Molecule without explicit hydrogens
+     * @param {number} index - Atom index
+     * @returns {boolean} Whether the atom is cumulated
+     */
+    isCumulated(molecule, index) {
+        return molecule.getAtomBonds(index).filter(bond => bond.order === 2 && !bond.aromatic).length >= 2
+            && molecule.atoms[index].element === 'C';
+    }
+
+    /**
+     * Whether a charged atom is half of an N+/O− pair (N-oxide, nitro)
+     * @param {Molecule} molecule - Molecule without explicit hydrogens
+     * @param {Object} atom - Atom
+     * @returns {boolean} Whether the charge is balanced by a bonded partner
+     */
+    isChargeSeparated(molecule, atom) {
+        if (atom.charge === 0) return false;
+        return molecule.getNeighbors(atom.index).some(neighbor => {
+            const other = molecule.atoms[neighbor];
+            return other.charge === -atom.charge
+                && ((atom.element === 'N' && other.element === 'O') || (atom.element === 'O' && other.element === 'N'));
+        });
+    }
+
+    /**
+     * Count stereocentres, assigned or not
+     * @param {Molecule} molecule - Molecule without explicit hydrogens
+     * @returns {number} Stereocentre count
+     */
+    getStereocentreCount(molecule) {
+        const classes = this.canonicalizer.getSymmetryClasses(molecule);
+
+        return molecule.atoms.filter(atom => {
+            if (atom.chirality) return true;
+            if (atom.element !== 'C' || atom.aromatic || atom.charge !== 0) return false;
+
+            // Tetrahedral carbon with at most one hydrogen
+            const neighbors = molecule.getNeighbors(atom.index);
+            const hydrogens = molecule.getHydrogenCount(atom.index);
+            if (neighbors.length + hydrogens !== 4 || hydrogens > 1) return false;
+            if (molecule.getBondOrderSum(atom.index) !== neighbors.length) return false;
+
+            return new Set(neighbors.map(neighbor => classes[neighbor])).size === neighbors.length;
+        }).length;
+    }
+
+    /**
+     * Count spiro and bridgehead atoms from the ring overlaps
+     * @param {Array<Array<number>>} rings - Smallest set of smallest rings
+     * @returns {Object} {spiro, bridgehead}
+     */
+    getRingJunctions(rings) {
+        const spiro = new Set();
+        const bridgehead = new Set();
+
+        for (let i = 0; i < rings.length; i++) {
+            for (let j = i + 1; j < rings.length; j++) {
+                const shared = rings[i].filter(atom => rings[j].includes(atom));
+
+                if (shared.length === 1) spiro.add(shared[0]);
+
+                // Rings sharing more than one bond meet at the two ends of the shared path
+                if (shared.length > 2) {
+                    shared
+                        .filter(atom => this.countSharedNeighbors(rings[i], atom, shared) === 1)
+                        .forEach(atom => bridgehead.add(atom));
+                }
+            }
+        }
+
+        return { spiro: spiro.size, bridgehead: bridgehead.size };
+    }
+
+    /**
+     * Number of ring neighbours of an atom that lie on the shared path
+     * @param {Array<number>} ring - Ring as an ordered atom path
+     * @param {number} atom - Atom on the shared path
+     * @param {Array<number>} shared - Atoms shared with the other ring
+     * @returns {number} Shared neighbour count (1 at the ends of the path)
+     */
+    countSharedNeighbors(ring, atom, shared) {
+        const position = ring.indexOf(atom);
+        const previous = ring[(position - 1 + ring.length) % ring.length];
+        const next = ring[(position + 1) % ring.length];
+        return [previous, next].filter(neighbor => shared.includes(neighbor)).length;
+    }
+}
@@ -0,0 +1,348 @@
+/**
+ * ================================================
+ * BackendSettingsPanel Component
+ * ================================================
+ *
+ * Settings panel for the backend the app talks to. Named profiles hold a
+ * base URL, generate path, timeout and optional auth header; the active
+ * profile can be switched at any time and is remembered between sessions.
+ *
+ * Features:
+ * - Profile switcher with the resolved generate URL as status
+ * - Editor for any profile (the active one by default), plus new and delete actions
+ * - Deleting asks for confirmation; the active and the last profile cannot be deleted
+ * - Inline validation messages
+ * - Announces profile changes on the EventBus ("backend:changed")
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { BackendProfiles } from '../utils/BackendProfiles.js';
+
+// Defaults of a new profile
+const NEW_PROFILE = {
+    name: '',
+    baseUrl: '',
+    generatePath: '/generate-molecules',
+    timeout: 600000,
+    authHeader: ''
+};
+
+export class BackendSettingsPanel {
+    /**
+     * Initialize the BackendSettingsPanel component
+     * @param {HTMLElement} element - The backend settings container element
+     * @param {Object} options - Component options
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.eventBus = options.eventBus;
+        this.backend = options.backend || new BackendProfiles();
+
+        // Component state; editingId is null while a new profile is being entered,
+        // pendingDeleteId names the profile whose deletion awaits confirmation
+        this.state = {
+            editingId: null,
+            pendingDeleteId: null,
+            initialized: false
+        };
+
+        // DOM element references
+        this.elements = {
+            select: null,
+            status: null,
+            editor: null,
+            form: null,
+            editSelect: null,
+            name: null,
+            baseUrl: null,
+            generatePath: null,
+            timeout: null,
+            authHeader: null,
+            newButton: null,
+            deleteButton: null
+        };
+
+        // Bind methods to preserve context
+        this.handleProfileSelect = this.handleProfileSelect.bind(this);
+        this.handleEditSelect = this.handleEditSelect.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleNewProfile = this.handleNewProfile.bind(this);
+        this.handleDeleteProfile = this.handleDeleteProfile.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the component
+     */
+    init() {
+        // The constructor already initializes; a repeated call is a no-op
+        if (this.state.initialized) return;
+
+        try {
+            this.cacheElements();
+            this.setupEventListeners();
+            this.state.initialized = true;
+            this.render();
+            console.log('✅ BackendSettingsPanel component initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize BackendSettingsPanel:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cache DOM element references for performance
+     */
+    cacheElements() {
+        this.elements.select = this.element.querySelector('[data-input="backend-profile"]');
+        this.elements.status = this.element.querySelector('[data-element="backend-status"]');
+        this.elements.editor = this.element.querySelector('[data-element="backend-editor"]');
+        this.elements.form = this.element.querySelector('[data-element="backend-form"]');
+        this.elements.editSelect = this.element.querySelector('[data-input="edit-profile"]');
+        this.elements.name = this.element.querySelector('[data-input="profile-name"]');
+        this.elements.baseUrl = this.element.querySelector('[data-input="profile-base-url"]');
+        this.elements.generatePath = this.element.querySelector('[data-input="profile-generate-path"]');
+        this.elements.timeout = this.element.querySelector('[data-input="profile-timeout"]');
+        this.elements.authHeader = this.element.querySelector('[data-input="profile-auth-header"]');
+        this.elements.newButton = this.element.querySelector('[data-action="new-profile"]');
+        this.elements.deleteButton = this.element.querySelector('[data-action="delete-profile"]');
+
+        // Validate required elements
+        const requiredElements = ['select', 'status', 'form', 'editSelect', 'name', 'baseUrl', 'generatePath', 'timeout', 'authHeader'];
+        requiredElements.forEach(key => {
+            if (!this.elements[key]) {
+                throw new Error(`Required element not found: ${key}`);
+            }
+        });
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.select.addEventListener('change', this.handleProfileSelect);
+        this.elements.editSelect.addEventListener('change', this.handleEditSelect);
+        this.elements.form.addEventListener('submit', this.handleSubmit);
+        this.elements.newButton?.addEventListener('click', this.handleNewProfile);
+        this.elements.deleteButton?.addEventListener('click', this.handleDeleteProfile);
+    }
+
+    /**
+     * Switch the active profile
+     * @param {Event} event - Select change event
+     */
+    handleProfileSelect(event) {
+        const profile = this.backend.setActive(event.target.value);
+        this.render();
+        this.announce(profile);
+    }
+
+    /**
+     * Load another profile into the editor
+     * @param {Event} event - Select change event
+     */
+    handleEditSelect(event) {
+        if (!event.target.value) {
+            this.handleNewProfile();
+            return;
+        }
+
+        this.render(event.target.value);
+    }
+
+    /**
+     * Save the profile in the editor; a new profile becomes the active one
+     * @param {Event} event - Form submit event
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+
+        const timeoutSeconds = parseFloat(this.elements.timeout.value);
+        const fields = {
+            id: this.state.editingId,
+            name: this.elements.name.value,
+            baseUrl: this.elements.baseUrl.value,
+            generatePath: this.elements.generatePath.value,
+            timeout: timeoutSeconds * 1000,
+            authHeader: this.elements.authHeader.value
+        };
+
+        const errors = this.backend.validate(fields);
+        if (errors.length > 0) {
+            this.setStatus(errors.join('. '), true);
+            return;
+        }
+
+        const saved = this.backend.saveProfile(fields);
+        const isNew = fields.id === null;
+        const isActive = isNew || saved.id === this.backend.getActive().id;
+        const profile = isNew ? this.backend.setActive(saved.id) : this.backend.getActive();
+        console.log(`💾 Backend profile saved: ${saved.name}`);
+
+        this.render(saved.id);
+
+        // Only a change to the profile in use concerns the other components
+        if (isActive) {
+            this.announce(profile);
+        }
+    }
+
+    /**
+     * Clear the editor for a new profile
+     */
+    handleNewProfile() {
+        this.state.editingId = null;
+        this.elements.editSelect.value = '';
+        this.fillForm(NEW_PROFILE);
+        if (this.elements.editor) this.elements.editor.open = true;
+        this.updateDeleteButton();
+        this.setStatus('New profile: enter its details and save to switch to it.');
+        this.elements.name.focus();
+    }
+
+    /**
+     * Delete the profile in the editor; the first click asks for confirmation, the second deletes
+     */
+    handleDeleteProfile() {
+        const profile = this.backend.getProfiles().find(candidate => candidate.id === this.state.editingId);
+        if (!profile || !this.canDelete(profile.id)) {
+            this.render();
+            return;
+        }
+
+        if (this.state.pendingDeleteId !== profile.id) {
+            this.state.pendingDeleteId = profile.id;
+            if (this.elements.deleteButton) this.elements.deleteButton.textContent = 'Confirm delete';
+            const authNote = profile.authHeader ? ' and its saved auth header' : '';
+            this.setStatus(`Delete "${profile.name}"${authNote}? This cannot be undone: click Confirm delete to go ahead.`, true);
+            return;
+        }
+
+        try {
+            this.backend.removeProfile(profile.id);
+        } catch (error) {
+            this.updateDeleteButton();
+            this.setStatus(error.message, true);
+            return;
+        }
+
+        console.log(`🗑️ Backend profile deleted: ${profile.name}`);
+        this.render();
+    }
+
+    /**
+     * Show the profiles, the edited profile's settings and the active generate URL
+     * @param {string} editingId - Profile to load into the editor (the active one by default)
+     */
+    render(editingId = this.backend.getActive().id) {
+        const active = this.backend.getActive();
+        const profiles = this.backend.getProfiles();
+        const editing = profiles.find(profile => profile.id === editingId) || active;
+
+        this.elements.select.innerHTML = profiles.map(profile => `
+            <option value="${this.escapeHtml(profile.id)}" ${profile.id === active.id ? 'selected' : ''}>${this.escapeHtml(profile.name)}</option>
+        `).join('');
+
+        this.elements.editSelect.innerHTML = profiles.map(profile => `
+            <option value="${this.escapeHtml(profile.id)}" ${profile.id === editing.id ? 'selected' : ''}>${this.escapeHtml(profile.name)}${profile.id === active.id ? ' (active)' : ''}</option>
+        `).join('') + '<option value="">New profile…</option>';
+
+        this.state.editingId = editing.id;
+        this.fillForm(editing);
+        this.updateDeleteButton();
+
+        this.setStatus(`Generating with ${this.backend.getGenerateUrl()}`);
+    }
+
+    /**
+     * Check whether a profile may be deleted
+     * @param {string} id - Profile ID
+     * @returns {boolean} False for the active profile and for the last one
+     */
+    canDelete(id) {
+        return id !== this.backend.getActive().id && this.backend.getProfiles().length > 1;
+    }
+
+    /**
+     * Enable the delete button for the edited profile and drop a pending confirmation
+     */
+    updateDeleteButton() {
+        this.state.pendingDeleteId = null;
+
+        const button = this.elements.deleteButton;
+        if (!button) return;
+
+        const { editingId } = this.state;
+        button.textContent = 'Delete';
+        button.disabled = editingId === null || !this.canDelete(editingId);
+        button.title = editingId !== null && editingId === this.backend.getActive().id
+            ? 'The active profile cannot be deleted; switch to another profile first'
+            : '';
+    }
+
+    /**
+     * Put a profile's settings into the editor
+     * @param {Object} profile - Profile fields
+     */
+    fillForm(profile) {
+        this.elements.name.value = profile.name;
+        this.elements.baseUrl.value = profile.baseUrl;
+        this.elements.generatePath.value = profile.generatePath;
+        this.elements.timeout.value = String(Math.round(profile.timeout / 1000));
+        this.elements.authHeader.value = profile.authHeader;
+    }
+
+    /**
+     * Tell other components which backend is now in use
+     * @param {Object} profile - Active profile
+     */
+    announce(profile) {
+        if (this.eventBus) {
+            this.eventBus.emit('backend:changed', { profile });
+        }
+    }
+
+    /**
+     * Set the status line
+     * @param {string} message - Status text
+     * @param {boolean} isError - Show as an error
+     */
+    setStatus(message, isError = false) {
+        this.elements.status.textContent = message;
+        this.elements.status.classList.toggle('backend-settings__status--error', isError);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} unsafe - Unsafe HTML string
+     * @returns {string} Escaped HTML string
+     */
+    escapeHtml(unsafe) {
+        return unsafe
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
+    /**
+     * Clean up component
+     */
+    destroy() {
+        this.elements.select?.removeEventListener('change', this.handleProfileSelect);
+        this.elements.editSelect?.removeEventListener('change', this.handleEditSelect);
+        this.elements.form?.removeEventListener('submit', this.handleSubmit);
+        this.elements.newButton?.removeEventListener('click', this.handleNewProfile);
+        this.elements.deleteButton?.removeEventListener('click', this.handleDeleteProfile);
+
+        // Clean up references
+        this.elements = {};
+        this.eventBus = null;
+
+        console.log('🧹 BackendSettingsPanel component destroyed');
+    }
+}
@@ -11,11 +11,57 @@
  * - API communication with error handling
  * - Loading state management
  * - Generation progress feedback
+ * - Streamed results (NDJSON or Server-Sent Events) forwarded as they arrive
+ * - Asynchronous jobs: status polling, with unfinished jobs resumed after a reload
+ * - Cancel button in place of Generate while a run is in flight
+ * - Retries with exponential backoff for network errors and gateway errors (cold starts)
+ * - Optional health-check ping on load, so the backend is awake before the first request
+ * - Endpoint, timeout and auth header from the active backend profile
  * 
  * @author MolGPT Team
  * ================================================
  */
 
+import { SmilesParser } from '../chemistry/SmilesParser.js';
+import { StreamParser } from '../utils/StreamParser.js';
+import { PreferenceStore } from '../utils/PreferenceStore.js';
+import { BackendProfiles } from '../utils/BackendProfiles.js';
+
+// Streaming responses are preferred; a plain JSON response is still accepted
+const ACCEPT_HEADER = 'application/x-ndjson, text/event-stream;q=0.9, application/json;q=0.8';
+
+// Storage key of submitted jobs that have not finished yet
+const JOBS_STORAGE_KEY = 'generation.jobs';
+
+// Request fields kept for the results display but not sent to the backend
+const CLIENT_ONLY_KEYS = ['locked_attachment_points'];
+
+// Request fields stored with a job: enough to resume and display it, without uploaded file contents
+const JOB_PARAM_KEYS = [
+    'mode', 'samples', 'temperature', 'scaffold', 'locked_attachment_points',
+    'fragment1', 'fragment2', 'starting_molecule', 'similarity'
+];
+
+// Job status polling: delay between polls and failed polls in a row before giving up
+const JOB_POLL_INTERVAL_MS = 3000;
+const MAX_POLL_FAILURES = 5;
+
+// Retries: first delay, doubled per attempt up to the maximum, with up to half of it as jitter
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// Gateway answers of a backend that is still starting up; other errors may come from a request
+// the server already acted on (e.g. a created job), so resending the POST could run it twice
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// A sleeping free-tier backend can take close to a minute to answer the health check
+const HEALTH_CHECK_TIMEOUT_MS = 60000;
+
+// Job statuses that end a job
+const JOB_COMPLETED_STATUSES = ['completed', 'succeeded', 'done'];
+const JOB_FAILED_STATUSES = ['failed', 'error'];
+const JOB_CANCELLED_STATUSES = ['cancelled', 'canceled'];
+
 export class GenerationController {
     /**
      * Initialize the GenerationController component
@@ -25,20 +71,35 @@ export class GenerationController {
     constructor(element, options = {}) {
         this.element = element;
         this.eventBus = options.eventBus;
+        this.preferences = options.preferences || new PreferenceStore();
+        
+        // Endpoint, timeout and auth header come from the active backend profile
+        this.backend = options.backend || new BackendProfiles({ preferences: this.preferences });
         
         // Configuration
         this.config = {
-            apiEndpoint: options.apiEndpoint || 'https://molgpt-be-2.onrender.com/generate-molecules',
-            timeout: options.timeout || 600000, // 600 seconds ~ 10 minutes
-            maxRetries: options.maxRetries || 3
+            jobsEndpoint: options.jobsEndpoint || null, // Job status URLs, defaults to /jobs on the profile's base URL
+            cancelEndpoint: options.cancelEndpoint || null, // Job cancel URLs (DELETE), default to the job's status URL
+            pollInterval: options.pollInterval || JOB_POLL_INTERVAL_MS,
+            maxRetries: options.maxRetries ?? 3,
+            retryDelay: options.retryDelay || RETRY_BASE_DELAY_MS,
+            healthCheck: options.healthCheck ?? true,
+            healthEndpoint: options.healthEndpoint || null // Defaults to /health on the active profile's base URL
         };
         
+        // Parser used to reject malformed SMILES before any request is sent
+        this.smilesParser = new SmilesParser();
+        
         // Component state
         this.state = {
             isGenerating: false,
             currentMode: 'Select Mode',
             formData: {},
-            abortController: null
+            abortController: null,
+            cancelRequested: false,
+            watchedJobs: new Map(),
+            healthCheck: null,
+            initialized: false
         };
         
         // Bind methods to preserve context
@@ -46,6 +107,8 @@ export class GenerationController {
         this.handleModeChange = this.handleModeChange.bind(this);
         this.handleFormDataChange = this.handleFormDataChange.bind(this);
         this.handleKeyPress = this.handleKeyPress.bind(this);
+        this.handleAppReady = this.handleAppReady.bind(this);
+        this.handleBackendChange = this.handleBackendChange.bind(this);
         
         this.init();
     }
@@ -54,8 +117,12 @@ export class GenerationController {
      * Initialize the component
      */
     init() {
+        // The constructor already initializes; a repeated call is a no-op
+        if (this.state.initialized) return;
+        
         try {
             this.setupEventListeners();
+            this.state.initialized = true;
             this.updateButtonState();
             console.log('✅ GenerationController component initialized');
         } catch (error) {
@@ -78,6 +145,8 @@ export class GenerationController {
         if (this.eventBus) {
             this.eventBus.on('mode:changed', this.handleModeChange);
             this.eventBus.on('form:dataChanged', this.handleFormDataChange);
+            this.eventBus.on('app:ready', this.handleAppReady);
+            this.eventBus.on('backend:changed', this.handleBackendChange);
         }
     }
 
@@ -88,8 +157,9 @@ export class GenerationController {
     async handleClick(event) {
         event.preventDefault();
         
-        // Don't do anything if already generating
+        // While a run is in flight the button cancels it
         if (this.state.isGenerating) {
+            this.cancelGeneration();
             return;
         }
         
@@ -130,6 +200,61 @@ export class GenerationController {
         this.updateButtonState();
     }
 
+    /**
+     * Resume jobs left unfinished by a previous session once every component listens,
+     * and wake the backend up before the first request
+     */
+    handleAppReady() {
+        this.resumeJobs();
+        
+        if (this.config.healthCheck) {
+            this.pingServer();
+        }
+    }
+
+    /**
+     * Wake up a newly selected backend; a run in flight keeps the backend it started with
+     * @param {Object} data - {profile}
+     */
+    handleBackendChange({ profile } = {}) {
+        console.log(`🔌 Backend profile: ${profile?.name || 'unknown'}`);
+        
+        if (this.config.healthCheck) {
+            this.pingServer();
+        }
+    }
+
+    /**
+     * Send a health-check request so a sleeping backend starts up while the user fills in the form
+     * The response is opaque (no CORS needed); only the round trip matters. A check still in
+     * flight belongs to the previous backend and is aborted.
+     */
+    async pingServer() {
+        if (this.state.healthCheck) {
+            this.state.healthCheck.abort();
+        }
+        
+        const healthEndpoint = this.config.healthEndpoint || this.backend.getUrl('/health');
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT_MS);
+        const startedAt = Date.now();
+        this.state.healthCheck = controller;
+        
+        try {
+            await fetch(healthEndpoint, { method: 'GET', mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+            console.log(`🩺 Backend answered the health check in ${((Date.now() - startedAt) / 1000).toFixed(1)} s`);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('⚠️ Backend health check failed:', error.message);
+            }
+        } finally {
+            clearTimeout(timeoutId);
+            if (this.state.healthCheck === controller) {
+                this.state.healthCheck = null;
+            }
+        }
+    }
+
     /**
      * Start the generation process
      */
@@ -144,6 +269,7 @@ export class GenerationController {
         
         // Update state
         this.state.isGenerating = true;
+        this.state.cancelRequested = false;
         this.updateButtonState();
         
         // Emit generation start event
@@ -151,17 +277,29 @@ export class GenerationController {
             this.eventBus.emit('generation:start');
         }
         
+        // The whole run uses the profile that was active when it started
+        const profileId = this.backend.getActive().id;
+        
         try {
-            // Prepare request payload
-            const payload = this.buildRequestPayload();
+            // Prepare request payload (file contents included, so results can be checked against them)
+            const payload = await this.prepareRequestWithFiles(this.buildRequestPayload());
+            if (this.state.cancelRequested) {
+                throw this.createCancellationError();
+            }
             
             // Make API request
-            const results = await this.makeApiRequest(payload);
+            const results = await this.makeApiRequest(payload, profileId);
             
             // Handle successful response
-            this.handleGenerationSuccess(results);
+            this.handleGenerationSuccess(results, payload, profileId);
             
         } catch (error) {
+            // A cancelled run is not an error
+            if (this.isCancellation(error)) {
+                this.handleGenerationCancelled();
+                return;
+            }
+            
             // Handle error
             this.handleGenerationError(error);
             throw error;
@@ -169,10 +307,53 @@ export class GenerationController {
             // Always clean up state
             this.state.isGenerating = false;
             this.state.abortController = null;
+            this.state.cancelRequested = false;
             this.updateButtonState();
         }
     }
 
+    /**
+     * Cancel the running generation: abort the request (or job polling) and cancel any backend job
+     * @param {Object} options - Cancellation options
+     * @param {boolean} options.cancelJobs - Also cancel the jobs on the server (false keeps them for resuming)
+     */
+    cancelGeneration({ cancelJobs = true } = {}) {
+        if (!this.state.isGenerating || this.state.cancelRequested) return;
+        
+        console.log('🛑 Cancelling generation...');
+        this.state.cancelRequested = true;
+        
+        if (cancelJobs) {
+            this.state.watchedJobs.forEach(job => this.cancelJob(job));
+        }
+        
+        // Aborting rejects the pending fetch, stream read or poll delay, which clears their timers
+        if (this.state.abortController) {
+            this.state.abortController.abort();
+        }
+        
+        this.updateButtonState();
+    }
+
+    /**
+     * Error thrown when a run ends because it was cancelled
+     * @returns {Error} Cancellation error
+     */
+    createCancellationError() {
+        const error = new Error('Generation was cancelled');
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * Check whether a run ended because it was cancelled (here or on the server)
+     * @param {Error} error - Error the run ended with
+     * @returns {boolean} Whether the error is a cancellation
+     */
+    isCancellation(error) {
+        return this.state.cancelRequested || error?.cancelled === true || error?.name === 'AbortError';
+    }
+
     /**
      * Validate form data before generation
      * @returns {Object} Validation result
@@ -206,6 +387,7 @@ export class GenerationController {
             if (!scaffold && !scaffoldFile) {
                 errors.push('Please provide a scaffold SMILES or upload a scaffold file');
             }
+            this.validateSmilesField('Scaffold', scaffold, errors);
         }
         
         if (this.state.currentMode === 'Fragment Linking') {
@@ -213,6 +395,8 @@ export class GenerationController {
             if (!fragmentFile && (!fragment1 || !fragment2)) {
                 errors.push('Please provide two fragment SMILES or upload a fragment file');
             }
+            this.validateSmilesField('Fragment 1', fragment1, errors);
+            this.validateSmilesField('Fragment 2', fragment2, errors);
         }
         
         if (this.state.currentMode === 'Molecular Transformation') {
@@ -223,6 +407,7 @@ export class GenerationController {
             if (!similarity) {
                 errors.push('Please select a similarity level');
             }
+            this.validateSmilesField('Starting molecule', startingMolecule, errors);
         }
 
         
@@ -232,6 +417,21 @@ export class GenerationController {
         };
     }
 
+    /**
+     * Add an error if a SMILES field is filled in but does not parse
+     * @param {string} label - Field label used in the message
+     * @param {string} smiles - SMILES value (may be empty)
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validateSmilesField(label, smiles, errors) {
+        if (!smiles) return;
+        
+        const { isValid, error } = this.smilesParser.validate(smiles);
+        if (!isValid) {
+            errors.push(`${label} SMILES is invalid: ${error.message} (position ${error.position + 1})`);
+        }
+    }
+
     /**
      * Build API request payload
      * @returns {Object} Request payload
@@ -246,6 +446,9 @@ export class GenerationController {
         // Add mode-specific data
         if (this.state.currentMode === 'Scaffold Decoration') {
             payload.scaffold = this.state.formData.scaffold || '';
+            // Locked R-group positions (attachment point numbers) only flag and filter the results;
+            // the backend has no such constraint, so they are not sent (see CLIENT_ONLY_KEYS)
+            payload.locked_attachment_points = payload.scaffold ? this.state.formData.lockedAttachmentPoints || [] : [];
             // Note: File content would need to be read separately
         }
         
@@ -265,50 +468,550 @@ export class GenerationController {
 
     /**
      * Make API request to generate molecules
-     * @param {Object} payload - Request payload
+     * @param {Object} payload - Request payload, including file contents
+     * @param {string} profileId - Backend profile of the run (the active profile when omitted)
      * @returns {Promise<Object>} API response
      */
-    async makeApiRequest(payload) {
+    async makeApiRequest(payload, profileId = this.backend.getActive().id) {
         // Create abort controller for request cancellation
         this.state.abortController = new AbortController();
+        const { signal } = this.state.abortController;
         
-        // Prepare request with file data if needed
-        const requestPayload = await this.prepareRequestWithFiles(payload);
+        const profile = this.backend.getProfile(profileId);
+        const endpoint = this.backend.getGenerateUrl(profile.id);
         
         const requestOptions = {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                'Accept': ACCEPT_HEADER,
+                ...this.backend.getHeaders(profile.id)
             },
-            body: JSON.stringify(requestPayload),
-            signal: this.state.abortController.signal
+            body: JSON.stringify(payload, (key, value) => (CLIENT_ONLY_KEYS.includes(key) ? undefined : value)),
+            signal
         };
         
-        // Add timeout
+        // Add timeout; the timer is cleared when the request ends, so it cannot reject later
+        let timeoutId = null;
         const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Request timeout')), this.config.timeout);
+            timeoutId = setTimeout(() => reject(new Error('Request timeout')), profile.timeout);
         });
         
         try {
-            const response = await Promise.race([
-                fetch(this.config.apiEndpoint, requestOptions),
-                timeoutPromise
-            ]);
+            const response = await this.fetchWithRetry(endpoint, requestOptions, timeoutPromise);
             
             if (!response.ok) {
                 const errorText = await response.text();
                 throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorText}`);
             }
             
+            // Streamed molecules are forwarded as they arrive; the timeout still covers the whole run
+            const format = StreamParser.getFormat(response.headers.get('Content-Type'));
+            if (format && response.body) {
+                return await this.readStream(response, format, payload, timeoutPromise);
+            }
+            
             const data = await response.json();
+            
+            // A job API answers with a job ID; the results come from polling its status
+            if (data && data.job_id !== undefined && !data.generated_molecules) {
+                // Polling is not bounded by the request timeout
+                clearTimeout(timeoutId);
+                const job = this.saveJob(data, payload, profile.id, endpoint);
+                return await this.watchJob(job, signal);
+            }
+            
             return data;
             
         } catch (error) {
-            if (error.name === 'AbortError') {
-                throw new Error('Generation was cancelled');
+            if (error.name === 'AbortError' || this.state.cancelRequested) {
+                throw this.createCancellationError();
+            }
+            
+            // Release the connection of a failed or timed-out request
+            if (!signal.aborted) {
+                this.state.abortController.abort();
             }
             throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Send a request, retrying network errors and 502/503/504 responses with exponential backoff and jitter
+     * The free-tier backend answers with 502/503 (or not at all) while it wakes up from idle.
+     * @param {string} url - Request URL
+     * @param {Object} options - Fetch options, with the abort signal
+     * @param {Promise} timeoutPromise - Rejects when the request times out; also bounds the waits between attempts
+     * @returns {Promise<Response>} Response of the last attempt
+     */
+    async fetchWithRetry(url, options, timeoutPromise) {
+        for (let attempt = 1; ; attempt++) {
+            let response = null;
+            let failure = null;
+            
+            try {
+                response = await Promise.race([fetch(url, options), timeoutPromise]);
+            } catch (error) {
+                // fetch rejects with a TypeError when the server cannot be reached
+                if (!(error instanceof TypeError)) throw error;
+                failure = error;
+            }
+            
+            const retryable = failure !== null || RETRYABLE_STATUSES.includes(response.status);
+            if (!retryable || attempt > this.config.maxRetries) {
+                if (failure) throw failure;
+                return response;
+            }
+            
+            // Release the connection of the failed attempt
+            if (response?.body) {
+                response.body.cancel().catch(() => {});
+            }
+            
+            const delay = this.getRetryDelay(attempt);
+            const status = response ? response.status : null;
+            console.warn(`⚠️ Attempt ${attempt} failed (${status || failure.message}), retrying in ${delay} ms...`);
+            
+            if (this.eventBus) {
+                this.eventBus.emit('generation:retry', { attempt, maxRetries: this.config.maxRetries, delay, status });
+            }
+            
+            await Promise.race([this.wait(delay, options.signal), timeoutPromise]);
+        }
+    }
+
+    /**
+     * Delay before the next attempt: exponential backoff with jitter, so clients do not retry in step
+     * @param {number} attempt - Number of the attempt that failed (from 1)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt) {
+        const backoff = Math.min(RETRY_MAX_DELAY_MS, this.config.retryDelay * 2 ** (attempt - 1));
+        return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    }
+
+    /**
+     * Read a streamed response, emitting molecules as they arrive
+     * Messages are JSON objects: {type: 'start', total}, {type: 'molecule', smiles, valid}
+     * (a message with a smiles field and no type also counts), {type: 'progress', generated, total},
+     * {type: 'complete', ...summary fields of the one-shot response} and {type: 'error', message}.
+     * @param {Response} response - Fetch response with a streaming body
+     * @param {string} format - 'ndjson' or 'sse'
+     * @param {Object} payload - Request payload
+     * @param {Promise} timeoutPromise - Rejects when the request times out
+     * @returns {Promise<Object>} Results in the one-shot response format
+     */
+    async readStream(response, format, payload, timeoutPromise) {
+        const parser = new StreamParser(format);
+        const decoder = new TextDecoder();
+        const reader = response.body.getReader();
+        const stream = { molecules: [], total: payload.samples || null, summary: null };
+        
+        console.log(`📡 Streaming results (${format})...`);
+        if (this.eventBus) {
+            this.eventBus.emit('generation:streamStart', { requestParams: payload, total: stream.total });
+        }
+        
+        try {
+            let done = false;
+            while (!done && !stream.summary) {
+                const chunk = await Promise.race([reader.read(), timeoutPromise]);
+                done = chunk.done;
+                
+                const messages = done
+                    ? [...parser.push(decoder.decode()), ...parser.flush()]
+                    : parser.push(decoder.decode(chunk.value, { stream: true }));
+                this.handleStreamMessages(messages, stream);
+            }
+        } finally {
+            // Stop reading after the summary (or an error); the server may keep the connection open
+            reader.cancel().catch(() => {});
+        }
+        
+        if (!stream.summary) {
+            console.warn('⚠️ Stream ended without a completion message; using the molecules received');
+        }
+        
+        const summary = stream.summary || {};
+        return {
+            ...summary,
+            generated_molecules: summary.generated_molecules || stream.molecules,
+            total_generated: summary.total_generated ?? stream.molecules.length,
+            valid_molecules: summary.valid_molecules ?? stream.molecules.filter(molecule => molecule.valid !== false).length
+        };
+    }
+
+    /**
+     * Apply a batch of stream messages and emit the molecules they add
+     * @param {Array<Object>} messages - Parsed stream messages
+     * @param {Object} stream - Stream state ({molecules, total, summary}, updated in place)
+     */
+    handleStreamMessages(messages, stream) {
+        const added = [];
+        
+        messages.forEach(message => {
+            const type = message.type || (message.smiles !== undefined ? 'molecule' : null);
+            
+            switch (type) {
+                case 'start':
+                case 'progress':
+                    if (Number.isFinite(message.total)) stream.total = message.total;
+                    break;
+                case 'molecule':
+                    added.push({ smiles: String(message.smiles ?? ''), valid: message.valid ?? true });
+                    break;
+                case 'complete':
+                case 'done':
+                    stream.summary = { ...message };
+                    delete stream.summary.type;
+                    break;
+                case 'error':
+                    throw new Error(message.message || message.error || 'Generation failed on the server');
+                case 'parse-error':
+                    console.warn('⚠️ Skipping malformed stream message:', message.text, message.error);
+                    break;
+                default:
+                    console.warn('⚠️ Skipping unknown stream message:', message);
+            }
+        });
+        
+        if (added.length === 0) return;
+        
+        stream.molecules.push(...added);
+        if (this.eventBus) {
+            this.eventBus.emit('generation:progress', {
+                molecules: added,
+                generated: stream.molecules.length,
+                total: stream.total
+            });
+        }
+    }
+
+    /**
+     * Remember a submitted job so it can be resumed after a reload
+     * @param {Object} data - Submit response ({job_id, status_url, cancel_url})
+     * @param {Object} payload - Request payload the job was submitted with (file contents are not stored)
+     * @param {string} profileId - Backend profile the job was submitted to
+     * @param {string} endpoint - URL the job was submitted to (base of a relative status URL)
+     * @returns {Object} Job ({id, statusUrl, cancelUrl, profileId, requestParams, submittedAt})
+     */
+    saveJob(data, payload, profileId, endpoint) {
+        const job = {
+            id: String(data.job_id),
+            statusUrl: data.status_url ? new URL(data.status_url, endpoint).href : null,
+            cancelUrl: data.cancel_url ? new URL(data.cancel_url, endpoint).href : null,
+            profileId,
+            requestParams: Object.fromEntries(JOB_PARAM_KEYS.filter(key => key in payload).map(key => [key, payload[key]])),
+            submittedAt: new Date().toISOString()
+        };
+        
+        const jobs = this.getStoredJobs().filter(stored => stored.id !== job.id);
+        if (!this.preferences.set(JOBS_STORAGE_KEY, [...jobs, job])) {
+            console.warn(`⚠️ Job ${job.id} could not be stored; it will not resume after a reload`);
+        }
+        
+        console.log(`📨 Generation job ${job.id} submitted`);
+        return job;
+    }
+
+    /**
+     * Jobs stored by this or an earlier session
+     * @returns {Array<Object>} Stored jobs
+     */
+    getStoredJobs() {
+        const jobs = this.preferences.get(JOBS_STORAGE_KEY, []);
+        return Array.isArray(jobs) ? jobs.filter(job => job && typeof job.id === 'string') : [];
+    }
+
+    /**
+     * Forget a finished job
+     * @param {string} id - Job ID
+     */
+    removeJob(id) {
+        const jobs = this.getStoredJobs().filter(job => job.id !== id);
+        if (jobs.length > 0) {
+            this.preferences.set(JOBS_STORAGE_KEY, jobs);
+        } else {
+            this.preferences.remove(JOBS_STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Status URL of a job
+     * @param {Object} job - Job
+     * @returns {string} URL from the submit response, or {jobsEndpoint}/{id}
+     */
+    getJobStatusUrl(job) {
+        if (job.statusUrl) return job.statusUrl;
+        
+        const jobsEndpoint = this.config.jobsEndpoint || this.backend.getUrl('/jobs', job.profileId);
+        return `${jobsEndpoint.replace(/\/$/, '')}/${encodeURIComponent(job.id)}`;
+    }
+
+    /**
+     * Cancel URL of a job
+     * @param {Object} job - Job
+     * @returns {string} URL from the submit response, {cancelEndpoint}/{id}, or the status URL
+     */
+    getJobCancelUrl(job) {
+        if (job.cancelUrl) return job.cancelUrl;
+        if (!this.config.cancelEndpoint) return this.getJobStatusUrl(job);
+        
+        const cancelEndpoint = this.backend.getUrl(this.config.cancelEndpoint, job.profileId);
+        return `${cancelEndpoint.replace(/\/$/, '')}/${encodeURIComponent(job.id)}`;
+    }
+
+    /**
+     * Resume the jobs stored by an earlier session
+     * Only one run's results can be shown, so the newest job still known to the server is resumed
+     * and the older ones are pruned from storage; none is left behind for a later visit.
+     */
+    async resumeJobs() {
+        if (this.state.isGenerating) return;
+        
+        const jobs = this.getStoredJobs()
+            .filter(job => !this.state.watchedJobs.has(job.id))
+            .sort((a, b) => String(b.submittedAt || '').localeCompare(String(a.submittedAt || '')));
+        if (jobs.length === 0) return;
+        
+        console.log(`🔁 ${jobs.length} unfinished generation job${jobs.length === 1 ? '' : 's'} stored; resuming the newest`);
+        for (let i = 0; i < jobs.length; i++) {
+            if (await this.resumeJob(jobs[i], jobs.slice(i + 1))) break;
+        }
+    }
+
+    /**
+     * Watch one resumed job and show its results
+     * @param {Object} job - Stored job
+     * @param {Array<Object>} supersededJobs - Older stored jobs, forgotten once this job is confirmed
+     * @returns {Promise<boolean>} False when the job was no longer known to the server and was dropped
+     */
+    async resumeJob(job, supersededJobs = []) {
+        // The run counts as started before the first request, so Generate cannot start a second one
+        this.state.watchedJobs.set(job.id, job);
+        this.state.isGenerating = true;
+        this.state.cancelRequested = false;
+        this.state.abortController = new AbortController();
+        const { signal } = this.state.abortController;
+        this.updateButtonState();
+        
+        try {
+            // Jobs that expired on the server are dropped quietly instead of replacing the page with an error
+            const data = await this.checkJob(job, signal);
+            if (data?.status === 'missing') {
+                console.warn(`⚠️ Generation job ${job.id} is no longer known to the server; forgetting it`);
+                this.removeJob(job.id);
+                return false;
+            }
+            
+            supersededJobs.forEach(older => {
+                console.warn(`⚠️ Generation job ${older.id} is superseded by the newer job ${job.id}; forgetting it`);
+                this.removeJob(older.id);
+            });
+            
+            if (this.eventBus) {
+                this.eventBus.emit('generation:resume', job);
+            }
+            
+            const results = await this.watchJob(job, signal);
+            this.handleGenerationSuccess(results, job.requestParams, job.profileId);
+        } catch (error) {
+            if (this.isCancellation(error)) {
+                this.handleGenerationCancelled();
+            } else {
+                this.handleGenerationError(error);
+            }
+        } finally {
+            this.state.watchedJobs.delete(job.id);
+            this.state.isGenerating = false;
+            this.state.abortController = null;
+            this.state.cancelRequested = false;
+            this.updateButtonState();
         }
+        
+        return true;
+    }
+
+    /**
+     * First status request of a resumed job, bounded by its profile's timeout
+     * @param {Object} job - Stored job
+     * @param {AbortSignal} signal - Cancels the run
+     * @returns {Promise<Object|null>} Status response, or null when the server did not answer in time
+     */
+    async checkJob(job, signal) {
+        const check = new AbortController();
+        const abortCheck = () => check.abort();
+        const timeoutId = setTimeout(abortCheck, this.backend.getProfile(job.profileId).timeout);
+        signal.addEventListener('abort', abortCheck, { once: true });
+        
+        try {
+            return await this.fetchJobStatus(job, check.signal);
+        } catch (error) {
+            if (signal.aborted) throw this.createCancellationError();
+            
+            // Unreachable or slow server: the job is checked again while polling
+            return null;
+        } finally {
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', abortCheck);
+        }
+    }
+
+    /**
+     * Poll a job's status until it finishes
+     * Status responses are JSON: {status, progress: {generated, total} or a 0–1 fraction,
+     * result (the one-shot response format) once completed, error when failed}.
+     * @param {Object} job - Job
+     * @param {AbortSignal} signal - Stops the polling
+     * @returns {Promise<Object>} Results of the completed job
+     */
+    async watchJob(job, signal) {
+        this.state.watchedJobs.set(job.id, job);
+        let failures = 0;
+        
+        try {
+            while (true) {
+                await this.wait(this.config.pollInterval, signal);
+                
+                let data;
+                try {
+                    data = await this.fetchJobStatus(job, signal);
+                    failures = 0;
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    
+                    // The job keeps running on the server; stop after repeated failures but keep it stored
+                    failures++;
+                    console.warn(`⚠️ Status of job ${job.id} unavailable (${failures}/${MAX_POLL_FAILURES}):`, error.message);
+                    if (failures >= MAX_POLL_FAILURES) {
+                        throw new Error(`Lost contact with generation job ${job.id}: ${error.message}. Reload the page to check on it again.`);
+                    }
+                    continue;
+                }
+                
+                const results = this.handleJobStatus(job, data);
+                if (results) return results;
+            }
+        } finally {
+            this.state.watchedJobs.delete(job.id);
+        }
+    }
+
+    /**
+     * Request a job's status
+     * @param {Object} job - Job
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Promise<Object>} Status response ({status: 'missing'} for an unknown job)
+     */
+    async fetchJobStatus(job, signal) {
+        const response = await fetch(this.getJobStatusUrl(job), {
+            headers: { 'Accept': 'application/json', ...this.backend.getHeaders(job.profileId) },
+            signal
+        });
+        
+        if (response.status === 404) return { status: 'missing' };
+        if (!response.ok) {
+            throw new Error(`Job status request failed: ${response.status} ${response.statusText}`);
+        }
+        
+        return response.json();
+    }
+
+    /**
+     * Act on a job status: return the results when done, throw when the job ended otherwise,
+     * and report progress while it runs
+     * @param {Object} job - Job
+     * @param {Object} data - Status response
+     * @returns {Object|null} Results of a completed job, or null while it runs
+     */
+    handleJobStatus(job, data) {
+        const status = String(data.status || '').toLowerCase();
+        
+        if (JOB_COMPLETED_STATUSES.includes(status)) {
+            this.removeJob(job.id);
+            console.log(`✅ Generation job ${job.id} completed`);
+            return data.result || data;
+        }
+        
+        if (JOB_FAILED_STATUSES.includes(status)) {
+            this.removeJob(job.id);
+            throw new Error(data.error || data.message || `Generation job ${job.id} failed`);
+        }
+        
+        if (JOB_CANCELLED_STATUSES.includes(status)) {
+            this.removeJob(job.id);
+            throw this.createCancellationError();
+        }
+        
+        if (status === 'missing') {
+            this.removeJob(job.id);
+            throw new Error(`Generation job ${job.id} was not found on the server; it may have expired`);
+        }
+        
+        const progress = data.progress;
+        if (this.eventBus) {
+            this.eventBus.emit('generation:jobStatus', {
+                jobId: job.id,
+                status: status || 'running',
+                generated: progress?.generated ?? data.generated ?? null,
+                total: progress?.total ?? data.total ?? job.requestParams?.samples ?? null,
+                fraction: typeof progress === 'number' ? progress : null
+            });
+        }
+        
+        return null;
+    }
+
+    /**
+     * Cancel a job on the server and forget it
+     * The server is expected to answer DELETE on the cancel URL with 2xx (or 404 for a job that already
+     * ended); any other answer is reported, since the job may then keep running.
+     * @param {Object} job - Job
+     */
+    cancelJob(job) {
+        this.removeJob(job.id);
+        
+        fetch(this.getJobCancelUrl(job), { method: 'DELETE', headers: this.backend.getHeaders(job.profileId) })
+            .then(response => {
+                if (!response.ok && response.status !== 404) {
+                    throw new Error(`${response.status} ${response.statusText}`.trim());
+                }
+                console.log(`🛑 Job ${job.id} cancelled on the server`);
+            })
+            .catch(error => {
+                console.warn(`⚠️ Job ${job.id} could not be cancelled on the server:`, error.message);
+                
+                if (this.eventBus) {
+                    this.eventBus.emit('generation:cancelFailed', { jobId: job.id, message: error.message });
+                }
+            });
+    }
+
+    /**
+     * Wait before the next poll or retry
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} signal - Ends the wait early with an AbortError
+     * @returns {Promise<void>} Resolves after the delay
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Generation was cancelled', 'AbortError'));
+                return;
+            }
+            
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Generation was cancelled', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     /**
@@ -369,12 +1072,29 @@ export class GenerationController {
     /**
      * Handle successful generation
      * @param {Object} results - Generation results
+     * @param {Object} payload - Request payload the results were generated for
+     * @param {string|null} profileId - Backend profile that generated the results
      */
-    handleGenerationSuccess(results) {
+    handleGenerationSuccess(results, payload = {}, profileId = null) {
         console.log('✅ Generation completed successfully:', results);
         
+        // Results are shown against the request (e.g. similarity to the starting molecule), and
+        // their links resolve against the backend that produced them
+        const resultsWithParams = { requestParams: payload, backendProfileId: profileId, ...results };
+        
         if (this.eventBus) {
-            this.eventBus.emit('generation:complete', results);
+            this.eventBus.emit('generation:complete', resultsWithParams);
+        }
+    }
+
+    /**
+     * Handle a cancelled generation
+     */
+    handleGenerationCancelled() {
+        console.log('🛑 Generation cancelled');
+        
+        if (this.eventBus) {
+            this.eventBus.emit('generation:cancelled');
         }
     }
 
@@ -395,22 +1115,26 @@ export class GenerationController {
      */
     updateButtonState() {
         const validation = this.validateForm();
-        const canGenerate = validation.isValid && !this.state.isGenerating;
+        const { isGenerating, cancelRequested } = this.state;
         
-        // Keep button text as "Generate" always
-        this.element.textContent = 'Generate';
+        // The button reads "Cancel" while a run is in flight
+        this.element.textContent = isGenerating ? (cancelRequested ? 'Cancelling…' : 'Cancel') : 'Generate';
+        this.element.classList.toggle('generate-button--cancel', isGenerating);
         
         // Remove any generating styling
         this.element.classList.remove('generate-button--generating');
         
-        // Update disabled state - disable when generating or form is invalid
-        this.element.disabled = !canGenerate;
+        // Update disabled state - disable when the form is invalid, or while a cancellation is under way
+        this.element.disabled = isGenerating ? cancelRequested : !validation.isValid;
         this.element.classList.toggle('generate-button--disabled', this.element.disabled);
         
         // Update ARIA attributes
-        this.element.setAttribute('aria-busy', this.state.isGenerating.toString());
+        this.element.setAttribute('aria-busy', isGenerating.toString());
         
-        if (!validation.isValid) {
+        if (isGenerating) {
+            this.element.removeAttribute('aria-describedby');
+            this.element.title = 'Stop the running generation';
+        } else if (!validation.isValid) {
             this.element.setAttribute('aria-describedby', 'generation-errors');
             this.element.title = validation.errors.join('; ');
         } else {
@@ -431,9 +1155,14 @@ export class GenerationController {
      * Clean up component resources
      */
     destroy() {
-        // Cancel any ongoing generation
+        // Cancel any ongoing generation; backend jobs keep running and resume next time
         if (this.state.isGenerating) {
-            this.cancelGeneration();
+            this.cancelGeneration({ cancelJobs: false });
+        }
+        
+        // Stop a pending health check
+        if (this.state.healthCheck) {
+            this.state.healthCheck.abort();
         }
         
         // Remove event listeners
@@ -443,6 +1172,8 @@ export class GenerationController {
         if (this.eventBus) {
             this.eventBus.off('mode:changed', this.handleModeChange);
             this.eventBus.off('form:dataChanged', this.handleFormDataChange);
+            this.eventBus.off('app:ready', this.handleAppReady);
+            this.eventBus.off('backend:changed', this.handleBackendChange);
         }
         
         // Clean up references
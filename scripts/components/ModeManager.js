@@ -11,11 +11,21 @@
  * - Dynamic content switching based on selected mode
  * - Mode-specific form handling
  * - File upload management
+ * - SMILES validation with inline, position-aware error messages
+ * - Live scaffold preview with numbered R-group attachment points that can be locked (flags substituted results)
  * 
  * @author MolGPT Team
  * ================================================
  */
 
+import { SmilesParser } from '../chemistry/SmilesParser.js';
+import { ScaffoldAnalyzer } from '../chemistry/ScaffoldAnalyzer.js';
+import { MoleculeRenderer } from '../chemistry/MoleculeRenderer.js';
+
+// Preview highlight colours for open and locked attachment points
+const OPEN_POINT_COLOR = '#a855f7';
+const LOCKED_POINT_COLOR = '#94a3b8';
+
 export class ModeManager {
     /**
      * Initialize the ModeManager component
@@ -29,7 +39,8 @@ export class ModeManager {
         // Component state
         this.state = {
             currentMode: 'Select Mode',
-            formData: {}
+            formData: {},
+            lockedAttachmentPoints: new Set()
         };
         
         // DOM element references
@@ -47,7 +58,11 @@ export class ModeManager {
             startingMoleculeInput: null,
             similaritySelector: null,
             fileLabels: {},
-            similaritySelect: null
+            similaritySelect: null,
+            scaffoldPreview: null,
+            scaffoldDepiction: null,
+            scaffoldHint: null,
+            attachmentPoints: null
         };
         
         // Mode configuration data
@@ -82,10 +97,18 @@ export class ModeManager {
             }
         };
         
+        // Parser used for client-side SMILES validation
+        this.smilesParser = new SmilesParser();
+        
+        // Attachment point numbering and depiction for the scaffold preview
+        this.scaffoldAnalyzer = new ScaffoldAnalyzer({ smilesParser: this.smilesParser });
+        this.moleculeRenderer = new MoleculeRenderer({ bondLength: 24, fontSize: 12 });
+        
         // Bind methods to preserve context
         this.handleModeChange = this.handleModeChange.bind(this);
         this.handleInputChange = this.handleInputChange.bind(this);
         this.handleFileChange = this.handleFileChange.bind(this);
+        this.handlePreviewClick = this.handlePreviewClick.bind(this);
         
         this.init();
     }
@@ -128,6 +151,12 @@ export class ModeManager {
         this.elements.similaritySelector = this.element.querySelector('[data-component="similarity-selector"]');
         this.elements.similaritySelect = this.element.querySelector('[data-input="similarity"]');
         
+        // Cache scaffold preview elements
+        this.elements.scaffoldPreview = this.element.querySelector('[data-element="scaffold-preview"]');
+        this.elements.scaffoldDepiction = this.element.querySelector('[data-element="scaffold-depiction"]');
+        this.elements.scaffoldHint = this.element.querySelector('[data-element="scaffold-hint"]');
+        this.elements.attachmentPoints = this.element.querySelector('[data-element="attachment-points"]');
+        
         // Cache file upload labels
         this.elements.fileLabels.scaffold = this.elements.scaffoldFileInput?.parentElement.querySelector('.file-upload__filename');
         this.elements.fileLabels.fragment = this.elements.fragmentFileInput?.parentElement.querySelector('.file-upload__filename');
@@ -155,6 +184,11 @@ export class ModeManager {
         // File change listeners
         this.setupFileListeners();
         
+        // Lock/unlock toggles rendered inside the scaffold preview
+        if (this.elements.scaffoldPreview) {
+            this.elements.scaffoldPreview.addEventListener('click', this.handlePreviewClick);
+        }
+        
         // Note: Similarity selector setup moved to updateFormVisibility
         // to ensure it's initialized when the form is actually visible
     }
@@ -431,6 +465,10 @@ export class ModeManager {
         
         // Add visual feedback for validation
         this.validateInput(input, value);
+        
+        if (inputType === 'scaffold-smiles') {
+            this.updateScaffoldPreview(value);
+        }
     }
 
     /**
@@ -475,16 +513,174 @@ export class ModeManager {
         // Basic validation based on input type
         const inputType = input.getAttribute('data-input');
         let isValid = true;
+        let error = null;
         
-        if (inputType && inputType.includes('smiles')) {
-            // Basic SMILES validation (non-empty and contains typical SMILES characters including *)
-            isValid = value.length > 0 && /^[A-Za-z0-9\(\)\[\]@=#\-\+\.\\\/:*]+$/.test(value);
+        if (inputType && inputType.includes('smiles') && value.length > 0) {
+            // Full SMILES parse: syntax, ring closures, elements and valences
+            const validation = this.smilesParser.validate(value);
+            isValid = validation.isValid;
+            error = validation.error;
         }
         
         // Apply validation styling
         if (value.length > 0) {
             input.classList.add(isValid ? 'input-group__input--valid' : 'input-group__input--invalid');
         }
+        input.setAttribute('aria-invalid', (!isValid).toString());
+        
+        this.renderInputError(input, value, error);
+    }
+
+    /**
+     * Show or hide the inline SMILES error under an input
+     * @param {HTMLInputElement} input - Input element the error belongs to
+     * @param {string} value - Input value
+     * @param {SmilesError|null} error - Parser error, or null to clear
+     */
+    renderInputError(input, value, error) {
+        const errorElement = input.parentElement.querySelector('[data-element="smiles-error"]');
+        if (!errorElement) return;
+        
+        errorElement.textContent = '';
+        errorElement.hidden = !error;
+        
+        if (!error) return;
+        
+        // Show a short window of the input around the problem
+        const contextSize = 12;
+        const start = Math.max(0, error.position - contextSize);
+        const end = Math.min(value.length, error.position + error.length + contextSize);
+        
+        const message = document.createElement('span');
+        message.className = 'input-group__error-message';
+        message.textContent = `${error.message} (position ${error.position + 1})`;
+        
+        const excerpt = document.createElement('code');
+        excerpt.className = 'input-group__error-context';
+        excerpt.append(`${start > 0 ? '…' : ''}${value.slice(start, error.position)}`);
+        
+        const mark = document.createElement('mark');
+        mark.className = 'input-group__error-mark';
+        mark.textContent = value.slice(error.position, error.position + error.length) || ' ';
+        excerpt.append(mark, `${value.slice(error.position + error.length, end)}${end < value.length ? '…' : ''}`);
+        
+        errorElement.append(message, excerpt);
+    }
+
+    /**
+     * Depict the scaffold with its numbered attachment points and list them with lock toggles
+     * @param {string} value - Scaffold SMILES
+     */
+    updateScaffoldPreview(value) {
+        const { scaffoldPreview, scaffoldDepiction, scaffoldHint, attachmentPoints } = this.elements;
+        if (!scaffoldPreview || !scaffoldDepiction || !scaffoldHint || !attachmentPoints) return;
+        
+        let molecule = null;
+        if (value) {
+            try {
+                molecule = this.smilesParser.parse(value);
+            } catch (error) {
+                // The inline SMILES error already explains the problem
+                molecule = null;
+            }
+        }
+        
+        const attachments = molecule ? this.scaffoldAnalyzer.labelAttachmentPoints(molecule) : [];
+        const labels = [...new Set(attachments.map(attachment => attachment.label))];
+        
+        // Locks only survive for positions the scaffold still has
+        const locked = this.state.lockedAttachmentPoints;
+        [...locked].forEach(label => {
+            if (!labels.includes(label)) locked.delete(label);
+        });
+        this.emitAttachmentPoints(labels);
+        
+        scaffoldPreview.hidden = !molecule;
+        if (!molecule) {
+            scaffoldDepiction.innerHTML = '';
+            attachmentPoints.innerHTML = '';
+            scaffoldHint.textContent = '';
+            return;
+        }
+        
+        const highlights = [
+            { atoms: attachments.filter(({ label }) => !locked.has(label)).map(({ atom }) => atom), color: OPEN_POINT_COLOR },
+            { atoms: attachments.filter(({ label }) => locked.has(label)).map(({ atom }) => atom), color: LOCKED_POINT_COLOR }
+        ].filter(highlight => highlight.atoms.length > 0);
+        
+        try {
+            scaffoldDepiction.innerHTML = this.moleculeRenderer.render(molecule, { title: value, highlights });
+        } catch (error) {
+            scaffoldDepiction.innerHTML = '';
+            console.warn('⚠️ Scaffold preview could not be drawn:', error.message);
+        }
+        
+        if (labels.length === 0) {
+            scaffoldHint.textContent = 'No attachment points. Mark R-group positions with * or [*:n] to decorate only there.';
+        } else {
+            const open = labels.filter(label => !locked.has(label)).length;
+            scaffoldHint.textContent = `${labels.length} attachment point${labels.length === 1 ? '' : 's'}, ${open} open. `
+                + 'Plain * take the free numbers in order; lock a position to flag and filter out results that substitute it '
+                + '(generation itself is not restricted).';
+        }
+        
+        attachmentPoints.innerHTML = labels.map(label => {
+            const isLocked = locked.has(label);
+            return `
+                <li>
+                    <button 
+                        type="button" 
+                        class="scaffold-preview__point ${isLocked ? 'scaffold-preview__point--locked' : ''}" 
+                        data-action="toggle-attachment" 
+                        data-label="${label}" 
+                        aria-pressed="${isLocked}"
+                        title="${isLocked ? 'Unlock' : 'Lock'} position R${label}${isLocked ? '' : ' (flags results that substitute it)'}"
+                    >
+                        R${label} <span class="scaffold-preview__point-state">${isLocked ? '🔒 locked' : 'open'}</span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Handle clicks on the attachment point lock toggles
+     * @param {MouseEvent} event - Click event
+     */
+    handlePreviewClick(event) {
+        const toggle = event.target.closest('[data-action="toggle-attachment"]');
+        if (!toggle) return;
+        
+        const label = Number(toggle.getAttribute('data-label'));
+        const locked = this.state.lockedAttachmentPoints;
+        if (locked.has(label)) {
+            locked.delete(label);
+        } else {
+            locked.add(label);
+        }
+        
+        console.log(`🔒 Attachment point R${label} ${locked.has(label) ? 'locked' : 'unlocked'}`);
+        
+        this.updateScaffoldPreview(this.state.formData.scaffold || '');
+        this.elements.attachmentPoints?.querySelector(`[data-label="${label}"]`)?.focus();
+    }
+
+    /**
+     * Publish the scaffold's attachment point labels and which of them are locked
+     * @param {Array<number>} labels - Attachment point labels of the current scaffold
+     */
+    emitAttachmentPoints(labels) {
+        const lockedAttachmentPoints = labels.filter(label => this.state.lockedAttachmentPoints.has(label));
+        
+        this.state.formData.attachmentPoints = labels;
+        this.state.formData.lockedAttachmentPoints = lockedAttachmentPoints;
+        
+        if (this.eventBus) {
+            this.eventBus.emit('form:dataChanged', {
+                attachmentPoints: labels,
+                lockedAttachmentPoints
+            });
+        }
     }
 
     /**
@@ -502,6 +698,8 @@ export class ModeManager {
         inputs.forEach(input => {
             input.value = '';
             input.classList.remove('input-group__input--valid', 'input-group__input--invalid');
+            input.removeAttribute('aria-invalid');
+            this.renderInputError(input, '', null);
         });
         
         // Clear file inputs
@@ -527,6 +725,14 @@ export class ModeManager {
         
         // Clear form data state
         this.state.formData = {};
+        this.state.lockedAttachmentPoints.clear();
+        
+        // Hide the scaffold preview
+        if (this.elements.scaffoldPreview) {
+            this.elements.scaffoldPreview.hidden = true;
+            this.elements.scaffoldDepiction.innerHTML = '';
+            this.elements.attachmentPoints.innerHTML = '';
+        }
         
         console.log('🧹 Form data cleared');
     }
@@ -546,6 +752,11 @@ export class ModeManager {
     setFormData(data) {
         this.state.formData = { ...this.state.formData, ...data };
         
+        // Locks are applied before the scaffold preview is redrawn
+        if (Array.isArray(data.lockedAttachmentPoints)) {
+            this.state.lockedAttachmentPoints = new Set(data.lockedAttachmentPoints);
+        }
+        
         // Reverse mapping for UI updates
         const reverseFieldMapping = {
             'scaffold': 'scaffold-smiles',
@@ -564,6 +775,7 @@ export class ModeManager {
                 if (input && typeof value === 'string') {
                     input.value = value;
                     this.validateInput(input, value);
+                    if (key === 'scaffold') this.updateScaffoldPreview(value);
                 }
             }
         });
@@ -595,6 +807,10 @@ export class ModeManager {
             this.eventBus.off('app:modeChanged', this.handleModeChange);
         }
         
+        if (this.elements.scaffoldPreview) {
+            this.elements.scaffoldPreview.removeEventListener('click', this.handlePreviewClick);
+        }
+        
         // Remove input listeners
         const allInputs = this.element.querySelectorAll('input');
         allInputs.forEach(input => {
@@ -0,0 +1,293 @@
+/**
+ * ================================================
+ * ReferenceLibraryPanel Component
+ * ================================================
+ *
+ * Loads a reference library of known compounds (e.g. an in-house set)
+ * that generation results are checked against for novelty. The library
+ * is stored in the browser, so it only has to be loaded once.
+ *
+ * Features:
+ * - .smi, .csv and .sdf upload with read/index progress
+ * - Canonical SMILES and names persisted between sessions
+ * - Import report (compounds kept, unreadable entries, duplicates)
+ * - Clear button to forget the library
+ * - Announces library changes on the EventBus ("library:changed")
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { ReferenceLibrary } from '../chemistry/ReferenceLibrary.js';
+import { PreferenceStore } from '../utils/PreferenceStore.js';
+
+// Storage key of the persisted library
+const STORAGE_KEY = 'reference.library';
+
+export class ReferenceLibraryPanel {
+    /**
+     * Initialize the ReferenceLibraryPanel component
+     * @param {HTMLElement} element - The reference library container element
+     * @param {Object} options - Component options
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.eventBus = options.eventBus;
+        this.preferences = options.preferences || new PreferenceStore();
+
+        // Component state; loadId discards the results of superseded loads
+        this.state = {
+            library: null,
+            info: null,
+            isLoading: false,
+            loadId: 0,
+            initialized: false
+        };
+
+        // DOM element references
+        this.elements = {
+            fileInput: null,
+            fileName: null,
+            status: null,
+            clearButton: null
+        };
+
+        // Bind methods to preserve context
+        this.handleFileChange = this.handleFileChange.bind(this);
+        this.handleClear = this.handleClear.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Initialize the component
+     */
+    init() {
+        // The constructor already initializes; a repeated call is a no-op
+        if (this.state.initialized) return;
+
+        try {
+            this.cacheElements();
+            this.setupEventListeners();
+            this.state.initialized = true;
+            this.restoreLibrary();
+            console.log('✅ ReferenceLibraryPanel component initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize ReferenceLibraryPanel:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cache DOM element references for performance
+     */
+    cacheElements() {
+        this.elements.fileInput = this.element.querySelector('[data-input="library-file"]');
+        this.elements.fileName = this.element.querySelector('[data-element="library-file-name"]');
+        this.elements.status = this.element.querySelector('[data-element="library-status"]');
+        this.elements.clearButton = this.element.querySelector('[data-action="clear-library"]');
+
+        // Validate required elements
+        const requiredElements = ['fileInput', 'status', 'clearButton'];
+        requiredElements.forEach(key => {
+            if (!this.elements[key]) {
+                throw new Error(`Required element not found: ${key}`);
+            }
+        });
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.fileInput.addEventListener('change', this.handleFileChange);
+        this.elements.clearButton.addEventListener('click', this.handleClear);
+    }
+
+    /**
+     * Load the library saved by a previous session, if any
+     */
+    async restoreLibrary() {
+        const stored = this.preferences.get(STORAGE_KEY, null);
+        if (!stored || !Array.isArray(stored.compounds) || stored.compounds.length === 0) {
+            this.renderStatus();
+            return;
+        }
+
+        const { compounds, ...info } = stored;
+        await this.activateLibrary(compounds.map(([smiles, name]) => ({ smiles, name: name || '' })), info);
+    }
+
+    /**
+     * Read, canonicalize and store an uploaded library file
+     * @param {Event} event - File input change event
+     */
+    async handleFileChange(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        if (this.elements.fileName) this.elements.fileName.textContent = file.name;
+        const loadId = ++this.state.loadId;
+        this.state.isLoading = true;
+        this.setStatus(`Reading ${file.name}…`);
+
+        try {
+            const text = await this.readFileAsText(file);
+            const library = new ReferenceLibrary();
+            const entries = library.readFile(text, file.name);
+            const result = await library.createCompounds(entries, progress => {
+                if (loadId === this.state.loadId) this.setStatus(`Reading ${file.name}… ${Math.round(progress * 100)}%`);
+            });
+            if (loadId !== this.state.loadId) return;
+
+            if (result.compounds.length === 0) {
+                this.state.isLoading = false;
+                this.setStatus(`No readable structures in ${file.name}; the current library is kept.`, true);
+                return;
+            }
+
+            const { compounds, ...counts } = result;
+            const info = { name: file.name, loadedAt: new Date().toISOString(), ...counts, stored: true };
+            info.stored = this.preferences.set(STORAGE_KEY, {
+                ...info,
+                compounds: compounds.map(compound => [compound.smiles, compound.name])
+            });
+
+            console.log(`📚 Reference library ${file.name}: ${compounds.length} compounds (${counts.skipped} unreadable, ${counts.duplicates} duplicates)`);
+            await this.activateLibrary(compounds, info, loadId);
+        } catch (error) {
+            if (loadId !== this.state.loadId) return;
+            this.state.isLoading = false;
+            console.error('❌ Failed to load reference library:', error);
+            this.setStatus(`Could not load ${file.name}: ${error.message}`, true);
+        } finally {
+            // Choosing the same file again must trigger a new change event
+            event.target.value = '';
+        }
+    }
+
+    /**
+     * Fingerprint a library and announce it once it can be searched
+     * @param {Array<Object>} compounds - Compounds as {smiles (canonical), name}
+     * @param {Object} info - Import details (name, loadedAt, read, skipped, duplicates, truncated, stored)
+     * @param {number} loadId - Load this belongs to (defaults to a new one)
+     */
+    async activateLibrary(compounds, info, loadId = ++this.state.loadId) {
+        const library = new ReferenceLibrary();
+        this.state.isLoading = true;
+
+        await library.load(compounds, progress => {
+            if (loadId === this.state.loadId) this.setStatus(`Indexing ${compounds.length} compounds… ${Math.round(progress * 100)}%`);
+        });
+        if (loadId !== this.state.loadId) return;
+
+        this.state.library = library;
+        this.state.info = info;
+        this.state.isLoading = false;
+        this.renderStatus();
+
+        if (this.eventBus) {
+            this.eventBus.emit('library:changed', { library, info });
+        }
+    }
+
+    /**
+     * Forget the stored library
+     */
+    handleClear() {
+        this.state.loadId++;
+        this.state.library = null;
+        this.state.info = null;
+        this.state.isLoading = false;
+        this.preferences.remove(STORAGE_KEY);
+        if (this.elements.fileName) this.elements.fileName.textContent = 'No file chosen';
+        this.renderStatus();
+
+        console.log('🧹 Reference library cleared');
+
+        if (this.eventBus) {
+            this.eventBus.emit('library:changed', { library: null, info: null });
+        }
+    }
+
+    /**
+     * Show the current library and its import report
+     */
+    renderStatus() {
+        const { library, info } = this.state;
+        this.elements.clearButton.hidden = !library;
+
+        if (!library || !info) {
+            this.setStatus('No library loaded; results are not checked for novelty.');
+            return;
+        }
+
+        const details = [
+            info.skipped > 0 ? `${info.skipped} unreadable` : '',
+            info.duplicates > 0 ? `${info.duplicates} duplicate${info.duplicates === 1 ? '' : 's'}` : '',
+            info.truncated > 0 ? `${info.truncated} over the ${library.maxCompounds} compound limit` : ''
+        ].filter(Boolean);
+        const loadedAt = info.loadedAt ? new Date(info.loadedAt).toLocaleDateString() : '';
+
+        this.setStatus(
+            `${info.name}: ${library.getSize()} compounds${loadedAt ? `, loaded ${loadedAt}` : ''}` +
+            (details.length > 0 ? ` (${details.join(', ')} skipped)` : '') +
+            (info.stored === false ? '. Too large for browser storage: kept for this session only.' : '')
+        );
+    }
+
+    /**
+     * Set the status line
+     * @param {string} message - Status text
+     * @param {boolean} isError - Show as an error
+     */
+    setStatus(message, isError = false) {
+        this.elements.status.textContent = message;
+        this.elements.status.classList.toggle('reference-library__status--error', isError);
+    }
+
+    /**
+     * Read file as text
+     * @param {File} file - File to read
+     * @returns {Promise<string>} File content as text
+     */
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Get the loaded library
+     * @returns {ReferenceLibrary|null} Library ready for searching, or null
+     */
+    getLibrary() {
+        return this.state.library;
+    }
+
+    /**
+     * Check whether a library is being read or indexed
+     * @returns {boolean} Loading state
+     */
+    isLoading() {
+        return this.state.isLoading;
+    }
+
+    /**
+     * Clean up component
+     */
+    destroy() {
+        this.state.loadId++;
+        this.elements.fileInput?.removeEventListener('change', this.handleFileChange);
+        this.elements.clearButton?.removeEventListener('click', this.handleClear);
+
+        // Clean up references
+        this.elements = {};
+        this.eventBus = null;
+
+        console.log('🧹 ReferenceLibraryPanel component destroyed');
+    }
+}
@@ -8,19 +8,78 @@
  * 
  * Features:
  * - Formatted molecule display with SMILES strings
+ * - Offline 2D structure depictions (SVG)
+ * - Switchable list/grid layouts with persisted card size
+ * - Client-side descriptors (MW, logP, TPSA, HBD/HBA, ...) per molecule
+ * - Sorting by any column, numeric range filters and a hide-invalid toggle
+ * - Virtualized rendering with keyboard navigation for large result sets
+ * - Client-side CSV, SDF and SMILES export of the filtered results
+ * - Configurable drug-likeness rule sets (Ro5, Veber, Ghose, lead-like, Ro3)
+ * - QED and approximate synthetic accessibility (SA) scores, sortable, filterable and exported
+ * - Structural alert screening (PAINS, Brenk, reactive groups) with highlighted atoms
+ * - SMARTS/SMILES substructure search that filters results and highlights matches
+ * - ECFP4 Tanimoto similarity to the starting molecule of a transformation
+ * - Scaffold preservation check for decorations, with core and R-groups coloured
+ * - R-group decomposition (R1, R2, ...) per attachment point, flagging and filtering locked positions
+ * - Fragment retention and linker extraction (SMILES, length, RotB, rings) for linking
+ * - Canonical SMILES de-duplication with copy counts and a collapse-duplicates toggle
+ * - Novelty against the user's reference library (known/novel, nearest-neighbour Tanimoto)
+ * - Run diversity: internal diversity, Bemis–Murcko scaffolds and Butina clusters (adjustable threshold)
+ * - Collapsible groups by cluster or scaffold
+ * - Chemical space plot (fingerprint PCA or any two descriptors) with hover depictions and lasso filtering
+ * - Statistics tab with property histograms and box plots of the filtered results
+ * - Streamed results appended as they arrive, with a live "n of N generated" counter
+ * - Cancelled state, keeping any molecules streamed before the cancellation
  * - Loading state management
  * - Error handling and display
  * - Accessible result presentation
  * - Scrollable results container
  * 
+ * The parts of the view live in components/results/ and talk over a view-internal
+ * EventBus; this component owns the state, the application events and the layout.
+ * 
  * @author MolGPT Team
  * ================================================
  */
 
-// API configuration
-const API_BASE = typeof process !== 'undefined' && process.env && process.env.API_BASE 
-    ? process.env.API_BASE 
-    : 'https://molgpt-be-2.onrender.com';
+import { PreferenceStore } from '../utils/PreferenceStore.js';
+import { BackendProfiles } from '../utils/BackendProfiles.js';
+import { EventBus } from '../utils/EventBus.js';
+import { RecordAnalysis } from './results/RecordAnalysis.js';
+import { ResultColumns } from './results/ResultColumns.js';
+import { ResultsSummary } from './results/ResultsSummary.js';
+import { ScreeningPanel } from './results/ScreeningPanel.js';
+import { ScaffoldPanel } from './results/ScaffoldPanel.js';
+import { LinkerPanel } from './results/LinkerPanel.js';
+import { MoleculeItems } from './results/MoleculeItems.js';
+import { ResultsSorting } from './results/ResultsSorting.js';
+import { ResultsFilters } from './results/ResultsFilters.js';
+import { ResultsList } from './results/ResultsList.js';
+import { KeyboardNavigation } from './results/KeyboardNavigation.js';
+import { ResultsClustering } from './results/ResultsClustering.js';
+import { ChemicalSpacePanel } from './results/ChemicalSpacePanel.js';
+import { StatisticsPanel } from './results/StatisticsPanel.js';
+import { ResultsExport } from './results/ResultsExport.js';
+import { ResultsStream } from './results/ResultsStream.js';
+import { ResultsCancellation } from './results/ResultsCancellation.js';
+
+// Result layouts and grid card sizes
+const LAYOUTS = ['list', 'grid'];
+const CARD_SIZES = {
+    small: 'Small',
+    medium: 'Medium',
+    large: 'Large'
+};
+const DEFAULT_VIEW = { layout: 'list', cardSize: 'medium' };
+
+// Time budget per slice when preparing all records for summary counts
+const PREPARATION_SLICE_MS = 12;
+
+// Result panel tabs
+const RESULT_TABS = [
+    { value: 'molecules', label: 'Molecules' },
+    { value: 'statistics', label: 'Statistics' }
+];
 
 export class ResultsDisplay {
     /**
@@ -32,24 +91,93 @@ export class ResultsDisplay {
         this.element = element;
         this.eventBus = options.eventBus;
         
-        // Component state
+        // Component state (shared with the parts of the view)
         this.state = {
             isLoading: false,
             results: null,
             error: null,
-            lastGeneration: null
+            lastGeneration: null,
+            records: [],
+            visibleRecords: [],
+            view: { ...DEFAULT_VIEW },
+            sort: null, // set by ResultsSorting
+            filters: {},
+            hideInvalid: false,
+            collapseDuplicates: false,
+            duplicateGroups: null,
+            search: { query: '', pattern: null, error: null },
+            reference: null,
+            scaffolds: null,
+            fragments: null,
+            library: null,
+            diversity: null,
+            groupBy: 'none',
+            groups: [],
+            expandedGroups: new Set(),
+            projection: null,
+            chart: null, // set by ChemicalSpacePanel
+            tab: 'molecules',
+            showStatisticsReference: true,
+            streaming: null,
+            activePosition: 0,
+            initialized: false
         };
         
         // DOM element references
         this.elements = {
-            content: null
+            content: null,
+            list: null,
+            visibleCount: null
         };
         
+        // Persisted layout and rule preferences
+        this.preferences = options.preferences || new PreferenceStore();
+        
+        // Server links resolve against the base URL of the active backend profile
+        this.backend = options.backend || new BackendProfiles({ preferences: this.preferences });
+        
+        // Background preparation of every record for the summary counts
+        this.preparationTimer = null;
+        
+        // Events between the parts of the view (kept off the application bus)
+        this.viewBus = new EventBus();
+        
+        // Parsing, descriptors and the per-record analyses
+        this.analysis = new RecordAnalysis({
+            state: this.state,
+            ruleConfig: this.preferences.get('results.rules', {}),
+            alertConfig: this.preferences.get('results.alerts', {})
+        });
+        
+        // Table columns (sortable, optionally range-filterable), built once the panels adding columns exist
+        this.columns = new ResultColumns(this);
+        
+        // Parts of the view; each renders its own controls and handles their events
+        this.summary = new ResultsSummary(this);
+        this.screening = new ScreeningPanel(this);
+        this.scaffoldPanel = new ScaffoldPanel(this);
+        this.linkerPanel = new LinkerPanel(this);
+        this.items = new MoleculeItems(this);
+        this.sorting = new ResultsSorting(this);
+        this.filters = new ResultsFilters(this);
+        this.list = new ResultsList(this);
+        this.keyboard = new KeyboardNavigation(this);
+        this.clustering = new ResultsClustering(this);
+        this.chemicalSpace = new ChemicalSpacePanel(this);
+        this.statistics = new StatisticsPanel(this);
+        this.exportMenu = new ResultsExport(this);
+        this.stream = new ResultsStream(this);
+        this.cancellation = new ResultsCancellation(this);
+        this.columns.rebuild();
+        
         // Bind methods to preserve context
         this.handleResultsDisplay = this.handleResultsDisplay.bind(this);
         this.handleShowProgress = this.handleShowProgress.bind(this);
         this.handleShowError = this.handleShowError.bind(this);
         this.handleClearResults = this.handleClearResults.bind(this);
+        this.handleLibraryChanged = this.handleLibraryChanged.bind(this);
+        this.handleContentClick = this.handleContentClick.bind(this);
+        this.handleContentChange = this.handleContentChange.bind(this);
         
         this.init();
     }
@@ -58,9 +186,15 @@ export class ResultsDisplay {
      * Initialize the component
      */
     init() {
+        // A second call would register every listener twice (appended stream chunks would be added twice)
+        if (this.state.initialized) return;
+        
         try {
             this.cacheElements();
+            this.loadViewPreferences();
+            this.chemicalSpace.loadPreferences();
             this.setupEventListeners();
+            this.state.initialized = true;
             this.renderInitialState();
             console.log('✅ ResultsDisplay component initialized');
         } catch (error) {
@@ -78,6 +212,8 @@ export class ResultsDisplay {
         if (!this.elements.content) {
             throw new Error('Results content element not found');
         }
+        
+        this.list.createVirtualList(this.elements.content);
     }
 
     /**
@@ -89,22 +225,243 @@ export class ResultsDisplay {
             this.eventBus.on('results:showProgress', this.handleShowProgress);
             this.eventBus.on('results:showError', this.handleShowError);
             this.eventBus.on('results:clear', this.handleClearResults);
+            this.eventBus.on('library:changed', this.handleLibraryChanged);
+        }
+        
+        // Delegated listeners for the layout and tab controls
+        this.elements.content.addEventListener('click', this.handleContentClick);
+        this.elements.content.addEventListener('change', this.handleContentChange);
+        
+        // Requests from the parts of the view
+        this.viewBus.on('display:results', this.handleResultsDisplay);
+        this.viewBus.on('display:render', () => this.renderResults(this.state.results));
+        this.viewBus.on('display:clear', this.handleClearResults);
+        this.viewBus.on('preparation:restart', () => this.prepareRecordsInBackground());
+        this.viewBus.on('tab:step', (tab, step) => this.stepTab(tab, step));
+        
+        // The parts of the view handle the controls they render (in this order for shared events)
+        this.summary.setupEventListeners();
+        this.screening.setupEventListeners();
+        this.scaffoldPanel.setupEventListeners();
+        this.linkerPanel.setupEventListeners();
+        this.sorting.setupEventListeners();
+        this.filters.setupEventListeners();
+        this.list.setupEventListeners();
+        this.keyboard.setupEventListeners();
+        this.clustering.setupEventListeners();
+        this.chemicalSpace.setupEventListeners();
+        this.statistics.setupEventListeners();
+        this.exportMenu.setupEventListeners();
+        this.stream.setupEventListeners();
+        this.cancellation.setupEventListeners();
+    }
+
+    /**
+     * Restore the saved layout and card size
+     */
+    loadViewPreferences() {
+        const saved = this.preferences.get('results.view', {}) || {};
+        
+        this.state.view = {
+            layout: LAYOUTS.includes(saved.layout) ? saved.layout : DEFAULT_VIEW.layout,
+            cardSize: saved.cardSize in CARD_SIZES ? saved.cardSize : DEFAULT_VIEW.cardSize
+        };
+    }
+
+    /**
+     * Update the layout preferences, persist them and re-render
+     * @param {Object} updates - View updates (layout and/or cardSize)
+     */
+    setView(updates) {
+        this.state.view = { ...this.state.view, ...updates };
+        this.preferences.set('results.view', this.state.view);
+        
+        console.log(`🔲 Results view: ${this.state.view.layout} (${this.state.view.cardSize})`);
+        
+        if (this.state.results) {
+            // Keep the first visible molecule in view across the layout change
+            const anchor = this.list.virtualList.getFirstVisibleIndex();
+            
+            this.updateViewControls();
+            this.list.render();
+            this.list.virtualList.scrollToIndex(anchor, 'start');
+        }
+    }
+
+    /**
+     * Switch between the molecule list and the Statistics tab
+     * @param {string} tab - 'molecules' or 'statistics'
+     * @param {boolean} focus - Move focus to the new tab (keyboard navigation)
+     */
+    setTab(tab, focus = false) {
+        if (!RESULT_TABS.some(option => option.value === tab)) return;
+        
+        this.state.tab = tab;
+        
+        this.elements.content.querySelectorAll('[data-action="set-tab"]').forEach(button => {
+            const active = button.dataset.tab === tab;
+            button.classList.toggle('results__tab--active', active);
+            button.setAttribute('aria-selected', String(active));
+            button.tabIndex = active ? 0 : -1;
+            if (active && focus) button.focus();
+        });
+        
+        const moleculesPanel = this.elements.content.querySelector('[data-element="molecules-panel"]');
+        const statisticsPanel = this.elements.content.querySelector('[data-element="statistics-panel"]');
+        if (moleculesPanel) moleculesPanel.hidden = tab !== 'molecules';
+        if (statisticsPanel) statisticsPanel.hidden = tab !== 'statistics';
+        
+        if (tab === 'statistics') {
+            this.statistics.update();
+        } else {
+            // The list and plot were not measured while hidden
+            this.list.refresh();
+            this.chemicalSpace.updateChart();
+        }
+    }
+
+    /**
+     * Move to the next or previous result tab and focus it (arrow keys on the tab bar)
+     * @param {string} tab - Tab the key was pressed on
+     * @param {number} step - 1 for the next tab, -1 for the previous one
+     */
+    stepTab(tab, step) {
+        const current = RESULT_TABS.findIndex(option => option.value === tab);
+        const next = (current + step + RESULT_TABS.length) % RESULT_TABS.length;
+        this.setTab(RESULT_TABS[next].value, true);
+    }
+
+    /**
+     * Handle clicks on the layout and tab controls inside the results
+     * @param {Event} event - Click event
+     */
+    handleContentClick(event) {
+        const layoutButton = event.target.closest('[data-action="set-layout"]');
+        if (layoutButton && LAYOUTS.includes(layoutButton.dataset.layout)) {
+            this.setView({ layout: layoutButton.dataset.layout });
+            return;
+        }
+        
+        const tabButton = event.target.closest('[data-action="set-tab"]');
+        if (tabButton) {
+            this.setTab(tabButton.dataset.tab);
+        }
+    }
+
+    /**
+     * Handle the card size selector
+     * @param {Event} event - Change event
+     */
+    handleContentChange(event) {
+        const { target } = event;
+        
+        if (target.matches('[data-input="card-size"]') && target.value in CARD_SIZES) {
+            this.setView({ cardSize: target.value });
         }
     }
 
     /**
      * Handle results display
      * @param {Object} results - Generation results to display
+     * @param {Object|null} stream - {total} when the results start a streamed response
      */
-    handleResultsDisplay(results) {
+    handleResultsDisplay(results, stream = null) {
         console.log('📊 Displaying results:', results);
         
-        this.state.isLoading = false;
+        // The final response of a stream keeps the records (and their computed values) already shown
+        const molecules = results.generated_molecules || [];
+        const streamed = this.state.streaming ? this.state.records : null;
+        const reuseRecords = streamed !== null && this.isSameMolecules(streamed, molecules);
+        const scrollTop = streamed ? this.elements.content.scrollTop : 0;
+        this.stream.cancelRender();
+        if (!results.cancelled) this.cancellation.clearPendingWarning();
+        this.state.streaming = stream;
+        
+        this.state.isLoading = stream !== null;
         this.state.results = results;
         this.state.error = null;
         this.state.lastGeneration = new Date();
+        this.state.records = reuseRecords ? streamed : this.analysis.createRecords(molecules);
+        this.state.reference = this.analysis.createReference(results.requestParams);
+        this.state.scaffolds = this.scaffoldPanel.createScaffoldSet(results.requestParams);
+        this.state.fragments = this.linkerPanel.createFragmentSet(results.requestParams);
+        this.state.duplicateGroups = null;
+        this.state.diversity = null;
+        this.state.groups = [];
+        this.state.expandedGroups = new Set();
+        this.state.projection = null;
+        this.state.chart.selection = null;
+        this.state.activePosition = 0;
+        this.state.search = { ...this.state.search, error: null };
+        
+        // R-group columns follow the attachment points of this request's scaffolds
+        this.columns.rebuild();
         
         this.renderResults(results);
+        this.elements.content.scrollTop = scrollTop;
+        
+        // Summaries over the whole run wait for the end of a stream
+        if (!stream) this.prepareRecordsInBackground();
+    }
+
+    /**
+     * Check whether streamed records hold exactly the molecules of a final response
+     * @param {Array<Object>} records - Streamed records
+     * @param {Array<Object>} molecules - Molecules of the final response
+     * @returns {boolean} Whether the records can be kept
+     */
+    isSameMolecules(records, molecules) {
+        return records.length === molecules.length
+            && records.every((record, index) => record.smiles === molecules[index].smiles && record.valid === (molecules[index].valid ?? true));
+    }
+
+    /**
+     * Prepare every record in small time slices so summary counts can be shown
+     * without blocking the page on large result sets
+     */
+    prepareRecordsInBackground() {
+        this.cancelBackgroundPreparation();
+        
+        const { records } = this.state;
+        let next = 0;
+        
+        const step = () => {
+            const deadline = performance.now() + PREPARATION_SLICE_MS;
+            while (next < records.length && performance.now() < deadline) {
+                this.analysis.getAlerts(records[next]);
+                this.analysis.getSimilarity(records[next]);
+                this.scaffoldPanel.getScaffoldMatch(records[next]);
+                this.linkerPanel.getLinkerAnalysis(records[next]);
+                this.analysis.getCanonicalSmiles(records[next]);
+                this.analysis.getNovelty(records[next]);
+                this.analysis.getMurckoScaffold(records[next]);
+                this.analysis.getScores(records[next]);
+                next++;
+            }
+            
+            if (next < records.length) {
+                this.viewBus.emit('preparation:progress', next / records.length);
+                this.preparationTimer = setTimeout(step, 0);
+            } else {
+                this.preparationTimer = null;
+
+                // Summaries, duplicate badges and the clustering wait for every record
+                this.viewBus.emit('preparation:complete');
+            }
+        };
+        
+        step();
+    }
+
+    /**
+     * Stop a running background preparation (of the records or the similarity matrix)
+     */
+    cancelBackgroundPreparation() {
+        if (this.preparationTimer !== null) {
+            clearTimeout(this.preparationTimer);
+            this.preparationTimer = null;
+        }
+        this.clustering.cancelPreparation();
     }
 
     /**
@@ -125,9 +482,22 @@ export class ResultsDisplay {
     handleShowError(error) {
         const errorMessage = error instanceof Error ? error.message : String(error);
         
+        this.cancellation.clearPendingWarning();
+        this.cancelBackgroundPreparation();
+        this.filters.cancelSearchTimer();
+        this.stream.cancelRender();
+        this.state.streaming = null;
         this.state.isLoading = false;
         this.state.error = errorMessage;
         this.state.results = null;
+        this.state.records = [];
+        this.state.reference = null;
+        this.state.scaffolds = null;
+        this.state.fragments = null;
+        this.state.diversity = null;
+        this.state.groups = [];
+        this.state.projection = null;
+        this.state.chart.selection = null;
         
         this.renderError(errorMessage);
     }
@@ -136,13 +506,44 @@ export class ResultsDisplay {
      * Handle clearing results
      */
     handleClearResults() {
+        this.cancelBackgroundPreparation();
+        this.filters.cancelSearchTimer();
+        this.stream.cancelRender();
+        this.state.streaming = null;
         this.state.isLoading = false;
         this.state.results = null;
+        this.state.records = [];
+        this.state.reference = null;
+        this.state.scaffolds = null;
+        this.state.fragments = null;
+        this.state.diversity = null;
+        this.state.groups = [];
+        this.state.projection = null;
+        this.state.chart.selection = null;
         this.state.error = null;
         
         this.clearContent();
     }
 
+    /**
+     * Use a newly loaded (or cleared) reference library for the novelty check
+     * @param {Object} data - {library, info} from ReferenceLibraryPanel; library is null when cleared
+     */
+    handleLibraryChanged({ library, info } = {}) {
+        this.state.library = library ? { library, info } : null;
+        this.analysis.libraryVersion++;
+        
+        console.log(library ? `📚 Checking novelty against ${info?.name || 'reference library'} (${library.getSize()} compounds)` : '📚 Reference library cleared');
+        
+        if (!this.state.results) return;
+        
+        // Novelty columns come and go with the library
+        this.sorting.resetUnavailableSort();
+        
+        this.renderResults(this.state.results);
+        this.prepareRecordsInBackground();
+    }
+
     /**
      * Render generation results
      * @param {Object} results - Results to render
@@ -153,26 +554,48 @@ export class ResultsDisplay {
             total_generated = 0,
             valid_molecules = 0,
             requestParams = {},
-            csv_url = null
+            csv_url = null,
+            backendProfileId = null
         } = results;
         
         // Create results summary
-        const summaryHTML = this.createResultsSummary(total_generated, valid_molecules, requestParams, csv_url);
+        const summaryHTML = this.summary.createResultsSummary(total_generated, valid_molecules, requestParams, csv_url, backendProfileId);
+        
+        // Create layout, sort and filter controls (also while a stream has not delivered any molecules)
+        const hasMolecules = generated_molecules.length > 0 || this.state.streaming !== null;
+        const controlsHTML = hasMolecules ? this.createViewControls() : '';
         
-        // Create molecules list
-        const moleculesHTML = this.createMoleculesList(generated_molecules);
+        // Chemical space plot between the controls and the list
+        const chartHTML = hasMolecules ? this.chemicalSpace.createPanel() : '';
         
-        // Combine and render
+        // The list and the property distributions are tabs below the shared controls
+        const hasTabs = hasMolecules;
+        const statistics = hasTabs && this.state.tab === 'statistics';
+        
+        // Combine and render; the molecule list itself is filled by renderList
         const resultsHTML = `
             ${summaryHTML}
-            ${moleculesHTML}
+            ${controlsHTML}
+            ${hasTabs ? this.createTabs() : ''}
+            <div class="results__tab-panel" id="results-panel-molecules" ${hasTabs ? 'role="tabpanel" aria-labelledby="results-tab-molecules"' : ''} data-element="molecules-panel" ${statistics ? 'hidden' : ''}>
+                ${chartHTML}
+                <div class="results__list-container" data-element="results-list"></div>
+            </div>
+            ${hasTabs ? this.statistics.createPanel() : ''}
         `;
         
+        this.chemicalSpace.destroyChart();
         this.elements.content.innerHTML = resultsHTML;
-        
-        // Add accessibility attributes
+        this.elements.list = this.elements.content.querySelector('[data-element="results-list"]');
+        this.chemicalSpace.createChart();
+        this.elements.visibleCount = this.elements.content.querySelector('[data-element="visible-count"]');
+        this.list.render();
+        this.filters.renderSearchState();
+        
+        // Add accessibility attributes; counts are announced by the visible-count
+        // live region, not the (virtualized) list itself
         // const invalid = total_generated - valid_molecules;
-        this.elements.content.setAttribute('aria-live', 'polite');
+        this.elements.content.setAttribute('aria-live', 'off');
         this.elements.content.setAttribute('aria-label', `Generation results: Generated: ${total_generated}, Valid: ${valid_molecules}`); //, Invalid: ${invalid}`);
         
         // Scroll to top of results
@@ -180,115 +603,108 @@ export class ResultsDisplay {
     }
 
     /**
-     * Create results summary HTML
-     * @param {number} total - Total molecules generated
-     * @param {number} valid - Valid molecules count
-     * @param {Object} requestParams - Original request parameters
-     * @param {string|null} csvUrl - CSV download URL
-     * @returns {string} Summary HTML
+     * Create the list/grid toggle and card size selector
+     * @returns {string} View controls HTML
      */
-    createResultsSummary(total, valid, requestParams = {}, csvUrl = null) {
-        const samples = requestParams.samples || 0;
-        const invalid = requestParams - valid;
-        
-        // Create the new message format: Generated: X, Valid: Y, Invalid: Z
-        const summaryMessage = `Generated: ${total}, Valid: ${valid}`; //, Invalid: ${invalid}`;
-        
-        // Add context about expected vs actual if samples info is available
-        let contextMessage = '';
-        if (samples > 0) {
-            if (total !== samples) {
-                contextMessage = ` (Expected ${samples} samples)`;
-            }
-        }
+    createViewControls() {
+        const { layout, cardSize } = this.state.view;
+        
+        const layoutButtons = LAYOUTS.map(option => `
+            <button 
+                type="button" 
+                class="results__view-button ${option === layout ? 'results__view-button--active' : ''}" 
+                data-action="set-layout" 
+                data-layout="${option}" 
+                aria-pressed="${option === layout}"
+            >
+                ${option === 'list' ? 'List' : 'Grid'}
+            </button>
+        `).join('');
+        
+        const sizeOptions = Object.entries(CARD_SIZES).map(([value, label]) => `
+            <option value="${value}" ${value === cardSize ? 'selected' : ''}>${label}</option>
+        `).join('');
         
         return `
-            <div class="results__summary">
-                <p class="results__status">
-                    <strong>Generation Complete!</strong> 
-                    ${summaryMessage}${contextMessage}
-                </p>
-                ${this.createGenerationTimestamp(csvUrl)}
+            ${this.filters.createSearchControls()}
+            <div class="results__toolbar">
+                <div class="results__view-toggle" role="group" aria-label="Results layout">
+                    ${layoutButtons}
+                </div>
+                <label class="results__control">
+                    <span class="results__control-label">Card size</span>
+                    <select class="results__control-select" data-input="card-size" ${layout === 'grid' ? '' : 'disabled'}>
+                        ${sizeOptions}
+                    </select>
+                </label>
+                ${this.sorting.createControls()}
+                ${this.filters.createToggles()}
+                ${this.clustering.createGroupControls()}
             </div>
+            ${this.filters.createFilterControls()}
+            ${this.screening.createRuleControls()}
+            ${this.screening.createAlertLibraryControls()}
         `;
     }
 
     /**
-     * Create generation timestamp
-     * @param {string|null} csvUrl - CSV download URL
-     * @returns {string} Timestamp HTML
+     * Create the Molecules / Statistics tab bar
+     * @returns {string} Tab bar HTML
      */
-    createGenerationTimestamp(csvUrl = null) {
-        if (!this.state.lastGeneration) return '';
-        
-        const timestamp = this.state.lastGeneration.toLocaleTimeString();
-        
-        // Construct full CSV download URL by prepending API base URL
-        let fullCsvUrl = null;
-        if (csvUrl) {
-            // If csvUrl starts with '/', prepend API_BASE, otherwise use as-is
-            fullCsvUrl = csvUrl.startsWith('/') ? `${API_BASE}${csvUrl}` : csvUrl;
-        }
-        
-        const downloadButton = fullCsvUrl ? `
-            <a href="${fullCsvUrl}" download class="results__download-button">
-                Download CSV
-            </a>
-        ` : '';
+    createTabs() {
+        const tabs = RESULT_TABS.map(tab => {
+            const active = tab.value === this.state.tab;
+            return `
+                <button 
+                    type="button" 
+                    class="results__tab ${active ? 'results__tab--active' : ''}" 
+                    id="results-tab-${tab.value}" 
+                    role="tab" 
+                    aria-selected="${active}" 
+                    aria-controls="results-panel-${tab.value}" 
+                    tabindex="${active ? 0 : -1}" 
+                    data-action="set-tab" 
+                    data-tab="${tab.value}"
+                >
+                    ${tab.label}
+                </button>
+            `;
+        }).join('');
         
         return `
-            <div class="results__timestamp-container">
-                <p class="results__timestamp">
-                    Generated at ${timestamp}
-                </p>
-                ${downloadButton}
+            <div class="results__tabs" role="tablist" aria-label="Results view">
+                ${tabs}
             </div>
         `;
     }
 
     /**
-     * Create molecules list HTML
-     * @param {Array} molecules - Array of molecule objects
-     * @returns {string} Molecules list HTML
+     * Sync the layout buttons and card size selector with the current view
      */
-    createMoleculesList(molecules) {
-        if (!molecules || molecules.length === 0) {
-            return `
-                <div class="results__empty">
-                    <p>No molecules generated. Please try adjusting your parameters.</p>
-                </div>
-            `;
-        }
+    updateViewControls() {
+        const { layout, cardSize } = this.state.view;
         
-        const moleculesHTML = molecules
-            .map((molecule, index) => this.createMoleculeItem(molecule, index))
-            .join('');
+        this.elements.content.querySelectorAll('[data-action="set-layout"]').forEach(button => {
+            const active = button.dataset.layout === layout;
+            button.classList.toggle('results__view-button--active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
         
-        return `
-            <div class="results__molecule-list" id="mol-list">
-                ${moleculesHTML}
-            </div>
-        `;
+        const sizeSelect = this.elements.content.querySelector('[data-input="card-size"]');
+        if (sizeSelect) {
+            sizeSelect.disabled = layout !== 'grid';
+            sizeSelect.value = cardSize;
+        }
     }
 
     /**
-     * Create individual molecule item HTML
-     * @param {Object} molecule - Molecule data
-     * @param {number} index - Molecule index
-     * @returns {string} Molecule item HTML
+     * Apply filters and sorting to the records
+     * @param {Object} options - Options
+     * @param {boolean} options.ignoreSelection - Keep results outside the plot selection (for drawing the plot)
+     * @returns {Array<Object>} Records to show, in display order
      */
-    createMoleculeItem(molecule, index) {
-        const { smiles, valid = true } = molecule;
-        const validityClass = valid ? 'results__molecule-item--valid' : 'results__molecule-item--invalid';
-        const validityLabel = valid ? '' : '<span class="results__validity-indicator">(invalid)</span>';
-        
-        return `
-            <div class="results__molecule-item ${validityClass}">
-                <span class="results__molecule-index">${index + 1}:</span>
-                <code class="results__molecule-code">${this.escapeHtml(smiles)}</code>
-                ${validityLabel}
-            </div>
-        `;
+    getVisibleRecords({ ignoreSelection = false } = {}) {
+        return this.sorting.sort(this.filters.apply({ ignoreSelection }));
     }
 
     /**
@@ -296,6 +712,14 @@ export class ResultsDisplay {
      * @param {string} message - Progress message
      */
     renderProgress(message) {
+        // Repeated updates (e.g. job status polls) only replace the text, so the spinner keeps turning
+        const text = this.elements.content.querySelector('.results__loading-text');
+        if (text) {
+            text.textContent = message;
+            this.elements.content.setAttribute('aria-label', message);
+            return;
+        }
+        
         const progressHTML = `
             <div class="results__loading">
                 <div class="results__loading-indicator">
@@ -305,6 +729,7 @@ export class ResultsDisplay {
             </div>
         `;
         
+        this.list.detach();
         this.elements.content.innerHTML = progressHTML;
         this.elements.content.setAttribute('aria-live', 'polite');
         this.elements.content.setAttribute('aria-label', message);
@@ -329,6 +754,7 @@ export class ResultsDisplay {
             </div>
         `;
         
+        this.list.detach();
         this.elements.content.innerHTML = errorHTML;
         this.elements.content.setAttribute('aria-live', 'assertive');
         this.elements.content.setAttribute('aria-label', `Error: ${errorMessage}`);
@@ -338,6 +764,7 @@ export class ResultsDisplay {
      * Clear content
      */
     clearContent() {
+        this.list.detach();
         this.elements.content.innerHTML = '';
         this.elements.content.removeAttribute('aria-live');
         this.elements.content.removeAttribute('aria-label');
@@ -456,10 +883,32 @@ export class ResultsDisplay {
             this.eventBus.off('results:showProgress', this.handleShowProgress);
             this.eventBus.off('results:showError', this.handleShowError);
             this.eventBus.off('results:clear', this.handleClearResults);
+            this.eventBus.off('library:changed', this.handleLibraryChanged);
         }
         
+        if (this.elements.content) {
+            this.elements.content.removeEventListener('click', this.handleContentClick);
+            this.elements.content.removeEventListener('change', this.handleContentChange);
+        }
+        
+        // The parts of the view remove their own listeners and stop their timers
+        this.screening.destroy();
+        this.sorting.destroy();
+        this.filters.destroy();
+        this.keyboard.destroy();
+        this.clustering.destroy();
+        this.chemicalSpace.destroy();
+        this.statistics.destroy();
+        this.exportMenu.destroy();
+        this.stream.destroy();
+        this.cancellation.destroy();
+        
         // Clear content
+        this.cancelBackgroundPreparation();
         this.clearContent();
+        this.items.destroy();
+        this.list.destroy();
+        this.viewBus.destroy();
         
         // Clean up references
         this.elements = {};
@@ -0,0 +1,421 @@
+/**
+ * ================================================
+ * ChemicalSpacePanel
+ * ================================================
+ *
+ * Chemical space plot of the filtered results, between the controls and
+ * the list: fingerprint PCA or any two descriptors.
+ *
+ * Features:
+ * - Axis and colour selectors (validity, similarity to input, cluster), persisted
+ * - Hover depictions, click to jump to a result ("list:focus")
+ * - Lasso selection filtering the list ("filters:changed")
+ * - Redrawn after each list render while its panel is open
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { FingerprintProjection } from '../../chemistry/FingerprintProjection.js';
+import { ScatterPlot } from '../../utils/ScatterPlot.js';
+
+// Principal component axes (descriptor columns are added at runtime), colour schemes and point colours
+const PROJECTION_AXES = [
+    { key: 'pc1', label: 'PC1', component: 0 },
+    { key: 'pc2', label: 'PC2', component: 1 }
+];
+const CHART_COLOR_OPTIONS = [
+    { value: 'validity', label: 'Validity' },
+    { value: 'similarity', label: 'Similarity to input', requires: 'reference' },
+    { value: 'cluster', label: 'Cluster' }
+];
+const DEFAULT_CHART = { open: false, x: 'pc1', y: 'pc2', colorBy: 'validity' };
+const VALID_POINT_COLOR = '#22c55e';
+const INVALID_POINT_COLOR = '#ef4444';
+const MISSING_POINT_COLOR = '#9ca3af';
+const SIMILARITY_COLOR_RANGE = [[219, 234, 254], [29, 78, 216]];
+const CLUSTER_COLORS = ['#2563eb', '#f97316', '#16a34a', '#dc2626', '#9333ea', '#0891b2', '#ca8a04', '#db2777', '#4b5563', '#65a30d'];
+
+export class ChemicalSpacePanel {
+    /**
+     * Initialize the chemical space panel
+     * @param {ResultsDisplay} display - Results view the panel belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.analysis = display.analysis;
+        this.columns = display.columns;
+        this.preferences = display.preferences;
+
+        // Saved choices are restored by loadPreferences()
+        this.state.chart = { ...DEFAULT_CHART, selection: null };
+
+        // Plot (created with the results, see ResultsDisplay.renderResults)
+        this.projection = new FingerprintProjection();
+        this.chart = null;
+
+        // Bind methods to preserve context
+        this.handleContentClick = this.handleContentClick.bind(this);
+        this.handleContentChange = this.handleContentChange.bind(this);
+        this.handleContentToggle = this.handleContentToggle.bind(this);
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.content.addEventListener('click', this.handleContentClick);
+        this.elements.content.addEventListener('change', this.handleContentChange);
+
+        // "toggle" does not bubble, so it is caught in the capture phase
+        this.elements.content.addEventListener('toggle', this.handleContentToggle, true);
+
+        this.viewBus.on('list:rendered', () => this.updateChart());
+        this.viewBus.on('chart:update', () => this.updateChart());
+        this.viewBus.on('list:detached', () => this.destroyChart());
+    }
+
+    /**
+     * Handle the clear selection button
+     * @param {Event} event - Click event
+     */
+    handleContentClick(event) {
+        if (event.target.closest('[data-action="clear-chart-selection"]')) {
+            this.setSelection([]);
+        }
+    }
+
+    /**
+     * Handle the axis and colour selectors
+     * @param {Event} event - Change event
+     */
+    handleContentChange(event) {
+        const { target } = event;
+
+        if (target.matches('[data-input="chart-x"]')) {
+            this.setOptions({ x: target.value });
+        } else if (target.matches('[data-input="chart-y"]')) {
+            this.setOptions({ y: target.value });
+        } else if (target.matches('[data-input="chart-color"]')) {
+            this.setOptions({ colorBy: target.value });
+        }
+    }
+
+    /**
+     * Draw the plot when its panel is opened
+     * @param {Event} event - Toggle event (captured, as it does not bubble)
+     */
+    handleContentToggle(event) {
+        const details = event.target;
+        if (details.matches?.('[data-element="chart-panel"]') && details.open !== this.state.chart.open) {
+            this.setOptions({ open: details.open });
+        }
+    }
+
+    /**
+     * Restore the saved plot axes, colouring and open state
+     * (axes that are unavailable for a result set fall back when the plot is drawn)
+     */
+    loadPreferences() {
+        const saved = this.preferences.get('results.chart', {}) || {};
+
+        this.state.chart = {
+            open: typeof saved.open === 'boolean' ? saved.open : DEFAULT_CHART.open,
+            x: typeof saved.x === 'string' ? saved.x : DEFAULT_CHART.x,
+            y: typeof saved.y === 'string' ? saved.y : DEFAULT_CHART.y,
+            colorBy: CHART_COLOR_OPTIONS.some(option => option.value === saved.colorBy) ? saved.colorBy : DEFAULT_CHART.colorBy,
+            selection: null
+        };
+    }
+
+    /**
+     * Update the plot axes, colouring or open state, persist them and redraw
+     * @param {Object} updates - Chart updates (x, y, colorBy and/or open)
+     */
+    setOptions(updates) {
+        this.state.chart = { ...this.state.chart, ...updates };
+
+        const { open, x, y, colorBy } = this.state.chart;
+        this.preferences.set('results.chart', { open, x, y, colorBy });
+
+        this.updateChart();
+    }
+
+    /**
+     * Filter the list to the results lassoed in the plot
+     * @param {Array<number>} indices - Record indices inside the lasso (empty clears the selection)
+     */
+    setSelection(indices) {
+        this.state.chart.selection = indices.length > 0 ? new Set(indices) : null;
+        this.state.activePosition = 0;
+
+        console.log(indices.length > 0 ? `🎯 ${indices.length} results selected in the plot` : '🎯 Plot selection cleared');
+
+        this.viewBus.emit('filters:changed');
+    }
+
+    /**
+     * Create the collapsible chemical space plot panel (the plot is drawn by createChart)
+     * @returns {string} Chart panel HTML
+     */
+    createPanel() {
+        return `
+            <details class="results__chart" data-element="chart-panel" ${this.state.chart.open ? 'open' : ''}>
+                <summary class="results__chart-summary">Chemical space</summary>
+                <div class="results__chart-controls">
+                    <label class="results__control">
+                        <span class="results__control-label">X</span>
+                        <select class="results__control-select" data-input="chart-x"></select>
+                    </label>
+                    <label class="results__control">
+                        <span class="results__control-label">Y</span>
+                        <select class="results__control-select" data-input="chart-y"></select>
+                    </label>
+                    <label class="results__control">
+                        <span class="results__control-label">Colour by</span>
+                        <select class="results__control-select" data-input="chart-color"></select>
+                    </label>
+                    <button type="button" class="results__view-button" data-action="clear-chart-selection" disabled>
+                        Clear selection
+                    </button>
+                </div>
+                <div class="results__chart-plot" data-element="chart-plot"></div>
+                <div class="results__chart-legend" data-element="chart-legend"></div>
+                <p class="results__chart-hint">
+                    Hover a point to see its structure, click it to jump to the result, or drag a lasso around points to filter the list.
+                </p>
+            </details>
+        `;
+    }
+
+    /**
+     * Create the scatter plot inside the chart panel
+     */
+    createChart() {
+        const container = this.elements.content.querySelector('[data-element="chart-plot"]');
+        if (!container) return;
+
+        this.chart = new ScatterPlot(container, {
+            renderTooltip: point => this.renderTooltip(point),
+            onSelect: indices => this.setSelection(indices),
+            onPointClick: point => this.viewBus.emit('list:focus', point.id)
+        });
+    }
+
+    /**
+     * Redraw the plot from the filtered results (ignoring the plot's own selection) and sync its controls
+     * Only runs while the panel is open on the Molecules tab; opening it redraws.
+     */
+    updateChart() {
+        const panel = this.elements.content.querySelector('[data-element="chart-panel"]');
+        if (!this.chart || !panel || !this.state.chart.open || this.state.tab !== 'molecules') return;
+
+        // Fall back to the principal components and validity when a saved choice is unavailable
+        const axes = this.getAxes();
+        const colorOptions = CHART_COLOR_OPTIONS.filter(option => option.requires !== 'reference' || this.state.reference?.fingerprint);
+        const { selection } = this.state.chart;
+        const xAxis = axes.find(axis => axis.key === this.state.chart.x) || axes[0];
+        const yAxis = axes.find(axis => axis.key === this.state.chart.y) || axes[1];
+        const colorBy = colorOptions.some(option => option.value === this.state.chart.colorBy) ? this.state.chart.colorBy : DEFAULT_CHART.colorBy;
+
+        const fillSelect = (name, options, value) => {
+            const select = panel.querySelector(`[data-input="${name}"]`);
+            if (!select) return;
+            select.innerHTML = options.map(option => `
+                <option value="${option.value}" ${option.value === value ? 'selected' : ''}>${this.display.escapeHtml(option.label)}</option>
+            `).join('');
+        };
+        const axisOptions = axes.map(axis => ({ value: axis.key, label: axis.label }));
+        fillSelect('chart-x', axisOptions, xAxis.key);
+        fillSelect('chart-y', axisOptions, yAxis.key);
+        fillSelect('chart-color', colorOptions, colorBy);
+
+        const clearButton = panel.querySelector('[data-action="clear-chart-selection"]');
+        if (clearButton) clearButton.disabled = !selection;
+
+        const records = selection ? this.display.getVisibleRecords({ ignoreSelection: true }) : this.state.visibleRecords;
+        const points = [];
+        records.forEach(record => {
+            const x = xAxis.getValue(record);
+            const y = yAxis.getValue(record);
+            if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+            points.push({ id: record.index, x, y, color: this.getColor(record, colorBy) });
+        });
+
+        const xLabel = this.getAxisLabel(xAxis);
+        const yLabel = this.getAxisLabel(yAxis);
+        this.chart.setData({
+            points,
+            labels: { x: xLabel, y: yLabel },
+            selection,
+            description: `Scatter plot of ${points.length} results: ${xLabel} against ${yLabel}, coloured by ${colorBy}`
+        });
+
+        this.updateLegend(colorBy, points, records.length - points.length);
+    }
+
+    /**
+     * Show the colour key, the number of results that could not be plotted and the selection size
+     * @param {string} colorBy - Colour scheme in use
+     * @param {Array<Object>} points - Plotted points
+     * @param {number} skipped - Filtered results without a value on either axis
+     */
+    updateLegend(colorBy, points, skipped) {
+        const legend = this.elements.content.querySelector('[data-element="chart-legend"]');
+        if (!legend) return;
+
+        const swatch = (color, label) => `
+            <span class="results__chart-key"><span class="results__chart-swatch" style="background: ${color}"></span>${label}</span>
+        `;
+
+        let keys;
+        if (colorBy === 'similarity') {
+            const [low, high] = SIMILARITY_COLOR_RANGE;
+            keys = `
+                <span class="results__chart-key">
+                    Tanimoto 0
+                    <span class="results__chart-gradient" style="background: linear-gradient(to right, rgb(${low.join(', ')}), rgb(${high.join(', ')}))"></span>
+                    1
+                </span>
+            `;
+        } else if (colorBy === 'cluster') {
+            const clusters = this.state.diversity?.clusters;
+            const shown = clusters ? clusters.slice(0, CLUSTER_COLORS.length) : [];
+            keys = clusters
+                ? shown.map(cluster => swatch(CLUSTER_COLORS[cluster.id - 1], `C${cluster.id}`)).join('') +
+                    (clusters.length > shown.length ? swatch(MISSING_POINT_COLOR, 'Other clusters') : '')
+                : '<span class="results__chart-key">Clustering…</span>';
+        } else {
+            keys = swatch(VALID_POINT_COLOR, 'Valid') + swatch(INVALID_POINT_COLOR, 'Invalid');
+        }
+
+        const { selection } = this.state.chart;
+        const notes = [
+            `${points.length} plotted`,
+            skipped > 0 ? `${skipped} without a structure or value not shown` : '',
+            selection ? `${selection.size} selected` : ''
+        ].filter(Boolean).join(' · ');
+
+        legend.innerHTML = `${keys}<span class="results__chart-note">${notes}</span>`;
+    }
+
+    /**
+     * Tooltip of a plot point: the depiction, result number and SMILES
+     * @param {Object} point - Hovered point
+     * @returns {string} Tooltip HTML
+     */
+    renderTooltip(point) {
+        const record = this.state.records[point.id];
+        if (!record) return '';
+
+        this.analysis.prepareRecord(record);
+        return `
+            ${this.display.items.createDepiction(record)}
+            <div class="results__chart-tooltip-label">
+                <span class="results__molecule-index">#${record.index + 1}</span>
+                <code class="results__chart-tooltip-smiles">${this.display.escapeHtml(record.smiles)}</code>
+            </div>
+        `;
+    }
+
+    /**
+     * Remove the scatter plot (its listeners and resize observer)
+     */
+    destroyChart() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+
+    /**
+     * Principal component coordinates of every result with a structure, computed on first use
+     * @returns {Object} {coordinatesOf: Map of record index → [pc1, pc2], explained: variance ratios}
+     */
+    getProjection() {
+        if (!this.state.projection) {
+            const records = this.state.records.filter(record => this.analysis.getFingerprint(record));
+            const { coordinates, explained } = this.projection.pca(records.map(record => record.fingerprint), PROJECTION_AXES.length);
+
+            this.state.projection = {
+                coordinatesOf: new Map(records.map((record, row) => [record.index, coordinates[row]])),
+                explained
+            };
+
+            console.log(`🗺️ Fingerprint PCA of ${records.length} results (${explained.map(ratio => `${(ratio * 100).toFixed(1)}%`).join(', ')} of variance)`);
+        }
+
+        return this.state.projection;
+    }
+
+    /**
+     * Quantities that can be put on the plot axes: the principal components and the numeric columns
+     * @returns {Array<Object>} Axes as {key, label, getValue}
+     */
+    getAxes() {
+        const projectionAxes = PROJECTION_AXES.map(axis => ({
+            key: axis.key,
+            label: axis.label,
+            getValue: record => this.getProjection().coordinatesOf.get(record.index)?.[axis.component] ?? null
+        }));
+
+        const columnAxes = this.columns.getAll()
+            .filter(column => column.numeric && column.filterable && this.columns.isAvailable(column))
+            .map(column => ({ key: column.key, label: column.label, getValue: record => column.getValue(record) }));
+
+        return [...projectionAxes, ...columnAxes];
+    }
+
+    /**
+     * Axis title, with the explained variance for principal components
+     * @param {Object} axis - Axis from getChartAxes()
+     * @returns {string} Title
+     */
+    getAxisLabel(axis) {
+        const projectionAxis = PROJECTION_AXES.find(candidate => candidate.key === axis.key);
+        if (!projectionAxis) return axis.label;
+
+        const ratio = this.getProjection().explained[projectionAxis.component];
+        return `${axis.label} (${(ratio * 100).toFixed(1)}% of fingerprint variance)`;
+    }
+
+    /**
+     * Point colour of a record for the current colour scheme
+     * @param {Object} record - Result record
+     * @param {string} colorBy - 'validity', 'similarity' or 'cluster'
+     * @returns {string} CSS colour
+     */
+    getColor(record, colorBy) {
+        if (colorBy === 'similarity') {
+            const similarity = this.analysis.getSimilarity(record);
+            if (similarity === null) return MISSING_POINT_COLOR;
+
+            const [low, high] = SIMILARITY_COLOR_RANGE;
+            const channels = low.map((channel, index) => Math.round(channel + (high[index] - channel) * similarity));
+            return `rgb(${channels.join(', ')})`;
+        }
+
+        if (colorBy === 'cluster') {
+            const cluster = this.display.clustering.getCluster(record);
+            return cluster && cluster.id <= CLUSTER_COLORS.length ? CLUSTER_COLORS[cluster.id - 1] : MISSING_POINT_COLOR;
+        }
+
+        return record.valid ? VALID_POINT_COLOR : INVALID_POINT_COLOR;
+    }
+
+    /**
+     * Clean up listeners and the plot
+     */
+    destroy() {
+        this.destroyChart();
+
+        if (this.elements.content) {
+            this.elements.content.removeEventListener('click', this.handleContentClick);
+            this.elements.content.removeEventListener('change', this.handleContentChange);
+            this.elements.content.removeEventListener('toggle', this.handleContentToggle, true);
+        }
+    }
+}
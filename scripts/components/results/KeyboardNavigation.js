@@ -0,0 +1,197 @@
+/**
+ * ================================================
+ * KeyboardNavigation
+ * ================================================
+ *
+ * Keyboard navigation of the results: a roving tabindex over the
+ * virtualized list and the open groups, and arrow keys on the tab bar.
+ *
+ * Features:
+ * - Arrow, Page Up/Down, Home and End between results (rows or grid cells)
+ * - Arrow keys between the rendered members of open groups
+ * - Focus kept on the active result across re-renders
+ * - Left/right arrows between the result tabs ("tab:step")
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+export class KeyboardNavigation {
+    /**
+     * Initialize the keyboard navigation
+     * @param {ResultsDisplay} display - Results view the navigation belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+
+        // Bind methods to preserve context
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleFocusIn = this.handleFocusIn.bind(this);
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.content.addEventListener('keydown', this.handleKeydown);
+        this.elements.content.addEventListener('focusin', this.handleFocusIn);
+
+        this.viewBus.on('list:windowRendered', () => this.restoreFocus());
+        this.viewBus.on('list:focus', index => this.focusRecord(index));
+    }
+
+    /**
+     * Handle arrow/page/home/end navigation between molecules
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeydown(event) {
+        // Left/right arrows move between the result tabs
+        const tab = event.target.closest?.('[data-action="set-tab"]');
+        if (tab && (event.key === 'ArrowRight' || event.key === 'ArrowLeft')) {
+            event.preventDefault();
+            this.viewBus.emit('tab:step', tab.dataset.tab, event.key === 'ArrowRight' ? 1 : -1);
+            return;
+        }
+
+        const item = event.target.closest?.('[data-position]');
+        if (!item) return;
+
+        if (this.state.groups.length > 0) {
+            this.moveGroupFocus(item, event);
+            return;
+        }
+
+        const position = Number(item.dataset.position);
+        const columns = this.display.list.virtualList.columns;
+        const page = this.display.list.virtualList.getRowsPerPage() * columns;
+        const isGrid = this.state.view.layout === 'grid';
+
+        const targets = {
+            ArrowDown: position + columns,
+            ArrowUp: position - columns,
+            ArrowRight: isGrid ? position + 1 : null,
+            ArrowLeft: isGrid ? position - 1 : null,
+            PageDown: position + page,
+            PageUp: position - page,
+            Home: 0,
+            End: this.state.visibleRecords.length - 1
+        };
+
+        const target = targets[event.key];
+        if (target === undefined || target === null) return;
+
+        event.preventDefault();
+        this.setActivePosition(target);
+    }
+
+    /**
+     * Arrow key navigation between the rendered members of open groups
+     * @param {HTMLElement} item - Focused item
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    moveGroupFocus(item, event) {
+        const items = [...this.elements.list.querySelectorAll('[data-position]')];
+        const current = items.indexOf(item);
+        const isGrid = this.state.view.layout === 'grid';
+
+        const targets = {
+            ArrowDown: current + 1,
+            ArrowUp: current - 1,
+            ArrowRight: isGrid ? current + 1 : null,
+            ArrowLeft: isGrid ? current - 1 : null,
+            Home: 0,
+            End: items.length - 1
+        };
+
+        const target = items[targets[event.key]];
+        if (!target) return;
+
+        event.preventDefault();
+        item.tabIndex = -1;
+        target.tabIndex = 0;
+        target.focus();
+        this.state.activePosition = Number(target.dataset.position);
+    }
+
+    /**
+     * Track the active item when it receives focus by mouse or Tab
+     * @param {FocusEvent} event - Focusin event
+     */
+    handleFocusIn(event) {
+        const item = event.target.closest?.('[data-position]');
+        if (item) {
+            this.state.activePosition = Number(item.dataset.position);
+        }
+    }
+
+    /**
+     * Move keyboard focus to a position in the visible records
+     * @param {number} position - Target position
+     */
+    setActivePosition(position) {
+        const count = this.state.visibleRecords.length;
+        if (count === 0) return;
+
+        this.state.activePosition = Math.max(0, Math.min(count - 1, position));
+        this.display.list.virtualList.scrollToIndex(this.state.activePosition);
+        this.display.list.virtualList.update(true);
+        this.restoreFocus(true);
+    }
+
+    /**
+     * Keep the roving tabindex (and focus) on the active item after re-rendering
+     * @param {boolean} force - Focus the active item even if focus was elsewhere
+     */
+    restoreFocus(force = false) {
+        const windowElement = this.elements.list?.querySelector('[data-element="virtual-window"]');
+        if (!windowElement) return;
+
+        const hadFocus = windowElement.contains(document.activeElement);
+        const active = windowElement.querySelector(`[data-position="${this.state.activePosition}"]`);
+
+        windowElement.querySelectorAll('[data-position]').forEach(item => {
+            item.tabIndex = item === active ? 0 : -1;
+        });
+
+        // The first rendered item stays reachable by Tab when the active one is off-screen
+        if (!active && windowElement.firstElementChild) {
+            windowElement.firstElementChild.tabIndex = 0;
+        }
+
+        if (active && (force || hadFocus)) {
+            active.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Scroll to and focus a result (e.g. of a clicked plot point)
+     * @param {number} index - Generation index of the result
+     */
+    focusRecord(index) {
+        const position = this.state.visibleRecords.findIndex(record => record.index === index);
+        if (position === -1) return;
+
+        // Grouped results are only rendered inside opened groups
+        if (this.state.groups.length > 0) {
+            const item = this.elements.list?.querySelector(`[data-position="${position}"]`);
+            item?.scrollIntoView({ block: 'nearest' });
+            item?.focus();
+            return;
+        }
+
+        this.setActivePosition(position);
+    }
+
+    /**
+     * Clean up listeners
+     */
+    destroy() {
+        if (this.elements.content) {
+            this.elements.content.removeEventListener('keydown', this.handleKeydown);
+            this.elements.content.removeEventListener('focusin', this.handleFocusIn);
+        }
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * ================================================
+ * LinkerPanel
+ * ================================================
+ *
+ * Fragment Linking results: whether each molecule kept both input
+ * fragments, and the linker that joins them.
+ *
+ * Features:
+ * - Fragments from the SMILES inputs or the uploaded .smi file
+ * - Fragment retention column and badge
+ * - Linker SMILES, length, rotatable bond and ring columns
+ * - Run summary with the median linker length
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+export class LinkerPanel {
+    /**
+     * Initialize the linker panel
+     * @param {ResultsDisplay} display - Results view the panel belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.analysis = display.analysis;
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.viewBus.on('preparation:progress', progress => this.updateLinkerSummary(progress));
+        this.viewBus.on('preparation:complete', () => this.updateLinkerSummary());
+    }
+
+    /**
+     * Parse the two fragments of a Fragment Linking request (SMILES inputs, else the uploaded .smi file)
+     * @param {Object} requestParams - Request parameters sent with the results
+     * @returns {Object|null} {fragments, errors}, or null for other modes
+     */
+    createFragmentSet(requestParams = {}) {
+        if (requestParams.mode !== 'Fragment Linking') return null;
+
+        // A file line may hold both fragments as "A.B"
+        const fromFile = this.analysis.scaffoldAnalyzer.parseSmilesFile(requestParams.fragment_file_text)
+            .flatMap(smiles => smiles.split('.'));
+        const smilesList = [requestParams.fragment1, requestParams.fragment2]
+            .map(smiles => (smiles || '').trim())
+            .filter(Boolean)
+            .concat(fromFile)
+            .slice(0, 2);
+
+        const fragmentSet = { fragments: [], errors: [] };
+        smilesList.forEach(smiles => {
+            try {
+                fragmentSet.fragments.push(this.analysis.scaffoldAnalyzer.createCore(smiles));
+            } catch (error) {
+                fragmentSet.errors.push({ smiles, message: error.message });
+                console.warn(`⚠️ Fragment ${smiles} could not be parsed:`, error.message);
+            }
+        });
+
+        if (smilesList.length < 2) {
+            fragmentSet.errors.push({ smiles: '', message: 'Two fragments are needed to find the linker' });
+        }
+
+        return fragmentSet;
+    }
+
+    /**
+     * Fragment retention and linker of a record, computed on first use
+     * @param {Object} record - Result record
+     * @returns {Object|null} {retained, linked, fragmentAtoms, linker}, or null without a structure or fragments
+     */
+    getLinkerAnalysis(record) {
+        const fragments = this.state.fragments?.fragments;
+        if (!fragments || fragments.length !== 2) return null;
+
+        if (record.linker === null) {
+            const { molecule } = this.analysis.prepareRecord(record);
+            if (!molecule) return null;
+            record.linker = this.analysis.scaffoldAnalyzer.analyzeLinker(molecule, fragments);
+        }
+
+        return record.linker;
+    }
+
+    /**
+     * Build the fragment retention and linker columns
+     * @returns {Array<Object>} Column definitions (see ResultColumns)
+     */
+    createColumns() {
+        return [
+            {
+                key: 'fragmentsRetained',
+                label: 'Fragments',
+                title: 'Input fragments retained (of 2)',
+                numeric: true,
+                filterable: true,
+                requires: 'fragments',
+                getValue: record => {
+                    const linking = this.getLinkerAnalysis(record);
+                    return linking ? linking.retained.filter(Boolean).length : null;
+                }
+            },
+            {
+                key: 'linkerSmiles',
+                label: 'Linker',
+                title: 'Linker SMILES ([*:1]/[*:2] attach to fragment 1/2)',
+                numeric: false,
+                filterable: false,
+                tableColumn: true,
+                width: '9rem',
+                requires: 'fragments',
+                getValue: record => this.getLinkerAnalysis(record)?.linker?.smiles ?? null,
+                format: record => {
+                    const linker = this.getLinkerAnalysis(record)?.linker;
+                    if (!linker) return '–';
+                    return linker.smiles
+                        ? `<code class="results__linker-smiles" title="${this.display.escapeHtml(linker.smiles)}">${this.display.escapeHtml(linker.smiles)}</code>`
+                        : '<span class="results__linker-direct">direct bond</span>';
+                }
+            },
+            {
+                key: 'linkerLength',
+                label: 'Link len',
+                title: 'Linker length (atoms on the shortest path between the fragments)',
+                numeric: true,
+                filterable: true,
+                tableColumn: true,
+                requires: 'fragments',
+                getValue: record => this.getLinkerAnalysis(record)?.linker?.length ?? null
+            },
+            {
+                key: 'linkerRotatableBonds',
+                label: 'Link RotB',
+                title: 'Rotatable bonds in the linker (including its bonds to the fragments)',
+                numeric: true,
+                filterable: true,
+                tableColumn: true,
+                requires: 'fragments',
+                getValue: record => this.getLinkerAnalysis(record)?.linker?.rotatableBonds ?? null
+            },
+            {
+                key: 'linkerRings',
+                label: 'Link rings',
+                title: 'Rings entirely within the linker',
+                numeric: true,
+                filterable: true,
+                tableColumn: true,
+                requires: 'fragments',
+                getValue: record => this.getLinkerAnalysis(record)?.linker?.rings ?? null
+            }
+        ];
+    }
+
+    /**
+     * Show how many molecules kept both fragments and the typical linker length
+     * @param {number|null} progress - Fraction of records checked so far, null when complete
+     */
+    updateLinkerSummary(progress = null) {
+        const container = this.elements.content.querySelector('[data-element="linker-summary"]');
+        if (!container) return;
+
+        const fragmentSet = this.state.fragments;
+        if (!fragmentSet || this.state.records.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (fragmentSet.fragments.length !== 2) {
+            const reasons = fragmentSet.errors.map(({ smiles, message }) => (smiles ? `${smiles}: ${message}` : message)).join('; ');
+            container.innerHTML = `<span class="results__linker-error">Linker check unavailable: ${this.display.escapeHtml(reasons)}</span>`;
+            return;
+        }
+
+        if (progress !== null) {
+            container.innerHTML = `<span class="results__rule-progress">Extracting linkers… ${Math.round(progress * 100)}%</span>`;
+            return;
+        }
+
+        const checked = this.state.records.map(record => this.getLinkerAnalysis(record)).filter(Boolean);
+        const dropped = checked.filter(linking => linking.retained.includes(false)).length;
+        const unlinked = checked.filter(linking => !linking.retained.includes(false) && !linking.linked).length;
+        const lengths = checked.filter(linking => linking.linker).map(linking => linking.linker.length).sort((a, b) => a - b);
+        const middle = Math.floor(lengths.length / 2);
+        const median = lengths.length === 0 ? null : (lengths.length % 2 === 1 ? lengths[middle] : (lengths[middle - 1] + lengths[middle]) / 2);
+        const [first, second] = fragmentSet.fragments.map(fragment => `<code class="results__linker-fragment" title="${this.display.escapeHtml(fragment.smiles)}">${this.display.escapeHtml(fragment.smiles)}</code>`);
+
+        container.innerHTML = `
+            <span class="results__linker-label">Fragments ${first} + ${second} kept and linked in ${checked.length - dropped - unlinked} of ${checked.length} molecule${checked.length === 1 ? '' : 's'}</span>
+            <span class="results__linker-total ${dropped > 0 ? 'results__linker-total--flagged' : ''}">⚠ ${dropped} dropped a fragment</span>
+            ${unlinked > 0 ? `<span class="results__linker-total results__linker-total--flagged">⚠ ${unlinked} not linked</span>` : ''}
+            ${median !== null ? `<span class="results__linker-stat">median linker length ${median}</span>` : ''}
+            ${this.display.items.createHighlightLegend('fragments', 'linker')}
+        `;
+    }
+
+    /**
+     * Create the warning badge for a linked molecule that dropped a fragment or left them unlinked
+     * @param {Object} record - Result record
+     * @returns {string} Badge HTML (empty when both fragments are kept and linked, or not checked)
+     */
+    createFragmentBadge(record) {
+        const linking = this.getLinkerAnalysis(record);
+        if (!linking || linking.linked) return '';
+
+        const missing = linking.retained.map((kept, i) => (kept ? null : i + 1)).filter(Boolean);
+        let label = 'Fragments not linked';
+        if (missing.length === 2) label = 'Both fragments dropped';
+        else if (missing.length === 1) label = `Fragment ${missing[0]} dropped`;
+
+        return `
+            <span class="results__fragment-badge" title="Fragment linking check: ${label.toLowerCase()}">
+                ⚠ ${label}
+            </span>
+        `;
+    }
+}
@@ -0,0 +1,372 @@
+/**
+ * ================================================
+ * MoleculeItems
+ * ================================================
+ *
+ * Markup of the results: list rows, grid cards and the list table
+ * header, each with its 2D depiction and badges.
+ *
+ * Features:
+ * - Offline SVG depictions with highlighted atoms, cached per highlight set
+ * - Descriptor and optional table cells per row
+ * - Duplicate, novelty, scaffold, fragment and alert badges
+ * - Colour legend of kept input atoms vs generated atoms
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { MoleculeRenderer } from '../../chemistry/MoleculeRenderer.js';
+
+// Maximum number of depictions kept in memory
+const DEPICTION_CACHE_LIMIT = 500;
+
+// Highlight colours of atoms matched by structural alerts and by the substructure search
+const ALERT_HIGHLIGHT_COLOR = '#f97316';
+const SEARCH_HIGHLIGHT_COLOR = '#3b82f6';
+
+// Scaffold decoration and fragment linking: highlight colours of the kept input atoms
+// (core, fragments) and of the generated atoms (R-groups, linker)
+const INPUT_HIGHLIGHT_COLOR = '#22c55e';
+const GENERATED_HIGHLIGHT_COLOR = '#a855f7';
+
+export class MoleculeItems {
+    /**
+     * Initialize the item renderer
+     * @param {ResultsDisplay} display - Results view the items belong to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.analysis = display.analysis;
+        this.columns = display.columns;
+
+        // Structure depiction
+        this.moleculeRenderer = new MoleculeRenderer();
+        this.depictionCache = new Map();
+    }
+
+    /**
+     * Create the column header row for the list layout
+     * @returns {string} Header row HTML
+     */
+    createTableHeader() {
+        const descriptorHeaders = [...this.columns.getDescriptorColumns(), ...this.columns.getTableColumns()]
+            .map(column => this.display.sorting.createSortableHeader(column))
+            .join('');
+
+        return `
+            <div class="results__table-header" role="row">
+                ${this.display.sorting.createSortableHeader(this.columns.get('index'))}
+                <span class="results__column-header" role="columnheader">Structure</span>
+                <span class="results__column-header" role="columnheader">SMILES</span>
+                ${descriptorHeaders}
+                ${this.display.sorting.createSortableHeader(this.columns.get('rulesPassed'))}
+            </div>
+        `;
+    }
+
+    /**
+     * Create the descriptor cells of a row
+     * @param {Object} record - Result record
+     * @returns {string} Descriptor cells HTML
+     */
+    createDescriptorCells(record) {
+        const descriptorCells = this.columns.getDescriptorColumns().map(column => `
+            <span class="results__descriptor ${column.key === 'formula' ? '' : 'results__descriptor--numeric'}" role="cell">${this.formatDescriptor(record, column)}</span>
+        `).join('');
+
+        const tableCells = this.columns.getTableColumns().map(column => `
+            <span class="results__descriptor ${column.numeric ? 'results__descriptor--numeric' : ''} results__descriptor--${column.key}" role="cell">${this.formatColumnValue(record, column)}</span>
+        `).join('');
+
+        return descriptorCells + tableCells;
+    }
+
+    /**
+     * Format a descriptor value for display
+     * @param {Object} record - Result record
+     * @param {Object} column - Descriptor column definition
+     * @returns {string} Escaped display value ("–" when unavailable)
+     */
+    formatDescriptor(record, column) {
+        const value = record.descriptors ? record.descriptors[column.key] : null;
+
+        if (value === null || value === undefined) return '–';
+        if (typeof value === 'number' && column.digits !== undefined) return value.toFixed(column.digits);
+
+        return this.display.escapeHtml(String(value));
+    }
+
+    /**
+     * Format a computed column value for display
+     * @param {Object} record - Result record
+     * @param {Object} column - Column definition
+     * @returns {string} Escaped display value or the column's own markup ("–" when unavailable)
+     */
+    formatColumnValue(record, column) {
+        if (column.format) return column.format(record);
+
+        const value = column.getValue(record);
+
+        if (value === null || value === undefined) return '–';
+        if (typeof value === 'number' && column.digits !== undefined) return value.toFixed(column.digits);
+
+        return this.display.escapeHtml(String(value));
+    }
+
+    /**
+     * Create individual molecule item HTML
+     * @param {Object} record - Result record
+     * @param {number} position - Position in the visible records
+     * @returns {string} Molecule item HTML
+     */
+    createMoleculeItem(record, position) {
+        const { smiles, valid, index } = record;
+        const validityClass = valid ? 'results__molecule-item--valid' : 'results__molecule-item--invalid';
+        const validityLabel = valid ? '' : '<span class="results__validity-indicator">(invalid)</span>';
+
+        return `
+            <div 
+                class="results__molecule-item ${validityClass}" 
+                role="row" 
+                aria-rowindex="${position + 2}" 
+                data-position="${position}" 
+                tabindex="${position === this.state.activePosition ? 0 : -1}"
+            >
+                <span class="results__molecule-index" role="cell">${index + 1}:</span>
+                <div role="cell">${this.createDepiction(record)}</div>
+                <div class="results__molecule-smiles" role="cell">
+                    <code class="results__molecule-code" title="${this.display.escapeHtml(smiles)}">${this.display.escapeHtml(smiles)}</code>
+                    ${validityLabel}
+                    ${this.createDuplicateBadge(record)}
+                    ${this.createNoveltyBadge(record)}
+                    ${this.display.scaffoldPanel.createScaffoldBadge(record)}
+                    ${this.display.linkerPanel.createFragmentBadge(record)}
+                    ${this.display.screening.createAlertList(record)}
+                </div>
+                ${this.createDescriptorCells(record)}
+                <span class="results__rule-cell" role="cell">${this.display.screening.createRuleBadges(record)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the "×n" badge for a structure that was generated more than once
+     * @param {Object} record - Result record
+     * @returns {string} Badge HTML (empty for unique structures or before duplicates are known)
+     */
+    createDuplicateBadge(record) {
+        if (!this.state.duplicateGroups) return '';
+
+        const count = this.analysis.getDuplicateCount(record);
+        if (count < 2) return '';
+
+        const canonical = this.analysis.getCanonicalSmiles(record);
+        return `
+            <span class="results__duplicate-badge" title="${count} results share the canonical SMILES ${this.display.escapeHtml(canonical)}">
+                ×${count}<span class="visually-hidden"> copies</span>
+            </span>
+        `;
+    }
+
+    /**
+     * Create the known/novel badge for the reference library check
+     * @param {Object} record - Result record
+     * @param {boolean} withSimilarity - Append the nearest-neighbour similarity (grid cards have no NN column)
+     * @returns {string} Badge HTML (empty without a library or structure)
+     */
+    createNoveltyBadge(record, withSimilarity = false) {
+        const novelty = this.analysis.getNovelty(record);
+        if (!novelty) return '';
+
+        const nearest = novelty.nearest;
+        const describe = compound => (compound.name ? `${compound.name} (${compound.smiles})` : compound.smiles);
+
+        if (novelty.known) {
+            return `<span class="results__novelty-badge results__novelty-badge--known" title="In the reference library: ${this.display.escapeHtml(describe(nearest))}">Known</span>`;
+        }
+
+        const title = nearest
+            ? `Not in the reference library; nearest: ${describe(nearest)}, Tanimoto ${novelty.similarity.toFixed(2)}`
+            : 'Not in the reference library';
+        const similarity = withSimilarity && nearest ? ` · NN ${novelty.similarity.toFixed(2)}` : '';
+
+        return `<span class="results__novelty-badge results__novelty-badge--novel" title="${this.display.escapeHtml(title)}">Novel${similarity}</span>`;
+    }
+
+    /**
+     * Create the QED and synthetic accessibility line of a grid card
+     * @param {Object} record - Result record
+     * @returns {string} Score HTML, or an empty string without scores
+     */
+    createScoreSummary(record) {
+        const scores = this.analysis.getScores(record);
+        if (!scores || scores.qed === null) return '';
+
+        return `
+            <span class="results__card-descriptors" title="${this.display.escapeHtml(`${this.columns.get('qed').title}\n${this.columns.get('saScore').title}`)}">
+                QED ${scores.qed.toFixed(2)} · SA ≈${scores.sa.toFixed(1)}
+            </span>
+        `;
+    }
+
+    /**
+     * Create grid card HTML for a molecule
+     * @param {Object} record - Result record
+     * @param {number} position - Position in the visible records
+     * @returns {string} Molecule card HTML
+     */
+    createMoleculeCard(record, position) {
+        const { smiles, valid, index, descriptors } = record;
+        const validityClass = valid ? 'results__molecule-card--valid' : 'results__molecule-card--invalid';
+        const badgeClass = valid ? 'results__validity-badge--valid' : 'results__validity-badge--invalid';
+        const alerts = this.analysis.getAlerts(record) || [];
+        const alertBadge = alerts.length > 0 ? `
+            <span class="results__alert-count" title="${this.display.escapeHtml(alerts.map(alert => `${alert.libraryLabel} · ${alert.name}`).join('\n'))}">
+                ⚠ ${alerts.length}<span class="visually-hidden"> structural alert${alerts.length === 1 ? '' : 's'}</span>
+            </span>
+        ` : '';
+        const similarity = this.analysis.getSimilarity(record);
+        const similarityBadge = similarity !== null ? `
+            <span class="results__similarity-badge" title="Tanimoto similarity to the starting molecule (ECFP4)">
+                <span class="visually-hidden">Tanimoto </span>Tc ${similarity.toFixed(2)}
+            </span>
+        ` : '';
+
+        return `
+            <div 
+                class="results__molecule-card ${validityClass}" 
+                role="listitem" 
+                aria-posinset="${position + 1}" 
+                aria-setsize="${this.state.visibleRecords.length}" 
+                aria-label="Molecule ${index + 1}: ${this.display.escapeHtml(smiles)}" 
+                data-position="${position}" 
+                tabindex="${position === this.state.activePosition ? 0 : -1}"
+            >
+                ${this.createDepiction(record)}
+                <div class="results__card-meta">
+                    <span class="results__molecule-index">#${index + 1}</span>
+                    <span class="results__validity-badge ${badgeClass}">${valid ? 'Valid' : 'Invalid'}</span>
+                    ${this.createDuplicateBadge(record)}
+                    ${this.createNoveltyBadge(record, true)}
+                    ${this.display.scaffoldPanel.createScaffoldBadge(record)}
+                    ${this.display.linkerPanel.createFragmentBadge(record)}
+                    ${alertBadge}
+                    ${similarityBadge}
+                </div>
+                <code class="results__molecule-code" title="${this.display.escapeHtml(smiles)}">${this.display.escapeHtml(smiles)}</code>
+                ${this.display.scaffoldPanel.createRGroupSummary(record)}
+                ${descriptors ? `
+                    <span class="results__card-descriptors">
+                        MW ${descriptors.molecularWeight.toFixed(1)} · logP ${descriptors.logP.toFixed(2)} · TPSA ${descriptors.tpsa.toFixed(0)}
+                    </span>
+                    ${this.createScoreSummary(record)}
+                    <span class="results__card-rules">${this.display.screening.createRuleBadges(record)}</span>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Atom highlights for a record's depiction: scaffold core and R-groups (or fragments and
+     * linker), alert matches, then search matches on top
+     * @param {Object} record - Result record
+     * @returns {Array<Object>} Highlights as {atoms, color}
+     */
+    getDepictionHighlights(record) {
+        const highlights = [];
+
+        const scaffold = this.display.scaffoldPanel.getScaffoldMatch(record);
+        if (scaffold?.preserved) {
+            highlights.push({ atoms: scaffold.core, color: INPUT_HIGHLIGHT_COLOR });
+            if (scaffold.rGroups.length > 0) {
+                highlights.push({ atoms: scaffold.rGroups, color: GENERATED_HIGHLIGHT_COLOR });
+            }
+        }
+
+        const linking = this.display.linkerPanel.getLinkerAnalysis(record);
+        if (linking) {
+            const fragmentAtoms = linking.fragmentAtoms.flat();
+            if (fragmentAtoms.length > 0) {
+                highlights.push({ atoms: [...fragmentAtoms].sort((a, b) => a - b), color: INPUT_HIGHLIGHT_COLOR });
+            }
+            if (linking.linker?.atoms.length > 0) {
+                highlights.push({ atoms: linking.linker.atoms, color: GENERATED_HIGHLIGHT_COLOR });
+            }
+        }
+
+        const alertAtoms = this.analysis.getAlertAtoms(record);
+        if (alertAtoms.length > 0) {
+            highlights.push({ atoms: alertAtoms, color: ALERT_HIGHLIGHT_COLOR });
+        }
+
+        const searchAtoms = [...new Set((this.analysis.getSearchMatches(record) || []).flat())].sort((a, b) => a - b);
+        if (searchAtoms.length > 0) {
+            highlights.push({ atoms: searchAtoms, color: SEARCH_HIGHLIGHT_COLOR });
+        }
+
+        return highlights;
+    }
+
+    /**
+     * Create the 2D structure depiction for a result record
+     * @param {Object} record - Result record with parsed molecule
+     * @returns {string} Depiction HTML (SVG or placeholder)
+     */
+    createDepiction(record) {
+        const { smiles, molecule } = record;
+
+        // Highlights depend on the enabled alert libraries and the search, so they are part of the cache key
+        const highlights = this.getDepictionHighlights(record);
+        const cacheKey = [smiles, ...highlights.map(({ atoms, color }) => `${color}:${atoms.join(',')}`)].join(' ');
+
+        if (this.depictionCache.has(cacheKey)) {
+            return this.depictionCache.get(cacheKey);
+        }
+
+        let depictionHTML;
+        try {
+            if (!molecule) throw new Error(record.error || 'SMILES could not be parsed');
+
+            const svg = this.moleculeRenderer.render(molecule, { title: smiles, highlights });
+            depictionHTML = `<div class="results__molecule-depiction">${svg}</div>`;
+        } catch (error) {
+            depictionHTML = `
+                <div class="results__molecule-depiction results__molecule-depiction--empty" title="${this.display.escapeHtml(error.message)}">
+                    No structure
+                </div>
+            `;
+        }
+
+        // Drop the oldest entry once the cache is full
+        if (this.depictionCache.size >= DEPICTION_CACHE_LIMIT) {
+            this.depictionCache.delete(this.depictionCache.keys().next().value);
+        }
+        this.depictionCache.set(cacheKey, depictionHTML);
+
+        return depictionHTML;
+    }
+
+    /**
+     * Create the colour legend for kept input atoms vs generated atoms
+     * @param {string} inputLabel - Label of the input atoms (e.g. "core")
+     * @param {string} generatedLabel - Label of the generated atoms (e.g. "R-groups")
+     * @returns {string} Legend HTML
+     */
+    createHighlightLegend(inputLabel, generatedLabel) {
+        return `
+            <span class="results__highlight-legend">
+                <span class="results__highlight-swatch" style="background-color: ${INPUT_HIGHLIGHT_COLOR}" aria-hidden="true"></span>${inputLabel}
+                <span class="results__highlight-swatch" style="background-color: ${GENERATED_HIGHLIGHT_COLOR}" aria-hidden="true"></span>${generatedLabel}
+            </span>
+        `;
+    }
+
+    /**
+     * Release the cached depictions
+     */
+    destroy() {
+        this.depictionCache.clear();
+    }
+}
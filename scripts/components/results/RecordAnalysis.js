@@ -0,0 +1,403 @@
+/**
+ * ================================================
+ * RecordAnalysis
+ * ================================================
+ *
+ * Per-record chemistry for the results view. Records are parsed and
+ * analysed lazily, on first use, and every value is cached on the record;
+ * version counters invalidate the cached values that depend on a setting.
+ *
+ * Features:
+ * - Result records for backend molecules (also for streamed batches)
+ * - SMILES parsing and descriptors on first use
+ * - Drug-likeness rule results and structural alerts for the current configuration
+ * - Substructure search matches (SMILES or SMARTS queries)
+ * - ECFP4 fingerprints and Tanimoto similarity to the starting molecule
+ * - Canonical SMILES and duplicate groups
+ * - Novelty against the reference library
+ * - Bemis–Murcko scaffolds, QED and approximate SA scores
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { SmilesParser } from '../../chemistry/SmilesParser.js';
+import { DescriptorCalculator } from '../../chemistry/DescriptorCalculator.js';
+import { DrugLikenessRules } from '../../chemistry/DrugLikenessRules.js';
+import { StructuralAlerts } from '../../chemistry/StructuralAlerts.js';
+import { SmartsParser } from '../../chemistry/SmartsParser.js';
+import { SubstructureMatcher } from '../../chemistry/SubstructureMatcher.js';
+import { MorganFingerprint } from '../../chemistry/MorganFingerprint.js';
+import { ScaffoldAnalyzer } from '../../chemistry/ScaffoldAnalyzer.js';
+import { CanonicalSmiles } from '../../chemistry/CanonicalSmiles.js';
+import { QedCalculator } from '../../chemistry/QedCalculator.js';
+import { SyntheticAccessibility } from '../../chemistry/SyntheticAccessibility.js';
+
+// Substructure search matches kept per molecule
+const SEARCH_MAX_MATCHES = 20;
+
+export class RecordAnalysis {
+    /**
+     * Initialize the analysis
+     * @param {Object} options - Analysis options
+     * @param {Object} options.state - Results state (records, reference, library, search, duplicate groups)
+     * @param {Object} options.ruleConfig - Saved drug-likeness rule configuration
+     * @param {Object} options.alertConfig - Saved structural alert library configuration
+     */
+    constructor(options = {}) {
+        this.state = options.state;
+
+        // Structure parsing and descriptors
+        this.smilesParser = new SmilesParser();
+        this.descriptorCalculator = new DescriptorCalculator();
+
+        // Drug-likeness rule sets; the version invalidates per-record results
+        this.rules = new DrugLikenessRules(options.ruleConfig || {});
+        this.rulesVersion = 0;
+
+        // Structural alert libraries; the version invalidates per-record alerts
+        this.alerts = new StructuralAlerts(options.alertConfig || {});
+        this.alertsVersion = 0;
+
+        // Substructure search; the version invalidates per-record matches
+        this.smartsParser = new SmartsParser();
+        this.substructureMatcher = new SubstructureMatcher();
+        this.searchVersion = 0;
+
+        // ECFP4 fingerprints for similarity to the request's starting molecule
+        this.fingerprint = new MorganFingerprint();
+
+        // Scaffold preservation, linkers and Murcko scaffolds
+        this.scaffoldAnalyzer = new ScaffoldAnalyzer({ smilesParser: this.smilesParser, matcher: this.substructureMatcher });
+
+        // Canonical SMILES for grouping duplicate structures
+        this.canonicalSmiles = new CanonicalSmiles({ smilesParser: this.smilesParser });
+
+        // Drug-likeness (QED) and synthetic accessibility scores
+        this.qedCalculator = new QedCalculator({ descriptorCalculator: this.descriptorCalculator, matcher: this.substructureMatcher });
+        this.syntheticAccessibility = new SyntheticAccessibility({ canonicalizer: this.canonicalSmiles, fingerprint: this.fingerprint });
+
+        // Reference library novelty; the version invalidates per-record results
+        this.libraryVersion = 0;
+    }
+
+    /**
+     * Create result records for the returned molecules
+     * @param {Array} molecules - Molecules from the backend ({smiles, valid})
+     * @param {number} offset - Generation index of the first molecule (for streamed batches)
+     * @returns {Array<Object>} Result records (parsed lazily, see prepareRecord)
+     */
+    createRecords(molecules, offset = 0) {
+        return molecules.map((entry, index) => ({
+            index: offset + index,
+            smiles: entry.smiles,
+            valid: entry.valid ?? true,
+            prepared: false,
+            molecule: null,
+            error: null,
+            descriptors: null,
+            rules: null,
+            rulesVersion: -1,
+            alerts: null,
+            alertsVersion: -1,
+            searchMatches: null,
+            searchVersion: -1,
+            fingerprint: null,
+            similarity: null,
+            scaffold: null,
+            linker: null,
+            canonical: null,
+            novelty: null,
+            noveltyVersion: -1,
+            murcko: null,
+            scores: null
+        }));
+    }
+
+    /**
+     * Fingerprint the request's starting molecule (Molecular Transformation only)
+     * @param {Object} requestParams - Request parameters sent with the results
+     * @returns {Object|null} Reference ({smiles, level, fingerprint, record, error}), or null without a starting molecule
+     */
+    createReference(requestParams = {}) {
+        const smiles = (requestParams.starting_molecule || '').trim();
+        if (!smiles) return null;
+
+        // The record gives the starting molecule's column values (e.g. for the Statistics tab)
+        const reference = { smiles, level: requestParams.similarity || '', fingerprint: null, record: null, error: null };
+        try {
+            reference.fingerprint = this.fingerprint.calculate(this.smilesParser.parse(smiles));
+            reference.record = this.createRecords([{ smiles, valid: true }])[0];
+        } catch (error) {
+            reference.error = error.message;
+            console.warn('⚠️ Starting molecule could not be parsed for similarity:', error.message);
+        }
+
+        return reference;
+    }
+
+    /**
+     * Parse a record's SMILES and compute its descriptors on first use
+     * @param {Object} record - Result record
+     * @returns {Object} The same record, prepared
+     */
+    prepareRecord(record) {
+        if (record.prepared) return record;
+        record.prepared = true;
+
+        try {
+            record.molecule = this.smilesParser.parse(record.smiles);
+            if (record.valid) {
+                record.descriptors = this.descriptorCalculator.calculate(record.molecule);
+            }
+        } catch (error) {
+            record.error = error.message;
+        }
+
+        return record;
+    }
+
+    /**
+     * Rule set results of a record for the current rule configuration
+     * @param {Object} record - Result record
+     * @returns {Object|null} Rule set id → {passed, violations}, or null without descriptors
+     */
+    getRuleResults(record) {
+        const { descriptors } = this.prepareRecord(record);
+        if (!descriptors) return null;
+
+        if (record.rulesVersion !== this.rulesVersion) {
+            record.rules = this.rules.evaluate(descriptors);
+            record.rulesVersion = this.rulesVersion;
+        }
+
+        return record.rules;
+    }
+
+    /**
+     * Number of enabled rule sets a record passes
+     * @param {Object} record - Result record
+     * @returns {number|null} Passed count, or null without descriptors
+     */
+    getRulesPassed(record) {
+        const results = this.getRuleResults(record);
+        return results ? Object.values(results).filter(result => result.passed).length : null;
+    }
+
+    /**
+     * Structural alerts of a record for the enabled libraries
+     * @param {Object} record - Result record
+     * @returns {Array<Object>|null} Alerts ({library, libraryLabel, id, name, smarts, atoms}), or null without a structure
+     */
+    getAlerts(record) {
+        const { molecule } = this.prepareRecord(record);
+        if (!molecule) return null;
+
+        if (record.alertsVersion !== this.alertsVersion) {
+            record.alerts = this.alerts.screen(molecule);
+            record.alertsVersion = this.alertsVersion;
+        }
+
+        return record.alerts;
+    }
+
+    /**
+     * Atoms matched by any of a record's alerts
+     * @param {Object} record - Result record
+     * @returns {Array<number>} Sorted atom indices
+     */
+    getAlertAtoms(record) {
+        const atoms = new Set((this.getAlerts(record) || []).flatMap(alert => alert.atoms));
+        return [...atoms].sort((a, b) => a - b);
+    }
+
+    /**
+     * Turn search text into a query graph. Text that is valid SMILES is searched as
+     * SMILES (so Kekulé rings match aromatic ones); anything else is read as SMARTS.
+     * @param {string} text - Query text
+     * @returns {Object} Pattern with the query graph and the detected syntax
+     * @throws {SmartsError} If the text is neither valid SMILES nor valid SMARTS
+     */
+    parseSearchQuery(text) {
+        const smiles = this.smilesParser.validate(text);
+        if (smiles.isValid) {
+            return { query: this.smartsParser.fromMolecule(smiles.molecule), syntax: 'SMILES' };
+        }
+
+        const smarts = this.smartsParser.validate(text);
+        if (smarts.isValid) {
+            return { query: smarts.query, syntax: 'SMARTS' };
+        }
+
+        throw smarts.error;
+    }
+
+    /**
+     * Substructure matches of the current search in a record
+     * @param {Object} record - Result record
+     * @returns {Array<Array<number>>|null} Matched atom lists ([] without a structure), or null without a search
+     */
+    getSearchMatches(record) {
+        const { pattern } = this.state.search;
+        if (!pattern) return null;
+
+        if (record.searchVersion !== this.searchVersion) {
+            const { molecule } = this.prepareRecord(record);
+            record.searchMatches = molecule
+                ? this.substructureMatcher.findMatches(molecule, pattern.query, { maxMatches: SEARCH_MAX_MATCHES })
+                : [];
+            record.searchVersion = this.searchVersion;
+        }
+
+        return record.searchMatches;
+    }
+
+    /**
+     * ECFP4 fingerprint of a record, computed on first use
+     * @param {Object} record - Result record
+     * @returns {Uint32Array|null} Fingerprint, or null without a structure
+     */
+    getFingerprint(record) {
+        const { molecule } = this.prepareRecord(record);
+        if (!molecule) return null;
+
+        if (!record.fingerprint) {
+            record.fingerprint = this.fingerprint.calculate(molecule);
+        }
+
+        return record.fingerprint;
+    }
+
+    /**
+     * Tanimoto similarity of a record to the starting molecule
+     * @param {Object} record - Result record
+     * @returns {number|null} Similarity between 0 and 1, or null without a structure or reference
+     */
+    getSimilarity(record) {
+        const reference = this.state.reference?.fingerprint;
+        if (!reference) return null;
+
+        if (record.similarity === null) {
+            const fingerprint = this.getFingerprint(record);
+            if (!fingerprint) return null;
+            record.similarity = this.fingerprint.tanimoto(reference, fingerprint);
+        }
+
+        return record.similarity;
+    }
+
+    /**
+     * Canonical SMILES of a record, computed on first use
+     * Unparseable SMILES are grouped by their trimmed text.
+     * @param {Object} record - Result record
+     * @returns {string} Canonical SMILES
+     */
+    getCanonicalSmiles(record) {
+        if (record.canonical === null) {
+            const { molecule } = this.prepareRecord(record);
+            record.canonical = molecule ? this.canonicalSmiles.write(molecule) : record.smiles.trim();
+        }
+
+        return record.canonical;
+    }
+
+    /**
+     * Group the records by canonical SMILES, built once per result set
+     * @returns {Map<string, Array<Object>>} Canonical SMILES → records in generation order
+     */
+    getDuplicateGroups() {
+        if (!this.state.duplicateGroups) {
+            const groups = new Map();
+            this.state.records.forEach(record => {
+                const canonical = this.getCanonicalSmiles(record);
+                if (!groups.has(canonical)) groups.set(canonical, []);
+                groups.get(canonical).push(record);
+            });
+            this.state.duplicateGroups = groups;
+        }
+
+        return this.state.duplicateGroups;
+    }
+
+    /**
+     * Number of results sharing a record's canonical structure
+     * @param {Object} record - Result record
+     * @returns {number} Group size (1 for a unique structure)
+     */
+    getDuplicateCount(record) {
+        return this.getDuplicateGroups().get(this.getCanonicalSmiles(record)).length;
+    }
+
+    /**
+     * Novelty of a record against the reference library
+     * A result is known when its canonical SMILES is in the library; otherwise its nearest
+     * neighbour is found by fingerprint similarity.
+     * @param {Object} record - Result record
+     * @returns {Object|null} {known, nearest ({smiles, name}), similarity}, or null without a structure or library
+     */
+    getNovelty(record) {
+        const library = this.state.library?.library;
+        if (!library) return null;
+
+        const { molecule } = this.prepareRecord(record);
+        if (!molecule) return null;
+
+        if (record.noveltyVersion !== this.libraryVersion) {
+            const exact = library.findExact(this.getCanonicalSmiles(record));
+            const nearest = exact ? { compound: exact, similarity: 1 } : library.findNearest(this.getFingerprint(record));
+            record.novelty = {
+                known: Boolean(exact),
+                nearest: nearest?.compound ?? null,
+                similarity: nearest?.similarity ?? null
+            };
+            record.noveltyVersion = this.libraryVersion;
+        }
+
+        return record.novelty;
+    }
+
+    /**
+     * Bemis–Murcko scaffold of a record, computed on first use
+     * @param {Object} record - Result record
+     * @returns {Object|null} {atoms, smiles} ('' for acyclic molecules), or null without a structure
+     */
+    getMurckoScaffold(record) {
+        if (record.murcko === null) {
+            const { molecule } = this.prepareRecord(record);
+            if (!molecule) return null;
+
+            try {
+                record.murcko = this.scaffoldAnalyzer.getMurckoScaffold(molecule);
+            } catch (error) {
+                console.warn(`⚠️ Murcko scaffold of ${record.smiles} could not be written:`, error.message);
+                record.murcko = { atoms: [], smiles: null };
+            }
+        }
+
+        return record.murcko.smiles === null ? null : record.murcko;
+    }
+
+    /**
+     * QED and synthetic accessibility of a record, computed on first use
+     * @param {Object} record - Result record
+     * @returns {Object|null} {qed, sa}, or null without descriptors
+     */
+    getScores(record) {
+        if (record.scores === null) {
+            const { molecule, descriptors } = this.prepareRecord(record);
+            if (!descriptors) return null;
+
+            try {
+                record.scores = {
+                    qed: this.qedCalculator.calculate(molecule, descriptors).qed,
+                    sa: this.syntheticAccessibility.calculate(molecule).score
+                };
+            } catch (error) {
+                console.warn(`⚠️ Scores of ${record.smiles} could not be calculated:`, error.message);
+                record.scores = { qed: null, sa: null };
+            }
+        }
+
+        return record.scores;
+    }
+}
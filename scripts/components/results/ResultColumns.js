@@ -0,0 +1,270 @@
+/**
+ * ================================================
+ * ResultColumns
+ * ================================================
+ *
+ * Column definitions of the results view. Every sortable, filterable,
+ * exported or tabulated value of a result is a column: a key, labels and
+ * getValue (optionally exportValue and format) over result records.
+ *
+ * Features:
+ * - Index, validity, canonical SMILES and duplicate count columns
+ * - Descriptor, QED and approximate SA columns
+ * - One pass/fail column per drug-likeness rule set
+ * - Alert, similarity, novelty, Murcko scaffold and cluster columns
+ * - Scaffold, R-group and linker columns contributed by their panels
+ * - Availability of each column for the current settings and result set
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Descriptor columns shown on each result row
+const DESCRIPTOR_COLUMNS = [
+    { key: 'formula', label: 'Formula', title: 'Molecular formula' },
+    { key: 'molecularWeight', label: 'MW', title: 'Molecular weight (g/mol)', digits: 2 },
+    { key: 'heavyAtoms', label: 'HA', title: 'Heavy atom count' },
+    { key: 'hbd', label: 'HBD', title: 'H-bond donors (NH + OH)' },
+    { key: 'hba', label: 'HBA', title: 'H-bond acceptors (N + O)' },
+    { key: 'rotatableBonds', label: 'RotB', title: 'Rotatable bonds' },
+    { key: 'tpsa', label: 'TPSA', title: 'Topological polar surface area (Å²)', digits: 1 },
+    { key: 'rings', label: 'Rings', title: 'Ring count (SSSR)' },
+    { key: 'logP', label: 'logP', title: 'Crippen logP', digits: 2 }
+];
+
+export class ResultColumns {
+    /**
+     * Initialize the columns (built by rebuild() once the panels that add columns exist)
+     * @param {ResultsDisplay} display - Results view the columns belong to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.analysis = display.analysis;
+
+        // Column definitions of the current result set
+        this.definitions = [];
+    }
+
+    /**
+     * Rebuild the column definitions (R-group columns follow the attachment points of the current scaffolds)
+     */
+    rebuild() {
+        this.definitions = this.createColumns();
+    }
+
+    /**
+     * Get every column definition
+     * @returns {Array<Object>} Column definitions, in display order
+     */
+    getAll() {
+        return this.definitions;
+    }
+
+    /**
+     * Build the column definitions used for sorting and filtering
+     * @returns {Array<Object>} Column definitions
+     */
+    createColumns() {
+        const descriptorColumns = DESCRIPTOR_COLUMNS.map(column => ({
+            ...column,
+            numeric: column.key !== 'formula',
+            filterable: column.key !== 'formula',
+            getValue: record => this.analysis.prepareRecord(record).descriptors?.[column.key] ?? null
+        }));
+
+        const ruleColumns = this.analysis.rules.getRuleSets().map(ruleSet => ({
+            key: `rule:${ruleSet.id}`,
+            label: ruleSet.label,
+            title: ruleSet.name,
+            numeric: true,
+            filterable: false,
+            ruleSet: ruleSet.id,
+            getValue: record => {
+                const result = this.analysis.getRuleResults(record)?.[ruleSet.id];
+                return result ? (result.passed ? 1 : 0) : null;
+            },
+            exportValue: record => {
+                const result = this.analysis.getRuleResults(record)?.[ruleSet.id];
+                return result ? (result.passed ? 'pass' : 'fail') : null;
+            }
+        }));
+
+        return [
+            { key: 'index', label: '#', title: 'Generation order', numeric: true, filterable: false, exportable: false, getValue: record => record.index + 1 },
+            { key: 'valid', label: 'Validity', title: 'Backend validity flag', numeric: false, filterable: false, exportable: false, getValue: record => (record.valid ? 1 : 0) },
+            {
+                key: 'canonicalSmiles',
+                label: 'Canonical SMILES',
+                title: 'Canonical SMILES (identical for duplicate structures)',
+                numeric: false,
+                filterable: false,
+                getValue: record => this.analysis.getCanonicalSmiles(record),
+                exportValue: record => (this.analysis.prepareRecord(record).molecule ? this.analysis.getCanonicalSmiles(record) : null)
+            },
+            {
+                key: 'duplicates',
+                label: 'Copies',
+                title: 'Results with the same canonical structure (including this one)',
+                numeric: true,
+                filterable: true,
+                getValue: record => this.analysis.getDuplicateCount(record)
+            },
+            ...descriptorColumns,
+            {
+                key: 'qed',
+                label: 'QED',
+                title: 'Quantitative estimate of drug-likeness (0 to 1, higher is more drug-like)',
+                numeric: true,
+                filterable: true,
+                tableColumn: true,
+                digits: 2,
+                getValue: record => this.analysis.getScores(record)?.qed ?? null
+            },
+            {
+                key: 'saScore',
+                // Labelled approximate everywhere it is shown or exported: the fragment term is estimated
+                label: 'SA (approx.)',
+                title: 'Approximate synthetic accessibility (1 = easy to 10 = very difficult to make); '
+                    + 'the fragment term is estimated, so values differ from the published SA score',
+                numeric: true,
+                filterable: true,
+                tableColumn: true,
+                digits: 2,
+                getValue: record => this.analysis.getScores(record)?.sa ?? null
+            },
+            { key: 'rulesPassed', label: 'Rules', title: 'Enabled rule sets passed', numeric: true, filterable: true, getValue: record => this.analysis.getRulesPassed(record) },
+            ...ruleColumns,
+            {
+                key: 'alerts',
+                label: 'Alerts',
+                title: 'Structural alerts matched',
+                numeric: true,
+                filterable: true,
+                getValue: record => this.analysis.getAlerts(record)?.length ?? null,
+                exportValue: record => this.analysis.getAlerts(record)?.map(alert => `${alert.libraryLabel}: ${alert.name}`).join('; ') ?? null
+            },
+            {
+                key: 'similarity',
+                label: 'Tanimoto',
+                title: 'Tanimoto similarity to the starting molecule (ECFP4)',
+                numeric: true,
+                filterable: true,
+                tableColumn: true,
+                requires: 'reference',
+                digits: 2,
+                getValue: record => this.analysis.getSimilarity(record)
+            },
+            {
+                key: 'novel',
+                label: 'Novel',
+                title: 'Not in the reference library (1 = novel, 0 = known)',
+                numeric: true,
+                filterable: true,
+                requires: 'library',
+                getValue: record => {
+                    const novelty = this.analysis.getNovelty(record);
+                    return novelty ? (novelty.known ? 0 : 1) : null;
+                },
+                exportValue: record => {
+                    const novelty = this.analysis.getNovelty(record);
+                    return novelty ? (novelty.known ? 'known' : 'novel') : null;
+                }
+            },
+            {
+                key: 'nearestSimilarity',
+                label: 'NN Tc',
+                title: 'Tanimoto similarity (ECFP4) to the nearest reference library compound',
+                numeric: true,
+                filterable: true,
+                tableColumn: true,
+                requires: 'library',
+                digits: 2,
+                getValue: record => this.analysis.getNovelty(record)?.similarity ?? null
+            },
+            {
+                key: 'nearestName',
+                label: 'Nearest ID',
+                title: 'Name of the nearest reference library compound',
+                numeric: false,
+                filterable: false,
+                requires: 'library',
+                getValue: record => this.analysis.getNovelty(record)?.nearest?.name || null
+            },
+            {
+                key: 'nearestSmiles',
+                label: 'Nearest SMILES',
+                title: 'Canonical SMILES of the nearest reference library compound',
+                numeric: false,
+                filterable: false,
+                requires: 'library',
+                getValue: record => this.analysis.getNovelty(record)?.nearest?.smiles ?? null
+            },
+            {
+                key: 'murckoScaffold',
+                label: 'Murcko',
+                title: 'Bemis–Murcko scaffold (ring systems and linkers; empty for acyclic molecules)',
+                numeric: false,
+                filterable: false,
+                getValue: record => this.analysis.getMurckoScaffold(record)?.smiles ?? null
+            },
+            {
+                key: 'cluster',
+                label: 'Cluster',
+                title: 'Butina cluster number (1 = largest)',
+                numeric: true,
+                filterable: false,
+                getValue: record => this.display.clustering.getCluster(record)?.id ?? null
+            },
+            {
+                key: 'clusterSize',
+                label: 'Cluster size',
+                title: 'Results in the same Butina cluster (including this one)',
+                numeric: true,
+                filterable: true,
+                getValue: record => this.display.clustering.getCluster(record)?.size ?? null
+            },
+            ...this.display.scaffoldPanel.createColumns(),
+            ...this.display.linkerPanel.createColumns()
+        ];
+    }
+
+    /**
+     * Check whether a column applies to the current settings (rule columns need their rule set
+     * enabled, similarity a parseable starting molecule, scaffold and linker checks parseable inputs)
+     * @param {Object} column - Column definition
+     * @returns {boolean} Whether the column is offered for sorting, filtering and export
+     */
+    isAvailable(column) {
+        if (column.requires === 'reference' && !this.state.reference?.fingerprint) return false;
+        if (column.requires === 'library' && !this.state.library) return false;
+        if (column.requires === 'scaffolds' && !(this.state.scaffolds?.scaffolds.length > 0)) return false;
+        if (column.requires === 'fragments' && this.state.fragments?.fragments.length !== 2) return false;
+        return !column.ruleSet || Boolean(this.analysis.rules.getRuleSet(column.ruleSet)?.enabled);
+    }
+
+    /**
+     * Optional columns currently shown in the list table
+     * @returns {Array<Object>} Available table column definitions
+     */
+    getTableColumns() {
+        return this.definitions.filter(column => column.tableColumn && this.isAvailable(column));
+    }
+
+    /**
+     * Find a column definition by key
+     * @param {string} key - Column key
+     * @returns {Object|undefined} Column definition
+     */
+    get(key) {
+        return this.definitions.find(column => column.key === key);
+    }
+
+    /**
+     * Descriptor columns, in the order of the list table
+     * @returns {Array<Object>} Descriptor column definitions
+     */
+    getDescriptorColumns() {
+        return DESCRIPTOR_COLUMNS.map(column => this.get(column.key));
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * ================================================
+ * ResultsCancellation
+ * ================================================
+ *
+ * Cancelled generations: the cancelled state, partial streamed results
+ * and warnings about cancellations the server did not confirm.
+ *
+ * Features:
+ * - Keeps molecules streamed before the cancellation as a partial result
+ * - Unconfirmed-cancellation warning on the cancelled run it belongs to
+ * - Holds a warning that arrives before the run shows its cancelled state
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+export class ResultsCancellation {
+    /**
+     * Initialize the cancellation handling
+     * @param {ResultsDisplay} display - Results view the cancellation belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.eventBus = display.eventBus;
+
+        // Unconfirmed job cancellation reported before the run showed its cancelled state
+        this.pendingWarning = null;
+
+        // Bind methods to preserve context
+        this.handleShowCancelled = this.handleShowCancelled.bind(this);
+        this.handleShowCancelWarning = this.handleShowCancelWarning.bind(this);
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        if (this.eventBus) {
+            this.eventBus.on('results:showCancelled', this.handleShowCancelled);
+            this.eventBus.on('results:showCancelWarning', this.handleShowCancelWarning);
+        }
+    }
+
+    /**
+     * Handle a cancelled generation
+     */
+    handleShowCancelled() {
+        const warning = this.pendingWarning;
+        this.pendingWarning = null;
+
+        // Molecules streamed before the cancellation stay on screen as a partial result
+        if (this.state.streaming && this.state.records.length > 0) {
+            this.viewBus.emit('display:results', { ...this.state.results, cancelled: true, cancelWarning: warning });
+            return;
+        }
+
+        this.viewBus.emit('display:clear');
+        this.renderCancelled(warning);
+    }
+
+    /**
+     * Warn that the server did not confirm a cancellation, on the cancelled run it belongs to
+     * @param {string} message - Warning to show
+     */
+    handleShowCancelWarning(message) {
+        // Partial results keep the warning across re-renders of the summary
+        if (this.state.results?.cancelled) {
+            this.state.results.cancelWarning = message;
+            this.elements.content.querySelector('.results__cancel-warning')?.remove();
+            this.elements.content.querySelector('.results__status')?.insertAdjacentHTML('afterend', this.createWarning(message));
+            return;
+        }
+
+        if (this.elements.content.querySelector('.results__cancelled')) {
+            this.renderCancelled(message);
+            return;
+        }
+
+        // The server can answer before the run has shown its cancelled state
+        if (this.state.isLoading) {
+            this.pendingWarning = message;
+        }
+    }
+
+    /**
+     * Create the warning about an unconfirmed cancellation
+     * @param {string} message - Warning text
+     * @returns {string} Warning HTML
+     */
+    createWarning(message) {
+        return `<p class="results__cancel-warning" role="alert">⚠️ ${this.display.escapeHtml(message)}</p>`;
+    }
+
+    /**
+     * Render the cancelled state of a run that returned no molecules
+     * @param {string|null} warning - Warning that the server did not confirm the cancellation
+     */
+    renderCancelled(warning = null) {
+        const cancelledHTML = `
+            <div class="results__cancelled" role="status">
+                <div class="results__cancelled-icon" aria-hidden="true">⏹️</div>
+                <div class="results__cancelled-content">
+                    <h3 class="results__cancelled-title">Generation Cancelled</h3>
+                    <p class="results__cancelled-message">
+                        The run was stopped before any molecules were returned. 
+                        Adjust the parameters if needed and click "Generate" to start again.
+                    </p>
+                    ${warning ? this.createWarning(warning) : ''}
+                </div>
+            </div>
+        `;
+
+        this.display.list.detach();
+        this.elements.content.innerHTML = cancelledHTML;
+        this.elements.content.setAttribute('aria-live', 'polite');
+        this.elements.content.setAttribute('aria-label', 'Generation cancelled');
+    }
+
+    /**
+     * Drop a warning held for a run that is no longer shown
+     */
+    clearPendingWarning() {
+        this.pendingWarning = null;
+    }
+
+    /**
+     * Clean up listeners
+     */
+    destroy() {
+        if (this.eventBus) {
+            this.eventBus.off('results:showCancelled', this.handleShowCancelled);
+            this.eventBus.off('results:showCancelWarning', this.handleShowCancelWarning);
+        }
+    }
+}
@@ -0,0 +1,514 @@
+/**
+ * ================================================
+ * ResultsClustering
+ * ================================================
+ *
+ * Run diversity and grouping: pairwise similarities and Butina clusters
+ * of the unique structures, and collapsible groups by cluster or scaffold.
+ *
+ * Features:
+ * - Similarity matrix filled in time slices after the records are prepared
+ * - Internal diversity, scaffold and cluster counts in the run summary
+ * - Adjustable, persisted clustering threshold
+ * - Collapsible groups rendering their members only while open, with "Show all"
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { DiversityAnalyzer } from '../../chemistry/DiversityAnalyzer.js';
+
+// Butina clustering: default and allowed Tanimoto thresholds for joining a cluster
+const DEFAULT_CLUSTER_THRESHOLD = 0.6;
+const MIN_CLUSTER_THRESHOLD = 0.3;
+const MAX_CLUSTER_THRESHOLD = 0.95;
+
+// Grouping options and the members rendered per opened group before "Show all"
+const GROUP_OPTIONS = [
+    { value: 'none', label: 'None' },
+    { value: 'cluster', label: 'Cluster' },
+    { value: 'scaffold', label: 'Murcko scaffold' }
+];
+const GROUP_RENDER_LIMIT = 60;
+
+// Time budget per slice when filling the similarity matrix
+const PREPARATION_SLICE_MS = 12;
+
+export class ResultsClustering {
+    /**
+     * Initialize the clustering
+     * @param {ResultsDisplay} display - Results view the clustering belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.analysis = display.analysis;
+        this.preferences = display.preferences;
+
+        // Pairwise similarities and Butina clusters of the unique structures
+        this.diversityAnalyzer = new DiversityAnalyzer({ fingerprint: this.analysis.fingerprint });
+        this.clusterThreshold = this.loadClusterThreshold();
+        this.preparationTimer = null;
+
+        // Bind methods to preserve context
+        this.handleContentClick = this.handleContentClick.bind(this);
+        this.handleContentChange = this.handleContentChange.bind(this);
+        this.handleContentToggle = this.handleContentToggle.bind(this);
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.content.addEventListener('click', this.handleContentClick);
+        this.elements.content.addEventListener('change', this.handleContentChange);
+
+        // "toggle" does not bubble, so it is caught in the capture phase
+        this.elements.content.addEventListener('toggle', this.handleContentToggle, true);
+
+        // The clustering starts once every record is prepared
+        this.viewBus.on('preparation:progress', progress => this.updateDiversitySummary(progress));
+        this.viewBus.on('preparation:complete', () => this.prepareDiversityInBackground());
+    }
+
+    /**
+     * Handle the "Show all" button of large groups
+     * @param {Event} event - Click event
+     */
+    handleContentClick(event) {
+        const showGroupButton = event.target.closest('[data-action="show-group"]');
+        if (showGroupButton) {
+            this.showAllGroupMembers(Number(showGroupButton.dataset.group));
+        }
+    }
+
+    /**
+     * Handle the group-by selector and the threshold input
+     * @param {Event} event - Change event
+     */
+    handleContentChange(event) {
+        const { target } = event;
+
+        if (target.matches('[data-input="group-by"]')) {
+            this.setGroupBy(target.value);
+        } else if (target.matches('[data-input="cluster-threshold"]')) {
+            this.setClusterThreshold(target.value.trim());
+        }
+    }
+
+    /**
+     * Render a group's members when it is opened and drop them when it is closed
+     * @param {Event} event - Toggle event (captured, as it does not bubble)
+     */
+    handleContentToggle(event) {
+        const details = event.target;
+        if (!details.matches?.('[data-element="result-group"]')) return;
+
+        const group = this.state.groups[Number(details.dataset.group)];
+        const body = details.querySelector('[data-element="group-body"]');
+        if (!group || !body) return;
+
+        if (details.open) {
+            this.state.expandedGroups.add(group.key);
+            if (!body.firstElementChild) body.innerHTML = this.renderGroupMembers(group);
+        } else {
+            // Closed groups keep the DOM small for large runs
+            this.state.expandedGroups.delete(group.key);
+            body.innerHTML = '';
+        }
+    }
+
+    /**
+     * Restore the saved clustering threshold
+     * @returns {number} Tanimoto similarity for joining a cluster
+     */
+    loadClusterThreshold() {
+        const saved = Number(this.preferences.get('results.clusterThreshold', DEFAULT_CLUSTER_THRESHOLD));
+        return Number.isFinite(saved)
+            ? Math.min(MAX_CLUSTER_THRESHOLD, Math.max(MIN_CLUSTER_THRESHOLD, saved))
+            : DEFAULT_CLUSTER_THRESHOLD;
+    }
+
+    /**
+     * Change the Tanimoto threshold of the Butina clustering, persist it and re-cluster
+     * @param {string} rawValue - Input value
+     */
+    setClusterThreshold(rawValue) {
+        const value = rawValue === '' ? NaN : Number(rawValue);
+        const input = this.elements.content.querySelector('[data-input="cluster-threshold"]');
+
+        if (Number.isFinite(value)) {
+            this.clusterThreshold = Math.min(MAX_CLUSTER_THRESHOLD, Math.max(MIN_CLUSTER_THRESHOLD, value));
+            this.preferences.set('results.clusterThreshold', this.clusterThreshold);
+            console.log(`🧩 Cluster threshold: Tanimoto ≥ ${this.clusterThreshold.toFixed(2)}`);
+        }
+
+        // Out-of-range and empty input shows the threshold actually used
+        if (input) input.value = String(this.clusterThreshold);
+
+        this.updateClusters();
+    }
+
+    /**
+     * Group the results by cluster or Murcko scaffold ('none' shows the flat list)
+     * @param {string} groupBy - 'none', 'cluster' or 'scaffold'
+     */
+    setGroupBy(groupBy) {
+        if (!GROUP_OPTIONS.some(option => option.value === groupBy)) return;
+
+        this.state.groupBy = groupBy;
+        this.state.activePosition = 0;
+
+        console.log(`🗂️ Grouping results by ${groupBy}`);
+
+        this.viewBus.emit('list:render');
+    }
+
+    /**
+     * Create the group-by selector and the clustering threshold input
+     * @returns {string} Group controls HTML
+     */
+    createGroupControls() {
+        const groupOptions = GROUP_OPTIONS.map(option => `
+            <option value="${option.value}" ${option.value === this.state.groupBy ? 'selected' : ''}>${option.label}</option>
+        `).join('');
+
+        return `
+            <label class="results__control">
+                <span class="results__control-label">Group by</span>
+                <select class="results__control-select" data-input="group-by">
+                    ${groupOptions}
+                </select>
+            </label>
+            <label class="results__control" title="Butina clustering on ECFP4: results at least this similar to a cluster centroid join it">
+                <span class="results__control-label">Cluster Tc ≥</span>
+                <input 
+                    type="number" 
+                    class="results__cluster-threshold" 
+                    data-input="cluster-threshold" 
+                    min="${MIN_CLUSTER_THRESHOLD}" 
+                    max="${MAX_CLUSTER_THRESHOLD}" 
+                    step="0.05" 
+                    value="${this.clusterThreshold}"
+                >
+            </label>
+        `;
+    }
+
+    /**
+     * Start the pairwise similarity matrix of the unique parseable structures
+     * (needs every record canonicalized, see prepareRecordsInBackground)
+     * @returns {Object} {structures: [{canonical, records, fingerprint}], matrix, clusters, clusterOf}
+     */
+    createDiversity() {
+        const structures = [...this.analysis.getDuplicateGroups().entries()]
+            .filter(([, records]) => this.analysis.prepareRecord(records[0]).molecule)
+            .map(([canonical, records]) => ({ canonical, records, fingerprint: this.analysis.getFingerprint(records[0]) }));
+
+        return {
+            structures,
+            matrix: this.diversityAnalyzer.createSimilarityMatrix(structures.map(structure => structure.fingerprint)),
+            clusters: null,
+            clusterOf: new Map()
+        };
+    }
+
+    /**
+     * Butina cluster of a record
+     * @param {Object} record - Result record
+     * @returns {Object|null} {id, centroid, structures, size}, or null before clustering or when the
+     *   record was not clustered (no structure, or beyond the analysed structures)
+     */
+    getCluster(record) {
+        const clusterOf = this.state.diversity?.clusterOf;
+        if (!clusterOf || clusterOf.size === 0) return null;
+
+        return clusterOf.get(this.analysis.getCanonicalSmiles(record)) ?? null;
+    }
+
+    /**
+     * Cluster the structures at the current threshold and refresh everything that shows clusters
+     * Clusters are numbered by their number of results (duplicates included), largest first.
+     */
+    updateClusters() {
+        const diversity = this.state.diversity;
+        if (!diversity || !this.diversityAnalyzer.isComplete(diversity.matrix)) return;
+
+        const clusters = this.diversityAnalyzer.cluster(diversity.matrix, this.clusterThreshold).map(cluster => {
+            const structures = cluster.members.map(member => diversity.structures[member]);
+            return {
+                id: 0,
+                centroid: structures[0],
+                structures,
+                size: structures.reduce((sum, structure) => sum + structure.records.length, 0)
+            };
+        });
+        clusters.sort((a, b) => b.size - a.size || a.centroid.records[0].index - b.centroid.records[0].index);
+
+        diversity.clusterOf = new Map();
+        clusters.forEach((cluster, position) => {
+            cluster.id = position + 1;
+            cluster.structures.forEach(structure => diversity.clusterOf.set(structure.canonical, cluster));
+        });
+        diversity.clusters = clusters;
+
+        // Cluster numbers change with the threshold, so opened cluster groups no longer apply
+        [...this.state.expandedGroups].filter(key => key.startsWith('cluster:')).forEach(key => this.state.expandedGroups.delete(key));
+
+        console.log(`🧩 ${clusters.length} clusters at Tanimoto ≥ ${this.clusterThreshold.toFixed(2)}`);
+
+        this.updateDiversitySummary();
+
+        const { groupBy, sort, filters } = this.state;
+        if (groupBy === 'cluster' || sort.key === 'cluster' || sort.key === 'clusterSize' || filters.clusterSize) {
+            this.viewBus.emit('list:render');
+        } else if (this.state.chart.colorBy === 'cluster') {
+            this.viewBus.emit('chart:update');
+        }
+    }
+
+    /**
+     * Compute the pairwise similarities of the unique structures in time slices, then cluster them
+     * The matrix is kept for the result set, so later runs (e.g. after a library change) only
+     * refresh the summary.
+     */
+    prepareDiversityInBackground() {
+        if (!this.state.diversity) {
+            this.state.diversity = this.createDiversity();
+        }
+
+        const diversity = this.state.diversity;
+        if (diversity.clusters) {
+            this.updateDiversitySummary();
+            return;
+        }
+
+        const step = () => {
+            const complete = this.diversityAnalyzer.fillSimilarityMatrix(diversity.matrix, performance.now() + PREPARATION_SLICE_MS);
+
+            if (!complete) {
+                this.updateDiversitySummary(this.diversityAnalyzer.getProgress(diversity.matrix));
+                this.preparationTimer = setTimeout(step, 0);
+            } else {
+                this.preparationTimer = null;
+                this.updateClusters();
+            }
+        };
+
+        step();
+    }
+
+    /**
+     * Stop a running similarity matrix preparation
+     */
+    cancelPreparation() {
+        if (this.preparationTimer !== null) {
+            clearTimeout(this.preparationTimer);
+            this.preparationTimer = null;
+        }
+    }
+
+    /**
+     * Show run-level diversity: internal diversity, Murcko scaffolds and Butina cluster sizes
+     * @param {number|null} progress - Fraction of the records (or, once clustering, the pairs) done, null when complete
+     */
+    updateDiversitySummary(progress = null) {
+        const container = this.elements.content.querySelector('[data-element="diversity-summary"]');
+        if (!container) return;
+
+        const { records, diversity } = this.state;
+        if (records.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (progress !== null) {
+            const task = diversity && !diversity.clusters ? 'Clustering' : 'Finding Murcko scaffolds';
+            container.innerHTML = `<span class="results__rule-progress">${task}… ${Math.round(progress * 100)}%</span>`;
+            return;
+        }
+
+        if (!diversity?.clusters) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const { matrix, clusters } = diversity;
+        if (matrix.size === 0) {
+            container.innerHTML = '<span class="results__diversity-label">Diversity: no parseable molecules</span>';
+            return;
+        }
+
+        const scaffolds = records.map(record => this.analysis.getMurckoScaffold(record)).filter(Boolean);
+        const uniqueScaffolds = new Set(scaffolds.filter(scaffold => scaffold.smiles).map(scaffold => scaffold.smiles)).size;
+        const acyclic = scaffolds.filter(scaffold => !scaffold.smiles).length;
+        const internalDiversity = this.diversityAnalyzer.getInternalDiversity(matrix);
+        const singletons = clusters.filter(cluster => cluster.size === 1).length;
+        const largest = clusters.slice(0, 3).map(cluster => cluster.size).join(', ');
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+        container.innerHTML = `
+            <span class="results__diversity-label">Diversity of ${plural(matrix.size, 'unique structure')}</span>
+            <span class="results__diversity-stat" title="1 − mean pairwise Tanimoto similarity (ECFP4)">
+                internal diversity ${internalDiversity === null ? '–' : internalDiversity.toFixed(2)}
+            </span>
+            <span class="results__diversity-stat" title="Distinct Bemis–Murcko scaffolds (ring systems and linkers)">
+                ${plural(uniqueScaffolds, 'Murcko scaffold')}${acyclic > 0 ? ` (+${acyclic} acyclic)` : ''}
+            </span>
+            <span class="results__diversity-stat" title="Butina clustering on ECFP4; sizes count results, duplicates included">
+                ${plural(clusters.length, 'cluster')} at Tc ≥ ${this.clusterThreshold.toFixed(2)}: largest ${largest}, ${plural(singletons, 'singleton')}
+            </span>
+            ${matrix.truncated > 0 ? `<span class="results__diversity-note">only the first ${matrix.size} unique structures were clustered</span>` : ''}
+        `;
+    }
+
+    /**
+     * Split the visible records into groups by cluster or Murcko scaffold, largest first
+     * Records keep the current sort order within their group; records without a cluster
+     * or scaffold come last.
+     * @param {Array<Object>} records - Filtered and sorted records
+     * @returns {Array<Object>} Groups as {index, key, title, smiles, smilesLabel, total, records, start, showAll}
+     */
+    createGroups(records) {
+        const groups = new Map();
+
+        records.forEach(record => {
+            const info = this.getGroupInfo(record);
+            if (!groups.has(info.key)) groups.set(info.key, { ...info, records: [] });
+            groups.get(info.key).records.push(record);
+        });
+
+        let start = 0;
+        return [...groups.values()]
+            .sort((a, b) => Number(a.ungrouped) - Number(b.ungrouped) || b.records.length - a.records.length)
+            .map((group, index) => {
+                const result = { ...group, index, start, showAll: false };
+                start += group.records.length;
+                return result;
+            });
+    }
+
+    /**
+     * Describe the group a record belongs to under the current grouping
+     * @param {Object} record - Result record
+     * @returns {Object} {key, title, smiles, smilesLabel, total, ungrouped}
+     */
+    getGroupInfo(record) {
+        if (this.state.groupBy === 'cluster') {
+            const cluster = this.getCluster(record);
+            return cluster
+                ? { key: `cluster:${cluster.id}`, title: `Cluster ${cluster.id}`, smiles: cluster.centroid.canonical, smilesLabel: 'Centroid', total: cluster.size, ungrouped: false }
+                : { key: 'cluster:none', title: 'Not clustered', smiles: null, smilesLabel: '', total: null, ungrouped: true };
+        }
+
+        const scaffold = this.analysis.getMurckoScaffold(record);
+        if (!scaffold) {
+            return { key: 'scaffold:none', title: 'No structure', smiles: null, smilesLabel: '', total: null, ungrouped: true };
+        }
+        return scaffold.smiles
+            ? { key: `scaffold:${scaffold.smiles}`, title: 'Scaffold', smiles: scaffold.smiles, smilesLabel: 'Murcko scaffold', total: null, ungrouped: false }
+            : { key: 'scaffold:', title: 'Acyclic', smiles: null, smilesLabel: '', total: null, ungrouped: false };
+    }
+
+    /**
+     * Create the grouped molecule list: one collapsible section per group
+     * Members are only rendered while their group is open (see handleContentToggle).
+     * @returns {string} Grouped list HTML
+     */
+    createGroupedList() {
+        const label = `Generated molecules grouped by ${this.state.groupBy === 'cluster' ? 'cluster' : 'Murcko scaffold'}`;
+        const groups = this.state.groups.map(group => this.createGroup(group)).join('');
+
+        if (this.state.view.layout === 'grid') {
+            return `<div class="results__groups" aria-label="${label}">${groups}</div>`;
+        }
+
+        return `
+            <div class="results__table" role="table" aria-label="${label}" ${this.display.list.createTableStyle()}>
+                ${this.display.items.createTableHeader()}
+                <div class="results__groups">${groups}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create one collapsible group
+     * @param {Object} group - Group from createGroups()
+     * @returns {string} Group HTML
+     */
+    createGroup(group) {
+        const open = this.state.expandedGroups.has(group.key);
+        const isGrid = this.state.view.layout === 'grid';
+        const bodyClass = isGrid
+            ? `results__molecule-grid results__molecule-grid--${this.state.view.cardSize}`
+            : 'results__molecule-list';
+        const count = group.records.length;
+        const total = group.total !== null && group.total !== count ? ` of ${group.total}` : '';
+        const smiles = group.smiles
+            ? `<code class="results__group-smiles" title="${this.display.escapeHtml(`${group.smilesLabel}: ${group.smiles}`)}">${this.display.escapeHtml(group.smiles)}</code>`
+            : '';
+
+        return `
+            <details class="results__group" data-element="result-group" data-group="${group.index}" ${open ? 'open' : ''}>
+                <summary class="results__group-header">
+                    <span class="results__group-title">${group.title}</span>
+                    ${smiles}
+                    <span class="results__group-count">${count}${total} molecule${count === 1 && !total ? '' : 's'}</span>
+                </summary>
+                <div class="${bodyClass}" role="${isGrid ? 'list' : 'rowgroup'}" data-element="group-body">${open ? this.renderGroupMembers(group) : ''}</div>
+            </details>
+        `;
+    }
+
+    /**
+     * Render the members of an open group (the first GROUP_RENDER_LIMIT unless all were requested)
+     * @param {Object} group - Group from createGroups()
+     * @returns {string} Member items HTML, followed by a "Show all" button when some are left out
+     */
+    renderGroupMembers(group) {
+        const isGrid = this.state.view.layout === 'grid';
+        const shown = group.showAll ? group.records : group.records.slice(0, GROUP_RENDER_LIMIT);
+
+        const items = shown.map((record, offset) => {
+            const position = group.start + offset;
+            this.analysis.prepareRecord(record);
+            return isGrid ? this.display.items.createMoleculeCard(record, position) : this.display.items.createMoleculeItem(record, position);
+        }).join('');
+
+        const hidden = group.records.length - shown.length;
+        return hidden > 0 ? `
+            ${items}
+            <button type="button" class="results__view-button results__group-more" data-action="show-group" data-group="${group.index}">
+                Show all ${group.records.length}
+            </button>
+        ` : items;
+    }
+
+    /**
+     * Render every member of a group whose list was cut at GROUP_RENDER_LIMIT
+     * @param {number} index - Group index
+     */
+    showAllGroupMembers(index) {
+        const group = this.state.groups[index];
+        const body = this.elements.list?.querySelector(`[data-element="result-group"][data-group="${index}"] [data-element="group-body"]`);
+        if (!group || !body) return;
+
+        group.showAll = true;
+        body.innerHTML = this.renderGroupMembers(group);
+    }
+
+    /**
+     * Clean up listeners and the running preparation
+     */
+    destroy() {
+        this.cancelPreparation();
+
+        if (this.elements.content) {
+            this.elements.content.removeEventListener('click', this.handleContentClick);
+            this.elements.content.removeEventListener('change', this.handleContentChange);
+            this.elements.content.removeEventListener('toggle', this.handleContentToggle, true);
+        }
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * ================================================
+ * ResultsExport
+ * ================================================
+ *
+ * Export menu of the results: the filtered, sorted results as a file.
+ *
+ * Features:
+ * - CSV with every available column, SDF with 2D structures and SMILES (.smi)
+ * - Exported and skipped counts shown next to the menu
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { ResultsExporter } from '../../utils/ResultsExporter.js';
+
+// Export menu entries
+const EXPORT_FORMATS = [
+    { format: 'csv', label: 'CSV with descriptors' },
+    { format: 'sdf', label: 'SDF (2D structures)' },
+    { format: 'smi', label: 'SMILES (.smi)' }
+];
+
+export class ResultsExport {
+    /**
+     * Initialize the export menu
+     * @param {ResultsDisplay} display - Results view the menu belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.analysis = display.analysis;
+        this.columns = display.columns;
+
+        this.exporter = new ResultsExporter();
+
+        // Bind methods to preserve context
+        this.handleContentClick = this.handleContentClick.bind(this);
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.content.addEventListener('click', this.handleContentClick);
+    }
+
+    /**
+     * Handle the export menu entries
+     * @param {Event} event - Click event
+     */
+    handleContentClick(event) {
+        const exportButton = event.target.closest('[data-action="export"]');
+        if (exportButton) {
+            this.exportResults(exportButton.dataset.format);
+        }
+    }
+
+    /**
+     * Export the currently visible (filtered and sorted) results as a file
+     * @param {string} format - 'csv', 'sdf' or 'smi'
+     */
+    exportResults(format) {
+        if (!this.exporter.isSupported(format) || !this.state.results) return;
+
+        const records = this.state.visibleRecords.map(record => this.analysis.prepareRecord(record));
+        const columns = this.columns.getAll().filter(column => column.exportable !== false && this.columns.isAvailable(column));
+        const menu = this.elements.content.querySelector('[data-element="export-menu"]');
+        let message;
+
+        try {
+            const content = this.exporter.build(format, records, columns);
+            const fileName = this.exporter.getFileName(format, this.state.lastGeneration || new Date());
+            this.exporter.download(content, format, fileName);
+
+            // SDF needs a structure; unparseable SMILES are left out
+            const skipped = format === 'sdf' ? records.filter(record => !record.molecule).length : 0;
+            const exported = records.length - skipped;
+            message = `Exported ${exported} molecule${exported === 1 ? '' : 's'} to ${fileName}` +
+                (skipped > 0 ? ` (${skipped} without a parseable structure skipped)` : '');
+            console.log(`💾 ${message}`);
+        } catch (error) {
+            message = `Export failed: ${error.message}`;
+            console.error('❌ Export failed:', error);
+        }
+
+        if (menu) menu.open = false;
+        const status = this.elements.content.querySelector('[data-element="export-status"]');
+        if (status) status.textContent = message;
+    }
+
+    /**
+     * Create the client-side export menu
+     * @returns {string} Export menu HTML
+     */
+    createMenu() {
+        const options = EXPORT_FORMATS.map(({ format, label }) => `
+            <button type="button" class="results__export-option" data-action="export" data-format="${format}">
+                ${label}
+            </button>
+        `).join('');
+
+        return `
+            <details class="results__export" data-element="export-menu">
+                <summary class="results__download-button results__export-toggle">Export</summary>
+                <div class="results__export-menu" role="group" aria-label="Export visible results">
+                    ${options}
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * Clean up listeners
+     */
+    destroy() {
+        if (this.elements.content) {
+            this.elements.content.removeEventListener('click', this.handleContentClick);
+        }
+    }
+}
@@ -0,0 +1,444 @@
+/**
+ * ================================================
+ * ResultsFilters
+ * ================================================
+ *
+ * Which results are shown: numeric range filters, the hide-invalid and
+ * collapse-duplicates toggles, and the substructure search.
+ *
+ * Features:
+ * - Range filters for every filterable column, with invalid input marked
+ * - Hide-invalid and collapse-duplicates toggles
+ * - SMARTS/SMILES substructure search with a typing delay, match count and parser errors
+ * - Plot selection (see ChemicalSpacePanel) counted as an active filter
+ * - Announces filter changes on the view's EventBus ("list:render")
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Substructure search typing delay
+const SEARCH_DEBOUNCE_MS = 250;
+
+export class ResultsFilters {
+    /**
+     * Initialize the filters
+     * @param {ResultsDisplay} display - Results view the filters belong to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.analysis = display.analysis;
+        this.columns = display.columns;
+
+        // Pending debounced search
+        this.searchTimer = null;
+
+        // Bind methods to preserve context
+        this.handleContentClick = this.handleContentClick.bind(this);
+        this.handleContentChange = this.handleContentChange.bind(this);
+        this.handleContentInput = this.handleContentInput.bind(this);
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.content.addEventListener('click', this.handleContentClick);
+        this.elements.content.addEventListener('change', this.handleContentChange);
+        this.elements.content.addEventListener('input', this.handleContentInput);
+
+        // Filters set elsewhere (the plot selection)
+        this.viewBus.on('filters:changed', () => this.handleFiltersChanged());
+    }
+
+    /**
+     * Handle clicks on the filter controls
+     * @param {Event} event - Click event
+     */
+    handleContentClick(event) {
+        if (event.target.closest('[data-action="reset-filters"]')) {
+            this.resetFilters();
+        }
+    }
+
+    /**
+     * Handle the hide-invalid and collapse-duplicates toggles
+     * @param {Event} event - Change event
+     */
+    handleContentChange(event) {
+        const { target } = event;
+
+        if (target.matches('[data-input="hide-invalid"]')) {
+            this.state.hideInvalid = target.checked;
+            this.handleFiltersChanged();
+        } else if (target.matches('[data-input="collapse-duplicates"]')) {
+            this.state.collapseDuplicates = target.checked;
+            this.handleFiltersChanged();
+        }
+    }
+
+    /**
+     * Refresh the active filter counter and the list after a filter changed
+     */
+    handleFiltersChanged() {
+        this.updateFilterCount();
+        this.viewBus.emit('list:render');
+    }
+
+    /**
+     * Apply the range filters, the toggles, the search and the plot selection to the records
+     * @param {Object} options - Options
+     * @param {boolean} options.ignoreSelection - Keep results outside the plot selection (for drawing the plot)
+     * @returns {Array<Object>} Records passing the filters, in generation order
+     */
+    apply({ ignoreSelection = false } = {}) {
+        const { filters, hideInvalid, collapseDuplicates } = this.state;
+        const selection = ignoreSelection ? null : this.state.chart.selection;
+        const activeFilters = Object.entries(filters)
+            .map(([key, range]) => ({ column: this.columns.get(key), ...range }))
+            .filter(filter => filter.column && this.columns.isAvailable(filter.column));
+
+        const searching = Boolean(this.state.search.pattern);
+
+        const visible = this.state.records.filter(record => {
+            if (hideInvalid && !record.valid) return false;
+            if (selection && !selection.has(record.index)) return false;
+            if (searching && this.analysis.getSearchMatches(record).length === 0) return false;
+
+            return activeFilters.every(({ column, min, max }) => {
+                const value = column.getValue(record);
+                if (value === null || value === undefined) return false;
+                return (min === null || value >= min) && (max === null || value <= max);
+            });
+        });
+
+        // Collapsed duplicates are represented by their first-generated result that passed the filters
+        return collapseDuplicates ? this.collapseDuplicates(visible) : visible;
+    }
+
+    /**
+     * Set one bound of a numeric range filter
+     * @param {string} key - Column key
+     * @param {string} bound - 'min' or 'max'
+     * @param {string|null} rawValue - Input value (empty clears the bound; null stands for unparseable input)
+     * @returns {boolean} Whether the value was a number or empty
+     */
+    setFilter(key, bound, rawValue) {
+        const value = rawValue === '' || rawValue === null ? null : Number(rawValue);
+
+        // Partial or invalid input ("-", "1e") clears the bound rather than leaving the previous one applied
+        const valid = rawValue !== null && (value === null || Number.isFinite(value));
+        const filter = { min: null, max: null, ...this.state.filters[key], [bound]: valid ? value : null };
+
+        if (filter.min === null && filter.max === null) {
+            delete this.state.filters[key];
+        } else {
+            this.state.filters[key] = filter;
+        }
+
+        this.handleFiltersChanged();
+        return valid;
+    }
+
+    /**
+     * Clear all range filters, the plot selection and the hide-invalid and collapse-duplicates toggles
+     */
+    resetFilters() {
+        this.state.filters = {};
+        this.state.hideInvalid = false;
+        this.state.collapseDuplicates = false;
+        this.state.chart.selection = null;
+
+        this.elements.content.querySelectorAll('[data-input="filter-min"], [data-input="filter-max"]').forEach(input => {
+            input.value = '';
+            this.markFilterInput(input, true);
+        });
+        const hideInvalidInput = this.elements.content.querySelector('[data-input="hide-invalid"]');
+        if (hideInvalidInput) hideInvalidInput.checked = false;
+        const collapseInput = this.elements.content.querySelector('[data-input="collapse-duplicates"]');
+        if (collapseInput) collapseInput.checked = false;
+
+        this.handleFiltersChanged();
+    }
+
+    /**
+     * Handle typing in the range filter inputs
+     * @param {Event} event - Input event
+     */
+    handleContentInput(event) {
+        const { target } = event;
+
+        if (target.matches('[data-input="filter-min"], [data-input="filter-max"]')) {
+            // A number input reports partial input such as "-" or "1e" as an empty value with badInput set
+            const rawValue = target.validity?.badInput ? null : target.value.trim();
+            const bound = target.dataset.input === 'filter-min' ? 'min' : 'max';
+            this.markFilterInput(target, this.setFilter(target.dataset.column, bound, rawValue));
+        } else if (target.matches('[data-input="substructure-search"]')) {
+            // Matching every record is comparatively expensive, so wait for a pause in typing
+            this.cancelSearchTimer();
+            this.searchTimer = setTimeout(() => {
+                this.searchTimer = null;
+                this.setSearchQuery(target.value);
+            }, SEARCH_DEBOUNCE_MS);
+        }
+    }
+
+    /**
+     * Show whether a range filter input holds a usable number
+     * @param {HTMLInputElement} input - Filter input
+     * @param {boolean} valid - Whether its value is a number or empty
+     */
+    markFilterInput(input, valid) {
+        input.classList.toggle('results__filter-input--invalid', !valid);
+        input.setAttribute('aria-invalid', String(!valid));
+        input.title = valid ? '' : 'Not a number: this bound is not applied';
+    }
+
+    /**
+     * Parse a substructure query and filter the results by it
+     * @param {string} text - SMARTS or SMILES query ('' clears the search)
+     */
+    setSearchQuery(text) {
+        const query = text.trim();
+
+        // Same query as before: only a previous parse error needs clearing
+        if (query === this.state.search.query) {
+            if (this.state.search.error) {
+                this.state.search = { ...this.state.search, error: null };
+                this.renderSearchState(query);
+            }
+            return;
+        }
+
+        let pattern = null;
+        let error = null;
+        if (query) {
+            try {
+                pattern = this.analysis.parseSearchQuery(query);
+            } catch (parseError) {
+                error = parseError;
+            }
+        }
+
+        // An invalid query keeps showing the last valid search until it is fixed
+        if (error) {
+            this.state.search = { ...this.state.search, error };
+            this.renderSearchState(query);
+            return;
+        }
+
+        this.state.search = { query, pattern, error: null };
+        this.analysis.searchVersion++;
+
+        if (pattern) {
+            console.log(`🔎 Substructure search (${pattern.syntax}):`, query);
+        }
+
+        this.viewBus.emit('list:render');
+        this.renderSearchState(query);
+    }
+
+    /**
+     * Stop a pending debounced search
+     */
+    cancelSearchTimer() {
+        if (this.searchTimer !== null) {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = null;
+        }
+    }
+
+    /**
+     * Create the substructure search box
+     * @returns {string} Search controls HTML
+     */
+    createSearchControls() {
+        return `
+            <div class="results__search" role="search">
+                <label class="results__control results__search-field">
+                    <span class="results__control-label">Substructure</span>
+                    <input 
+                        type="search" 
+                        class="results__search-input" 
+                        data-input="substructure-search" 
+                        value="${this.display.escapeHtml(this.state.search.query)}" 
+                        placeholder="SMARTS or SMILES, e.g. S(=O)(=O)N" 
+                        spellcheck="false" 
+                        autocomplete="off" 
+                        aria-describedby="results-search-status results-search-error"
+                    >
+                </label>
+                <span class="results__search-status" id="results-search-status" data-element="search-status" aria-live="polite"></span>
+                <div class="input-group__error results__search-error" id="results-search-error" data-element="search-error" role="alert" hidden></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the search status (syntax and match count) or the parser error
+     * @param {string} value - Current input text
+     */
+    renderSearchState(value = this.state.search.query) {
+        const input = this.elements.content.querySelector('[data-input="substructure-search"]');
+        const status = this.elements.content.querySelector('[data-element="search-status"]');
+        const errorElement = this.elements.content.querySelector('[data-element="search-error"]');
+        const { pattern, error } = this.state.search;
+
+        if (input) {
+            input.classList.toggle('results__search-input--invalid', Boolean(error));
+            input.setAttribute('aria-invalid', String(Boolean(error)));
+        }
+
+        if (status) {
+            const matching = pattern
+                ? this.state.records.filter(record => this.analysis.getSearchMatches(record).length > 0).length
+                : 0;
+            status.textContent = pattern && !error
+                ? `${pattern.syntax} query · ${matching} matching molecule${matching === 1 ? '' : 's'}`
+                : '';
+        }
+
+        if (!errorElement) return;
+
+        errorElement.textContent = '';
+        errorElement.hidden = !error;
+        if (!error) return;
+
+        // Show a short window of the query around the problem
+        const contextSize = 12;
+        const start = Math.max(0, error.position - contextSize);
+        const end = Math.min(value.length, error.position + error.length + contextSize);
+
+        const message = document.createElement('span');
+        message.className = 'input-group__error-message';
+        message.textContent = `${error.message} (position ${error.position + 1})`;
+
+        const excerpt = document.createElement('code');
+        excerpt.className = 'input-group__error-context';
+        excerpt.append(`${start > 0 ? '…' : ''}${value.slice(start, error.position)}`);
+
+        const mark = document.createElement('mark');
+        mark.className = 'input-group__error-mark';
+        mark.textContent = value.slice(error.position, error.position + error.length) || ' ';
+        excerpt.append(mark, `${value.slice(error.position + error.length, end)}${end < value.length ? '…' : ''}`);
+
+        errorElement.append(message, excerpt);
+    }
+
+    /**
+     * Create the range filter panel for numeric columns
+     * @returns {string} Filter panel HTML
+     */
+    createFilterControls() {
+        const rows = this.columns.getAll().filter(column => column.filterable && this.columns.isAvailable(column)).map(column => {
+            const filter = this.state.filters[column.key] || {};
+            const formatBound = value => (value === null || value === undefined ? '' : value);
+
+            return `
+                <div class="results__filter-row">
+                    <span class="results__filter-label" title="${column.title}">${column.label}</span>
+                    <input 
+                        type="number" 
+                        step="any" 
+                        class="results__filter-input" 
+                        data-input="filter-min" 
+                        data-column="${column.key}" 
+                        value="${formatBound(filter.min)}" 
+                        placeholder="min" 
+                        aria-label="${column.label} minimum"
+                    >
+                    <input 
+                        type="number" 
+                        step="any" 
+                        class="results__filter-input" 
+                        data-input="filter-max" 
+                        data-column="${column.key}" 
+                        value="${formatBound(filter.max)}" 
+                        placeholder="max" 
+                        aria-label="${column.label} maximum"
+                    >
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <details class="results__filters">
+                <summary class="results__filters-summary">
+                    Filters <span class="results__filter-count" data-element="filter-count">${this.getActiveFilterLabel()}</span>
+                </summary>
+                <div class="results__filter-grid">
+                    ${rows}
+                </div>
+                <button type="button" class="results__view-button results__filter-reset" data-action="reset-filters">
+                    Reset filters
+                </button>
+            </details>
+        `;
+    }
+
+    /**
+     * Describe how many filters are active
+     * @returns {string} Label such as "(2 active)" or an empty string
+     */
+    getActiveFilterLabel() {
+        const { filters, hideInvalid, collapseDuplicates, chart } = this.state;
+        const count = Object.keys(filters).length + (hideInvalid ? 1 : 0) + (collapseDuplicates ? 1 : 0) + (chart.selection ? 1 : 0);
+        return count > 0 ? `(${count} active)` : '';
+    }
+
+    /**
+     * Refresh the active filter counter
+     */
+    updateFilterCount() {
+        const counter = this.elements.content.querySelector('[data-element="filter-count"]');
+        if (counter) counter.textContent = this.getActiveFilterLabel();
+    }
+
+    /**
+     * Keep the first record (in generation order) of each canonical structure
+     * @param {Array<Object>} records - Filtered records
+     * @returns {Array<Object>} One record per canonical SMILES
+     */
+    collapseDuplicates(records) {
+        const seen = new Set();
+        return records.filter(record => {
+            const canonical = this.analysis.getCanonicalSmiles(record);
+            if (seen.has(canonical)) return false;
+            seen.add(canonical);
+            return true;
+        });
+    }
+
+    /**
+     * Create the hide-invalid and collapse-duplicates toggles of the toolbar
+     * @returns {string} Toggles HTML
+     */
+    createToggles() {
+        return `
+            <label class="results__hide-invalid">
+                <input type="checkbox" data-input="hide-invalid" ${this.state.hideInvalid ? 'checked' : ''}>
+                Hide invalid
+            </label>
+            <label class="results__hide-invalid" title="Show only the first result of each canonical structure">
+                <input type="checkbox" data-input="collapse-duplicates" ${this.state.collapseDuplicates ? 'checked' : ''}>
+                Collapse duplicates
+            </label>
+        `;
+    }
+
+    /**
+     * Clean up listeners and the pending search
+     */
+    destroy() {
+        this.cancelSearchTimer();
+
+        if (this.elements.content) {
+            this.elements.content.removeEventListener('click', this.handleContentClick);
+            this.elements.content.removeEventListener('change', this.handleContentChange);
+            this.elements.content.removeEventListener('input', this.handleContentInput);
+        }
+    }
+}
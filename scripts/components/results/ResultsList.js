@@ -0,0 +1,251 @@
+/**
+ * ================================================
+ * ResultsList
+ * ================================================
+ *
+ * The molecule list of the results view: a virtualized table (list
+ * layout) or card grid, or the collapsible groups of the current grouping.
+ *
+ * Features:
+ * - Windowed rendering of large result sets (only the rows in view are in the DOM)
+ * - Row heights per layout and card size, cards per row measured from the grid
+ * - Empty, waiting-for-stream and no-match states
+ * - "Showing n of N" count
+ * - Announces re-renders on the view's EventBus ("list:rendered", "list:windowRendered", "list:detached")
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { VirtualList } from '../../utils/VirtualList.js';
+
+// Estimated row heights in pixels (including gaps); refined by measuring the DOM
+const LIST_ROW_HEIGHT = 148;
+const CARD_ROW_HEIGHTS = {
+    small: 226,
+    medium: 276,
+    large: 336
+};
+
+// Width of optional list table columns unless a column sets its own
+const TABLE_COLUMN_WIDTH = '4.5rem';
+
+export class ResultsList {
+    /**
+     * Initialize the list
+     * @param {ResultsDisplay} display - Results view the list belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.analysis = display.analysis;
+        this.columns = display.columns;
+
+        // Windowed list over the content element, built by createVirtualList()
+        this.virtualList = null;
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.viewBus.on('list:render', () => this.render());
+
+        // Duplicate badges wait for every record to be canonicalized
+        this.viewBus.on('preparation:complete', () => this.refresh());
+    }
+
+    /**
+     * Build the windowed list; only the rows in view are rendered and the content element is the scroller
+     * @param {HTMLElement} content - Results content element
+     */
+    createVirtualList(content) {
+        // A list built earlier would keep its scroll listener and ResizeObserver, so it is released first
+        if (this.virtualList) {
+            this.virtualList.destroy();
+        }
+        this.virtualList = new VirtualList(content, {
+            renderItems: (start, end) => this.renderItems(start, end),
+            onRender: () => this.viewBus.emit('list:windowRendered')
+        });
+    }
+
+    /**
+     * Render the filtered, sorted molecule list and the visible count
+     */
+    render() {
+        if (!this.elements.list) return;
+
+        const filtered = this.display.getVisibleRecords();
+
+        // Cluster groups wait for the clustering; until then the flat list is shown
+        const { groupBy } = this.state;
+        const canGroup = groupBy === 'scaffold' || (groupBy === 'cluster' && Boolean(this.state.diversity?.clusters));
+        this.state.groups = canGroup && filtered.length > 0 ? this.display.clustering.createGroups(filtered) : [];
+
+        // Grouped results are navigated and exported in group order
+        const grouped = this.state.groups.length > 0;
+        const visible = grouped ? this.state.groups.flatMap(group => group.records) : filtered;
+        this.state.visibleRecords = visible;
+        this.state.activePosition = Math.min(this.state.activePosition, Math.max(0, visible.length - 1));
+
+        // Rebuilding the skeleton must not reset the scroll position
+        const { scrollTop } = this.elements.content;
+        this.elements.list.innerHTML = grouped ? this.display.clustering.createGroupedList() : this.createMoleculesList(visible);
+
+        const spacer = this.elements.list.querySelector('[data-element="virtual-spacer"]');
+        const windowElement = this.elements.list.querySelector('[data-element="virtual-window"]');
+
+        if (spacer && windowElement) {
+            const isGrid = this.state.view.layout === 'grid';
+            this.virtualList.attach({
+                spacer,
+                window: windowElement,
+                itemCount: visible.length,
+                rowHeight: isGrid ? CARD_ROW_HEIGHTS[this.state.view.cardSize] : LIST_ROW_HEIGHT,
+                getColumns: isGrid ? () => this.getGridColumns(windowElement) : () => 1
+            });
+            this.elements.content.scrollTop = scrollTop;
+            this.virtualList.update();
+        } else {
+            this.virtualList.detach();
+        }
+
+        if (this.elements.visibleCount) {
+            const total = this.state.results?.total_generated ?? this.state.records.length;
+            const collapsed = this.state.collapseDuplicates ? ' (duplicates collapsed)' : '';
+            const groupLabel = groupBy === 'cluster' ? 'cluster' : 'scaffold';
+            const groups = grouped
+                ? ` in ${this.state.groups.length} ${groupLabel}${this.state.groups.length === 1 ? '' : 's'}`
+                : (groupBy === 'cluster' && !canGroup ? ' (clustering…)' : '');
+            this.elements.visibleCount.textContent = `· Showing ${visible.length} of ${total}${groups}${collapsed}`;
+        }
+
+        this.viewBus.emit('list:rendered');
+    }
+
+    /**
+     * Re-render the rows in view (after values they show were computed, or the list was hidden)
+     */
+    refresh() {
+        this.virtualList.update(true);
+    }
+
+    /**
+     * Forget the list elements before the content is replaced
+     */
+    detach() {
+        this.virtualList.detach();
+        this.elements.list = null;
+        this.elements.visibleCount = null;
+        this.viewBus.emit('list:detached');
+    }
+
+    /**
+     * Create molecules list HTML
+     * @param {Array<Object>} records - Result records
+     * @returns {string} Molecules list HTML
+     */
+    createMoleculesList(records) {
+        if (this.state.records.length > 0 && records.length === 0) {
+            return `
+                <div class="results__empty">
+                    <p>No molecules match the current filters.</p>
+                </div>
+            `;
+        }
+
+        if (this.state.streaming && this.state.records.length === 0) {
+            return `
+                <div class="results__empty" data-element="stream-waiting">
+                    <p>Waiting for the first molecules… ⏳</p>
+                </div>
+            `;
+        }
+
+        if (!records || records.length === 0) {
+            return `
+                <div class="results__empty">
+                    <p>No molecules generated. Please try adjusting your parameters.</p>
+                </div>
+            `;
+        }
+
+        // Rows are rendered into the window by the virtual list
+        if (this.state.view.layout === 'grid') {
+            return `
+                <div class="results__virtual-spacer" data-element="virtual-spacer">
+                    <div 
+                        class="results__molecule-grid results__molecule-grid--${this.state.view.cardSize}" 
+                        id="mol-list" 
+                        role="list" 
+                        aria-label="Generated molecules" 
+                        data-element="virtual-window"
+                    ></div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="results__table" role="table" aria-label="Generated molecules" aria-rowcount="${records.length + 1}" ${this.createTableStyle()}>
+                ${this.display.items.createTableHeader()}
+                <div class="results__virtual-spacer" data-element="virtual-spacer">
+                    <div class="results__molecule-list" id="mol-list" role="rowgroup" data-element="virtual-window"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Style attribute that widens the list table's grid template by the optional columns
+     * @returns {string} Style attribute HTML (empty without optional columns)
+     */
+    createTableStyle() {
+        const extraColumns = this.columns.getTableColumns().map(column => column.width || TABLE_COLUMN_WIDTH);
+        return extraColumns.length > 0 ? `style="--results-extra-columns: ${extraColumns.join(' ')}"` : '';
+    }
+
+    /**
+     * Render the items in a range of the visible records
+     * @param {number} start - First position (inclusive)
+     * @param {number} end - Last position (exclusive)
+     * @returns {string} Items HTML
+     */
+    renderItems(start, end) {
+        const isGrid = this.state.view.layout === 'grid';
+
+        return this.state.visibleRecords
+            .slice(start, end)
+            .map((record, offset) => {
+                const position = start + offset;
+                this.analysis.prepareRecord(record);
+                return isGrid ? this.display.items.createMoleculeCard(record, position) : this.display.items.createMoleculeItem(record, position);
+            })
+            .join('');
+    }
+
+    /**
+     * Work out how many cards fit per grid row and pin the grid to that count
+     * @param {HTMLElement} grid - Grid window element
+     * @returns {number} Cards per row
+     */
+    getGridColumns(grid) {
+        const styles = getComputedStyle(grid);
+        const minWidth = parseFloat(styles.getPropertyValue('--results-card-width')) || 200;
+        const gap = parseFloat(styles.columnGap) || 0;
+        const width = grid.clientWidth;
+        const columns = width > 0 ? Math.max(1, Math.floor((width + gap) / (minWidth + gap))) : 1;
+
+        grid.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`;
+        return columns;
+    }
+
+    /**
+     * Release the virtual list (its scroll listener and resize observer)
+     */
+    destroy() {
+        this.virtualList.destroy();
+    }
+}
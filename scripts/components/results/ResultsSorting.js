@@ -0,0 +1,231 @@
+/**
+ * ================================================
+ * ResultsSorting
+ * ================================================
+ *
+ * Order of the results: the sort selector and direction button of the
+ * toolbar and the sortable column headers of the list table.
+ *
+ * Features:
+ * - Sorting by any available column, toggling direction on the same column
+ * - Missing values last and generation order for ties
+ * - Falls back to generation order when the sort column becomes unavailable
+ * - Sort options rebuilt as columns come and go ("columns:changed")
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Generation order
+const DEFAULT_SORT = { key: 'index', direction: 'asc' };
+
+export class ResultsSorting {
+    /**
+     * Initialize the sorting
+     * @param {ResultsDisplay} display - Results view the sorting belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.columns = display.columns;
+
+        // Results start in generation order
+        this.state.sort = { ...DEFAULT_SORT };
+
+        // Bind methods to preserve context
+        this.handleContentClick = this.handleContentClick.bind(this);
+        this.handleContentChange = this.handleContentChange.bind(this);
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.content.addEventListener('click', this.handleContentClick);
+        this.elements.content.addEventListener('change', this.handleContentChange);
+
+        this.viewBus.on('columns:changed', () => this.handleColumnsChanged());
+    }
+
+    /**
+     * Handle clicks on the sort headers and the direction button
+     * @param {Event} event - Click event
+     */
+    handleContentClick(event) {
+        const sortButton = event.target.closest('[data-action="sort"]');
+        if (sortButton) {
+            this.setSort(sortButton.dataset.column);
+            return;
+        }
+
+        if (event.target.closest('[data-action="toggle-sort-direction"]')) {
+            this.setSort(this.state.sort.key, this.state.sort.direction === 'asc' ? 'desc' : 'asc');
+        }
+    }
+
+    /**
+     * Handle the sort column selector
+     * @param {Event} event - Change event
+     */
+    handleContentChange(event) {
+        const { target } = event;
+
+        if (target.matches('[data-input="sort-column"]')) {
+            this.setSort(target.value, this.state.sort.direction);
+        }
+    }
+
+    /**
+     * Change the sort column, toggling direction when the same column is chosen again
+     * @param {string} key - Column key
+     * @param {string|null} direction - Explicit direction ('asc' or 'desc')
+     */
+    setSort(key, direction = null) {
+        if (!this.columns.get(key)) return;
+
+        const sameColumn = this.state.sort.key === key;
+        this.state.sort = {
+            key,
+            direction: direction || (sameColumn && this.state.sort.direction === 'asc' ? 'desc' : 'asc')
+        };
+
+        console.log(`↕️ Sorting results by ${key} (${this.state.sort.direction})`);
+
+        this.updateSortControls();
+        this.viewBus.emit('list:render');
+    }
+
+    /**
+     * Fall back to generation order when the sort column is no longer available
+     */
+    resetUnavailableSort() {
+        const sortColumn = this.columns.get(this.state.sort.key);
+        if (sortColumn && !this.columns.isAvailable(sortColumn)) {
+            this.state.sort = { ...DEFAULT_SORT };
+        }
+    }
+
+    /**
+     * Sync the sort and its controls with the available columns
+     */
+    handleColumnsChanged() {
+        // Sorting by a rule set that was just disabled falls back to generation order
+        this.resetUnavailableSort();
+        this.updateSortOptions();
+        this.updateSortControls();
+    }
+
+    /**
+     * Sort filtered records by the current sort column
+     * @param {Array<Object>} records - Filtered records (sorted in place)
+     * @returns {Array<Object>} Records in display order
+     */
+    sort(records) {
+        const { sort } = this.state;
+        const sortColumn = this.columns.get(sort.key);
+        const column = sortColumn && this.columns.isAvailable(sortColumn) ? sortColumn : this.columns.get(DEFAULT_SORT.key);
+        const factor = sort.direction === 'desc' ? -1 : 1;
+
+        // Missing values always sort last; ties keep generation order
+        return records.sort((a, b) => {
+            const valueA = column.getValue(a);
+            const valueB = column.getValue(b);
+            const missingA = valueA === null || valueA === undefined;
+            const missingB = valueB === null || valueB === undefined;
+
+            if (missingA || missingB) {
+                return missingA === missingB ? a.index - b.index : (missingA ? 1 : -1);
+            }
+
+            const order = column.numeric
+                ? valueA - valueB
+                : String(valueA).localeCompare(String(valueB), undefined, { numeric: true });
+
+            return order * factor || a.index - b.index;
+        });
+    }
+
+    /**
+     * Create the sort selector and direction button of the toolbar
+     * @returns {string} Sort controls HTML
+     */
+    createControls() {
+        return `
+            <div class="results__sort">
+                <label class="results__control">
+                    <span class="results__control-label">Sort by</span>
+                    <select class="results__control-select" data-input="sort-column">
+                        ${this.createSortOptions()}
+                    </select>
+                </label>
+                <button type="button" class="results__view-button results__sort-direction" data-action="toggle-sort-direction" aria-label="Toggle sort direction">
+                    ${this.state.sort.direction === 'asc' ? '▲ Asc' : '▼ Desc'}
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the sort column options for the available columns
+     * @returns {string} Option elements HTML
+     */
+    createSortOptions() {
+        return this.columns.getAll().filter(column => this.columns.isAvailable(column)).map(column => `
+            <option value="${column.key}" ${column.key === this.state.sort.key ? 'selected' : ''}>${column.label === '#' ? 'Index' : column.label}</option>
+        `).join('');
+    }
+
+    /**
+     * Rebuild the sort column options (rule columns come and go with their rule set)
+     */
+    updateSortOptions() {
+        const sortSelect = this.elements.content.querySelector('[data-input="sort-column"]');
+        if (sortSelect) sortSelect.innerHTML = this.createSortOptions();
+    }
+
+    /**
+     * Sync the sort selector and direction button with the current sort
+     */
+    updateSortControls() {
+        const sortSelect = this.elements.content.querySelector('[data-input="sort-column"]');
+        if (sortSelect) sortSelect.value = this.state.sort.key;
+
+        const directionButton = this.elements.content.querySelector('[data-action="toggle-sort-direction"]');
+        if (directionButton) {
+            directionButton.textContent = this.state.sort.direction === 'asc' ? '▲ Asc' : '▼ Desc';
+        }
+    }
+
+    /**
+     * Create a clickable column header that sorts by its column
+     * @param {Object} column - Column definition
+     * @returns {string} Column header HTML
+     */
+    createSortableHeader(column) {
+        const { key, direction } = this.state.sort;
+        const active = key === column.key;
+        const ariaSort = active ? (direction === 'asc' ? 'ascending' : 'descending') : 'none';
+        const indicator = active ? (direction === 'asc' ? '▲' : '▼') : '';
+        const numericClass = column.numeric && column.key !== 'index' ? 'results__column-header--numeric' : '';
+
+        return `
+            <span class="results__column-header ${numericClass}" role="columnheader" aria-sort="${ariaSort}">
+                <button type="button" class="results__sort-button" data-action="sort" data-column="${column.key}" title="Sort by ${column.title}">
+                    ${column.label}<span class="results__sort-indicator" aria-hidden="true">${indicator}</span>
+                </button>
+            </span>
+        `;
+    }
+
+    /**
+     * Clean up listeners
+     */
+    destroy() {
+        if (this.elements.content) {
+            this.elements.content.removeEventListener('click', this.handleContentClick);
+            this.elements.content.removeEventListener('change', this.handleContentChange);
+        }
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * ================================================
+ * ResultsStream
+ * ================================================
+ *
+ * Streamed responses: molecules appended to the results as they arrive.
+ *
+ * Features:
+ * - Shows the controls and an empty list when a stream starts
+ * - Appends records and re-renders the list in batches
+ * - Live "n of N generated" counter and progress bar
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Streamed molecules are added to the list at most this often
+const STREAM_RENDER_MS = 250;
+
+export class ResultsStream {
+    /**
+     * Initialize the stream handling
+     * @param {ResultsDisplay} display - Results view the stream belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.analysis = display.analysis;
+        this.eventBus = display.eventBus;
+
+        // Streamed molecules waiting to be rendered
+        this.renderTimer = null;
+
+        // Bind methods to preserve context
+        this.handleStreamStart = this.handleStreamStart.bind(this);
+        this.handleStreamAppend = this.handleStreamAppend.bind(this);
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        if (this.eventBus) {
+            this.eventBus.on('results:streamStart', this.handleStreamStart);
+            this.eventBus.on('results:append', this.handleStreamAppend);
+        }
+    }
+
+    /**
+     * Start showing a streamed response: the controls and an empty list that fills as molecules arrive
+     * @param {Object} data - {requestParams, total} (total is the expected count, or null)
+     */
+    handleStreamStart({ requestParams = {}, total = null } = {}) {
+        console.log(`📡 Receiving streamed results${total ? ` (${total} expected)` : ''}`);
+
+        this.viewBus.emit('display:results', { generated_molecules: [], total_generated: 0, valid_molecules: 0, requestParams }, { total });
+    }
+
+    /**
+     * Add streamed molecules; the list is re-rendered in batches
+     * @param {Object} progress - {molecules, generated, total}
+     */
+    handleStreamAppend({ molecules = [], total = null } = {}) {
+        if (!this.state.streaming || !this.state.results) return;
+
+        const records = this.analysis.createRecords(molecules, this.state.records.length);
+        const { results } = this.state;
+
+        this.state.records.push(...records);
+        results.generated_molecules.push(...molecules);
+        results.total_generated = this.state.records.length;
+        results.valid_molecules += records.filter(record => record.valid).length;
+        if (total !== null) this.state.streaming.total = total;
+
+        // Values over the whole run are recomputed from the grown record list
+        this.state.duplicateGroups = null;
+        this.state.diversity = null;
+        this.state.projection = null;
+
+        this.updateProgress();
+        this.scheduleRender();
+    }
+
+    /**
+     * Re-render the list once per STREAM_RENDER_MS while molecules stream in
+     */
+    scheduleRender() {
+        if (this.renderTimer !== null) return;
+
+        this.renderTimer = setTimeout(() => {
+            this.renderTimer = null;
+
+            // The first molecules replace the waiting message and enable the export menu
+            if (!this.elements.list || this.elements.content.querySelector('[data-element="stream-waiting"]')) {
+                this.viewBus.emit('display:render');
+            } else {
+                this.viewBus.emit('list:render');
+            }
+        }, STREAM_RENDER_MS);
+    }
+
+    /**
+     * Stop a pending streamed-list render
+     */
+    cancelRender() {
+        if (this.renderTimer !== null) {
+            clearTimeout(this.renderTimer);
+            this.renderTimer = null;
+        }
+    }
+
+    /**
+     * Update the "n of N generated" counter of a streamed response
+     */
+    updateProgress() {
+        const container = this.elements.content.querySelector('[data-element="stream-progress"]');
+        if (!container || !this.state.streaming) return;
+
+        container.innerHTML = this.createProgress();
+    }
+
+    /**
+     * Create the streamed response counter and progress bar
+     * @returns {string} Progress HTML
+     */
+    createProgress() {
+        const { total } = this.state.streaming;
+        const { total_generated: generated, valid_molecules: valid } = this.state.results;
+        const count = total ? `${generated} of ${total} generated` : `${generated} generated`;
+
+        return `
+            ${count}, ${valid} valid
+            ${total ? `<progress class="results__stream-bar" max="${total}" value="${Math.min(generated, total)}" aria-hidden="true"></progress>` : ''}
+        `;
+    }
+
+    /**
+     * Clean up listeners and the pending render
+     */
+    destroy() {
+        this.cancelRender();
+
+        if (this.eventBus) {
+            this.eventBus.off('results:streamStart', this.handleStreamStart);
+            this.eventBus.off('results:append', this.handleStreamAppend);
+        }
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * ================================================
+ * ResultsSummary
+ * ================================================
+ *
+ * Run summary above the results: counts, request parameters, the
+ * generation time and the per-run analyses that need every record.
+ *
+ * Features:
+ * - Generated and valid counts, streamed progress and cancellation warnings
+ * - Similarity to the starting molecule, novelty and duplicate summaries
+ * - Progress while the records are prepared in the background
+ * - Generation timestamp with the server CSV link and the export menu
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+export class ResultsSummary {
+    /**
+     * Initialize the summary
+     * @param {ResultsDisplay} display - Results view the summary belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.analysis = display.analysis;
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.viewBus.on('preparation:progress', progress => {
+            this.updateSimilaritySummary(progress);
+            this.updateDuplicateSummary(progress);
+            this.updateNoveltySummary(progress);
+        });
+        this.viewBus.on('preparation:complete', () => {
+            this.updateSimilaritySummary();
+            this.updateDuplicateSummary();
+            this.updateNoveltySummary();
+        });
+    }
+
+    /**
+     * Create results summary HTML
+     * @param {number} total - Total molecules generated
+     * @param {number} valid - Valid molecules count
+     * @param {Object} requestParams - Original request parameters
+     * @param {string|null} csvUrl - CSV download URL
+     * @param {string|null} profileId - Backend profile that generated the results
+     * @returns {string} Summary HTML
+     */
+    createResultsSummary(total, valid, requestParams = {}, csvUrl = null, profileId = null) {
+        const samples = requestParams.samples || 0;
+        const invalid = requestParams - valid;
+
+        // Create the new message format: Generated: X, Valid: Y, Invalid: Z
+        const summaryMessage = `Generated: ${total}, Valid: ${valid}`; //, Invalid: ${invalid}`;
+
+        // Add context about expected vs actual if samples info is available
+        let contextMessage = '';
+        if (samples > 0) {
+            if (total !== samples) {
+                contextMessage = ` (Expected ${samples} samples)`;
+            }
+        }
+
+        // Streamed responses show a running count until the final response arrives
+        let statusHTML = `
+            <strong>Generation Complete!</strong> 
+            ${summaryMessage}${contextMessage}
+        `;
+        if (this.state.streaming) {
+            statusHTML = `
+                <strong>Generating…</strong> 
+                <span class="results__stream-progress" data-element="stream-progress">${this.display.stream.createProgress()}</span>
+            `;
+        } else if (this.state.results?.cancelled) {
+            statusHTML = `
+                <strong>Generation Cancelled.</strong> 
+                ${summaryMessage} before the run was stopped${contextMessage}
+            `;
+        }
+
+        return `
+            <div class="results__summary">
+                <p class="results__status">
+                    ${statusHTML}
+                    <span class="results__visible-count" data-element="visible-count" aria-live="polite"></span>
+                </p>
+                ${this.state.results?.cancelWarning ? this.display.cancellation.createWarning(this.state.results.cancelWarning) : ''}
+                <div class="results__duplicate-summary" data-element="duplicate-summary" aria-live="polite"></div>
+                <div class="results__diversity-summary" data-element="diversity-summary" aria-live="polite"></div>
+                <div class="results__rule-summary" data-element="rule-summary" aria-live="polite"></div>
+                <div class="results__alert-summary" data-element="alert-summary" aria-live="polite"></div>
+                <div class="results__similarity-summary" data-element="similarity-summary" aria-live="polite"></div>
+                <div class="results__novelty-summary" data-element="novelty-summary" aria-live="polite"></div>
+                <div class="results__scaffold-summary" data-element="scaffold-summary" aria-live="polite"></div>
+                <div class="results__linker-summary" data-element="linker-summary" aria-live="polite"></div>
+                ${this.createGenerationTimestamp(csvUrl, profileId)}
+            </div>
+        `;
+    }
+
+    /**
+     * Show the similarity distribution of the results to the starting molecule
+     * @param {number|null} progress - Fraction of records compared so far, null when complete
+     */
+    updateSimilaritySummary(progress = null) {
+        const container = this.elements.content.querySelector('[data-element="similarity-summary"]');
+        if (!container) return;
+
+        const { reference } = this.state;
+        if (!reference || this.state.records.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const startingMolecule = `<code class="results__similarity-reference" title="${this.display.escapeHtml(reference.smiles)}">${this.display.escapeHtml(reference.smiles)}</code>`;
+        const level = reference.level ? ` <span class="results__similarity-level">(requested: ${this.display.escapeHtml(reference.level)})</span>` : '';
+
+        if (reference.error) {
+            container.innerHTML = `
+                <span class="results__similarity-error">
+                    Similarity unavailable: starting molecule ${startingMolecule} could not be parsed (${this.display.escapeHtml(reference.error)})
+                </span>
+            `;
+            return;
+        }
+
+        if (progress !== null) {
+            container.innerHTML = `<span class="results__rule-progress">Comparing to the starting molecule… ${Math.round(progress * 100)}%</span>`;
+            return;
+        }
+
+        const values = this.state.records.map(record => this.analysis.getSimilarity(record)).filter(value => value !== null).sort((a, b) => a - b);
+        if (values.length === 0) {
+            container.innerHTML = `<span class="results__similarity-label">Tanimoto to ${startingMolecule}${level}: no parseable molecules</span>`;
+            return;
+        }
+
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const middle = Math.floor(values.length / 2);
+        const median = values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+
+        container.innerHTML = `
+            <span class="results__similarity-label">Tanimoto (ECFP4) to ${startingMolecule}${level}:</span>
+            <span class="results__similarity-stat">mean ${mean.toFixed(2)}</span>
+            <span class="results__similarity-stat">median ${median.toFixed(2)}</span>
+            <span class="results__similarity-stat">range ${values[0].toFixed(2)}–${values[values.length - 1].toFixed(2)}</span>
+        `;
+    }
+
+    /**
+     * Show the share of results that are not in the reference library
+     * @param {number|null} progress - Fraction of records checked so far, null when complete
+     */
+    updateNoveltySummary(progress = null) {
+        const container = this.elements.content.querySelector('[data-element="novelty-summary"]');
+        if (!container) return;
+
+        const { library, info } = this.state.library || {};
+        if (!library || this.state.records.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (progress !== null) {
+            container.innerHTML = `<span class="results__rule-progress">Checking novelty… ${Math.round(progress * 100)}%</span>`;
+            return;
+        }
+
+        const name = this.display.escapeHtml(info?.name || 'reference library');
+        const checked = this.state.records.map(record => this.analysis.getNovelty(record)).filter(Boolean);
+        if (checked.length === 0) {
+            container.innerHTML = `<span class="results__novelty-label">Novelty vs ${name}: no parseable molecules</span>`;
+            return;
+        }
+
+        const known = checked.filter(novelty => novelty.known).length;
+        const novel = checked.length - known;
+        const similarities = checked.filter(novelty => !novelty.known && novelty.similarity !== null)
+            .map(novelty => novelty.similarity)
+            .sort((a, b) => a - b);
+        const middle = Math.floor(similarities.length / 2);
+        const median = similarities.length === 0 ? null
+            : (similarities.length % 2 === 1 ? similarities[middle] : (similarities[middle - 1] + similarities[middle]) / 2);
+
+        container.innerHTML = `
+            <span class="results__novelty-label">Novelty vs ${name} (${library.getSize()} compounds): ${Math.round((novel / checked.length) * 100)}% novel</span>
+            <span class="results__novelty-total">${novel} novel</span>
+            <span class="results__novelty-total ${known > 0 ? 'results__novelty-total--flagged' : ''}">${known} known</span>
+            ${median !== null ? `<span class="results__novelty-stat">median nearest-neighbour Tc of novel ${median.toFixed(2)}</span>` : ''}
+        `;
+    }
+
+    /**
+     * Show how many distinct structures the results contain (by canonical SMILES)
+     * @param {number|null} progress - Fraction of records canonicalized so far, null when complete
+     */
+    updateDuplicateSummary(progress = null) {
+        const container = this.elements.content.querySelector('[data-element="duplicate-summary"]');
+        if (!container) return;
+
+        const { records } = this.state;
+        if (records.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (progress !== null) {
+            container.innerHTML = `<span class="results__rule-progress">Finding duplicates… ${Math.round(progress * 100)}%</span>`;
+            return;
+        }
+
+        const groups = [...this.analysis.getDuplicateGroups().values()];
+        const repeated = groups.filter(group => group.length > 1);
+        const copies = repeated.reduce((sum, group) => sum + group.length - 1, 0);
+
+        container.innerHTML = `
+            <span class="results__duplicate-label">Unique: ${groups.length} of ${records.length}</span>
+            <span class="results__duplicate-total ${copies > 0 ? 'results__duplicate-total--flagged' : ''}">
+                ${copies > 0 ? `${copies} duplicate${copies === 1 ? '' : 's'} of ${repeated.length} structure${repeated.length === 1 ? '' : 's'}` : 'no duplicates'}
+            </span>
+        `;
+    }
+
+    /**
+     * Create generation timestamp
+     * @param {string|null} csvUrl - CSV download URL
+     * @param {string|null} profileId - Backend profile that generated the results (the active one when unknown)
+     * @returns {string} Timestamp HTML
+     */
+    createGenerationTimestamp(csvUrl = null, profileId = null) {
+        if (!this.state.lastGeneration) return '';
+
+        const timestamp = this.state.lastGeneration.toLocaleTimeString();
+
+        // Construct full CSV download URL from the base URL of the run's backend (absolute URLs are used as-is)
+        const fullCsvUrl = csvUrl ? this.display.backend.getUrl(csvUrl, profileId) : null;
+
+        const downloadButton = fullCsvUrl ? `
+            <a href="${fullCsvUrl}" download class="results__download-button" title="CSV prepared by the server (the link may expire)">
+                Server CSV
+            </a>
+        ` : '';
+
+        const exportMenu = this.state.records.length > 0 ? this.display.exportMenu.createMenu() : '';
+
+        return `
+            <div class="results__timestamp-container">
+                <p class="results__timestamp">
+                    Generated at ${timestamp}
+                </p>
+                <div class="results__downloads">
+                    ${exportMenu}
+                    ${downloadButton}
+                </div>
+            </div>
+            <p class="results__export-status" data-element="export-status" aria-live="polite"></p>
+        `;
+    }
+}
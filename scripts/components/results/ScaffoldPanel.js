@@ -0,0 +1,311 @@
+/**
+ * ================================================
+ * ScaffoldPanel
+ * ================================================
+ *
+ * Scaffold Decoration results: whether each molecule kept a submitted
+ * scaffold, and its R-group decomposition per attachment point.
+ *
+ * Features:
+ * - Scaffolds from the SMILES input and the uploaded .smi file
+ * - Scaffold preservation column, badge and run summary
+ * - R1, R2, ... and "Other" substituent columns, and a "Locks kept" check for locked positions
+ * - Compact R-group line for grid cards
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Width of the R-group columns in the list table
+const RGROUP_COLUMN_WIDTH = '7rem';
+
+export class ScaffoldPanel {
+    /**
+     * Initialize the scaffold panel
+     * @param {ResultsDisplay} display - Results view the panel belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.analysis = display.analysis;
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.viewBus.on('preparation:progress', progress => this.updateScaffoldSummary(progress));
+        this.viewBus.on('preparation:complete', () => this.updateScaffoldSummary());
+    }
+
+    /**
+     * Parse the scaffolds of a Scaffold Decoration request (SMILES input and uploaded .smi file)
+     * @param {Object} requestParams - Request parameters sent with the results
+     * @returns {Object|null} {scaffolds, errors, truncated} from ScaffoldAnalyzer plus the attachment point
+     *   labels of all scaffolds and the locked ones, or null for other modes
+     */
+    createScaffoldSet(requestParams = {}) {
+        if (requestParams.mode !== 'Scaffold Decoration') return null;
+
+        const inputScaffold = (requestParams.scaffold || '').trim();
+        const smilesList = [
+            inputScaffold,
+            ...this.analysis.scaffoldAnalyzer.parseSmilesFile(requestParams.scaffold_file_text)
+        ];
+        const scaffoldSet = this.analysis.scaffoldAnalyzer.createScaffolds(smilesList);
+
+        scaffoldSet.errors.forEach(({ smiles, message }) => {
+            console.warn(`⚠️ Scaffold ${smiles} could not be parsed:`, message);
+        });
+
+        // Positions are locked on the SMILES input, so the locks only apply to that scaffold
+        const locked = (requestParams.locked_attachment_points || []).map(Number);
+        scaffoldSet.scaffolds.forEach(scaffold => {
+            if (scaffold.smiles === inputScaffold) scaffold.locked = new Set(locked);
+        });
+        scaffoldSet.locked = locked;
+        scaffoldSet.labels = [...new Set(scaffoldSet.scaffolds.flatMap(scaffold => scaffold.attachments.map(({ label }) => label)))]
+            .sort((a, b) => a - b);
+
+        return scaffoldSet.scaffolds.length > 0 || scaffoldSet.errors.length > 0 ? scaffoldSet : null;
+    }
+
+    /**
+     * Scaffold match of a record, computed on first use
+     * @param {Object} record - Result record
+     * @returns {Object|null} {preserved, scaffold, core, rGroups}, or null without a structure or scaffold
+     */
+    getScaffoldMatch(record) {
+        const scaffolds = this.state.scaffolds?.scaffolds;
+        if (!scaffolds || scaffolds.length === 0) return null;
+
+        if (record.scaffold === null) {
+            const { molecule } = this.analysis.prepareRecord(record);
+            if (!molecule) return null;
+            record.scaffold = this.analysis.scaffoldAnalyzer.analyze(molecule, scaffolds);
+        }
+
+        return record.scaffold;
+    }
+
+    /**
+     * Build the scaffold preservation column and the R-group columns of the current scaffolds
+     * @returns {Array<Object>} Column definitions (see ResultColumns)
+     */
+    createColumns() {
+        return [
+            {
+                key: 'scaffold',
+                label: 'Scaffold',
+                title: 'Scaffold preserved (1 = kept, 0 = lost)',
+                numeric: true,
+                filterable: true,
+                requires: 'scaffolds',
+                getValue: record => {
+                    const match = this.getScaffoldMatch(record);
+                    return match ? (match.preserved ? 1 : 0) : null;
+                },
+                exportValue: record => {
+                    const match = this.getScaffoldMatch(record);
+                    return match ? (match.preserved ? 'preserved' : 'lost') : null;
+                }
+            },
+            ...this.createRGroupColumns()
+        ];
+    }
+
+    /**
+     * Build one text column per scaffold attachment point (R1, R2, ...) plus one for substituents
+     * elsewhere on the core, and a filterable lock check when positions were locked; empty unless
+     * the current scaffolds have attachment points
+     * @returns {Array<Object>} R-group column definitions
+     */
+    createRGroupColumns() {
+        const scaffoldSet = this.state.scaffolds;
+        if (!scaffoldSet || scaffoldSet.labels.length === 0) return [];
+
+        const formatSmiles = (smiles, className = '', title = smiles) => `
+            <code class="results__rgroup ${className}" title="${this.display.escapeHtml(title)}">${this.display.escapeHtml(smiles)}</code>
+        `;
+
+        const labelColumns = scaffoldSet.labels.map(label => {
+            const getGroup = record => this.getScaffoldMatch(record)?.decomposition?.groups.find(group => group.label === label) ?? null;
+            const locked = scaffoldSet.locked.includes(label);
+
+            return {
+                key: `rGroup${label}`,
+                label: `R${label}`,
+                title: `Substituent at attachment point R${label}${locked ? ' (locked: flagged when substituted)' : ''}`,
+                numeric: false,
+                filterable: false,
+                tableColumn: true,
+                width: RGROUP_COLUMN_WIDTH,
+                requires: 'scaffolds',
+                getValue: record => {
+                    const group = getGroup(record);
+                    return group ? (group.smiles ?? 'H') : null;
+                },
+                format: record => {
+                    const group = getGroup(record);
+                    if (!group) return '–';
+                    if (!group.smiles) return '<span class="results__rgroup-hydrogen">H</span>';
+                    return group.locked
+                        ? formatSmiles(group.smiles, 'results__rgroup--locked', `R${label} is locked but was substituted: ${group.smiles}`)
+                        : formatSmiles(group.smiles);
+                }
+            };
+        });
+
+        // Locks are not sent to the backend; this column is how results that ignored them are filtered out
+        const lockColumns = scaffoldSet.locked.length === 0 ? [] : [{
+            key: 'locksKept',
+            label: 'Locks kept',
+            title: `Locked positions ${scaffoldSet.locked.map(label => `R${label}`).join(', ')} left unsubstituted (1 = kept, 0 = substituted)`,
+            numeric: true,
+            filterable: true,
+            requires: 'scaffolds',
+            getValue: record => {
+                const decomposition = this.getScaffoldMatch(record)?.decomposition;
+                return decomposition ? (decomposition.lockedSubstituted.length === 0 ? 1 : 0) : null;
+            },
+            exportValue: record => {
+                const decomposition = this.getScaffoldMatch(record)?.decomposition;
+                return decomposition ? (decomposition.lockedSubstituted.length === 0 ? 'kept' : 'substituted') : null;
+            }
+        }];
+
+        return [
+            ...labelColumns,
+            ...lockColumns,
+            {
+                key: 'rGroupOther',
+                label: 'Other',
+                title: 'Substituents on core atoms without an attachment point',
+                numeric: false,
+                filterable: false,
+                tableColumn: true,
+                width: RGROUP_COLUMN_WIDTH,
+                requires: 'scaffolds',
+                getValue: record => {
+                    const decomposition = this.getScaffoldMatch(record)?.decomposition;
+                    return decomposition ? (decomposition.other.smiles ?? '') : null;
+                },
+                format: record => {
+                    const decomposition = this.getScaffoldMatch(record)?.decomposition;
+                    if (!decomposition?.other.smiles) return '–';
+                    return formatSmiles(decomposition.other.smiles, 'results__rgroup--other');
+                }
+            }
+        ];
+    }
+
+    /**
+     * Show how many molecules kept the scaffold, with the core/R-group colour legend
+     * @param {number|null} progress - Fraction of records checked so far, null when complete
+     */
+    updateScaffoldSummary(progress = null) {
+        const container = this.elements.content.querySelector('[data-element="scaffold-summary"]');
+        if (!container) return;
+
+        const scaffoldSet = this.state.scaffolds;
+        if (!scaffoldSet || this.state.records.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const { scaffolds, errors, truncated } = scaffoldSet;
+        const problems = [
+            errors.length > 0 ? `${errors.length} scaffold${errors.length === 1 ? '' : 's'} could not be parsed` : '',
+            truncated ? 'only the first scaffolds of the file were checked' : ''
+        ].filter(Boolean).join('; ');
+        const errorTitle = errors.map(({ smiles, message }) => `${smiles}: ${message}`).join('\n');
+        const problemNote = problems ? `<span class="results__scaffold-error" title="${this.display.escapeHtml(errorTitle)}">${problems}</span>` : '';
+
+        if (scaffolds.length === 0) {
+            container.innerHTML = `<span class="results__scaffold-label">Scaffold check unavailable:</span> ${problemNote}`;
+            return;
+        }
+
+        if (progress !== null) {
+            container.innerHTML = `<span class="results__rule-progress">Checking scaffold preservation… ${Math.round(progress * 100)}%</span>`;
+            return;
+        }
+
+        const checked = this.state.records.map(record => this.getScaffoldMatch(record)).filter(Boolean);
+        const lost = checked.filter(match => !match.preserved).length;
+        const lockedSubstituted = checked.filter(match => match.decomposition?.lockedSubstituted.length > 0).length;
+        const offPoints = checked.filter(match => match.decomposition?.other.atoms.length > 0).length;
+        const lockedNote = scaffoldSet.locked.length > 0 ? `
+            <span class="results__scaffold-total ${lockedSubstituted > 0 ? 'results__scaffold-total--lost' : ''}" title="Locked: ${scaffoldSet.locked.map(label => `R${label}`).join(', ')}">
+                🔒 ${lockedSubstituted} substituted a locked position
+            </span>
+        ` : '';
+        const decompositionNote = scaffoldSet.labels.length > 0 ? `
+            ${lockedNote}
+            <span class="results__scaffold-total" title="Substituents on core atoms without an attachment point (Other column)">
+                ${offPoints} decorated outside R${scaffoldSet.labels.join('/R')}
+            </span>
+        ` : '';
+        const scaffoldLabel = scaffolds.length === 1
+            ? `Scaffold <code class="results__scaffold-smiles" title="${this.display.escapeHtml(scaffolds[0].smiles)}">${this.display.escapeHtml(scaffolds[0].smiles)}</code>`
+            : `One of ${scaffolds.length} scaffolds`;
+
+        container.innerHTML = `
+            <span class="results__scaffold-label">${scaffoldLabel} kept in ${checked.length - lost} of ${checked.length} molecule${checked.length === 1 ? '' : 's'}</span>
+            <span class="results__scaffold-total ${lost > 0 ? 'results__scaffold-total--lost' : ''}">⚠ ${lost} lost the scaffold</span>
+            ${decompositionNote}
+            ${this.display.items.createHighlightLegend('core', 'R-groups')}
+            ${problemNote}
+        `;
+    }
+
+    /**
+     * Create the warning badge for a decoration that lost its scaffold or substituted a locked position
+     * @param {Object} record - Result record
+     * @returns {string} Badge HTML (empty when the scaffold is kept as requested or not checked)
+     */
+    createScaffoldBadge(record) {
+        const match = this.getScaffoldMatch(record);
+        if (!match) return '';
+
+        if (match.preserved) {
+            const lockedSubstituted = match.decomposition?.lockedSubstituted || [];
+            if (lockedSubstituted.length === 0) return '';
+
+            const positions = lockedSubstituted.map(label => `R${label}`).join(', ');
+            return `
+                <span class="results__scaffold-badge" title="Locked attachment point${lockedSubstituted.length === 1 ? '' : 's'} ${positions} carry a substituent">
+                    ⚠ Locked ${positions} substituted
+                </span>
+            `;
+        }
+
+        return `
+            <span class="results__scaffold-badge" title="The submitted scaffold was not found in this molecule">
+                ⚠ Scaffold lost
+            </span>
+        `;
+    }
+
+    /**
+     * Create the compact R-group line of a grid card ("R1 C[*:1] · R2 H")
+     * @param {Object} record - Result record
+     * @returns {string} R-group line HTML (empty without a decomposition)
+     */
+    createRGroupSummary(record) {
+        const decomposition = this.getScaffoldMatch(record)?.decomposition;
+        if (!decomposition) return '';
+
+        const parts = decomposition.groups.map(({ label, smiles, locked }) => {
+            const className = smiles && locked ? 'results__rgroup results__rgroup--locked' : 'results__rgroup';
+            return `R${label} <code class="${className}">${this.display.escapeHtml(smiles || 'H')}</code>`;
+        });
+        if (decomposition.other.smiles) {
+            parts.push(`Other <code class="results__rgroup results__rgroup--other">${this.display.escapeHtml(decomposition.other.smiles)}</code>`);
+        }
+
+        return `<span class="results__card-rgroups">${parts.join(' · ')}</span>`;
+    }
+}
@@ -0,0 +1,433 @@
+/**
+ * ================================================
+ * ScreeningPanel
+ * ================================================
+ *
+ * Drug-likeness rule sets and structural alert libraries: their settings
+ * panels, run summaries and per-result badges.
+ *
+ * Features:
+ * - Rule set toggles, bounds and allowed violations, persisted
+ * - Alert library toggles, persisted
+ * - Pass and alert counts in the run summary
+ * - Rule badges and alert lists per result
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Alert badges shown per row
+const MAX_ALERT_BADGES = 3;
+
+export class ScreeningPanel {
+    /**
+     * Initialize the screening panel
+     * @param {ResultsDisplay} display - Results view the panel belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.analysis = display.analysis;
+        this.preferences = display.preferences;
+
+        // Bind methods to preserve context
+        this.handleContentClick = this.handleContentClick.bind(this);
+        this.handleContentChange = this.handleContentChange.bind(this);
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.content.addEventListener('click', this.handleContentClick);
+        this.elements.content.addEventListener('change', this.handleContentChange);
+
+        this.viewBus.on('preparation:progress', progress => {
+            this.updateRuleSummary(progress);
+            this.updateAlertSummary(progress);
+        });
+        this.viewBus.on('preparation:complete', () => {
+            this.updateRuleSummary();
+            this.updateAlertSummary();
+        });
+    }
+
+    /**
+     * Handle the reset button of the rule settings
+     * @param {Event} event - Click event
+     */
+    handleContentClick(event) {
+        if (event.target.closest('[data-action="reset-rules"]')) {
+            this.setRuleConfig({}, true);
+        }
+    }
+
+    /**
+     * Handle the rule and alert library inputs
+     * @param {Event} event - Change event
+     */
+    handleContentChange(event) {
+        const { target } = event;
+
+        if (target.matches('[data-input="rule-enabled"], [data-input="rule-bound"], [data-input="rule-violations"]')) {
+            this.handleRuleInput(target);
+        } else if (target.matches('[data-input="alert-library"]')) {
+            const config = this.analysis.alerts.getConfig();
+            if (config[target.dataset.library]) {
+                config[target.dataset.library].enabled = target.checked;
+                this.setAlertConfig(config);
+            }
+        }
+    }
+
+    /**
+     * Apply a change made in the rule settings panel
+     * @param {HTMLInputElement} target - Changed input
+     */
+    handleRuleInput(target) {
+        const config = this.analysis.rules.getConfig();
+        const ruleConfig = config[target.dataset.rule];
+        if (!ruleConfig) return;
+
+        const inputType = target.dataset.input;
+        if (inputType === 'rule-enabled') {
+            ruleConfig.enabled = target.checked;
+        } else {
+            const raw = target.value.trim();
+            const value = raw === '' ? null : Number(raw);
+
+            if (inputType === 'rule-violations') {
+                if (!Number.isInteger(value) || value < 0) return;
+                ruleConfig.maxViolations = value;
+            } else if (value === null || Number.isFinite(value)) {
+                const bounds = ruleConfig.criteria[target.dataset.criterion];
+                if (!bounds) return;
+                bounds[target.dataset.bound === 'min' ? 'min' : 'max'] = value;
+            }
+        }
+
+        this.setRuleConfig(config);
+    }
+
+    /**
+     * Replace the rule configuration, persist it and refresh everything that shows rule results
+     * @param {Object} config - Rule configuration ({} restores the defaults)
+     * @param {boolean} rebuildControls - Re-create the settings inputs from the new values
+     */
+    setRuleConfig(config, rebuildControls = false) {
+        this.analysis.rules.setConfig(config);
+        this.analysis.rulesVersion++;
+        this.preferences.set('results.rules', this.analysis.rules.getConfig());
+
+        console.log('📏 Drug-likeness rules updated:', this.analysis.rules.getEnabledRuleSets().map(ruleSet => ruleSet.label).join(', ') || 'none');
+
+        if (!this.state.results) return;
+
+        // Rule columns come and go with their rule set
+        this.viewBus.emit('columns:changed');
+        this.updateRuleControls(rebuildControls);
+        this.viewBus.emit('list:render');
+        this.updateRuleSummary();
+    }
+
+    /**
+     * Replace the alert library configuration, persist it and refresh alerts, depictions and counts
+     * @param {Object} config - Library configuration ({} enables every library)
+     */
+    setAlertConfig(config) {
+        this.analysis.alerts.setConfig(config);
+        this.analysis.alertsVersion++;
+        this.preferences.set('results.alerts', this.analysis.alerts.getConfig());
+
+        console.log('🚩 Structural alert libraries updated:', this.analysis.alerts.getEnabledLibraries().map(library => library.label).join(', ') || 'none');
+
+        if (!this.state.results) return;
+
+        const counter = this.elements.content.querySelector('[data-element="alert-library-count"]');
+        if (counter) counter.textContent = this.getEnabledAlertLibrariesLabel();
+
+        // Alerts are looked up again for every record
+        this.viewBus.emit('list:render');
+        this.viewBus.emit('preparation:restart');
+    }
+
+    /**
+     * Create the rule set settings panel
+     * @returns {string} Rule settings HTML
+     */
+    createRuleControls() {
+        return `
+            <details class="results__filters results__rules">
+                <summary class="results__filters-summary">
+                    Drug-likeness rules <span class="results__filter-count" data-element="rule-count">${this.getEnabledRulesLabel()}</span>
+                </summary>
+                <div class="results__rule-sets" data-element="rule-sets">
+                    ${this.createRuleSetControls()}
+                </div>
+                <button type="button" class="results__view-button results__filter-reset" data-action="reset-rules">
+                    Restore default rules
+                </button>
+            </details>
+        `;
+    }
+
+    /**
+     * Create one settings block per rule set
+     * @returns {string} Rule set settings HTML
+     */
+    createRuleSetControls() {
+        const formatBound = value => (value === null ? '' : value);
+
+        return this.analysis.rules.getRuleSets().map(ruleSet => {
+            const criteria = ruleSet.criteria.map(criterion => `
+                <div class="results__filter-row">
+                    <span class="results__filter-label">${criterion.label}</span>
+                    <input 
+                        type="number" 
+                        step="any" 
+                        class="results__filter-input" 
+                        data-input="rule-bound" 
+                        data-rule="${ruleSet.id}" 
+                        data-criterion="${criterion.key}" 
+                        data-bound="min" 
+                        value="${formatBound(criterion.min)}" 
+                        placeholder="min" 
+                        aria-label="${ruleSet.label} ${criterion.label} minimum"
+                    >
+                    <input 
+                        type="number" 
+                        step="any" 
+                        class="results__filter-input" 
+                        data-input="rule-bound" 
+                        data-rule="${ruleSet.id}" 
+                        data-criterion="${criterion.key}" 
+                        data-bound="max" 
+                        value="${formatBound(criterion.max)}" 
+                        placeholder="max" 
+                        aria-label="${ruleSet.label} ${criterion.label} maximum"
+                    >
+                </div>
+            `).join('');
+
+            return `
+                <fieldset class="results__rule-set">
+                    <legend class="results__rule-set-legend">
+                        <label>
+                            <input type="checkbox" data-input="rule-enabled" data-rule="${ruleSet.id}" ${ruleSet.enabled ? 'checked' : ''}>
+                            ${ruleSet.label} <span class="results__rule-set-name">${ruleSet.name}</span>
+                        </label>
+                    </legend>
+                    ${criteria}
+                    <label class="results__control results__rule-violations">
+                        <span class="results__control-label">Allowed violations</span>
+                        <input 
+                            type="number" 
+                            min="0" 
+                            step="1" 
+                            class="results__filter-input" 
+                            data-input="rule-violations" 
+                            data-rule="${ruleSet.id}" 
+                            value="${ruleSet.maxViolations}"
+                        >
+                    </label>
+                </fieldset>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Describe how many rule sets are enabled
+     * @returns {string} Label such as "(3 of 5)"
+     */
+    getEnabledRulesLabel() {
+        return `(${this.analysis.rules.getEnabledRuleSets().length} of ${this.analysis.rules.getRuleSets().length})`;
+    }
+
+    /**
+     * Sync the rule settings panel with the current configuration
+     * @param {boolean} rebuild - Re-create the inputs (needed when values changed outside the panel)
+     */
+    updateRuleControls(rebuild = false) {
+        const counter = this.elements.content.querySelector('[data-element="rule-count"]');
+        if (counter) counter.textContent = this.getEnabledRulesLabel();
+
+        const container = this.elements.content.querySelector('[data-element="rule-sets"]');
+        if (container && rebuild) container.innerHTML = this.createRuleSetControls();
+    }
+
+    /**
+     * Create the structural alert library switches
+     * @returns {string} Alert settings HTML
+     */
+    createAlertLibraryControls() {
+        const libraries = this.analysis.alerts.getLibraries().map(library => `
+            <label class="results__alert-library">
+                <input type="checkbox" data-input="alert-library" data-library="${library.id}" ${library.enabled ? 'checked' : ''}>
+                ${library.label} <span class="results__rule-set-name">${library.name} · ${library.alerts.length} patterns</span>
+            </label>
+        `).join('');
+
+        return `
+            <details class="results__filters results__alert-libraries">
+                <summary class="results__filters-summary">
+                    Structural alerts <span class="results__filter-count" data-element="alert-library-count">${this.getEnabledAlertLibrariesLabel()}</span>
+                </summary>
+                <div class="results__alert-library-list">
+                    ${libraries}
+                </div>
+                <p class="results__alert-note">Bundled libraries are curated subsets of the published filters, intended for triage.</p>
+            </details>
+        `;
+    }
+
+    /**
+     * Describe how many alert libraries are enabled
+     * @returns {string} Label such as "(4 of 5)"
+     */
+    getEnabledAlertLibrariesLabel() {
+        return `(${this.analysis.alerts.getEnabledLibraries().length} of ${this.analysis.alerts.getLibraries().length})`;
+    }
+
+    /**
+     * Show per-rule-set pass/fail counts over all valid molecules
+     * @param {number|null} progress - Fraction of records prepared so far, null when complete
+     */
+    updateRuleSummary(progress = null) {
+        const container = this.elements.content.querySelector('[data-element="rule-summary"]');
+        if (!container) return;
+
+        const ruleSets = this.analysis.rules.getEnabledRuleSets();
+        if (ruleSets.length === 0 || this.state.records.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (progress !== null) {
+            container.innerHTML = `<span class="results__rule-progress">Checking drug-likeness rules… ${Math.round(progress * 100)}%</span>`;
+            return;
+        }
+
+        const evaluated = this.state.records.map(record => this.analysis.getRuleResults(record)).filter(Boolean);
+
+        container.innerHTML = ruleSets.map(ruleSet => {
+            const passed = evaluated.filter(results => results[ruleSet.id].passed).length;
+            const failed = evaluated.length - passed;
+            const criteria = ruleSet.criteria.map(criterion => this.analysis.rules.describeCriterion(criterion)).join(', ');
+            const tolerance = ruleSet.maxViolations > 0 ? `; up to ${ruleSet.maxViolations} violation${ruleSet.maxViolations === 1 ? '' : 's'}` : '';
+            const title = `${ruleSet.name}: ${passed} of ${evaluated.length} valid molecules pass (${criteria}${tolerance})`;
+
+            return `
+                <span class="results__rule-count" title="${this.display.escapeHtml(title)}">
+                    <span class="results__rule-count-label">${ruleSet.label}</span>
+                    <span class="results__rule-badge results__rule-badge--pass">✓ ${passed}</span>
+                    <span class="results__rule-badge results__rule-badge--fail">✗ ${failed}</span>
+                </span>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show how many molecules trigger structural alerts, overall and per library
+     * @param {number|null} progress - Fraction of records screened so far, null when complete
+     */
+    updateAlertSummary(progress = null) {
+        const container = this.elements.content.querySelector('[data-element="alert-summary"]');
+        if (!container) return;
+
+        const libraries = this.analysis.alerts.getEnabledLibraries();
+        if (libraries.length === 0 || this.state.records.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (progress !== null) {
+            container.innerHTML = `<span class="results__rule-progress">Screening structural alerts… ${Math.round(progress * 100)}%</span>`;
+            return;
+        }
+
+        const screened = this.state.records.map(record => this.analysis.getAlerts(record)).filter(Boolean);
+        const flagged = screened.filter(alerts => alerts.length > 0).length;
+
+        const libraryCounts = libraries.map(library => {
+            const count = screened.filter(alerts => alerts.some(alert => alert.library === library.id)).length;
+            return `
+                <span class="results__alert-library-count" title="${this.display.escapeHtml(`${library.name}: ${count} of ${screened.length} molecules`)}">
+                    ${library.label} ${count}
+                </span>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <span class="results__alert-total ${flagged > 0 ? 'results__alert-total--flagged' : ''}">
+                ⚠ ${flagged} of ${screened.length} molecule${screened.length === 1 ? '' : 's'} with structural alerts
+            </span>
+            ${libraryCounts}
+        `;
+    }
+
+    /**
+     * Create pass/fail badges for the enabled rule sets
+     * @param {Object} record - Result record
+     * @returns {string} Badges HTML ("–" without descriptors)
+     */
+    createRuleBadges(record) {
+        const results = this.analysis.getRuleResults(record);
+        if (!results) return '–';
+
+        return this.analysis.rules.getEnabledRuleSets().map(ruleSet => {
+            const { passed, violations } = results[ruleSet.id];
+            const details = violations.map(({ label, value, min, max }) => {
+                const limit = min !== null && value < min ? `< ${min}` : `> ${max}`;
+                return `${label} ${Number.isInteger(value) ? value : value.toFixed(2)} ${limit}`;
+            }).join(', ');
+            const title = `${ruleSet.name}: ${passed ? 'pass' : 'fail'}${details ? ` (${details})` : ''}`;
+
+            return `
+                <span class="results__rule-badge results__rule-badge--${passed ? 'pass' : 'fail'}" title="${this.display.escapeHtml(title)}">
+                    ${ruleSet.label}<span class="visually-hidden">: ${passed ? 'pass' : 'fail'}</span>
+                </span>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Create the list of structural alerts a record triggers
+     * @param {Object} record - Result record
+     * @returns {string} Alert list HTML (empty without alerts)
+     */
+    createAlertList(record) {
+        const alerts = this.analysis.getAlerts(record);
+        if (!alerts || alerts.length === 0) return '';
+
+        const badges = alerts.slice(0, MAX_ALERT_BADGES).map(alert => `
+            <li class="results__alert-badge" title="${this.display.escapeHtml(`${alert.libraryLabel} · ${alert.name} (${alert.smarts})`)}">
+                ${this.display.escapeHtml(alert.name)}
+            </li>
+        `).join('');
+
+        const hidden = alerts.length - MAX_ALERT_BADGES;
+        const more = hidden > 0 ? `
+            <li class="results__alert-badge results__alert-badge--more" title="${this.display.escapeHtml(alerts.slice(MAX_ALERT_BADGES).map(alert => `${alert.libraryLabel} · ${alert.name}`).join('\n'))}">
+                +${hidden} more
+            </li>
+        ` : '';
+
+        return `
+            <ul class="results__alerts" aria-label="Structural alerts">
+                ${badges}${more}
+            </ul>
+        `;
+    }
+
+    /**
+     * Clean up listeners
+     */
+    destroy() {
+        if (this.elements.content) {
+            this.elements.content.removeEventListener('click', this.handleContentClick);
+            this.elements.content.removeEventListener('change', this.handleContentChange);
+        }
+    }
+}
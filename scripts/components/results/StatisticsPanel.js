@@ -0,0 +1,161 @@
+/**
+ * ================================================
+ * StatisticsPanel
+ * ================================================
+ *
+ * Statistics tab: property distributions of the filtered results against
+ * all results.
+ *
+ * Features:
+ * - Histograms and box plots of MW, logP, TPSA, QED and SA score
+ * - Optional marker for the starting molecule's value
+ * - Redrawn after each list render while the tab is shown
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { DistributionChart } from '../../utils/DistributionChart.js';
+
+// Columns whose distributions the tab shows
+const STATISTICS_COLUMNS = ['molecularWeight', 'logP', 'tpsa', 'qed', 'saScore'];
+
+export class StatisticsPanel {
+    /**
+     * Initialize the statistics panel
+     * @param {ResultsDisplay} display - Results view the panel belongs to
+     */
+    constructor(display) {
+        this.display = display;
+        this.state = display.state;
+        this.elements = display.elements;
+        this.viewBus = display.viewBus;
+        this.columns = display.columns;
+
+        // Property distributions
+        this.distributionChart = new DistributionChart();
+
+        // Bind methods to preserve context
+        this.handleContentChange = this.handleContentChange.bind(this);
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.content.addEventListener('change', this.handleContentChange);
+
+        this.viewBus.on('list:rendered', () => this.update());
+    }
+
+    /**
+     * Handle the input molecule toggle
+     * @param {Event} event - Change event
+     */
+    handleContentChange(event) {
+        const { target } = event;
+
+        if (target.matches('[data-input="statistics-reference"]')) {
+            this.state.showStatisticsReference = target.checked;
+            this.update();
+        }
+    }
+
+    /**
+     * Create the Statistics tab panel (the charts are drawn by updateStatistics)
+     * @returns {string} Statistics panel HTML
+     */
+    createPanel() {
+        const reference = this.state.reference?.record ? `
+            <label class="results__hide-invalid" title="Mark the starting molecule's value on every chart">
+                <input type="checkbox" data-input="statistics-reference" ${this.state.showStatisticsReference ? 'checked' : ''}>
+                Show input molecule
+            </label>
+        ` : '';
+
+        return `
+            <div 
+                class="results__tab-panel results__statistics" 
+                id="results-panel-statistics" 
+                role="tabpanel" 
+                aria-labelledby="results-tab-statistics" 
+                data-element="statistics-panel" 
+                ${this.state.tab === 'statistics' ? '' : 'hidden'}
+            >
+                <div class="results__statistics-header">
+                    <span class="results__statistics-count" data-element="statistics-count"></span>
+                    ${reference}
+                </div>
+                <div class="results__statistics-grid" data-element="statistics-grid"></div>
+                <p class="results__statistics-hint">
+                    Grey bars show all results; coloured bars and the box plot (median, quartiles, whiskers at 1.5 × IQR) show the results matching the current filters.
+                </p>
+            </div>
+        `;
+    }
+
+    /**
+     * Redraw the property distributions of the filtered results against all results
+     * Only runs while the Statistics tab is shown; switching to it redraws.
+     */
+    update() {
+        const grid = this.elements.content.querySelector('[data-element="statistics-grid"]');
+        if (!grid || this.state.tab !== 'statistics') return;
+
+        const { records, visibleRecords, reference, showStatisticsReference } = this.state;
+        const referenceRecord = showStatisticsReference ? reference?.record : null;
+        const format = (value, digits) => (Number.isFinite(value) ? value.toFixed(digits) : '–');
+
+        const counter = this.elements.content.querySelector('[data-element="statistics-count"]');
+        if (counter) {
+            counter.textContent = visibleRecords.length === records.length
+                ? `Distributions of all ${records.length} results`
+                : `Distributions of ${visibleRecords.length} filtered results (of ${records.length})`;
+        }
+
+        grid.innerHTML = STATISTICS_COLUMNS.map(key => this.columns.get(key)).filter(Boolean).map(column => {
+            const digits = column.digits ?? 0;
+            const values = visibleRecords.map(record => column.getValue(record)).filter(Number.isFinite);
+            const background = records.map(record => column.getValue(record)).filter(Number.isFinite);
+            const referenceValue = referenceRecord ? column.getValue(referenceRecord) : null;
+            const stats = this.distributionChart.summarize(values);
+
+            const svg = this.distributionChart.render({
+                values,
+                background,
+                reference: Number.isFinite(referenceValue) ? referenceValue : null,
+                digits,
+                label: `${column.title}: distribution of ${values.length} results`
+            });
+
+            const summary = stats ? `
+                <span>n ${stats.count}</span>
+                <span>mean ${format(stats.mean, digits)}</span>
+                <span>median ${format(stats.median, digits)}</span>
+                <span>IQR ${format(stats.q1, digits)} – ${format(stats.q3, digits)}</span>
+                <span>range ${format(stats.min, digits)} – ${format(stats.max, digits)}</span>
+            ` : '<span>No values for the filtered results</span>';
+
+            const input = Number.isFinite(referenceValue)
+                ? `<span class="results__statistics-reference">input ${format(referenceValue, digits)}</span>`
+                : '';
+
+            return `
+                <figure class="results__statistics-card">
+                    <figcaption class="results__statistics-title" title="${column.title}">${column.label}</figcaption>
+                    ${svg}
+                    <div class="results__statistics-values">${summary}${input}</div>
+                </figure>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Clean up listeners
+     */
+    destroy() {
+        if (this.elements.content) {
+            this.elements.content.removeEventListener('change', this.handleContentChange);
+        }
+    }
+}
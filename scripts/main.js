@@ -23,8 +23,11 @@ import { ModeManager } from './components/ModeManager.js';
 import { PropertyForm } from './components/PropertyForm.js';
 import { GenerationController } from './components/GenerationController.js';
 import { ResultsDisplay } from './components/ResultsDisplay.js';
+import { ReferenceLibraryPanel } from './components/ReferenceLibraryPanel.js';
+import { BackendSettingsPanel } from './components/BackendSettingsPanel.js';
 import { UIStateManager } from './utils/UIStateManager.js';
 import { EventBus } from './utils/EventBus.js';
+import { BackendProfiles } from './utils/BackendProfiles.js';
 
 /**
  * Main Application Class
@@ -56,6 +59,9 @@ class MolGPTApp {
         // Initialize UI state manager
         this.uiStateManager = new UIStateManager();
         
+        // Backend profiles shared by every component that talks to the API
+        this.backendProfiles = new BackendProfiles();
+        
         // Component instances
         this.components = {};
         
@@ -64,6 +70,13 @@ class MolGPTApp {
         this.handleFormDataChange = this.handleFormDataChange.bind(this);
         this.handleGeneration = this.handleGeneration.bind(this);
         this.handleGenerationComplete = this.handleGenerationComplete.bind(this);
+        this.handleStreamStart = this.handleStreamStart.bind(this);
+        this.handleGenerationProgress = this.handleGenerationProgress.bind(this);
+        this.handleGenerationResume = this.handleGenerationResume.bind(this);
+        this.handleJobStatus = this.handleJobStatus.bind(this);
+        this.handleGenerationCancelled = this.handleGenerationCancelled.bind(this);
+        this.handleGenerationRetry = this.handleGenerationRetry.bind(this);
+        this.handleCancelFailed = this.handleCancelFailed.bind(this);
         this.handleError = this.handleError.bind(this);
     }
 
@@ -91,6 +104,9 @@ class MolGPTApp {
             // Set initial UI state
             this.setInitialState();
             
+            // Components may now start work that reports through the event bus (e.g. resumed jobs)
+            this.eventBus.emit('app:ready');
+            
             console.log('✅ MolGPT Application initialized successfully');
             
         } catch (error) {
@@ -127,13 +143,26 @@ class MolGPTApp {
                 name: 'generationController',
                 Class: GenerationController,
                 selector: '[data-action="generate"]',
-                options: { eventBus: this.eventBus }
+                options: { eventBus: this.eventBus, backend: this.backendProfiles }
             },
             {
                 name: 'resultsDisplay',
                 Class: ResultsDisplay,
                 selector: '[data-component="results"]',
+                options: { eventBus: this.eventBus, backend: this.backendProfiles }
+            },
+            {
+                // After ResultsDisplay, which listens for the restored library
+                name: 'referenceLibraryPanel',
+                Class: ReferenceLibraryPanel,
+                selector: '[data-component="reference-library"]',
                 options: { eventBus: this.eventBus }
+            },
+            {
+                name: 'backendSettingsPanel',
+                Class: BackendSettingsPanel,
+                selector: '[data-component="backend-settings"]',
+                options: { eventBus: this.eventBus, backend: this.backendProfiles }
             }
         ];
 
@@ -147,12 +176,8 @@ class MolGPTApp {
 
             console.log(`🔧 Initializing ${config.name}...`);
             
+            // Components initialize themselves in their constructors
             this.components[config.name] = new config.Class(element, config.options);
-            
-            // Initialize component if it has an init method
-            if (typeof this.components[config.name].init === 'function') {
-                await this.components[config.name].init();
-            }
         }
     }
 
@@ -169,6 +194,13 @@ class MolGPTApp {
         // Generation events
         this.eventBus.on('generation:start', this.handleGeneration);
         this.eventBus.on('generation:complete', this.handleGenerationComplete);
+        this.eventBus.on('generation:streamStart', this.handleStreamStart);
+        this.eventBus.on('generation:progress', this.handleGenerationProgress);
+        this.eventBus.on('generation:resume', this.handleGenerationResume);
+        this.eventBus.on('generation:jobStatus', this.handleJobStatus);
+        this.eventBus.on('generation:cancelled', this.handleGenerationCancelled);
+        this.eventBus.on('generation:retry', this.handleGenerationRetry);
+        this.eventBus.on('generation:cancelFailed', this.handleCancelFailed);
         this.eventBus.on('generation:error', this.handleError);
         
         // UI state events
@@ -299,6 +331,75 @@ class MolGPTApp {
         }
     }
 
+    /**
+     * Handle a generation job resumed from an earlier session
+     * @param {Object} job - Stored job ({id, requestParams, submittedAt})
+     */
+    handleGenerationResume(job) {
+        console.log(`🔁 Resuming generation job ${job.id}`);
+        
+        this.state.isGenerating = true;
+        
+        this.uiStateManager.updateState({
+            loading: true,
+            error: null
+        });
+        
+        this.eventBus.emit('results:clear');
+        this.eventBus.emit('results:showProgress', `Resuming generation job ${job.id}... ⏳`);
+    }
+
+    /**
+     * Handle status updates of a running generation job
+     * @param {Object} update - {jobId, status, generated, total, fraction}
+     */
+    handleJobStatus({ jobId, status, generated, total, fraction }) {
+        let detail = '';
+        if (generated !== null) {
+            detail = total ? `, ${generated} of ${total} generated` : `, ${generated} generated`;
+        } else if (fraction !== null) {
+            detail = `, ${Math.round(fraction * 100)}%`;
+        }
+        
+        this.eventBus.emit('results:showProgress', `Generation job ${jobId} ${status}${detail}... ⏳`);
+    }
+
+    /**
+     * Handle a backend job that the server did not confirm as cancelled
+     * @param {Object} failure - {jobId, message}
+     */
+    handleCancelFailed({ jobId, message }) {
+        this.eventBus.emit('results:showCancelWarning', `The server did not confirm the cancellation of job ${jobId} (${message}). It may keep running on the backend and count against your quota.`);
+    }
+
+    /**
+     * Handle a failed attempt that will be retried
+     * @param {Object} retry - {attempt, maxRetries, delay, status} (status is null for a network error)
+     */
+    handleGenerationRetry({ attempt, maxRetries, delay, status }) {
+        // Only unreachable servers and gateway errors (a sleeping backend starting up) are retried
+        const reason = status === null ? 'Server waking up…' : `Server waking up (${status})…`;
+        const seconds = Math.max(1, Math.round(delay / 1000));
+        
+        this.eventBus.emit('results:showProgress', `${reason} retrying in ${seconds} s (attempt ${attempt + 1} of ${maxRetries + 1}) ⏳`);
+    }
+
+    /**
+     * Handle the start of a streamed response
+     * @param {Object} data - {requestParams, total} (total is the expected count, or null)
+     */
+    handleStreamStart(data) {
+        this.eventBus.emit('results:streamStart', data);
+    }
+
+    /**
+     * Handle molecules arriving from a streamed response
+     * @param {Object} progress - {molecules, generated, total}
+     */
+    handleGenerationProgress(progress) {
+        this.eventBus.emit('results:append', progress);
+    }
+
     /**
      * Handle generation completion
      * @param {Object} results - The generation results
@@ -319,6 +420,25 @@ class MolGPTApp {
         this.eventBus.emit('results:display', results);
     }
 
+    /**
+     * Handle a generation cancelled by the user
+     */
+    handleGenerationCancelled() {
+        console.log('🛑 Generation cancelled');
+        
+        // Update application state
+        this.state.isGenerating = false;
+        
+        // Update UI state
+        this.uiStateManager.updateState({
+            loading: false,
+            error: null
+        });
+        
+        // Show the cancelled state (molecules streamed so far are kept)
+        this.eventBus.emit('results:showCancelled');
+    }
+
     /**
      * Handle errors throughout the application
      * @param {Error|string} error - The error to handle
@@ -373,6 +493,11 @@ class MolGPTApp {
             if (!scaffold && !scaffoldFile) {
                 errors.push('Please provide a scaffold SMILES or upload a scaffold file');
             }
+            
+            const { attachmentPoints = [], lockedAttachmentPoints = [] } = this.state.formData;
+            if (scaffold && attachmentPoints.length > 0 && lockedAttachmentPoints.length >= attachmentPoints.length) {
+                errors.push('All scaffold attachment points are locked; unlock at least one position');
+            }
         }
         
         if (this.state.currentMode === 'Fragment Linking') {
@@ -0,0 +1,221 @@
+/**
+ * ================================================
+ * BackendProfiles Utility
+ * ================================================
+ *
+ * Named backend profiles (base URL, generate path, timeout, optional
+ * auth header) and the active one. A single instance is shared by every
+ * component, so generation requests, job polling, the health check and
+ * result links all resolve against the same base URL.
+ *
+ * Features:
+ * - Built-in default profile for the hosted MolGPT backend
+ * - Profiles and the active profile persisted between sessions
+ * - URL resolution against the base URL (absolute URLs are kept)
+ * - Auth header parsed from "Name: value" (a bare value is sent as Authorization)
+ * - Validation with user-facing error messages
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { PreferenceStore } from './PreferenceStore.js';
+
+// Storage key of the profiles and the active profile ID
+const STORAGE_KEY = 'backend.profiles';
+
+// Profile used when nothing is stored
+const DEFAULT_PROFILE = {
+    id: 'default',
+    name: 'MolGPT (hosted)',
+    baseUrl: 'https://molgpt-be-2.onrender.com',
+    generatePath: '/generate-molecules',
+    timeout: 600000, // 600 seconds ~ 10 minutes
+    authHeader: ''
+};
+
+// Header name used when the auth header has no "Name:" part
+const DEFAULT_AUTH_HEADER = 'Authorization';
+
+export class BackendProfiles {
+    /**
+     * Initialize the profiles from storage
+     * @param {Object} options - Options
+     * @param {PreferenceStore} options.preferences - Storage of the profiles
+     */
+    constructor(options = {}) {
+        this.preferences = options.preferences || new PreferenceStore();
+
+        const stored = this.preferences.get(STORAGE_KEY, null);
+        const profiles = Array.isArray(stored?.profiles)
+            ? stored.profiles.filter(profile => this.validate(profile).length === 0)
+            : [];
+
+        this.profiles = profiles.length > 0 ? profiles : [{ ...DEFAULT_PROFILE }];
+        this.activeId = this.profiles.some(profile => profile.id === stored?.activeId) ? stored.activeId : this.profiles[0].id;
+    }
+
+    /**
+     * All profiles
+     * @returns {Array<Object>} Profiles as {id, name, baseUrl, generatePath, timeout, authHeader}
+     */
+    getProfiles() {
+        return this.profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * A profile by ID
+     * @param {string} id - Profile ID (the active profile when omitted)
+     * @returns {Object} Profile (the active one when the ID is unknown)
+     */
+    getProfile(id = this.activeId) {
+        const profile = this.profiles.find(candidate => candidate.id === id)
+            || this.profiles.find(candidate => candidate.id === this.activeId);
+        return { ...profile };
+    }
+
+    /**
+     * The active profile
+     * @returns {Object} Active profile
+     */
+    getActive() {
+        return this.getProfile(this.activeId);
+    }
+
+    /**
+     * Switch the active profile
+     * @param {string} id - Profile ID
+     * @returns {Object} New active profile
+     */
+    setActive(id) {
+        if (!this.profiles.some(profile => profile.id === id)) {
+            throw new Error(`Unknown backend profile: ${id}`);
+        }
+
+        this.activeId = id;
+        this.save();
+        return this.getActive();
+    }
+
+    /**
+     * Add a profile, or update the one with the same ID
+     * @param {Object} profile - Profile fields (a new ID is assigned when id is missing)
+     * @returns {Object} Saved profile
+     */
+    saveProfile(profile) {
+        const errors = this.validate(profile);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        const saved = {
+            id: profile.id || `profile-${Date.now().toString(36)}`,
+            name: profile.name.trim(),
+            baseUrl: profile.baseUrl.trim().replace(/\/+$/, ''),
+            generatePath: profile.generatePath.trim(),
+            timeout: Math.round(profile.timeout),
+            authHeader: (profile.authHeader || '').trim()
+        };
+
+        const index = this.profiles.findIndex(candidate => candidate.id === saved.id);
+        if (index === -1) {
+            this.profiles.push(saved);
+        } else {
+            this.profiles[index] = saved;
+        }
+
+        this.save();
+        return { ...saved };
+    }
+
+    /**
+     * Delete a profile; the active profile and the last one cannot be deleted
+     * @param {string} id - Profile ID
+     */
+    removeProfile(id) {
+        if (this.profiles.length <= 1) {
+            throw new Error('At least one backend profile is needed');
+        }
+        if (id === this.activeId) {
+            throw new Error('Switch to another profile before deleting the active one');
+        }
+
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        this.save();
+    }
+
+    /**
+     * Check the fields of a profile
+     * @param {Object} profile - Profile fields
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    validate(profile) {
+        const errors = [];
+        if (!profile || typeof profile !== 'object') return ['Profile is missing'];
+
+        if (!profile.name || !String(profile.name).trim()) {
+            errors.push('Enter a profile name');
+        }
+
+        try {
+            const url = new URL(String(profile.baseUrl || '').trim());
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Unsupported protocol');
+        } catch (error) {
+            errors.push('Base URL must be an http(s) URL');
+        }
+
+        if (!profile.generatePath || !String(profile.generatePath).trim()) {
+            errors.push('Enter the generate path');
+        }
+
+        if (!Number.isFinite(profile.timeout) || profile.timeout <= 0) {
+            errors.push('Timeout must be a positive number');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Resolve a path against the base URL of a profile
+     * A leading slash is relative to the base URL, which may itself have a path (e.g. https://host/api).
+     * @param {string} path - Path, or an absolute URL that is returned unchanged
+     * @param {string} id - Profile ID (the active profile when omitted)
+     * @returns {string} Absolute URL
+     */
+    getUrl(path, id = this.activeId) {
+        if (/^[a-z][a-z\d+.-]*:\/\//i.test(path)) return path;
+
+        const { baseUrl } = this.getProfile(id);
+        return `${baseUrl.replace(/\/+$/, '')}/${String(path).replace(/^\/+/, '')}`;
+    }
+
+    /**
+     * URL of the generation endpoint of a profile
+     * @param {string} id - Profile ID (the active profile when omitted)
+     * @returns {string} Absolute URL
+     */
+    getGenerateUrl(id = this.activeId) {
+        return this.getUrl(this.getProfile(id).generatePath, id);
+    }
+
+    /**
+     * Request headers of a profile (the auth header, if any)
+     * @param {string} id - Profile ID (the active profile when omitted)
+     * @returns {Object} Header names to values
+     */
+    getHeaders(id = this.activeId) {
+        const { authHeader } = this.getProfile(id);
+        if (!authHeader) return {};
+
+        // "Name: value", or a bare value such as "Bearer <token>"
+        const match = authHeader.match(/^([A-Za-z0-9-]+):\s*(.+)$/);
+        return match ? { [match[1]]: match[2] } : { [DEFAULT_AUTH_HEADER]: authHeader };
+    }
+
+    /**
+     * Persist the profiles and the active profile
+     */
+    save() {
+        this.preferences.set(STORAGE_KEY, { profiles: this.profiles, activeId: this.activeId });
+    }
+}
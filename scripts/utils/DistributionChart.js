@@ -0,0 +1,258 @@
+/**
+ * ================================================
+ * DistributionChart Utility
+ * ================================================
+ *
+ * Summarizes a set of numbers and draws their distribution as an
+ * SVG histogram with a box plot underneath, without any charting
+ * library. The SVG is returned as a string and styled via CSS classes.
+ *
+ * Features:
+ * - Summary statistics (count, mean, median, quartiles, Tukey whiskers, outliers)
+ * - Histogram bins with rounded edges shared by a background and a foreground series
+ * - Box plot on the same axis as the histogram
+ * - Optional reference line (e.g. the input molecule's value)
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Drawing size in SVG user units (the SVG scales to its container)
+const WIDTH = 320;
+const HISTOGRAM_HEIGHT = 120;
+const BOX_HEIGHT = 26;
+const AXIS_HEIGHT = 20;
+const PADDING = { top: 14, right: 10, left: 34 };
+
+// Bin count limits (the count follows the square root of the number of values)
+const MIN_BINS = 5;
+const MAX_BINS = 30;
+
+// Approximate number of ticks on the value axis
+const TICK_COUNT = 5;
+
+// Outliers drawn as individual marks (further ones are left out)
+const MAX_OUTLIER_MARKS = 200;
+
+export class DistributionChart {
+    /**
+     * Summary statistics of a set of numbers
+     * @param {Array<number>} values - Values (non-finite ones are ignored)
+     * @returns {Object|null} {count, min, max, mean, median, q1, q3, lowerWhisker, upperWhisker, outliers},
+     *   or null without values
+     */
+    summarize(values) {
+        const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+        if (sorted.length === 0) return null;
+
+        const q1 = this.quantile(sorted, 0.25);
+        const q3 = this.quantile(sorted, 0.75);
+        const fence = 1.5 * (q3 - q1);
+
+        // Whiskers end at the most extreme values within 1.5 × IQR of the box
+        const inside = sorted.filter(value => value >= q1 - fence && value <= q3 + fence);
+
+        return {
+            count: sorted.length,
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+            median: this.quantile(sorted, 0.5),
+            q1,
+            q3,
+            lowerWhisker: inside[0],
+            upperWhisker: inside[inside.length - 1],
+            outliers: sorted.filter(value => value < q1 - fence || value > q3 + fence)
+        };
+    }
+
+    /**
+     * Quantile with linear interpolation between the closest ranks
+     * @param {Array<number>} sorted - Values in ascending order
+     * @param {number} fraction - Quantile between 0 and 1
+     * @returns {number} Quantile value
+     */
+    quantile(sorted, fraction) {
+        const position = (sorted.length - 1) * fraction;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Round a raw step up to 1, 2 or 5 times a power of ten
+     * @param {number} rough - Raw step (> 0)
+     * @returns {number} Rounded step
+     */
+    getNiceStep(rough) {
+        const magnitude = 10 ** Math.floor(Math.log10(rough));
+        return [1, 2, 5, 10].map(factor => factor * magnitude).find(step => step >= rough * (1 - 1e-9));
+    }
+
+    /**
+     * Bin layout covering a set of values
+     * @param {Array<number>} values - Values that decide the range and the bin count
+     * @param {Array<number>} extra - Further values the range must include (e.g. a reference)
+     * @returns {Object} {start, step, count}
+     */
+    getBins(values, extra = []) {
+        const all = [...values, ...extra].filter(Number.isFinite);
+        const min = Math.min(...all);
+        const max = Math.max(...all);
+
+        // A single distinct value gets one bin around it
+        if (max === min) {
+            const step = this.getNiceStep(Math.abs(min) / 10 || 1);
+            return { start: min - step / 2, step, count: 1 };
+        }
+
+        const target = Math.min(MAX_BINS, Math.max(MIN_BINS, Math.ceil(Math.sqrt(values.length))));
+        const step = this.getNiceStep((max - min) / target);
+        const start = Math.floor(min / step) * step;
+
+        return { start, step, count: Math.max(1, Math.ceil((max - start) / step - 1e-9)) };
+    }
+
+    /**
+     * Number of values per bin (values on the upper edge go into the last bin)
+     * @param {Array<number>} values - Values
+     * @param {Object} bins - Bin layout from getBins()
+     * @returns {Array<number>} Counts per bin
+     */
+    countBins(values, bins) {
+        const counts = new Array(bins.count).fill(0);
+        values.forEach(value => {
+            if (!Number.isFinite(value)) return;
+            const bin = Math.min(bins.count - 1, Math.max(0, Math.floor((value - bins.start) / bins.step + 1e-9)));
+            counts[bin]++;
+        });
+        return counts;
+    }
+
+    /**
+     * Draw a histogram of the background and foreground values with a box plot of the foreground
+     * @param {Object} data - Chart data
+     * @param {Array<number>} data.values - Foreground values (e.g. the filtered results)
+     * @param {Array<number>} data.background - Background values (e.g. all results); decide the axis
+     * @param {number|null} data.reference - Value marked with a reference line, or null
+     * @param {string} data.referenceLabel - Label of the reference line
+     * @param {number} data.digits - Decimal places of the axis labels (beyond what the tick step needs)
+     * @param {string} data.label - Accessible name of the chart
+     * @returns {string} SVG markup
+     */
+    render({ values, background = values, reference = null, referenceLabel = 'Input', digits = 0, label = '' }) {
+        const backgroundValues = background.filter(Number.isFinite);
+        const foregroundValues = values.filter(Number.isFinite);
+        const hasReference = Number.isFinite(reference);
+        const height = PADDING.top + HISTOGRAM_HEIGHT + BOX_HEIGHT + AXIS_HEIGHT;
+        const open = `<svg xmlns="http://www.w3.org/2000/svg" class="distribution-chart" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="${this.escape(label)}">`;
+
+        if (backgroundValues.length === 0) {
+            return `${open}<text class="distribution-chart__empty" x="${WIDTH / 2}" y="${height / 2}" text-anchor="middle">No values</text></svg>`;
+        }
+
+        const bins = this.getBins(backgroundValues, hasReference ? [reference] : []);
+        const backgroundCounts = this.countBins(backgroundValues, bins);
+        const foregroundCounts = this.countBins(foregroundValues, bins);
+        const maxCount = Math.max(...backgroundCounts, ...foregroundCounts, 1);
+
+        const plotWidth = WIDTH - PADDING.left - PADDING.right;
+        const domainEnd = bins.start + bins.step * bins.count;
+        const toX = value => PADDING.left + ((value - bins.start) / (domainEnd - bins.start)) * plotWidth;
+        const baseline = PADDING.top + HISTOGRAM_HEIGHT;
+        const toY = count => baseline - (count / maxCount) * HISTOGRAM_HEIGHT;
+        const barWidth = plotWidth / bins.count;
+
+        const bars = (counts, className) => counts.map((count, bin) => (count === 0 ? '' : `
+            <rect class="${className}" x="${this.format(PADDING.left + bin * barWidth + 0.5)}" y="${this.format(toY(count))}" width="${this.format(Math.max(0.5, barWidth - 1))}" height="${this.format(baseline - toY(count))}">
+                <title>${this.formatValue(bins.start + bin * bins.step, digits)} – ${this.formatValue(bins.start + (bin + 1) * bins.step, digits)}: ${count}</title>
+            </rect>`)).join('');
+
+        // Value axis ticks at round numbers inside the bin range
+        const tickStep = this.getNiceStep((domainEnd - bins.start) / TICK_COUNT);
+        const ticks = [];
+        for (let tick = Math.ceil(bins.start / tickStep) * tickStep; tick <= domainEnd + tickStep * 1e-9; tick += tickStep) {
+            ticks.push(Math.abs(tick) < tickStep * 1e-9 ? 0 : tick);
+        }
+        const tickDigits = Math.max(0, Math.min(digits, -Math.floor(Math.log10(tickStep))));
+        const axisY = baseline + BOX_HEIGHT;
+        const axis = `
+            <line class="distribution-chart__axis" x1="${PADDING.left}" y1="${baseline}" x2="${PADDING.left + plotWidth}" y2="${baseline}"/>
+            <line class="distribution-chart__axis" x1="${PADDING.left}" y1="${axisY}" x2="${PADDING.left + plotWidth}" y2="${axisY}"/>
+            ${ticks.map(tick => `
+                <line class="distribution-chart__axis" x1="${this.format(toX(tick))}" y1="${axisY}" x2="${this.format(toX(tick))}" y2="${axisY + 4}"/>
+                <text class="distribution-chart__tick" x="${this.format(toX(tick))}" y="${axisY + 14}" text-anchor="middle">${tick.toFixed(tickDigits)}</text>
+            `).join('')}
+            <text class="distribution-chart__tick" x="${PADDING.left - 4}" y="${PADDING.top + 4}" text-anchor="end">${maxCount}</text>
+            <text class="distribution-chart__tick" x="${PADDING.left - 4}" y="${baseline}" text-anchor="end">0</text>
+        `;
+
+        const stats = this.summarize(foregroundValues);
+        let box = '';
+        if (stats) {
+            const middle = baseline + BOX_HEIGHT / 2;
+            const top = middle - BOX_HEIGHT / 4;
+            const outliers = stats.outliers.slice(0, MAX_OUTLIER_MARKS);
+            box = `
+                <g class="distribution-chart__box">
+                    <title>Median ${this.formatValue(stats.median, digits)}, quartiles ${this.formatValue(stats.q1, digits)} – ${this.formatValue(stats.q3, digits)}</title>
+                    <line class="distribution-chart__whisker" x1="${this.format(toX(stats.lowerWhisker))}" y1="${middle}" x2="${this.format(toX(stats.q1))}" y2="${middle}"/>
+                    <line class="distribution-chart__whisker" x1="${this.format(toX(stats.q3))}" y1="${middle}" x2="${this.format(toX(stats.upperWhisker))}" y2="${middle}"/>
+                    <line class="distribution-chart__whisker" x1="${this.format(toX(stats.lowerWhisker))}" y1="${top + 2}" x2="${this.format(toX(stats.lowerWhisker))}" y2="${middle + BOX_HEIGHT / 4 - 2}"/>
+                    <line class="distribution-chart__whisker" x1="${this.format(toX(stats.upperWhisker))}" y1="${top + 2}" x2="${this.format(toX(stats.upperWhisker))}" y2="${middle + BOX_HEIGHT / 4 - 2}"/>
+                    <rect class="distribution-chart__quartiles" x="${this.format(toX(stats.q1))}" y="${top}" width="${this.format(Math.max(1, toX(stats.q3) - toX(stats.q1)))}" height="${BOX_HEIGHT / 2}"/>
+                    <line class="distribution-chart__median" x1="${this.format(toX(stats.median))}" y1="${top}" x2="${this.format(toX(stats.median))}" y2="${top + BOX_HEIGHT / 2}"/>
+                    ${outliers.map(value => `<circle class="distribution-chart__outlier" cx="${this.format(toX(value))}" cy="${middle}" r="2"/>`).join('')}
+                </g>
+            `;
+        }
+
+        const referenceLine = hasReference ? `
+            <g class="distribution-chart__reference">
+                <title>${this.escape(referenceLabel)}: ${this.formatValue(reference, digits)}</title>
+                <line x1="${this.format(toX(reference))}" y1="${PADDING.top - 2}" x2="${this.format(toX(reference))}" y2="${axisY}"/>
+                <text x="${this.format(toX(reference))}" y="${PADDING.top - 4}" text-anchor="middle">${this.escape(referenceLabel)}</text>
+            </g>
+        ` : '';
+
+        return `${open}
+            ${bars(backgroundCounts, 'distribution-chart__bar distribution-chart__bar--background')}
+            ${bars(foregroundCounts, 'distribution-chart__bar')}
+            ${axis}
+            ${box}
+            ${referenceLine}
+        </svg>`;
+    }
+
+    /**
+     * Format a value for labels and tooltips
+     * @param {number} value - Value
+     * @param {number} digits - Decimal places
+     * @returns {string} Formatted value
+     */
+    formatValue(value, digits) {
+        return Number(value.toFixed(digits)).toString();
+    }
+
+    /**
+     * Format an SVG coordinate
+     * @param {number} value - Coordinate
+     * @returns {string} Coordinate with at most two decimals
+     */
+    format(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    /**
+     * Escape text for SVG markup
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
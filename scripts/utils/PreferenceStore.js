@@ -0,0 +1,92 @@
+/**
+ * ================================================
+ * PreferenceStore Utility
+ * ================================================
+ *
+ * Persists small user preferences (layouts, settings) between sessions.
+ * Values are stored as JSON in localStorage under a common prefix.
+ *
+ * Features:
+ * - Namespaced keys to avoid collisions with other apps
+ * - JSON serialization with fallback values
+ * - Graceful degradation when storage is unavailable (private mode, quota)
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Prefix applied to every stored key
+const KEY_PREFIX = 'molgpt:';
+
+export class PreferenceStore {
+    /**
+     * Initialize the PreferenceStore
+     * @param {Storage} storage - Storage backend (defaults to localStorage)
+     */
+    constructor(storage = null) {
+        this.storage = storage || this.getDefaultStorage();
+    }
+
+    /**
+     * Get the browser storage if it is usable
+     * @returns {Storage|null} localStorage or null when unavailable
+     */
+    getDefaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            // Accessing localStorage throws when cookies are blocked
+            return null;
+        }
+    }
+
+    /**
+     * Read a stored preference
+     * @param {string} key - Preference key
+     * @param {*} fallback - Value returned when nothing valid is stored
+     * @returns {*} Stored value or fallback
+     */
+    get(key, fallback = null) {
+        if (!this.storage) return fallback;
+
+        try {
+            const raw = this.storage.getItem(KEY_PREFIX + key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            console.warn(`⚠️ PreferenceStore: Could not read '${key}':`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Store a preference
+     * @param {string} key - Preference key
+     * @param {*} value - JSON-serializable value
+     * @returns {boolean} Whether the value was stored
+     */
+    set(key, value) {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ PreferenceStore: Could not save '${key}':`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a stored preference
+     * @param {string} key - Preference key
+     */
+    remove(key) {
+        if (!this.storage) return;
+
+        try {
+            this.storage.removeItem(KEY_PREFIX + key);
+        } catch (error) {
+            console.warn(`⚠️ PreferenceStore: Could not remove '${key}':`, error);
+        }
+    }
+}
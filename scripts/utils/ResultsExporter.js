@@ -0,0 +1,199 @@
+/**
+ * ================================================
+ * ResultsExporter Utility
+ * ================================================
+ *
+ * Builds downloadable files from result records entirely in the
+ * browser, so exports keep working without the backend (e.g. after
+ * the server's CSV link has expired).
+ *
+ * Features:
+ * - CSV with ID, SMILES, validity and every exportable column
+ * - SDF (MOL V2000 blocks with 2D coordinates and data fields)
+ * - SMILES files (.smi) with molecule IDs
+ * - Blob downloads with a timestamped file name
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+import { MolfileWriter } from '../chemistry/MolfileWriter.js';
+
+// Supported formats: file extension and MIME type
+const FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    sdf: { extension: 'sdf', mimeType: 'chemical/x-mdl-sdfile' },
+    smi: { extension: 'smi', mimeType: 'chemical/x-daylight-smiles' }
+};
+
+// Decimal places kept for numeric values
+const EXPORT_PRECISION = 4;
+
+export class ResultsExporter {
+    /**
+     * Initialize the ResultsExporter
+     * @param {Object} options - Exporter options
+     * @param {string} options.idPrefix - Prefix of generated molecule IDs
+     */
+    constructor(options = {}) {
+        this.options = {
+            idPrefix: options.idPrefix || 'MolGPT-'
+        };
+
+        this.molfileWriter = new MolfileWriter();
+    }
+
+    /**
+     * Check whether a format is supported
+     * @param {string} format - Format key ('csv', 'sdf' or 'smi')
+     * @returns {boolean} Whether the format can be exported
+     */
+    isSupported(format) {
+        return format in FORMATS;
+    }
+
+    /**
+     * Stable ID of a record (based on generation order, not on sorting)
+     * @param {Object} record - Result record
+     * @returns {string} Molecule ID
+     */
+    getMoleculeId(record) {
+        return `${this.options.idPrefix}${record.index + 1}`;
+    }
+
+    /**
+     * Build the file content for a format
+     * @param {string} format - Format key
+     * @param {Array<Object>} records - Prepared result records
+     * @param {Array<Object>} columns - Column definitions (key, label, getValue)
+     * @returns {string} File content
+     */
+    build(format, records, columns) {
+        switch (format) {
+            case 'csv':
+                return this.toCsv(records, columns);
+            case 'sdf':
+                return this.toSdf(records, columns);
+            case 'smi':
+                return this.toSmi(records);
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    /**
+     * Build a CSV file
+     * @param {Array<Object>} records - Prepared result records
+     * @param {Array<Object>} columns - Exportable columns
+     * @returns {string} CSV content
+     */
+    toCsv(records, columns) {
+        const header = ['ID', 'SMILES', 'Valid', ...columns.map(column => column.label), 'Parse error'];
+
+        const rows = records.map(record => [
+            this.getMoleculeId(record),
+            record.smiles,
+            record.valid ? 'true' : 'false',
+            ...columns.map(column => this.getColumnValue(column, record)),
+            record.error || ''
+        ]);
+
+        return [header, ...rows].map(row => row.map(cell => this.escapeCsv(cell)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Build an SDF file; records whose SMILES could not be parsed are skipped
+     * @param {Array<Object>} records - Prepared result records
+     * @param {Array<Object>} columns - Exportable columns
+     * @returns {string} SDF content
+     */
+    toSdf(records, columns) {
+        return records
+            .filter(record => record.molecule)
+            .map(record => this.molfileWriter.writeSdfRecord(record.molecule, {
+                name: this.getMoleculeId(record),
+                fields: [
+                    ['ID', this.getMoleculeId(record)],
+                    ['SMILES', record.smiles],
+                    ['Valid', record.valid ? 'true' : 'false'],
+                    ...columns.map(column => [column.label, this.getColumnValue(column, record)])
+                ]
+            }))
+            .join('');
+    }
+
+    /**
+     * Build a SMILES file ("SMILES ID" per line)
+     * @param {Array<Object>} records - Result records
+     * @returns {string} SMILES file content
+     */
+    toSmi(records) {
+        return records.map(record => `${record.smiles} ${this.getMoleculeId(record)}\n`).join('');
+    }
+
+    /**
+     * Exported text of a column for a record (columns may provide a dedicated exportValue)
+     * @param {Object} column - Column definition
+     * @param {Object} record - Result record
+     * @returns {string} Exported text
+     */
+    getColumnValue(column, record) {
+        return this.formatValue(column.exportValue ? column.exportValue(record) : column.getValue(record));
+    }
+
+    /**
+     * Format a column value for export
+     * @param {*} value - Raw value
+     * @returns {string} Exported text ('' when missing)
+     */
+    formatValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(EXPORT_PRECISION)));
+        }
+        return String(value);
+    }
+
+    /**
+     * Quote a CSV cell when needed
+     * @param {string} value - Cell text
+     * @returns {string} Escaped cell
+     */
+    escapeCsv(value) {
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+
+    /**
+     * Build a file name such as "molgpt-results-20240131-1405.csv"
+     * @param {string} format - Format key
+     * @param {Date} date - Generation time
+     * @returns {string} File name
+     */
+    getFileName(format, date = new Date()) {
+        const two = value => String(value).padStart(2, '0');
+        const stamp = `${date.getFullYear()}${two(date.getMonth() + 1)}${two(date.getDate())}-${two(date.getHours())}${two(date.getMinutes())}`;
+        return `molgpt-results-${stamp}.${FORMATS[format].extension}`;
+    }
+
+    /**
+     * Offer content as a file download
+     * @param {string} content - File content
+     * @param {string} format - Format key
+     * @param {string} fileName - File name
+     */
+    download(content, format, fileName) {
+        const blob = new Blob([content], { type: `${FORMATS[format].mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser time to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
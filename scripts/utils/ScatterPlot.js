@@ -0,0 +1,536 @@
+/**
+ * ================================================
+ * ScatterPlot Utility
+ * ================================================
+ *
+ * Draws an interactive 2D scatter plot on a canvas, without any
+ * charting library. Points carry an id and a colour; the owner decides
+ * what hovering, clicking and lasso selection mean.
+ *
+ * Features:
+ * - Axes with rounded tick values, grid lines and axis labels
+ * - Sharp drawing on high-density screens (devicePixelRatio)
+ * - Hover tooltip with caller-supplied HTML for the nearest point
+ * - Click on a point and free-hand lasso selection callbacks
+ * - Selected points drawn on top; the others are dimmed while a selection exists
+ * - Redraws when the container is resized
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Plot area padding in CSS pixels (room for tick labels and axis titles)
+const PADDING = { top: 12, right: 16, bottom: 40, left: 56 };
+
+// Default canvas height in CSS pixels
+const DEFAULT_HEIGHT = 360;
+
+// Distance in pixels within which the pointer hits a point
+const HIT_RADIUS = 6;
+
+// Pointer travel (pixels) before a press becomes a lasso instead of a click
+const DRAG_THRESHOLD = 4;
+
+// Approximate number of ticks per axis
+const TICK_COUNT = 6;
+
+// Drawing colours (canvas cannot read CSS variables directly)
+const AXIS_COLOR = '#6b7280';
+const GRID_COLOR = '#e5e7eb';
+const LASSO_COLOR = '#2563eb';
+const DIMMED_ALPHA = 0.18;
+
+export class ScatterPlot {
+    /**
+     * Initialize the plot inside a container element
+     * @param {HTMLElement} container - Element the canvas and tooltip are added to
+     * @param {Object} options - Plot options
+     * @param {number} options.height - Canvas height in CSS pixels
+     * @param {Function} options.renderTooltip - (point) => tooltip HTML
+     * @param {Function} options.onSelect - Called with the ids inside a lasso (an empty array when none are)
+     * @param {Function} options.onPointClick - Called with a clicked point
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            height: options.height ?? DEFAULT_HEIGHT,
+            renderTooltip: options.renderTooltip || (() => ''),
+            onSelect: options.onSelect || (() => {}),
+            onPointClick: options.onPointClick || (() => {})
+        };
+
+        // Plot contents
+        this.points = [];
+        this.selection = null;
+        this.labels = { x: '', y: '' };
+        this.domain = null;
+
+        // Pointer state
+        this.hovered = null;
+        this.lasso = null;
+        this.frame = null;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'scatter-plot__canvas';
+        this.canvas.setAttribute('role', 'img');
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'scatter-plot__tooltip';
+        this.tooltip.hidden = true;
+        this.container.append(this.canvas, this.tooltip);
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.addEventListener('pointermove', this.handlePointerMove);
+        this.canvas.addEventListener('pointerup', this.handlePointerUp);
+        this.canvas.addEventListener('pointerleave', this.handlePointerLeave);
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(this.handleResize);
+            this.resizeObserver.observe(this.container);
+        } else {
+            window.addEventListener('resize', this.handleResize);
+        }
+    }
+
+    /**
+     * Replace the plotted points and redraw
+     * @param {Object} data - Plot data
+     * @param {Array<Object>} data.points - Points as {id, x, y, color}; points with a non-finite x or y are skipped
+     * @param {Object} data.labels - Axis titles {x, y}
+     * @param {Set|null} data.selection - Ids of selected points, or null without a selection
+     * @param {string} data.description - Accessible description of the plot
+     */
+    setData({ points = [], labels = {}, selection = null, description = '' }) {
+        this.points = points.filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+        this.labels = { x: labels.x || '', y: labels.y || '' };
+        this.selection = selection;
+        this.domain = this.getDomain(this.points);
+        this.hovered = null;
+        this.tooltip.hidden = true;
+        this.canvas.setAttribute('aria-label', description);
+        this.draw();
+    }
+
+    /**
+     * Data range of the points, widened by 5% (or by 1 for a single value)
+     * @param {Array<Object>} points - Plotted points
+     * @returns {Object|null} {x: [min, max], y: [min, max]}, or null without points
+     */
+    getDomain(points) {
+        if (points.length === 0) return null;
+
+        const range = values => {
+            let min = Math.min(...values);
+            let max = Math.max(...values);
+            const margin = max > min ? (max - min) * 0.05 : 1;
+            min -= margin;
+            max += margin;
+            return [min, max];
+        };
+
+        return { x: range(points.map(point => point.x)), y: range(points.map(point => point.y)) };
+    }
+
+    /**
+     * Plot area in CSS pixels
+     * @returns {Object} {left, top, width, height}
+     */
+    getPlotArea() {
+        const width = this.container.clientWidth || 0;
+        return {
+            left: PADDING.left,
+            top: PADDING.top,
+            width: Math.max(1, width - PADDING.left - PADDING.right),
+            height: Math.max(1, this.options.height - PADDING.top - PADDING.bottom)
+        };
+    }
+
+    /**
+     * Canvas position of a point
+     * @param {Object} point - Point with x and y in data units
+     * @returns {Object} {x, y} in CSS pixels
+     */
+    toCanvas(point) {
+        const area = this.getPlotArea();
+        const [xMin, xMax] = this.domain.x;
+        const [yMin, yMax] = this.domain.y;
+        return {
+            x: area.left + ((point.x - xMin) / (xMax - xMin)) * area.width,
+            y: area.top + area.height - ((point.y - yMin) / (yMax - yMin)) * area.height
+        };
+    }
+
+    /**
+     * Rounded tick values covering a range ("nice numbers")
+     * @param {number} min - Range start
+     * @param {number} max - Range end
+     * @returns {Array<number>} Tick values
+     */
+    getTicks(min, max) {
+        const rough = (max - min) / TICK_COUNT;
+        const magnitude = 10 ** Math.floor(Math.log10(rough));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough) || rough;
+        const ticks = [];
+        for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+            ticks.push(Math.abs(value) < step * 1e-9 ? 0 : value);
+        }
+        return ticks;
+    }
+
+    /**
+     * Format a tick value with as many decimals as its step needs
+     * @param {number} value - Tick value
+     * @param {Array<number>} ticks - All ticks of the axis
+     * @returns {string} Label
+     */
+    formatTick(value, ticks) {
+        const step = ticks.length > 1 ? Math.abs(ticks[1] - ticks[0]) : 1;
+        const decimals = Math.max(0, Math.min(4, -Math.floor(Math.log10(step))));
+        return value.toFixed(decimals);
+    }
+
+    /**
+     * Get a 2D context sized for the container (null where canvas is unsupported)
+     * @returns {CanvasRenderingContext2D|null} Context scaled to CSS pixels
+     */
+    getContext() {
+        let context = null;
+        try {
+            context = this.canvas.getContext('2d');
+        } catch (error) {
+            context = null;
+        }
+        if (!context) return null;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.container.clientWidth || 0;
+        const height = this.options.height;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        return context;
+    }
+
+    /**
+     * Redraw axes, points and the lasso in progress
+     */
+    draw() {
+        const context = this.getContext();
+        if (!context) return;
+
+        const area = this.getPlotArea();
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (!this.domain) {
+            context.fillStyle = AXIS_COLOR;
+            context.font = '12px sans-serif';
+            context.textAlign = 'center';
+            context.fillText('No points to plot', area.left + area.width / 2, area.top + area.height / 2);
+            return;
+        }
+
+        this.drawAxes(context, area);
+
+        // Unselected points first, so the selection stays visible on top
+        const selected = this.selection;
+        const ordered = selected
+            ? [...this.points.filter(point => !selected.has(point.id)), ...this.points.filter(point => selected.has(point.id))]
+            : this.points;
+        const radius = this.points.length > 2000 ? 2 : 3;
+
+        ordered.forEach(point => {
+            const { x, y } = this.toCanvas(point);
+            context.globalAlpha = selected && !selected.has(point.id) ? DIMMED_ALPHA : 0.85;
+            context.fillStyle = point.color;
+            context.beginPath();
+            context.arc(x, y, radius, 0, Math.PI * 2);
+            context.fill();
+        });
+        context.globalAlpha = 1;
+
+        if (this.hovered) {
+            const { x, y } = this.toCanvas(this.hovered);
+            context.strokeStyle = AXIS_COLOR;
+            context.lineWidth = 1.5;
+            context.beginPath();
+            context.arc(x, y, radius + 3, 0, Math.PI * 2);
+            context.stroke();
+        }
+
+        if (this.lasso && this.lasso.path.length > 1) {
+            context.strokeStyle = LASSO_COLOR;
+            context.fillStyle = 'rgba(37, 99, 235, 0.08)';
+            context.lineWidth = 1;
+            context.setLineDash([4, 3]);
+            context.beginPath();
+            this.lasso.path.forEach(({ x, y }, index) => (index === 0 ? context.moveTo(x, y) : context.lineTo(x, y)));
+            context.closePath();
+            context.fill();
+            context.stroke();
+            context.setLineDash([]);
+        }
+    }
+
+    /**
+     * Draw grid lines, tick labels and axis titles
+     * @param {CanvasRenderingContext2D} context - Drawing context
+     * @param {Object} area - Plot area
+     */
+    drawAxes(context, area) {
+        const xTicks = this.getTicks(...this.domain.x);
+        const yTicks = this.getTicks(...this.domain.y);
+
+        context.font = '11px sans-serif';
+        context.lineWidth = 1;
+
+        xTicks.forEach(value => {
+            const { x } = this.toCanvas({ x: value, y: this.domain.y[0] });
+            context.strokeStyle = GRID_COLOR;
+            context.beginPath();
+            context.moveTo(x, area.top);
+            context.lineTo(x, area.top + area.height);
+            context.stroke();
+            context.fillStyle = AXIS_COLOR;
+            context.textAlign = 'center';
+            context.textBaseline = 'top';
+            context.fillText(this.formatTick(value, xTicks), x, area.top + area.height + 4);
+        });
+
+        yTicks.forEach(value => {
+            const { y } = this.toCanvas({ x: this.domain.x[0], y: value });
+            context.strokeStyle = GRID_COLOR;
+            context.beginPath();
+            context.moveTo(area.left, y);
+            context.lineTo(area.left + area.width, y);
+            context.stroke();
+            context.fillStyle = AXIS_COLOR;
+            context.textAlign = 'right';
+            context.textBaseline = 'middle';
+            context.fillText(this.formatTick(value, yTicks), area.left - 6, y);
+        });
+
+        context.strokeStyle = AXIS_COLOR;
+        context.strokeRect(area.left, area.top, area.width, area.height);
+
+        context.fillStyle = AXIS_COLOR;
+        context.font = '12px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'bottom';
+        context.fillText(this.labels.x, area.left + area.width / 2, this.options.height - 2);
+
+        context.save();
+        context.translate(12, area.top + area.height / 2);
+        context.rotate(-Math.PI / 2);
+        context.textBaseline = 'middle';
+        context.fillText(this.labels.y, 0, 0);
+        context.restore();
+    }
+
+    /**
+     * Pointer position relative to the canvas
+     * @param {PointerEvent} event - Pointer event
+     * @returns {Object} {x, y} in CSS pixels
+     */
+    getPointerPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    /**
+     * Nearest point within the hit radius
+     * @param {Object} position - Canvas position {x, y}
+     * @returns {Object|null} Point or null
+     */
+    findPoint(position) {
+        if (!this.domain) return null;
+
+        let best = null;
+        let bestDistance = HIT_RADIUS * HIT_RADIUS;
+        this.points.forEach(point => {
+            const { x, y } = this.toCanvas(point);
+            const distance = (x - position.x) ** 2 + (y - position.y) ** 2;
+            if (distance <= bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Start a lasso (or a click)
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerDown(event) {
+        if (event.button !== 0 || !this.domain) return;
+
+        const position = this.getPointerPosition(event);
+        this.lasso = { start: position, path: [position], dragging: false };
+        this.canvas.setPointerCapture?.(event.pointerId);
+        this.hideTooltip();
+    }
+
+    /**
+     * Extend the lasso, or update the hovered point
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerMove(event) {
+        const position = this.getPointerPosition(event);
+
+        if (this.lasso) {
+            const { start } = this.lasso;
+            if (!this.lasso.dragging && Math.hypot(position.x - start.x, position.y - start.y) >= DRAG_THRESHOLD) {
+                this.lasso.dragging = true;
+            }
+            if (this.lasso.dragging) {
+                this.lasso.path.push(position);
+                this.scheduleDraw();
+            }
+            return;
+        }
+
+        const point = this.findPoint(position);
+        if (point !== this.hovered) {
+            this.hovered = point;
+            this.scheduleDraw();
+        }
+        if (point) {
+            this.showTooltip(point);
+        } else {
+            this.hideTooltip();
+        }
+    }
+
+    /**
+     * Finish a lasso (selecting the points inside it) or report a click
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerUp(event) {
+        const lasso = this.lasso;
+        this.lasso = null;
+        if (!lasso) return;
+
+        if (!lasso.dragging) {
+            const point = this.findPoint(this.getPointerPosition(event));
+            if (point) this.options.onPointClick(point);
+            return;
+        }
+
+        const ids = lasso.path.length > 2
+            ? this.points.filter(point => this.isInside(this.toCanvas(point), lasso.path)).map(point => point.id)
+            : [];
+        this.draw();
+        this.options.onSelect(ids);
+    }
+
+    /**
+     * Hide the hover state when the pointer leaves the canvas
+     */
+    handlePointerLeave() {
+        if (this.lasso) return;
+
+        this.hovered = null;
+        this.hideTooltip();
+        this.scheduleDraw();
+    }
+
+    /**
+     * Point-in-polygon test (even-odd rule)
+     * @param {Object} position - Canvas position {x, y}
+     * @param {Array<Object>} polygon - Lasso path
+     * @returns {boolean} Whether the position is inside
+     */
+    isInside(position, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > position.y) !== (b.y > position.y)
+                && position.x < ((b.x - a.x) * (position.y - a.y)) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Show the tooltip of a point next to it, kept inside the container
+     * @param {Object} point - Hovered point
+     */
+    showTooltip(point) {
+        if (this.tooltip.dataset.id !== String(point.id)) {
+            this.tooltip.innerHTML = this.options.renderTooltip(point);
+            this.tooltip.dataset.id = String(point.id);
+        }
+        this.tooltip.hidden = false;
+
+        const { x, y } = this.toCanvas(point);
+        const width = this.tooltip.offsetWidth;
+        const height = this.tooltip.offsetHeight;
+        const containerWidth = this.container.clientWidth;
+        const left = x + 12 + width > containerWidth ? x - 12 - width : x + 12;
+        const top = Math.max(0, Math.min(this.options.height - height, y - height / 2));
+
+        this.tooltip.style.left = `${Math.max(0, left)}px`;
+        this.tooltip.style.top = `${top}px`;
+    }
+
+    /**
+     * Hide the tooltip
+     */
+    hideTooltip() {
+        this.tooltip.hidden = true;
+    }
+
+    /**
+     * Redraw on the next animation frame
+     */
+    scheduleDraw() {
+        if (this.frame !== null) return;
+
+        const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : callback => setTimeout(callback, 16);
+        this.frame = schedule(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    /**
+     * Redraw at the new container width
+     */
+    handleResize() {
+        this.scheduleDraw();
+    }
+
+    /**
+     * Remove listeners, pending frames and the plot elements
+     */
+    destroy() {
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+        this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+        this.canvas.removeEventListener('pointerleave', this.handlePointerLeave);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        } else {
+            window.removeEventListener('resize', this.handleResize);
+        }
+
+        if (this.frame !== null) {
+            const cancel = typeof cancelAnimationFrame === 'function' ? cancelAnimationFrame : clearTimeout;
+            cancel(this.frame);
+            this.frame = null;
+        }
+
+        this.canvas.remove();
+        this.tooltip.remove();
+    }
+}
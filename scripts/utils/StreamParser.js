@@ -0,0 +1,151 @@
+/**
+ * ================================================
+ * StreamParser Utility
+ * ================================================
+ *
+ * Splits a streamed response body into JSON messages as the chunks
+ * arrive. Two framings are understood: NDJSON (one JSON object per
+ * line) and Server-Sent Events (events separated by blank lines, with
+ * JSON in their data lines).
+ *
+ * Features:
+ * - Format detection from the response Content-Type
+ * - Partial lines and events are buffered until the next chunk
+ * - SSE event names become the message type, comments and ids are ignored
+ * - Malformed messages are reported as parse errors with their text
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Content types of the supported framings
+const SSE_CONTENT_TYPES = ['text/event-stream'];
+const NDJSON_CONTENT_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines'];
+
+export class StreamParser {
+    /**
+     * Streaming format of a response, from its Content-Type
+     * @param {string|null} contentType - Content-Type header value
+     * @returns {string|null} 'sse', 'ndjson', or null for a one-shot response
+     */
+    static getFormat(contentType) {
+        const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+        if (SSE_CONTENT_TYPES.includes(mediaType)) return 'sse';
+        if (NDJSON_CONTENT_TYPES.includes(mediaType)) return 'ndjson';
+        return null;
+    }
+
+    /**
+     * Initialize the parser
+     * @param {string} format - 'sse' or 'ndjson'
+     */
+    constructor(format) {
+        if (format !== 'sse' && format !== 'ndjson') {
+            throw new Error(`Unsupported stream format: ${format}`);
+        }
+
+        this.format = format;
+        this.buffer = '';
+
+        // A chunk-final \r, held back in case the next chunk starts with its \n
+        this.pendingCR = false;
+    }
+
+    /**
+     * Add a decoded chunk and return the messages it completes
+     * @param {string} text - Decoded chunk
+     * @returns {Array<Object>} Complete messages
+     */
+    push(text) {
+        let raw = this.pendingCR ? `\r${text}` : text;
+        this.pendingCR = raw.endsWith('\r');
+        if (this.pendingCR) raw = raw.slice(0, -1);
+
+        this.buffer += raw.replace(/\r\n?/g, '\n');
+
+        const separator = this.format === 'sse' ? '\n\n' : '\n';
+        const blocks = this.buffer.split(separator);
+        this.buffer = blocks.pop();
+
+        return this.parseBlocks(blocks);
+    }
+
+    /**
+     * Parse whatever is left once the stream has ended
+     * @returns {Array<Object>} Remaining messages
+     */
+    flush() {
+        // A held-back \r only ends the last line, which ends here anyway
+        const rest = this.buffer;
+        this.buffer = '';
+        this.pendingCR = false;
+        return this.parseBlocks([rest]);
+    }
+
+    /**
+     * Parse complete lines (NDJSON) or events (SSE)
+     * @param {Array<string>} blocks - Complete blocks
+     * @returns {Array<Object>} Messages
+     */
+    parseBlocks(blocks) {
+        return blocks
+            .map(block => (this.format === 'sse' ? this.parseEvent(block) : this.parseLine(block)))
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse one NDJSON line
+     * @param {string} line - Line without its newline
+     * @returns {Object|null} Message, or null for a blank line
+     */
+    parseLine(line) {
+        const text = line.trim();
+        if (!text) return null;
+
+        return this.parseJson(text, null);
+    }
+
+    /**
+     * Parse one Server-Sent Event
+     * @param {string} block - Event lines without the separating blank line
+     * @returns {Object|null} Message, or null for an event without data
+     */
+    parseEvent(block) {
+        let type = null;
+        const data = [];
+
+        block.split('\n').forEach(line => {
+            if (!line || line.startsWith(':')) return;
+
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+            if (field === 'event') type = value;
+            if (field === 'data') data.push(value);
+        });
+
+        if (data.length === 0) return null;
+
+        return this.parseJson(data.join('\n'), type);
+    }
+
+    /**
+     * Parse a message body
+     * @param {string} text - JSON text
+     * @param {string|null} type - SSE event name, used when the body has no type of its own
+     * @returns {Object} Message (type 'parse-error' with the text when it is not a JSON object)
+     */
+    parseJson(text, type) {
+        try {
+            const value = JSON.parse(text);
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error('Message is not a JSON object');
+            }
+
+            return type && type !== 'message' && !value.type ? { type, ...value } : value;
+        } catch (error) {
+            return { type: 'parse-error', text, error: error.message };
+        }
+    }
+}
@@ -0,0 +1,284 @@
+/**
+ * ================================================
+ * VirtualList Utility
+ * ================================================
+ *
+ * Renders only the rows of a long list (or grid) that are inside
+ * the visible part of a scroll container. A spacer element keeps the
+ * full scroll height so the scrollbar behaves as if every row existed.
+ *
+ * Features:
+ * - Fixed-height rows with one or more items per row (grids)
+ * - Row height measured from the first rendered row
+ * - Scroll and resize handling throttled to animation frames
+ * - Scrolling a given item into view for keyboard navigation
+ *
+ * @author MolGPT Team
+ * ================================================
+ */
+
+// Rows rendered above and below the visible area
+const DEFAULT_OVERSCAN = 4;
+
+// Viewport height assumed when the scroll container has no layout yet
+const FALLBACK_VIEWPORT_HEIGHT = 800;
+
+export class VirtualList {
+    /**
+     * Initialize the VirtualList
+     * @param {HTMLElement} scrollElement - Element that scrolls vertically
+     * @param {Object} options - List options
+     * @param {Function} options.renderItems - (start, end) => HTML for items in [start, end)
+     * @param {Function} options.onRender - Called after the window has been re-rendered
+     * @param {number} options.overscan - Extra rows rendered outside the viewport
+     */
+    constructor(scrollElement, options = {}) {
+        this.scrollElement = scrollElement;
+        this.options = {
+            renderItems: options.renderItems || (() => ''),
+            onRender: options.onRender || (() => {}),
+            overscan: options.overscan ?? DEFAULT_OVERSCAN
+        };
+
+        // Current list layout
+        this.spacer = null;
+        this.window = null;
+        this.itemCount = 0;
+        this.columns = 1;
+        this.rowHeight = 0;
+        this.getColumns = () => 1;
+
+        // Range currently in the DOM
+        this.range = { start: -1, end: -1 };
+        this.frame = null;
+
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+
+        this.scrollElement.addEventListener('scroll', this.handleScroll, { passive: true });
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(this.handleResize);
+            this.resizeObserver.observe(this.scrollElement);
+        } else {
+            window.addEventListener('resize', this.handleResize);
+        }
+    }
+
+    /**
+     * Attach the list to freshly rendered spacer/window elements
+     * @param {Object} layout - List layout
+     * @param {HTMLElement} layout.spacer - Element sized to the full list height
+     * @param {HTMLElement} layout.window - Element holding the rendered rows
+     * @param {number} layout.itemCount - Number of items in the list
+     * @param {number} layout.rowHeight - Estimated row height in pixels (including gap)
+     * @param {Function} layout.getColumns - Returns the number of items per row
+     */
+    attach({ spacer, window: windowElement, itemCount, rowHeight, getColumns }) {
+        this.spacer = spacer;
+        this.window = windowElement;
+        this.itemCount = itemCount;
+        this.rowHeight = rowHeight;
+        this.getColumns = getColumns || (() => 1);
+        this.columns = Math.max(1, this.getColumns());
+        this.range = { start: -1, end: -1 };
+
+        this.updateSpacerHeight();
+        this.update(true);
+    }
+
+    /**
+     * Detach from the current elements (e.g. when the list is emptied)
+     */
+    detach() {
+        this.spacer = null;
+        this.window = null;
+        this.itemCount = 0;
+        this.range = { start: -1, end: -1 };
+    }
+
+    /**
+     * Handle scrolling of the container
+     */
+    handleScroll() {
+        this.scheduleUpdate();
+    }
+
+    /**
+     * Handle size changes of the container (may change the column count)
+     */
+    handleResize() {
+        if (!this.spacer) return;
+
+        const columns = Math.max(1, this.getColumns());
+        if (columns !== this.columns) {
+            this.columns = columns;
+            this.updateSpacerHeight();
+            this.range = { start: -1, end: -1 };
+        }
+        this.scheduleUpdate();
+    }
+
+    /**
+     * Re-render on the next animation frame
+     */
+    scheduleUpdate() {
+        if (this.frame !== null || !this.spacer) return;
+
+        const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : callback => setTimeout(callback, 16);
+        this.frame = schedule(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    /**
+     * Number of rows in the list
+     * @returns {number} Row count
+     */
+    getRowCount() {
+        return Math.ceil(this.itemCount / this.columns);
+    }
+
+    /**
+     * Set the spacer to the full height of all rows
+     */
+    updateSpacerHeight() {
+        if (this.spacer) {
+            this.spacer.style.height = `${this.getRowCount() * this.rowHeight}px`;
+        }
+    }
+
+    /**
+     * Offset of the spacer from the top of the scrollable content
+     * @returns {number} Offset in pixels
+     */
+    getSpacerOffset() {
+        const spacerRect = this.spacer.getBoundingClientRect();
+        const scrollRect = this.scrollElement.getBoundingClientRect();
+        return spacerRect.top - scrollRect.top + this.scrollElement.scrollTop;
+    }
+
+    /**
+     * Visible height of the scroll container
+     * @returns {number} Height in pixels
+     */
+    getViewportHeight() {
+        return this.scrollElement.clientHeight || FALLBACK_VIEWPORT_HEIGHT;
+    }
+
+    /**
+     * Render the rows that intersect the viewport
+     * @param {boolean} force - Re-render even if the range did not change
+     */
+    update(force = false) {
+        if (!this.spacer || !this.window) return;
+
+        const rowHeight = this.rowHeight || 1;
+        const top = this.scrollElement.scrollTop - this.getSpacerOffset();
+        const { overscan } = this.options;
+
+        const firstRow = Math.max(0, Math.floor(top / rowHeight) - overscan);
+        const lastRow = Math.min(this.getRowCount(), Math.ceil((top + this.getViewportHeight()) / rowHeight) + overscan);
+        const start = Math.min(this.itemCount, firstRow * this.columns);
+        const end = Math.min(this.itemCount, Math.max(lastRow, firstRow) * this.columns);
+
+        if (!force && start === this.range.start && end === this.range.end) return;
+
+        this.range = { start, end };
+        this.window.style.transform = `translateY(${firstRow * rowHeight}px)`;
+        this.window.innerHTML = this.options.renderItems(start, end);
+
+        if (this.measureRowHeight()) {
+            // Estimated height was off: redo the layout with the measured value
+            this.updateSpacerHeight();
+            this.update(true);
+            return;
+        }
+
+        this.options.onRender(start, end);
+    }
+
+    /**
+     * Measure the real row height from the first rendered row
+     * @returns {boolean} Whether the row height changed
+     */
+    measureRowHeight() {
+        const first = this.window.firstElementChild;
+        if (!first) return false;
+
+        const height = first.getBoundingClientRect().height;
+        if (!height) return false;
+
+        const styles = getComputedStyle(this.window);
+        const gap = parseFloat(styles.rowGap) || 0;
+        const measured = height + gap;
+
+        if (Math.abs(measured - this.rowHeight) < 0.5) return false;
+
+        this.rowHeight = measured;
+        return true;
+    }
+
+    /**
+     * Index of the first item whose row is at least partly visible
+     * @returns {number} Item index
+     */
+    getFirstVisibleIndex() {
+        if (!this.spacer || !this.rowHeight) return 0;
+
+        const top = this.scrollElement.scrollTop - this.getSpacerOffset();
+        const row = Math.max(0, Math.floor(top / this.rowHeight));
+        return Math.min(this.itemCount - 1, row * this.columns);
+    }
+
+    /**
+     * Scroll the container so an item is visible
+     * @param {number} index - Item index
+     * @param {string} align - 'nearest' (minimal scroll) or 'start' (row at the top)
+     */
+    scrollToIndex(index, align = 'nearest') {
+        if (!this.spacer || index < 0 || index >= this.itemCount) return;
+
+        const offset = this.getSpacerOffset();
+        const rowTop = offset + Math.floor(index / this.columns) * this.rowHeight;
+        const rowBottom = rowTop + this.rowHeight;
+        const viewTop = this.scrollElement.scrollTop;
+        const viewBottom = viewTop + this.getViewportHeight();
+
+        if (align === 'start' || rowTop < viewTop) {
+            this.scrollElement.scrollTop = rowTop;
+        } else if (rowBottom > viewBottom) {
+            this.scrollElement.scrollTop = rowBottom - this.getViewportHeight();
+        }
+
+        this.update();
+    }
+
+    /**
+     * Number of rows that fit in the viewport
+     * @returns {number} Rows per page
+     */
+    getRowsPerPage() {
+        return Math.max(1, Math.floor(this.getViewportHeight() / (this.rowHeight || 1)));
+    }
+
+    /**
+     * Remove listeners and pending frames
+     */
+    destroy() {
+        this.scrollElement.removeEventListener('scroll', this.handleScroll);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        } else {
+            window.removeEventListener('resize', this.handleResize);
+        }
+
+        if (this.frame !== null) {
+            const cancel = typeof cancelAnimationFrame === 'function' ? cancelAnimationFrame : clearTimeout;
+            cancel(this.frame);
+            this.frame = null;
+        }
+
+        this.detach();
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Canonical SMILES cases
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CanonicalSmiles } from '../scripts/chemistry/CanonicalSmiles.js';
+
+const canonical = new CanonicalSmiles();
+
+// Assert that every spelling gives one and the same canonical SMILES
+const assertSame = (...spellings) => {
+    const forms = new Set(spellings.map(smiles => canonical.fromSmiles(smiles)));
+    assert.equal(forms.size, 1, `${spellings.join(', ')} → ${[...forms].join(', ')}`);
+};
+
+test('different spellings of a structure give one canonical SMILES', () => {
+    assertSame('OCC', 'CCO', 'C(O)C', '[CH3][CH2][OH]', '[H]OCC');
+    assertSame('CC(C)(C)C', 'C(C)(C)(C)C');
+    assert.equal(canonical.fromSmiles('OCC'), 'CCO');
+});
+
+test('aromatic and Kekulé input give the same output', () => {
+    assertSame('c1ccccc1O', 'Oc1ccccc1', 'C1=CC=C(O)C=C1');
+    assertSame('Cn1cnc2c1c(=O)n(C)c(=O)n2C', 'CN1C=NC2=C1C(=O)N(C)C(=O)N2C');
+});
+
+test('fragments are sorted', () => {
+    assertSame('CC(=O)[O-].[Na+]', '[Na+].[O-]C(C)=O', '[Na+].CC(=O)[O-]');
+});
+
+test('tetrahedral stereo is kept, and enantiomers stay distinct', () => {
+    assertSame('C[C@H](N)C(=O)O', 'N[C@@H](C)C(=O)O');
+    assert.notEqual(canonical.fromSmiles('C[C@H](N)C(=O)O'), canonical.fromSmiles('C[C@@H](N)C(=O)O'));
+});
+
+test('double bond stereo is kept', () => {
+    assertSame('F/C=C/F', 'F\\C=C\\F');
+    assert.notEqual(canonical.fromSmiles('F/C=C/F'), canonical.fromSmiles('F/C=C\\F'));
+});
+
+test('ring cis/trans isomers stay distinct whichever atom is written first', () => {
+    assertSame('C[C@H]1CC[C@@H](C)CC1', 'C[C@@H]1CC[C@H](C)CC1');
+    assertSame('C[C@H]1CC[C@H](C)CC1', 'C[C@@H]1CC[C@@H](C)CC1');
+    assert.notEqual(canonical.fromSmiles('C[C@H]1CC[C@@H](C)CC1'), canonical.fromSmiles('C[C@H]1CC[C@H](C)CC1'));
+});
+
+test('stereo marks on atoms or bonds that are not stereogenic are dropped', () => {
+    assert.equal(canonical.fromSmiles('C[C@H](C)O'), 'CC(C)O');
+    assert.equal(canonical.fromSmiles('C/C=C(/C)C'), 'CC=C(C)C');
+});
+
+test('isotopes are kept', () => {
+    assertSame('[2H]C', 'C[2H]');
+    assert.notEqual(canonical.fromSmiles('[2H]C'), canonical.fromSmiles('C'));
+});
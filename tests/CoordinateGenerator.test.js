@@ -0,0 +1,53 @@
+/**
+ * 2D layout cases
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmilesParser } from '../scripts/chemistry/SmilesParser.js';
+import { CoordinateGenerator } from '../scripts/chemistry/CoordinateGenerator.js';
+
+const parser = new SmilesParser();
+const generator = new CoordinateGenerator();
+
+// Closest non-bonded atoms and the bond length range of a layout, in bond lengths
+const measure = smiles => {
+    const molecule = parser.parse(smiles);
+    const points = generator.generate(molecule);
+    const distance = (a, b) => Math.hypot(points[a].x - points[b].x, points[a].y - points[b].y);
+    let closest = Infinity;
+
+    for (let i = 0; i < points.length; i++) {
+        for (let j = i + 1; j < points.length; j++) {
+            if (!molecule.getBond(i, j)) closest = Math.min(closest, distance(i, j));
+        }
+    }
+
+    const bonds = molecule.bonds.map(bond => distance(bond.begin, bond.end));
+    return { closest, shortestBond: Math.min(...bonds), longestBond: Math.max(...bonds) };
+};
+
+const BRIDGED = {
+    morphine: 'CN1CC[C@]23c4c5ccc(O)c4O[C@H]2[C@@H](O)C=C[C@H]3[C@H]1C5',
+    camphor: 'CC1(C)C2CCC1(C)C(=O)C2',
+    taxol: 'CC1=C2[C@@]([C@]([C@H]([C@@H]3[C@]4([C@H](OC4)C[C@@H]([C@]3(C(=O)[C@@H]2OC(=O)C)C)O)OC(=O)C)OC(=O)c5ccccc5)(C[C@@H]1OC(=O)[C@H](O)[C@@H](NC(=O)c6ccccc6)c7ccccc7)O)(C)C',
+    adamantane: 'C1C2CC3CC1CC(C2)C3'
+};
+
+Object.entries(BRIDGED).forEach(([name, smiles]) => {
+    test(`${name}: no atoms closer than half a bond, bonds kept near unit length`, () => {
+        const { closest, shortestBond, longestBond } = measure(smiles);
+
+        assert.ok(closest >= 0.5, `closest non-bonded atoms ${closest.toFixed(2)} apart`);
+        assert.ok(shortestBond > 0.7 && longestBond < 1.4, `bonds from ${shortestBond.toFixed(2)} to ${longestBond.toFixed(2)}`);
+    });
+});
+
+test('fused and plain molecules keep regular unit bonds', () => {
+    ['c1ccc2ccccc2c1', 'CC(C)Cc1ccc(cc1)C(C)C(=O)O', 'C1CCC2(CC1)CCCC2'].forEach(smiles => {
+        const { closest, shortestBond, longestBond } = measure(smiles);
+
+        assert.ok(closest >= 0.8, `${smiles}: closest non-bonded atoms ${closest.toFixed(2)} apart`);
+        assert.ok(Math.abs(shortestBond - 1) < 1e-6 && Math.abs(longestBond - 1) < 1e-6, smiles);
+    });
+});
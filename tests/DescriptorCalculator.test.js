@@ -0,0 +1,28 @@
+/**
+ * Descriptor regression cases
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmilesParser } from '../scripts/chemistry/SmilesParser.js';
+import { DescriptorCalculator } from '../scripts/chemistry/DescriptorCalculator.js';
+
+const parser = new SmilesParser();
+const calculator = new DescriptorCalculator();
+const rotatableBonds = smiles => calculator.calculate(parser.parse(smiles)).rotatableBonds;
+
+test('secondary amide C-N bonds are not rotatable, the nitrogen\'s other bonds are', () => {
+    assert.equal(rotatableBonds('CC(=O)Nc1ccc(O)cc1'), 1); // paracetamol
+    assert.equal(rotatableBonds('CCCNC(=O)C'), 2);
+    assert.equal(rotatableBonds('CC(=O)NCCc1ccccc1'), 3);
+});
+
+test('tertiary amide C-N bonds stay rotatable', () => {
+    assert.equal(rotatableBonds('CCN(C)C(=O)CC'), 3);
+});
+
+test('terminal, ring and triple-bonded neighbours are not rotors', () => {
+    assert.equal(rotatableBonds('CCCC'), 1);
+    assert.equal(rotatableBonds('C1CCCCC1'), 0);
+    assert.equal(rotatableBonds('CC#CC'), 0);
+});
@@ -0,0 +1,45 @@
+/**
+ * Kekulé structure assignment cases
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmilesParser } from '../scripts/chemistry/SmilesParser.js';
+import { Kekulizer } from '../scripts/chemistry/Kekulizer.js';
+
+const parser = new SmilesParser();
+const kekulizer = new Kekulizer();
+
+// Number of aromatic bonds that become double bonds, or null without a Kekulé structure
+const doubleBonds = smiles => {
+    const orders = kekulizer.kekulize(parser.parse(smiles));
+    return orders && [...orders.values()].filter(order => order === 2).length;
+};
+
+test('every aromatic bond gets order 1 or 2, and each ring atom one double bond', () => {
+    const molecule = parser.parse('c1ccc2ccccc2c1');
+    const orders = kekulizer.kekulize(molecule);
+    const aromaticBonds = molecule.bonds.filter(bond => bond.aromatic);
+
+    assert.equal(orders.size, aromaticBonds.length);
+    molecule.atoms.forEach(atom => {
+        const doubles = molecule.bonds.filter(bond => orders.get(bond.index) === 2 && (bond.begin === atom.index || bond.end === atom.index));
+        assert.equal(doubles.length, 1);
+    });
+});
+
+test('pyridine-type atoms take a double bond, pyrrole-type atoms do not', () => {
+    assert.equal(doubleBonds('c1ccccc1'), 3);
+    assert.equal(doubleBonds('c1ccncc1'), 3);
+    assert.equal(doubleBonds('c1cc[nH]c1'), 2);
+    assert.equal(doubleBonds('c1ccoc1'), 2);
+    assert.equal(doubleBonds('Cn1cnc2c1c(=O)n(C)c(=O)n2C'), 2); // caffeine
+});
+
+test('molecules without aromatic bonds get an empty map', () => {
+    assert.equal(kekulizer.kekulize(parser.parse('CCO')).size, 0);
+});
+
+test('an aromatic system without a Kekulé structure gives null', () => {
+    assert.equal(doubleBonds('c1cccc1'), null);
+});
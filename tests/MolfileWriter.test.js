@@ -0,0 +1,68 @@
+/**
+ * MOL V2000 and SDF writing cases
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmilesParser } from '../scripts/chemistry/SmilesParser.js';
+import { MolfileWriter } from '../scripts/chemistry/MolfileWriter.js';
+import { MolfileParser } from '../scripts/chemistry/MolfileParser.js';
+
+const parser = new SmilesParser();
+const writer = new MolfileWriter();
+
+// Atom and bond lines of a MOL block
+const blocks = mol => {
+    const lines = mol.split('\n');
+    const atoms = parseInt(lines[3].slice(0, 3), 10);
+    const bonds = parseInt(lines[3].slice(3, 6), 10);
+    return {
+        atoms: lines.slice(4, 4 + atoms),
+        bonds: lines.slice(4 + atoms, 4 + atoms + bonds),
+        properties: lines.slice(4 + atoms + bonds)
+    };
+};
+
+test('the header, counts line and terminator follow V2000', () => {
+    const mol = writer.write(parser.parse('CCO'), { name: 'ethanol' });
+    const lines = mol.split('\n');
+
+    assert.equal(lines[0], 'ethanol');
+    assert.match(lines[1], /^ {2}MolGPT {2}\d{10}2D$/);
+    assert.equal(lines[3], '  3  2  0  0  0  0  0  0  0  0999 V2000');
+    assert.equal(lines.at(-1), 'M  END');
+});
+
+test('aromatic bonds are written in Kekulé form', () => {
+    const { bonds } = blocks(writer.write(parser.parse('c1ccccc1')));
+    const types = bonds.map(line => parseInt(line.slice(6, 9), 10));
+
+    assert.equal(types.filter(type => type === 2).length, 3);
+    assert.equal(types.filter(type => type === 1).length, 3);
+});
+
+test('charges, attachment points and stereo wedges are written', () => {
+    const { bonds, properties } = blocks(writer.write(parser.parse('C[C@H](N)C(=O)[O-].[Na+]')));
+    assert.ok(properties.includes('M  CHG  2   6  -1   7   1'));
+    assert.equal(bonds.filter(line => parseInt(line.slice(9, 12), 10) !== 0).length, 1);
+
+    const scaffold = blocks(writer.write(parser.parse('[*:1]c1ccccc1')));
+    assert.match(scaffold.atoms[0], / R# /);
+    assert.ok(scaffold.properties.includes('M  RGP  1   1   1'));
+});
+
+test('SDF records carry non-empty data fields and end with $$$$', () => {
+    const record = writer.writeSdfRecord(parser.parse('CCO'), { name: 'ethanol', fields: [['ID', 7], ['Empty', ''], ['Note', 'a\nb']] });
+
+    assert.ok(record.includes('>  <ID>\n7\n'));
+    assert.ok(!record.includes('<Empty>'));
+    assert.ok(!record.includes('a\nb'));
+    assert.ok(record.endsWith('$$$$\n'));
+});
+
+test('a written MOL block reads back with the same atoms and bond orders', () => {
+    const molecule = new MolfileParser().parse(writer.write(parser.parse('Oc1ccccc1')));
+
+    assert.deepEqual(molecule.atoms.map(atom => atom.element), ['O', 'C', 'C', 'C', 'C', 'C', 'C']);
+    assert.equal(molecule.bonds.filter(bond => bond.order === 2).length, 3);
+});
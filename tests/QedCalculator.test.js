@@ -0,0 +1,26 @@
+/**
+ * QED reference values from RDKit (rdkit.Chem.QED.qed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmilesParser } from '../scripts/chemistry/SmilesParser.js';
+import { QedCalculator } from '../scripts/chemistry/QedCalculator.js';
+
+const parser = new SmilesParser();
+const calculator = new QedCalculator();
+const qed = smiles => calculator.calculate(parser.parse(smiles));
+
+test('QED matches the RDKit reference values', () => {
+    assert.ok(Math.abs(qed('CC(=O)Oc1ccccc1C(=O)O').qed - 0.550) < 0.005); // aspirin
+    assert.ok(Math.abs(qed('Cn1cnc2c1c(=O)n(C)c(=O)n2C').qed - 0.538) < 0.005); // caffeine
+    assert.ok(Math.abs(qed('CC(C)Cc1ccc(cc1)C(C)C(=O)O').qed - 0.822) < 0.005); // ibuprofen
+});
+
+test('alerts and rotatable bonds follow the QED definitions', () => {
+    const { properties } = qed('CC(=O)Oc1ccccc1C(=O)O');
+    assert.equal(properties.ALERTS, 2); // phenyl ester and ester
+    assert.equal(properties.ROTB, 2); // the ester C-O bond is not counted
+    assert.equal(qed('Cn1cnc2c1c(=O)n(C)c(=O)n2C').properties.ALERTS, 0);
+    assert.equal(qed('C[As](C)C').properties.ALERTS, 1);
+});
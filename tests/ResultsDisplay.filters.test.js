@@ -0,0 +1,76 @@
+/**
+ * Range filter inputs in ResultsDisplay
+ * Needs jsdom: npm install --no-save jsdom
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<div data-component="results"><div data-element="results-content"></div></div>', { url: 'http://localhost/' });
+Object.assign(globalThis, {
+    window: dom.window,
+    document: dom.window.document,
+    localStorage: dom.window.localStorage,
+    HTMLElement: dom.window.HTMLElement,
+    getComputedStyle: dom.window.getComputedStyle
+});
+
+// jsdom has no canvas; depictions are SVG and the charts are not opened here
+dom.window.HTMLCanvasElement.prototype.getContext = () => null;
+
+const { ResultsDisplay } = await import('../scripts/components/ResultsDisplay.js');
+const { EventBus } = await import('../scripts/utils/EventBus.js');
+
+test('an unparseable bound is cleared and its input marked invalid', () => {
+    const eventBus = new EventBus();
+    const display = new ResultsDisplay(document.querySelector('[data-component="results"]'), { eventBus });
+    eventBus.emit('results:display', {
+        generated_molecules: [{ smiles: 'CCO', valid: true }, { smiles: 'CCCCCCCCCCCC', valid: true }],
+        total_generated: 2,
+        valid_molecules: 2
+    });
+
+    const input = document.querySelector('[data-input="filter-max"][data-column="molecularWeight"]');
+    const type = value => {
+        input.value = value;
+        input.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+    };
+
+    type('100');
+    assert.deepEqual(display.state.filters.molecularWeight, { min: null, max: 100 });
+    assert.equal(input.getAttribute('aria-invalid'), 'false');
+
+    // Browsers report partial input such as "-" as an empty value with badInput set
+    Object.defineProperty(input, 'validity', { value: { badInput: true }, configurable: true });
+    type('');
+    assert.equal(display.state.filters.molecularWeight, undefined);
+    assert.equal(input.getAttribute('aria-invalid'), 'true');
+    assert.ok(input.classList.contains('results__filter-input--invalid'));
+
+    Object.defineProperty(input, 'validity', { value: { badInput: false }, configurable: true });
+    type('150');
+    assert.deepEqual(display.state.filters.molecularWeight, { min: null, max: 150 });
+    assert.equal(input.getAttribute('aria-invalid'), 'false');
+
+    display.destroy();
+});
+
+test('results that substitute a locked attachment point can be filtered out', () => {
+    const eventBus = new EventBus();
+    const display = new ResultsDisplay(document.querySelector('[data-component="results"]'), { eventBus });
+    eventBus.emit('results:display', {
+        generated_molecules: [{ smiles: 'Cc1ccccc1', valid: true }, { smiles: 'Cc1ccc(C)cc1', valid: true }],
+        total_generated: 2,
+        valid_molecules: 2,
+        requestParams: { mode: 'Scaffold Decoration', scaffold: '[*:1]c1ccc([*:2])cc1', locked_attachment_points: [2] }
+    });
+
+    const input = document.querySelector('[data-input="filter-min"][data-column="locksKept"]');
+    assert.ok(input, 'lock column offered as a filter');
+    input.value = '1';
+    input.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+    assert.deepEqual(display.getVisibleRecords().map(record => record.smiles), ['Cc1ccccc1']);
+
+    display.destroy();
+});
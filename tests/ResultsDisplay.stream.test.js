@@ -0,0 +1,51 @@
+/**
+ * Streamed results in ResultsDisplay
+ * Needs jsdom: npm install --no-save jsdom
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<div data-component="results"><div data-element="results-content"></div></div>', { url: 'http://localhost/' });
+Object.assign(globalThis, {
+    window: dom.window,
+    document: dom.window.document,
+    localStorage: dom.window.localStorage,
+    HTMLElement: dom.window.HTMLElement,
+    getComputedStyle: dom.window.getComputedStyle
+});
+
+// jsdom has no canvas; depictions are SVG and the charts are not opened here
+dom.window.HTMLCanvasElement.prototype.getContext = () => null;
+
+const { ResultsDisplay } = await import('../scripts/components/ResultsDisplay.js');
+const { EventBus } = await import('../scripts/utils/EventBus.js');
+
+test('streaming N molecules gives N records, even when init() is called again', () => {
+    const eventBus = new EventBus();
+    const display = new ResultsDisplay(document.querySelector('[data-component="results"]'), { eventBus });
+    display.init();
+
+    const molecules = [
+        { smiles: 'CCO', valid: true },
+        { smiles: 'CCN', valid: true },
+        { smiles: 'c1ccccc1', valid: true },
+        { smiles: 'C1CC', valid: false }
+    ];
+
+    eventBus.emit('results:streamStart', { requestParams: { samples: molecules.length }, total: molecules.length });
+    eventBus.emit('results:append', { molecules: molecules.slice(0, 2), generated: 2, total: molecules.length });
+    eventBus.emit('results:append', { molecules: molecules.slice(2), generated: 4, total: molecules.length });
+
+    assert.equal(display.state.records.length, molecules.length);
+    assert.equal(display.state.results.generated_molecules.length, molecules.length);
+    assert.equal(display.state.results.valid_molecules, 3);
+    assert.match(document.querySelector('[data-element="stream-progress"]').textContent, /4 of 4 generated, 3 valid/);
+
+    // A cancelled stream keeps exactly the molecules received
+    eventBus.emit('results:showCancelled');
+    assert.equal(display.state.records.length, molecules.length);
+
+    display.destroy();
+});
@@ -0,0 +1,65 @@
+/**
+ * SMILES parsing and error position cases
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmilesParser, SmilesError } from '../scripts/chemistry/SmilesParser.js';
+
+const parser = new SmilesParser();
+
+// Position and length of the error a SMILES string is rejected with
+const errorAt = smiles => {
+    const { isValid, error } = parser.validate(smiles);
+    assert.equal(isValid, false, `${smiles} should be rejected`);
+    assert.ok(error instanceof SmilesError);
+    return [error.position, error.length];
+};
+
+test('valid SMILES parse into atoms, bonds and implicit hydrogens', () => {
+    const acetic = parser.parse('CC(=O)O');
+    assert.equal(acetic.atoms.length, 4);
+    assert.equal(acetic.bonds.length, 3);
+    assert.deepEqual(acetic.atoms.map(atom => atom.implicitHydrogens), [3, 0, 0, 1]);
+
+    assert.equal(parser.parse('Cl').atoms[0].element, 'Cl');
+    assert.equal(parser.parse('[NH4+]').atoms[0].charge, 1);
+});
+
+test('Kekulé rings are perceived as aromatic', () => {
+    const benzene = parser.parse('C1=CC=CC=C1');
+    assert.ok(benzene.atoms.every(atom => atom.aromatic));
+    assert.ok(benzene.bonds.every(bond => bond.order === 1.5));
+});
+
+test('branch errors point at the parenthesis', () => {
+    assert.deepEqual(errorAt('CC(C'), [2, 1]);
+    assert.deepEqual(errorAt('CC)C'), [2, 1]);
+    assert.deepEqual(errorAt('C()C'), [1, 2]);
+});
+
+test('ring bond errors point at the ring label', () => {
+    assert.deepEqual(errorAt('C1CC'), [1, 1]);
+    assert.deepEqual(errorAt('CC5'), [2, 1]);
+    assert.deepEqual(errorAt('C11'), [2, 1]);
+    assert.deepEqual(errorAt('C%1C'), [1, 1]);
+});
+
+test('element errors span the whole symbol', () => {
+    assert.deepEqual(errorAt('CXC'), [1, 1]);
+    assert.deepEqual(errorAt('C[Zz]C'), [2, 2]);
+    assert.deepEqual(errorAt('[C'), [0, 1]);
+    assert.deepEqual(errorAt('Cc'), [1, 1]);
+});
+
+test('bond and whitespace errors point at the offending character', () => {
+    assert.deepEqual(errorAt('CC='), [2, 1]);
+    assert.deepEqual(errorAt('C=C='), [3, 1]);
+    assert.deepEqual(errorAt('C C'), [1, 1]);
+    assert.deepEqual(errorAt(''), [0, 1]);
+});
+
+test('valence errors span the offending atom', () => {
+    assert.deepEqual(errorAt('C(=O)(=O)(=O)C'), [0, 1]);
+    assert.deepEqual(errorAt('CC[NH4+]'), [2, 6]);
+});
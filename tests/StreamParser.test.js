@@ -0,0 +1,34 @@
+/**
+ * Stream framing regression cases
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamParser } from '../scripts/utils/StreamParser.js';
+
+test('an SSE CRLF split across chunks ends one line, not the event', () => {
+    const parser = new StreamParser('sse');
+    const messages = [
+        ...parser.push('event: molecule\r'),
+        ...parser.push('\ndata: {"smiles": "CCO"}\r\n\r'),
+        ...parser.push('\n'),
+        ...parser.flush()
+    ];
+
+    assert.deepEqual(messages, [{ type: 'molecule', smiles: 'CCO' }]);
+});
+
+test('an NDJSON CRLF split across chunks ends one line', () => {
+    const parser = new StreamParser('ndjson');
+
+    assert.deepEqual(parser.push('{"smiles": "CCO"}\r'), []);
+    assert.deepEqual(parser.push('\n{"smiles": "CCN"}\r'), [{ smiles: 'CCO' }]);
+    assert.deepEqual(parser.flush(), [{ smiles: 'CCN' }]);
+});
+
+test('a lone CR still ends a line', () => {
+    const parser = new StreamParser('sse');
+
+    assert.deepEqual(parser.push('data: {"smiles": "CCO"}\r\r'), []);
+    assert.deepEqual(parser.push('data: {"smiles": "CCN"}\r\r'), [{ smiles: 'CCO' }]);
+});
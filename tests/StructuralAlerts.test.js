@@ -0,0 +1,31 @@
+/**
+ * Structural alert screening cases
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmilesParser } from '../scripts/chemistry/SmilesParser.js';
+import { StructuralAlerts } from '../scripts/chemistry/StructuralAlerts.js';
+
+const parser = new SmilesParser();
+const screen = (smiles, config) => new StructuralAlerts(config).screen(parser.parse(smiles));
+
+test('alerts report their library and the matched atoms', () => {
+    assert.deepEqual(
+        screen('Oc1ccccc1O').map(alert => [alert.library, alert.id, alert.atoms]),
+        [['painsA', 'catechol_A', [0, 1, 6, 7]], ['brenk', 'catechol', [0, 1, 6, 7]]]
+    );
+    assert.deepEqual(screen('Nc1ccccc1').map(alert => alert.id), ['aromatic_amine']);
+});
+
+test('a molecule without alerts screens clean', () => {
+    assert.deepEqual(screen('CCO'), []);
+});
+
+test('disabled libraries are skipped and kept in the configuration', () => {
+    const alerts = new StructuralAlerts({ painsA: { enabled: false } });
+
+    assert.deepEqual(alerts.screen(parser.parse('Oc1ccccc1O')).map(alert => alert.id), ['catechol']);
+    assert.equal(alerts.getConfig().painsA.enabled, false);
+    assert.equal(alerts.getConfig().brenk.enabled, true);
+});
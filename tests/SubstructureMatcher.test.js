@@ -0,0 +1,65 @@
+/**
+ * SMARTS parsing and substructure matching cases
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmilesParser } from '../scripts/chemistry/SmilesParser.js';
+import { SmartsParser, SmartsError } from '../scripts/chemistry/SmartsParser.js';
+import { SubstructureMatcher } from '../scripts/chemistry/SubstructureMatcher.js';
+
+const parser = new SmilesParser();
+const smartsParser = new SmartsParser();
+const matcher = new SubstructureMatcher();
+const matches = (smiles, smarts, options) => matcher.findMatches(parser.parse(smiles), smarts, options);
+
+test('atom primitives select the expected atoms', () => {
+    assert.deepEqual(matches('CCO', '[OX2H]'), [[2]]);
+    assert.deepEqual(matches('CCN', '[N;H2]'), [[2]]);
+    assert.deepEqual(matches('C[NH3+]', '[N+]'), [[1]]);
+    assert.deepEqual(matches('OCCO', '[!#6]'), [[0], [3]]);
+    assert.deepEqual(matches('CC', '[D1]'), [[0], [1]]);
+    assert.deepEqual(matches('C1CCCCC1C', '[CR]'), [[0], [1], [2], [3], [4], [5]]);
+});
+
+test('two-letter element symbols are read before the A and counted primitives', () => {
+    assert.deepEqual(matches('C[As](C)C', '[As]'), [[1]]);
+    assert.deepEqual(matches('[Ag+].[Cl-]', '[Ag,Al]'), [[0]]);
+    assert.deepEqual(matches('C[Hg]C', '[Hg]'), [[1]]);
+    assert.deepEqual(matches('CCO', '[A;!O]'), [[0], [1]]);
+});
+
+test('bond primitives distinguish order, aromaticity and ring membership', () => {
+    assert.deepEqual(matches('C1CCCCC1C', 'C!@C'), [[5, 6]]);
+    assert.deepEqual(matches('C=CC=O', 'C=,#C'), [[0, 1]]);
+    assert.deepEqual(matches('CC(=O)O', '[#6]~[#8]'), [[1, 2], [1, 3]]);
+    assert.equal(matches('C1=CC=CC=C1', 'c:c').length, 6);
+});
+
+test('recursive SMARTS constrains the environment of an atom', () => {
+    assert.deepEqual(matches('CC(=O)N', '[$(C=O)]'), [[1]]);
+    assert.deepEqual(matches('CCO', '[$(C=O)]'), []);
+});
+
+test('matches are unique by atom set unless every mapping is asked for', () => {
+    assert.equal(matches('c1ccccc1', 'cc').length, 6);
+    assert.equal(matches('c1ccccc1', 'cc', { unique: false }).length, 12);
+    assert.equal(matches('c1ccccc1', 'c', { maxMatches: 2 }).length, 2);
+    assert.equal(matcher.hasMatch(parser.parse('c1ccccc1O'), 'c[OH]'), true);
+});
+
+test('invalid SMARTS are reported with their position', () => {
+    const errorAt = smarts => {
+        const { isValid, error } = smartsParser.validate(smarts);
+        assert.equal(isValid, false, `${smarts} should be rejected`);
+        assert.ok(error instanceof SmartsError);
+        return [error.position, error.length];
+    };
+
+    assert.deepEqual(errorAt('C(C'), [1, 1]);
+    assert.deepEqual(errorAt('C)'), [1, 1]);
+    assert.deepEqual(errorAt('[C'), [0, 1]);
+    assert.deepEqual(errorAt('C1C'), [1, 1]);
+    assert.deepEqual(errorAt('[$(C]'), [1, 2]);
+    assert.deepEqual(errorAt('C&'), [1, 1]);
+});